@@ -0,0 +1,30 @@
+// Short-lived cache with the get/setex/del subset of the Redis API the
+// services use. Entries live in this process only, so callers must treat a
+// miss, or a stale value for up to its TTL, as normal.
+
+const entries = new Map();
+
+const cache = {
+  async get(key) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  },
+
+  async setex(key, seconds, value) {
+    entries.set(key, { value: String(value), expiresAt: Date.now() + seconds * 1000 });
+    return 'OK';
+  },
+
+  async del(key) {
+    return entries.delete(key) ? 1 : 0;
+  }
+};
+
+module.exports = { cache };
@@ -0,0 +1,18 @@
+// Legal entity details printed on invoices and credit notes
+
+module.exports = {
+  legalName: process.env.COMPANY_LEGAL_NAME || 'AirKicks Corporation',
+  tradingName: process.env.COMPANY_TRADING_NAME || 'AirKicks Store',
+  address: {
+    street: process.env.COMPANY_STREET || '100 Levitation Way',
+    city: process.env.COMPANY_CITY || 'San Francisco',
+    state: process.env.COMPANY_STATE || 'CA',
+    zipCode: process.env.COMPANY_ZIP || '94105',
+    country: process.env.COMPANY_COUNTRY || 'US'
+  },
+  taxId: process.env.COMPANY_TAX_ID || '',
+  registrationNumber: process.env.COMPANY_REGISTRATION_NUMBER || '',
+  email: process.env.COMPANY_BILLING_EMAIL || 'billing@airkicks.store',
+  phone: process.env.COMPANY_PHONE || '',
+  website: 'https://airkicks.store'
+};
@@ -0,0 +1,36 @@
+// Structured console logger; LOG_LEVEL sets the lowest level written (default info)
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+const threshold = Math.max(0, LEVELS.indexOf(process.env.LOG_LEVEL || 'info'));
+
+const serialize = (value) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  return value;
+};
+
+const write = (level) => (message, meta) => {
+  if (LEVELS.indexOf(level) < threshold) {
+    return;
+  }
+
+  const entry = { level, time: new Date().toISOString(), message };
+  if (meta !== undefined) {
+    entry.meta = serialize(meta);
+  }
+
+  const line = JSON.stringify(entry);
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+module.exports = {
+  debug: write('debug'),
+  info: write('info'),
+  warn: write('warn'),
+  error: write('error')
+};
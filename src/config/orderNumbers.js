@@ -0,0 +1,9 @@
+// Format of new order numbers: <prefix>-<year><sequence><check digit>, e.g. AK-20260001233
+
+module.exports = {
+  prefix: (process.env.ORDER_NUMBER_PREFIX || 'AK').toUpperCase(),
+  // Minimum sequence width; numbers grow past it rather than wrap
+  sequenceDigits: parseInt(process.env.ORDER_NUMBER_SEQUENCE_DIGITS) || 6,
+  // Restart the sequence each calendar year (UTC); the year keeps numbers unique
+  resetYearly: process.env.ORDER_NUMBER_RESET_YEARLY !== 'false'
+};
@@ -0,0 +1,12 @@
+// Recurring deliveries of consumable accessories
+
+const list = (value) => value.split(',').map(entry => entry.trim()).filter(Boolean);
+
+module.exports = {
+  // Product categories customers can subscribe to
+  categories: list(process.env.SUBSCRIPTION_CATEGORIES || 'accessories'),
+  // Days after a failed renewal to retry it; the subscription is paused after the last
+  retryDays: list(process.env.SUBSCRIPTION_RETRY_DAYS || '1,3,7').map(Number),
+  // Longest a customer can pause deliveries for
+  maxPauseDays: parseInt(process.env.SUBSCRIPTION_MAX_PAUSE_DAYS) || 180
+};
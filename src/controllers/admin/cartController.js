@@ -0,0 +1,28 @@
+const cartRecoveryService = require('../../services/cartRecoveryService');
+const logger = require('../../config/logger');
+
+/**
+ * Get abandoned cart reminder and recovery statistics
+ */
+const getAbandonedCartReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    
+    const report = await cartRecoveryService.getRecoveryReport(startDate, endDate);
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    logger.error('Error generating abandoned cart report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate abandoned cart report'
+    });
+  }
+};
+
+module.exports = {
+  getAbandonedCartReport
+};
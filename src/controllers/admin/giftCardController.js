@@ -0,0 +1,166 @@
+const GiftCard = require('../../models/GiftCard');
+const logger = require('../../config/logger');
+const giftCardService = require('../../services/giftCardService');
+
+/**
+ * Get gift cards and store credit with pagination
+ */
+const getGiftCards = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, code, email, kind, status } = req.query;
+
+    const query = {};
+    if (code) {
+      query.code = GiftCard.normalizeCode(code);
+    }
+    if (email) {
+      query['recipient.email'] = email.toLowerCase();
+    }
+    if (kind) {
+      query.kind = kind;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const [giftCards, total] = await Promise.all([
+      GiftCard.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      GiftCard.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      giftCards,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting gift cards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve gift cards'
+    });
+  }
+};
+
+/**
+ * Get a gift card with its full ledger
+ */
+const getGiftCard = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.giftCardId)
+      .populate('purchaser', 'firstName lastName email')
+      .populate('issuedBy', 'firstName lastName email');
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const ledger = await giftCardService.getLedger(giftCard._id);
+
+    res.json({
+      success: true,
+      giftCard,
+      ledger
+    });
+  } catch (error) {
+    logger.error('Error getting gift card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve gift card'
+    });
+  }
+};
+
+/**
+ * Issue a gift card or store credit, e.g. as a goodwill gesture
+ */
+const issueGiftCard = async (req, res) => {
+  try {
+    const { amount, kind, currency, expiresAt, recipientName, recipientEmail, message, reason, notifyRecipient } = req.body;
+
+    const giftCard = await giftCardService.issue({
+      kind,
+      amount: parseFloat(amount),
+      currency,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+      recipient: { name: recipientName, email: recipientEmail },
+      message
+    }, { actor: req.user.id, source: 'admin', reason });
+
+    const delivered = notifyRecipient !== false && recipientEmail
+      ? await giftCardService.deliver(giftCard)
+      : false;
+
+    logger.info(`Gift card ${giftCard.maskedCode} issued by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: delivered ? `Gift card issued and sent to ${recipientEmail}` : 'Gift card issued',
+      giftCard
+    });
+  } catch (error) {
+    logger.error('Error issuing gift card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue gift card'
+    });
+  }
+};
+
+/**
+ * Void a gift card, writing off its remaining balance
+ */
+const voidGiftCard = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.giftCardId);
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const result = await giftCardService.voidCard(giftCard._id, {
+      actor: req.user.id,
+      reason: req.body.reason
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card is already void'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Gift card voided',
+      giftCard: result.giftCard,
+      transaction: result.transaction
+    });
+  } catch (error) {
+    logger.error('Error voiding gift card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void gift card'
+    });
+  }
+};
+
+module.exports = {
+  getGiftCards,
+  getGiftCard,
+  issueGiftCard,
+  voidGiftCard
+};
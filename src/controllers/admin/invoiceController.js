@@ -0,0 +1,132 @@
+const Order = require('../../models/Order');
+const invoiceService = require('../../services/invoiceService');
+const logger = require('../../config/logger');
+
+/**
+ * Get the invoice for any order, issuing it if needed
+ */
+const getOrderInvoice = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId).populate('user', 'email');
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const invoice = await invoiceService.getInvoiceForOrder(order);
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invoice is issued once the order has been paid'
+      });
+    }
+
+    await invoiceService.send(res, invoice, invoiceService.resolveFormat(req));
+  } catch (error) {
+    logger.error('Error getting order invoice:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve invoice'
+    });
+  }
+};
+
+/**
+ * Print the packing slip for an order or one of its shipments as HTML or PDF
+ */
+const getPackingSlip = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    let shipment;
+    if (req.query.shipmentId) {
+      shipment = order.shipments.id(req.query.shipmentId);
+      if (!shipment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found'
+        });
+      }
+    }
+
+    if (req.query.format === 'pdf' || (!req.query.format && req.accepts(['html', 'application/pdf']) === 'application/pdf')) {
+      const pdf = await invoiceService.renderPackingSlipPdf(order, { shipment });
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="packing-slip-${order.orderNumber}.pdf"`);
+      return res.send(pdf);
+    }
+
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(invoiceService.renderPackingSlipHtml(order, { shipment }));
+  } catch (error) {
+    logger.error('Error rendering packing slip:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render packing slip'
+    });
+  }
+};
+
+/**
+ * Export invoices and credit notes issued in a date range as CSV, a combined PDF or JSON
+ */
+const exportInvoices = async (req, res) => {
+  try {
+    const { from, to, type, format = 'csv' } = req.query;
+
+    const toDate = new Date(to);
+    // A bare date covers the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const invoices = await invoiceService.findIssuedBetween({ from: new Date(from), to: toDate, type });
+    const filename = `invoices-${from.slice(0, 10)}-to-${to.slice(0, 10)}`;
+
+    if (format === 'pdf') {
+      if (invoices.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'No invoices issued in this period'
+        });
+      }
+
+      const pdf = await invoiceService.renderPdf(invoices);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+      return res.send(pdf);
+    }
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        count: invoices.length,
+        invoices
+      });
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.send(invoiceService.renderCsv(invoices));
+  } catch (error) {
+    logger.error('Error exporting invoices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export invoices'
+    });
+  }
+};
+
+module.exports = {
+  getOrderInvoice,
+  getPackingSlip,
+  exportInvoices
+};
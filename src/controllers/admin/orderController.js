@@ -0,0 +1,446 @@
+const Order = require('../../models/Order');
+const refundService = require('../../services/refundService');
+const orderCancellationService = require('../../services/orderCancellationService');
+const orderSearchService = require('../../services/orderSearchService');
+const { sendEmail } = require('../../services/emailService');
+const logger = require('../../config/logger');
+
+/**
+ * Tell the customer a box is on its way; failures are only logged
+ */
+const notifyShipment = async (order, shipment) => {
+  try {
+    if (!order.customerEmail) {
+      return;
+    }
+
+    await sendEmail({
+      to: order.customerEmail,
+      subject: `Your order ${order.formattedOrderNumber} has shipped`,
+      template: 'orderShipped',
+      data: {
+        order,
+        shipment,
+        items: order.items.filter(item => shipment.items.some(id => id.equals(item._id))),
+        remainingItems: order.getUnshippedItems()
+      }
+    });
+  } catch (emailError) {
+    logger.error('Failed to send shipment email:', emailError);
+  }
+};
+
+/**
+ * Tell the customer their order was cancelled; failures are only logged
+ */
+const notifyCancellation = async (order, reason, refund) => {
+  try {
+    if (!order.customerEmail) {
+      return;
+    }
+
+    await sendEmail({
+      to: order.customerEmail,
+      subject: `Order Cancelled - ${order.formattedOrderNumber}`,
+      template: 'orderCancellation',
+      data: {
+        order,
+        user: { firstName: order.shippingAddress?.firstName, email: order.customerEmail },
+        reason,
+        refund
+      }
+    });
+  } catch (emailError) {
+    logger.error('Failed to send order cancellation email:', emailError);
+  }
+};
+
+/**
+ * Search all orders by free text and filters, newest first unless sorted otherwise
+ */
+const getOrders = async (req, res) => {
+  try {
+    const {
+      limit = 20, sortBy, sortOrder, cursor, q, status, paymentStatus, carrier,
+      product, discountCode, source, placedFrom, placedTo, minTotal, maxTotal
+    } = req.query;
+
+    const result = await orderSearchService.search(
+      { q, status, paymentStatus, carrier, product, discountCode, source, placedFrom, placedTo, minTotal, maxTotal },
+      {
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        cursor,
+        select: '-statusHistory -modifications -payment.gatewayResponse -payment.refunds.gatewayResponse'
+      }
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      orders: result.orders,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    logger.error('Error searching orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve orders'
+    });
+  }
+};
+
+/**
+ * Move an order to a new status. Only moves declared in the order status
+ * graph are accepted, and each one does what the matching flow does:
+ * cancelling releases stock and payment, refunding pays out the rest of the
+ * order, and shipping or delivering goes through the order's shipments.
+ */
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, notes, carrier, trackingNumber, trackingUrl } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order cannot move from ${order.status} to ${status}`,
+        allowedTransitions: order.getAllowedTransitions()
+      });
+    }
+
+    // Lines have to be picked for a partial shipment
+    if (status === 'partially_shipped') {
+      return res.status(400).json({
+        success: false,
+        message: 'Create a shipment for the lines being shipped instead'
+      });
+    }
+
+    const changedBy = { actor: req.user.id, source: 'admin' };
+    let refund;
+    let message = 'Order status updated successfully';
+
+    if (status === 'cancelled') {
+      const result = await orderCancellationService.cancel(order, {
+        changedBy,
+        reason: notes || 'Cancelled by admin'
+      });
+      refund = result.refund;
+
+      if (!result.release.success) {
+        message = 'Order cancelled, but the payment authorization could not be voided';
+      } else if (refund?.status === 'failed') {
+        message = 'Order cancelled, but the refund failed at the payment gateway';
+      }
+
+      await notifyCancellation(order, notes, refund);
+    } else if (status === 'refunded') {
+      const result = await orderCancellationService.refundDelivered(order, {
+        changedBy,
+        reason: notes
+      });
+
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          message: result.error || 'Refund failed at the payment gateway',
+          refund: result.refund
+        });
+      }
+      refund = result.refund;
+    } else if (status === 'shipped') {
+      let shipment;
+      try {
+        shipment = order.createShipment(
+          { carrier, trackingNumber, trackingUrl },
+          { ...changedBy, reason: notes }
+        );
+      } catch (shipmentError) {
+        return res.status(400).json({
+          success: false,
+          message: shipmentError.message
+        });
+      }
+
+      await order.save();
+      await notifyShipment(order, shipment);
+    } else if (status === 'delivered') {
+      for (const shipment of order.shipments.filter(entry => entry.status === 'shipped')) {
+        order.markShipmentDelivered(shipment._id, { ...changedBy, reason: notes });
+      }
+
+      // Orders shipped before shipments were recorded have nothing to deliver
+      if (order.status !== 'delivered') {
+        order.setStatus('delivered', { ...changedBy, reason: notes });
+      }
+      await order.save();
+    } else {
+      await order.updateStatus(status, { ...changedBy, reason: notes });
+    }
+
+    logger.info(`Order ${order.orderNumber} moved to ${status} by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message,
+      refund,
+      order: {
+        id: order._id,
+        orderNumber: order.formattedOrderNumber,
+        status: order.status,
+        allowedTransitions: order.getAllowedTransitions(),
+        statusHistory: order.statusHistory
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating order status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order status'
+    });
+  }
+};
+
+/**
+ * Set tracking for an order shipped in a single box. Creates the shipment for
+ * every unshipped line the first time.
+ */
+const updateShipping = async (req, res) => {
+  try {
+    const { trackingNumber, carrier, trackingUrl } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.shipments.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has several shipments; update them individually'
+      });
+    }
+
+    const isFirstShipment = order.shipments.length === 0;
+    if (isFirstShipment && !['confirmed', 'processing'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order cannot ship while ${order.status}`
+      });
+    }
+
+    await order.addTracking(trackingNumber, carrier, trackingUrl, {
+      actor: req.user.id,
+      source: 'admin'
+    });
+
+    if (isFirstShipment) {
+      await notifyShipment(order, order.shipments[0]);
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping information updated successfully',
+      shipping: order.shipping,
+      shipments: order.shipments,
+      status: order.status
+    });
+  } catch (error) {
+    logger.error('Error updating shipping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shipping information'
+    });
+  }
+};
+
+/**
+ * Ship some of an order's lines in one box
+ */
+const createShipment = async (req, res) => {
+  try {
+    const { items, carrier, trackingNumber, trackingUrl, estimatedDelivery } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['confirmed', 'processing', 'partially_shipped'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Order cannot ship while ${order.status}`
+      });
+    }
+
+    let shipment;
+    try {
+      shipment = order.createShipment(
+        { itemIds: items, carrier, trackingNumber, trackingUrl, estimatedDelivery },
+        { actor: req.user.id, source: 'admin' }
+      );
+    } catch (shipmentError) {
+      return res.status(400).json({
+        success: false,
+        message: shipmentError.message
+      });
+    }
+
+    await order.save();
+    await notifyShipment(order, shipment);
+
+    logger.info(`Shipment ${shipment._id} created for order ${order.orderNumber} by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipment created successfully',
+      shipment,
+      status: order.status,
+      remainingItems: order.getUnshippedItems().map(item => item._id)
+    });
+  } catch (error) {
+    logger.error('Error creating shipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shipment'
+    });
+  }
+};
+
+/**
+ * Update a shipment's tracking or mark it delivered
+ */
+const updateShipment = async (req, res) => {
+  try {
+    const { status, carrier, trackingNumber, trackingUrl, estimatedDelivery } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipment = order.shipments.id(req.params.shipmentId);
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipment not found'
+      });
+    }
+
+    order.updateShipmentTracking(shipment._id, { carrier, trackingNumber, trackingUrl, estimatedDelivery });
+
+    if (status === 'delivered' && shipment.status !== 'delivered') {
+      order.markShipmentDelivered(shipment._id, { actor: req.user.id, source: 'admin' });
+    }
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Shipment updated successfully',
+      shipment,
+      status: order.status
+    });
+  } catch (error) {
+    logger.error('Error updating shipment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shipment'
+    });
+  }
+};
+
+/**
+ * Retry a refund that failed at the gateway. Refunds whatever is left of the
+ * payment unless an amount is given.
+ */
+const retryRefund = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.payment.status !== 'refund_failed') {
+      return res.status(400).json({
+        success: false,
+        message: `Order payment is ${order.payment.status}; only failed refunds can be retried`
+      });
+    }
+
+    const refundable = order.calculateRefund();
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : refundable;
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${refundable.toFixed(2)} can be refunded on this order`
+      });
+    }
+
+    const result = await refundService.refundOrder(order, {
+      amount,
+      reason: req.body.reason || 'requested_by_customer',
+      source: 'admin_retry',
+      changedBy: { actor: req.user.id, source: 'admin' }
+    });
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: result.error || 'Refund failed at the payment gateway',
+        refund: result.refund
+      });
+    }
+
+    logger.info(`Refund for order ${order.orderNumber} retried by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: result.refund.status === 'completed' ? 'Refund issued' : 'Refund submitted to the payment gateway',
+      refund: result.refund,
+      payment: order.payment
+    });
+  } catch (error) {
+    logger.error('Error retrying refund:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry refund'
+    });
+  }
+};
+
+module.exports = {
+  getOrders,
+  updateOrderStatus,
+  updateShipping,
+  createShipment,
+  updateShipment,
+  retryRefund
+};
@@ -0,0 +1,193 @@
+const PreorderOffer = require('../../models/PreorderOffer');
+const Order = require('../../models/Order');
+const logger = require('../../config/logger');
+const preorderService = require('../../services/preorderService');
+
+/**
+ * Get preorder and backorder offers with pagination
+ */
+const getPreorderOffers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, product, type, isActive } = req.query;
+
+    const query = {};
+    if (product) {
+      query.product = product;
+    }
+    if (type) {
+      query.type = type;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const [offers, total] = await Promise.all([
+      PreorderOffer.find(query)
+        .populate('product', 'name brand images')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      PreorderOffer.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      offers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting preorder offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve preorder offers'
+    });
+  }
+};
+
+/**
+ * Get an offer with the orders still waiting on it, oldest first
+ */
+const getPreorderOffer = async (req, res) => {
+  try {
+    const offer = await PreorderOffer.findById(req.params.offerId)
+      .populate('product', 'name brand images')
+      .populate('createdBy', 'firstName lastName email');
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preorder offer not found'
+      });
+    }
+
+    const orders = await Order.find({
+      status: { $in: ['confirmed', 'processing'] },
+      items: { $elemMatch: { 'backorder.offer': offer._id, 'backorder.allocatedAt': null, status: { $ne: 'cancelled' } } }
+    })
+      .select('orderNumber orderNumberPrefix user items placedAt payment.status')
+      .populate('user', 'firstName lastName email')
+      .sort({ placedAt: 1 });
+
+    const waiting = orders.map(order => ({
+      id: order._id,
+      orderNumber: order.formattedOrderNumber,
+      user: order.user,
+      placedAt: order.placedAt,
+      paymentStatus: order.payment.status,
+      quantity: order.getAwaitingStockItems()
+        .filter(item => item.backorder.offer.equals(offer._id))
+        .reduce((sum, item) => sum + item.quantity, 0)
+    }));
+
+    res.json({
+      success: true,
+      offer,
+      waiting,
+      unitsWaiting: waiting.reduce((sum, entry) => sum + entry.quantity, 0)
+    });
+  } catch (error) {
+    logger.error('Error getting preorder offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve preorder offer'
+    });
+  }
+};
+
+/**
+ * Open a preorder or backorder offer for a product or one of its variants
+ */
+const createPreorderOffer = async (req, res) => {
+  try {
+    const { productId, size, color, type, expectedShipDate, cap } = req.body;
+
+    const result = await preorderService.createOffer({
+      product: productId,
+      size,
+      color,
+      type,
+      expectedShipDate: new Date(expectedShipDate),
+      cap: cap !== undefined ? parseInt(cap) : undefined
+    }, { actor: req.user.id });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    logger.info(`Preorder offer ${result.offer._id} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'preorder' ? 'Preorder' : 'Backorder'} offer opened`,
+      offer: result.offer
+    });
+  } catch (error) {
+    logger.error('Error creating preorder offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create preorder offer'
+    });
+  }
+};
+
+/**
+ * Move an offer's ship date, change its cap or close it to new orders.
+ * Customers waiting on the offer are told when the ship date slips.
+ */
+const updatePreorderOffer = async (req, res) => {
+  try {
+    const offer = await PreorderOffer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preorder offer not found'
+      });
+    }
+
+    const { expectedShipDate, cap, isActive, reason } = req.body;
+
+    const result = await preorderService.updateOffer(offer, {
+      expectedShipDate: expectedShipDate ? new Date(expectedShipDate) : undefined,
+      cap: cap === null ? null : cap !== undefined ? parseInt(cap) : undefined,
+      isActive,
+      reason
+    }, { actor: req.user.id });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    logger.info(`Preorder offer ${offer._id} updated by admin ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Preorder offer updated',
+      offer: result.offer,
+      linesUpdated: result.linesUpdated
+    });
+  } catch (error) {
+    logger.error('Error updating preorder offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preorder offer'
+    });
+  }
+};
+
+module.exports = {
+  getPreorderOffers,
+  getPreorderOffer,
+  createPreorderOffer,
+  updatePreorderOffer
+};
@@ -0,0 +1,253 @@
+const Promotion = require('../../models/Promotion');
+const PromotionRedemption = require('../../models/PromotionRedemption');
+const logger = require('../../config/logger');
+
+// Fields admins may set on a promotion
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'appliesTo',
+  'minimumOrderValue',
+  'usageLimit',
+  'usageLimitPerCustomer',
+  'startsAt',
+  'endsAt',
+  'isActive'
+];
+
+const pickEditableFields = (body) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) {
+    fields[field] = body[field];
+  }
+  return fields;
+}, {});
+
+/**
+ * Get promotions with pagination
+ */
+const getPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, active } = req.query;
+
+    const query = {};
+    if (search) {
+      query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (active !== undefined) {
+      query.isActive = active === 'true';
+    }
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(query)
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Promotion.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      promotions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting promotions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve promotions'
+    });
+  }
+};
+
+/**
+ * Get a promotion with its redemption totals
+ */
+const getPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const [stats] = await PromotionRedemption.aggregate([
+      { $match: { promotion: promotion._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          customers: { $addToSet: '$user' },
+          totalDiscount: { $sum: '$discount' },
+          totalShippingDiscount: { $sum: '$shippingDiscount' }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      promotion,
+      stats: {
+        redemptions: stats?.redemptions || 0,
+        uniqueCustomers: stats?.customers.length || 0,
+        totalDiscount: stats?.totalDiscount || 0,
+        totalShippingDiscount: stats?.totalShippingDiscount || 0
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve promotion'
+    });
+  }
+};
+
+/**
+ * Create a promotion
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({
+      ...pickEditableFields(req.body),
+      createdBy: req.user.id
+    });
+
+    await promotion.save();
+
+    logger.info(`Promotion ${promotion.code} created by admin ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
+    logger.error('Error creating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion'
+    });
+  }
+};
+
+/**
+ * Update a promotion
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    promotion.set(pickEditableFields(req.body));
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A promotion with this code already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+
+    logger.error('Error updating promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion'
+    });
+  }
+};
+
+/**
+ * Delete a promotion. Promotions that have been redeemed are deactivated
+ * instead so order history keeps its reference.
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    const redeemed = await PromotionRedemption.exists({ promotion: promotion._id });
+    if (redeemed) {
+      promotion.isActive = false;
+      await promotion.save();
+
+      return res.json({
+        success: true,
+        message: 'Promotion has redemptions and was deactivated',
+        promotion
+      });
+    }
+
+    await promotion.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting promotion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion'
+    });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
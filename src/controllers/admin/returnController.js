@@ -0,0 +1,191 @@
+const Return = require('../../models/Return');
+const returnService = require('../../services/returnService');
+const logger = require('../../config/logger');
+
+/**
+ * Load the return named in the route, or respond 404
+ */
+const findReturn = async (req, res) => {
+  const returnRequest = await Return.findById(req.params.returnId);
+  if (!returnRequest) {
+    res.status(404).json({
+      success: false,
+      message: 'Return not found'
+    });
+    return null;
+  }
+  return returnRequest;
+};
+
+/**
+ * Respond 400 when the return is not in a state that allows the action
+ */
+const rejectTransition = (res, returnRequest, status) => res.status(400).json({
+  success: false,
+  message: `Return cannot move from ${returnRequest.status} to ${status}`
+});
+
+/**
+ * Get returns with pagination
+ */
+const getReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, orderId } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (orderId) {
+      query.order = orderId;
+    }
+
+    const [returns, total] = await Promise.all([
+      Return.find(query)
+        .sort({ requestedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('order', 'orderNumber total customerEmail'),
+      Return.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      returns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting returns:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve returns'
+    });
+  }
+};
+
+/**
+ * Approve a requested return
+ */
+const approveReturn = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (!returnRequest.canTransitionTo('approved')) {
+      return rejectTransition(res, returnRequest, 'approved');
+    }
+
+    await returnService.approve(returnRequest, { adminId: req.user.id, notes: req.body.notes });
+
+    res.json({
+      success: true,
+      message: 'Return approved',
+      returnRequest
+    });
+  } catch (error) {
+    logger.error('Error approving return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve return'
+    });
+  }
+};
+
+/**
+ * Reject a return
+ */
+const rejectReturn = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (!returnRequest.canTransitionTo('rejected')) {
+      return rejectTransition(res, returnRequest, 'rejected');
+    }
+
+    await returnService.reject(returnRequest, { adminId: req.user.id, notes: req.body.notes });
+
+    res.json({
+      success: true,
+      message: 'Return rejected',
+      returnRequest
+    });
+  } catch (error) {
+    logger.error('Error rejecting return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject return'
+    });
+  }
+};
+
+/**
+ * Mark an approved return as received, which issues the refund
+ */
+const receiveReturn = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (!returnRequest.canTransitionTo('received')) {
+      return rejectTransition(res, returnRequest, 'received');
+    }
+
+    const result = await returnService.receive(returnRequest, { adminId: req.user.id, notes: req.body.notes });
+
+    res.status(result.success ? 200 : result.inProgress ? 409 : 502).json({
+      success: result.success,
+      message: result.success
+        ? 'Return received and refunded'
+        : `Return received but the refund failed: ${result.error}`,
+      returnRequest: result.returnRequest || returnRequest
+    });
+  } catch (error) {
+    logger.error('Error receiving return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark return as received'
+    });
+  }
+};
+
+/**
+ * Retry the refund for a received return
+ */
+const refundReturn = async (req, res) => {
+  try {
+    const returnRequest = await findReturn(req, res);
+    if (!returnRequest) return;
+
+    if (returnRequest.status !== 'received') {
+      return rejectTransition(res, returnRequest, 'refunded');
+    }
+
+    const result = await returnService.refund(returnRequest, { adminId: req.user.id });
+
+    res.status(result.success ? 200 : result.inProgress ? 409 : 502).json({
+      success: result.success,
+      message: result.success ? 'Return refunded' : `Refund failed: ${result.error}`,
+      returnRequest: result.returnRequest || returnRequest
+    });
+  } catch (error) {
+    logger.error('Error refunding return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund return'
+    });
+  }
+};
+
+module.exports = {
+  getReturns,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn
+};
@@ -1,6 +1,26 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
+const Cart = require('../models/Cart');
+const logger = require('../config/logger');
+const { getGuestId } = require('../middleware/cartSession');
+
+/**
+ * Merge the guest cart sent with the request into the user's cart.
+ * A failed merge must never block authentication.
+ */
+const mergeGuestCart = async (req, userId) => {
+  const guestId = getGuestId(req);
+  if (!guestId) {
+    return;
+  }
+  
+  try {
+    await Cart.mergeGuestCart(guestId, userId);
+  } catch (error) {
+    logger.error('Failed to merge guest cart:', error);
+  }
+};
 
 const register = async (req, res) => {
   const { email, password, firstName, lastName } = req.body;
@@ -12,6 +32,8 @@ const register = async (req, res) => {
       [email, hashedPassword, firstName, lastName]
     );
     
+    await mergeGuestCart(req, result.rows[0].id);
+    
     const token = jwt.sign({ userId: result.rows[0].id }, process.env.JWT_SECRET || 'secret');
     res.status(201).json({ token });
   } catch (error) {
@@ -30,6 +52,8 @@ const login = async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
+    await mergeGuestCart(req, user.id);
+    
     const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET || 'secret');
     res.json({ token });
   } catch (error) {
@@ -1,30 +1,638 @@
-const pool = require('../config/database');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const PreorderOffer = require('../models/PreorderOffer');
+const inventoryService = require('../services/inventoryService');
+const cartRecoveryService = require('../services/cartRecoveryService');
+const logger = require('../config/logger');
 
+/**
+ * Load the cart for the authenticated user or the guest shopper
+ */
+const loadCart = (req) => (req.userId
+  ? Cart.findOrCreateForUser(req.userId)
+  : Cart.findOrCreateForGuest(req.guestId));
+
+/**
+ * Shape a cart for API responses with its recomputed totals,
+ * exposing its version in the ETag header
+ */
+const formatCart = async (cart, res) => {
+  await cart.populate('items.product', 'name brand images price');
+
+  if (res) {
+    res.set('ETag', cart.etag);
+  }
+
+  return {
+    id: cart._id,
+    version: cart.etag,
+    items: cart.items.map(item => ({
+      id: item._id,
+      product: item.product,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      price: item.price,
+      previousPrice: item.previousPrice,
+      subtotal: item.subtotal,
+      backorder: item.backorder
+        ? { type: item.backorder.type, expectedShipDate: item.backorder.expectedShipDate }
+        : null
+    })),
+    totalItems: cart.totalItems,
+    totalPrice: cart.totalPrice,
+    currency: cart.currency,
+    reservation: cart.reservation?.expiresAt
+      ? { expiresAt: cart.reservation.expiresAt, active: cart.hasActiveReservation }
+      : null
+  };
+};
+
+/**
+ * Respond with the latest cart when a mutation was based on a stale version
+ */
+const sendConflict = async (req, res) => {
+  const cart = await loadCart(req);
+
+  res.status(409).json({
+    success: false,
+    message: 'Your cart was changed elsewhere. Review the latest cart and try again.',
+    cart: await formatCart(cart, res)
+  });
+};
+
+/**
+ * Whether a save failed because another request updated the cart first
+ */
+const isVersionConflict = (error) => error.name === 'VersionError';
+
+/**
+ * Cart changes invalidate the checkout stock hold; checkout must begin again.
+ * The caller saves, so the hold goes with the same save as the change.
+ */
+const releaseCheckoutHold = async (cart) => {
+  if (cart.reservation?.reservationId) {
+    await inventoryService.releaseCartReservation(cart);
+  }
+};
+
+/**
+ * Check that the requested variant exists and has enough stock, or can be
+ * preordered or backordered
+ * @returns {string|null} Error message or null when the line can be fulfilled
+ */
+const checkVariant = async (product, quantity, { size, color, excludeReservation }) => {
+  if ((size || color) && !product.variants?.some(v =>
+    (!size || v.size === size) && (!color || v.color === color)
+  )) {
+    return 'Selected size/color is not available for this product';
+  }
+
+  const availability = await inventoryService.checkAvailability(product._id, quantity, { size, color, excludeReservation });
+  if (!availability.available) {
+    const offer = await PreorderOffer.findFor(product._id, { size, color });
+    if (offer?.canAccept(quantity)) {
+      return null;
+    }
+    if (offer) {
+      return `Only ${offer.remaining} left to ${offer.type}`;
+    }
+    return `Only ${availability.stock} left in stock`;
+  }
+
+  return null;
+};
+
+/**
+ * Add an item to the cart
+ */
 const addToCart = async (req, res) => {
-  const { productId, quantity } = req.body;
-  const userId = req.userId;
-  
   try {
-    await pool.query(
-      'INSERT INTO cart_items (user_id, product_id, quantity) VALUES ($1, $2, $3) ON CONFLICT (user_id, product_id) DO UPDATE SET quantity = cart_items.quantity + $3',
-      [userId, productId, quantity]
-    );
-    res.json({ message: 'Item added to cart' });
+    const { productId, size, color } = req.body;
+    const quantity = parseInt(req.body.quantity);
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const cart = await loadCart(req);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendConflict(req, res);
+    }
+
+    // Stock must cover what is already in the cart for this variant too. The
+    // cart's own hold counts as available, since it is released with the change.
+    const existingItem = cart.findItem(product._id, size, color);
+    const requestedQuantity = quantity + (existingItem ? existingItem.quantity : 0);
+
+    const variantError = await checkVariant(product, requestedQuantity, {
+      size,
+      color,
+      excludeReservation: cart.reservation?.reservationId
+    });
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    await releaseCheckoutHold(cart);
+    await cart.addItem({ product: product._id, quantity, size, color, price: product.price });
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      cart: await formatCart(cart, res)
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    if (isVersionConflict(error)) {
+      return sendConflict(req, res);
+    }
+
+    logger.error('Error adding to cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to cart'
+    });
   }
 };
 
+/**
+ * Apply one batch operation to the in-memory cart. The cart's own checkout
+ * hold counts as available stock, since it is released if the batch is saved.
+ * @returns {Object} Per-operation result; errors leave the cart untouched
+ */
+const applyOperation = async (cart, operation) => {
+  const { op, productId, itemId, size, color } = operation || {};
+  const excludeReservation = cart.reservation?.reservationId;
+  const quantity = parseInt(operation?.quantity ?? (op === 'add' ? 1 : NaN));
+
+  if (!['add', 'update', 'remove'].includes(op)) {
+    return { success: false, error: 'Operation must be one of add, update, remove' };
+  }
+
+  if (op !== 'remove' && !(quantity >= 1)) {
+    return { success: false, error: 'Quantity must be a positive integer' };
+  }
+
+  if (op === 'add') {
+    if (!productId) {
+      return { success: false, error: 'Product ID is required' };
+    }
+
+    const product = await Product.findById(productId).catch(() => null);
+    if (!product || !product.isActive) {
+      return { success: false, error: 'Product not found' };
+    }
+
+    const existingItem = cart.findItem(product._id, size, color);
+    const requestedQuantity = quantity + (existingItem ? existingItem.quantity : 0);
+    const variantError = await checkVariant(product, requestedQuantity, { size, color, excludeReservation });
+    if (variantError) {
+      return { success: false, error: variantError };
+    }
+
+    cart.mergeItems([{ product: product._id, quantity, size, color, price: product.price }]);
+    return { success: true, productId: product._id, size, color };
+  }
+
+  const item = itemId && cart.items.id(itemId);
+  if (!item) {
+    return { success: false, error: 'Cart item not found' };
+  }
+
+  if (op === 'remove') {
+    cart.items.pull({ _id: itemId });
+    return { success: true, itemId };
+  }
+
+  const product = await Product.findById(item.product._id || item.product);
+  if (!product || !product.isActive) {
+    return { success: false, error: 'Product is no longer available' };
+  }
+
+  const variantError = await checkVariant(product, quantity, { size: item.size, color: item.color, excludeReservation });
+  if (variantError) {
+    return { success: false, error: variantError };
+  }
+
+  cart.setItemQuantity(itemId, quantity);
+  return { success: true, itemId };
+};
+
+/**
+ * Apply an ordered list of add/update/remove operations in a single save.
+ * With atomic set, nothing is saved unless every operation succeeds.
+ */
+const batchUpdateCart = async (req, res) => {
+  try {
+    const { operations } = req.body;
+    const atomic = req.body.atomic === true || req.body.atomic === 'true';
+
+    const cart = await loadCart(req);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendConflict(req, res);
+    }
+
+    const results = [];
+    for (const [index, operation] of operations.entries()) {
+      const result = await applyOperation(cart, operation);
+      results.push({ index, op: operation?.op, ...result });
+    }
+
+    const failed = results.filter(result => !result.success).length;
+
+    if (atomic && failed > 0) {
+      // Discard the in-memory changes and report against the stored cart
+      return res.status(400).json({
+        success: false,
+        message: 'No changes were applied because some operations failed',
+        results,
+        cart: await formatCart(await loadCart(req), res)
+      });
+    }
+
+    if (failed < results.length) {
+      // The batch changes the cart, so its checkout hold goes with the same save
+      await releaseCheckoutHold(cart);
+      await cart.save();
+    }
+
+    // Report the line each add landed on now that new lines have IDs
+    for (const result of results) {
+      if (result.success && result.op === 'add') {
+        result.itemId = cart.findItem(result.productId, result.size, result.color)?._id;
+      }
+    }
+
+    res.json({
+      success: failed === 0,
+      message: failed === 0
+        ? 'Cart updated'
+        : `${results.length - failed} of ${results.length} operations applied`,
+      results,
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendConflict(req, res);
+    }
+
+    logger.error('Error applying cart batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart'
+    });
+  }
+};
+
+/**
+ * Get the current cart, dropping lines that are no longer available
+ * and repricing lines whose catalog price has changed
+ */
 const getCart = async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT c.*, p.name, p.price, p.image_url FROM cart_items c JOIN products p ON c.product_id = p.id WHERE c.user_id = $1',
-      [req.userId]
-    );
-    res.json(result.rows);
+    const cart = await loadCart(req);
+    const invalidItems = await cart.validateItems();
+    const priceChanges = await cart.repriceItems();
+
+    res.json({
+      success: true,
+      cart: await formatCart(cart, res),
+      invalidItems,
+      priceChanges
+    });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    logger.error('Error getting cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cart'
+    });
   }
 };
 
-module.exports = { addToCart, getCart };
\ No newline at end of file
+/**
+ * Update the quantity of a cart item
+ */
+const updateCartItem = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const quantity = parseInt(req.body.quantity);
+
+    const cart = await loadCart(req);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendConflict(req, res);
+    }
+
+    const item = cart.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    const product = await Product.findById(item.product._id || item.product);
+    if (!product || !product.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is no longer available'
+      });
+    }
+
+    const variantError = await checkVariant(product, quantity, {
+      size: item.size,
+      color: item.color,
+      excludeReservation: cart.reservation?.reservationId
+    });
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError
+      });
+    }
+
+    await releaseCheckoutHold(cart);
+    await cart.updateItemQuantity(itemId, quantity);
+
+    res.json({
+      success: true,
+      message: 'Cart item updated',
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendConflict(req, res);
+    }
+
+    logger.error('Error updating cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart item'
+    });
+  }
+};
+
+/**
+ * Remove an item from the cart
+ */
+const removeFromCart = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const cart = await loadCart(req);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendConflict(req, res);
+    }
+
+    if (!cart.items.id(itemId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    await releaseCheckoutHold(cart);
+    await cart.removeItem(itemId);
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendConflict(req, res);
+    }
+
+    logger.error('Error removing cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from cart'
+    });
+  }
+};
+
+/**
+ * Remove all items from the cart
+ */
+const clearCart = async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendConflict(req, res);
+    }
+
+    await releaseCheckoutHold(cart);
+    await cart.clearCart();
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    if (isVersionConflict(error)) {
+      return sendConflict(req, res);
+    }
+
+    logger.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear cart'
+    });
+  }
+};
+
+/**
+ * Get the number of items in the cart
+ */
+const getCartCount = async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+
+    res.set('ETag', cart.etag);
+    res.json({
+      success: true,
+      count: cart.totalItems,
+      totalItems: cart.totalItems,
+      totalPrice: cart.totalPrice,
+      currency: cart.currency
+    });
+  } catch (error) {
+    logger.error('Error getting cart count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve cart count'
+    });
+  }
+};
+
+/**
+ * Restore a cart from an abandoned cart reminder link
+ */
+const restoreCart = async (req, res) => {
+  try {
+    const { cart, requiresLogin, error } = await cartRecoveryService.restoreCart(req.params.token, {
+      userId: req.userId
+    });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'This cart link is invalid or has expired'
+      });
+    }
+
+    if (requiresLogin) {
+      return res.json({
+        success: true,
+        requiresLogin: true,
+        message: 'Log in to restore your cart'
+      });
+    }
+
+    if (error) {
+      return res.status(403).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const invalidItems = await cart.validateItems();
+    const priceChanges = await cart.repriceItems();
+
+    res.json({
+      success: true,
+      message: 'Cart restored',
+      cart: await formatCart(cart, res),
+      invalidItems,
+      priceChanges
+    });
+  } catch (error) {
+    logger.error('Error restoring cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore cart'
+    });
+  }
+};
+
+/**
+ * Begin checkout by holding stock for every cart line
+ */
+const beginCheckout = async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    const invalidItems = await cart.validateItems();
+
+    if (cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty',
+        invalidItems
+      });
+    }
+
+    try {
+      await inventoryService.reserveCart(cart);
+    } catch (error) {
+      await cart.save();
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        cart: await formatCart(cart, res)
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Stock reserved for checkout',
+      cart: await formatCart(cart, res),
+      invalidItems
+    });
+  } catch (error) {
+    logger.error('Error beginning checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to begin checkout'
+    });
+  }
+};
+
+/**
+ * Extend the checkout stock hold while the customer is on the payment step
+ */
+const extendCheckout = async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+
+    const reservation = await inventoryService.extendCartReservation(cart);
+    if (!reservation) {
+      await releaseCheckoutHold(cart);
+      await cart.save();
+      return res.status(409).json({
+        success: false,
+        message: 'Your checkout reservation has expired. Please begin checkout again.',
+        cart: await formatCart(cart, res)
+      });
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Checkout reservation extended',
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    logger.error('Error extending checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend checkout'
+    });
+  }
+};
+
+/**
+ * Abandon checkout and release the stock hold
+ */
+const cancelCheckout = async (req, res) => {
+  try {
+    const cart = await loadCart(req);
+    await releaseCheckoutHold(cart);
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Checkout reservation released',
+      cart: await formatCart(cart, res)
+    });
+  } catch (error) {
+    logger.error('Error cancelling checkout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release checkout reservation'
+    });
+  }
+};
+
+module.exports = {
+  addToCart,
+  getCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  getCartCount,
+  batchUpdateCart,
+  restoreCart,
+  beginCheckout,
+  extendCheckout,
+  cancelCheckout
+};
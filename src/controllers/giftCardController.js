@@ -0,0 +1,138 @@
+const logger = require('../config/logger');
+const giftCardService = require('../services/giftCardService');
+
+/**
+ * Check the balance on a gift card. Not found, void and expired cards all
+ * get the same answer so codes cannot be probed for their state.
+ */
+const checkBalance = async (req, res) => {
+  try {
+    const giftCard = await giftCardService.findByCode(req.body.code);
+    if (!giftCard || !giftCard.isRedeemable) {
+      return res.status(404).json({
+        success: false,
+        message: 'No gift card with a balance matches that code'
+      });
+    }
+
+    res.json({
+      success: true,
+      giftCard: {
+        code: giftCard.maskedCode,
+        kind: giftCard.kind,
+        balance: giftCard.balance,
+        currency: giftCard.currency,
+        expiresAt: giftCard.expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error checking gift card balance:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check gift card balance'
+    });
+  }
+};
+
+// The code goes to the recipient only
+const formatPurchasedCard = (giftCard) => ({
+  id: giftCard._id,
+  code: giftCard.maskedCode,
+  status: giftCard.status,
+  amount: giftCard.initialAmount,
+  currency: giftCard.currency,
+  expiresAt: giftCard.expiresAt,
+  recipient: giftCard.recipient
+});
+
+/**
+ * Buy a digital gift card for someone; the code is emailed to them once the
+ * payment has gone through
+ */
+const purchaseGiftCard = async (req, res) => {
+  try {
+    const { amount, paymentMethod, recipientName, recipientEmail, message } = req.body;
+
+    const result = await giftCardService.purchase({
+      amount: parseFloat(amount),
+      paymentMethod,
+      recipient: { name: recipientName, email: recipientEmail },
+      message,
+      purchaser: {
+        id: req.user.id,
+        email: req.user.email,
+        name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ')
+      }
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment processing failed',
+        error: result.error
+      });
+    }
+
+    if (result.pending) {
+      // Issued once the customer confirms the payment and calls confirm
+      return res.status(202).json({
+        success: true,
+        requiresConfirmation: true,
+        message: 'Confirm the payment to send the gift card',
+        clientSecret: result.clientSecret,
+        giftCard: formatPurchasedCard(result.giftCard)
+      });
+    }
+
+    logger.info(`Gift card ${result.giftCard.maskedCode} purchased by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Gift card sent to ${result.giftCard.recipient.email}`,
+      giftCard: formatPurchasedCard(result.giftCard)
+    });
+  } catch (error) {
+    logger.error('Error purchasing gift card:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to purchase gift card'
+    });
+  }
+};
+
+/**
+ * Send a purchased gift card once the customer has confirmed the payment
+ */
+const confirmGiftCardPurchase = async (req, res) => {
+  try {
+    const result = await giftCardService.confirmPurchase(req.params.giftCardId, {
+      id: req.user.id,
+      name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ')
+    });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : result.pending ? 409 : 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Gift card sent to ${result.giftCard.recipient.email}`,
+      giftCard: formatPurchasedCard(result.giftCard)
+    });
+  } catch (error) {
+    logger.error('Error confirming gift card purchase:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm gift card purchase'
+    });
+  }
+};
+
+module.exports = {
+  checkBalance,
+  purchaseGiftCard,
+  confirmGiftCardPurchase
+};
@@ -1,20 +1,30 @@
 const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const PreorderOffer = require('../models/PreorderOffer');
 const User = require('../models/User');
 const logger = require('../config/logger');
-const { cache } = require('../config/cache');
 const { sendEmail } = require('../services/emailService');
-const { calculateShipping } = require('../services/shippingService');
-const { calculateTax } = require('../services/taxService');
-const { processPayment } = require('../services/paymentService');
+const inventoryService = require('../services/inventoryService');
+const paymentService = require('../services/paymentService');
+const returnService = require('../services/returnService');
+const invoiceService = require('../services/invoiceService');
+const checkoutService = require('../services/checkoutService');
+const orderLookupService = require('../services/orderLookupService');
+const orderModificationService = require('../services/orderModificationService');
+const orderCancellationService = require('../services/orderCancellationService');
+const orderSearchService = require('../services/orderSearchService');
+const orderPricingService = require('../services/orderPricingService');
+const giftService = require('../services/giftService');
+const giftCardService = require('../services/giftCardService');
 
 /**
  * Create a new order from user's cart
  */
 const createOrder = async (req, res) => {
   try {
-    const { shippingAddress, billingAddress, paymentMethod, shippingMethod, discountCode, customerNotes } = req.body;
+    const { shippingAddress, billingAddress, paymentMethod, shippingMethod, discountCode, customerNotes, acknowledgedTotal, gift, giftCards } = req.body;
     const userId = req.user.id;
     
     // Get user's cart
@@ -36,36 +46,92 @@ const createOrder = async (req, res) => {
       });
     }
     
-    // Calculate pricing
-    const subtotal = cart.totalPrice;
-    const shipping = await calculateShipping(shippingAddress, shippingMethod, cart.items);
-    const tax = await calculateTax(subtotal, shippingAddress);
+    // Reprice lines whose catalog price changed since they were added;
+    // the customer must confirm the new cart total before we charge it
+    const priceChanges = await cart.repriceItems();
+    if (priceChanges.changed) {
+      if (Math.round(Number(acknowledgedTotal) * 100) !== Math.round(priceChanges.newTotal * 100)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Prices in your cart have changed. Please review and confirm the new total.',
+          priceChanges
+        });
+      }
+      
+      cart.acknowledgePriceChanges();
+    }
+    
+    // Preordered and backordered lines are paid for when they ship, so the
+    // payment is only authorized now; gift cards and PayPal cannot be held
+    if (cart.items.some(item => item.backorder)) {
+      if (giftCards?.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Gift cards cannot be used on orders with preordered or backordered items'
+        });
+      }
+      if (!paymentService.authorizableMethods.includes(paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Orders with preordered or backordered items must be paid by card, Apple Pay or Google Pay'
+        });
+      }
+    }
+    
+    // Calculate pricing, applying the discount if provided
+    const pricing = await orderPricingService.price({
+      items: cart.items,
+      shippingAddress,
+      shippingMethod,
+      discountCode,
+      userId
+    });
+    if (!pricing.success) {
+      return res.status(400).json({
+        success: false,
+        message: pricing.error
+      });
+    }
+    
+    const { subtotal, shipping, shippingCost, discount, shippingDiscount, promotion, tax, total } = pricing;
+    
+    // Gift cards pay first; the card is charged whatever they leave
+    let giftCardTenders = [];
+    if (giftCards?.length > 0) {
+      const plan = await giftCardService.planRedemption(giftCards, total);
+      if (!plan.success) {
+        return res.status(400).json({
+          success: false,
+          message: plan.error
+        });
+      }
+      giftCardTenders = plan.allocations;
+    }
+    
+    const amountDue = Math.round((total - giftCardTenders.reduce((sum, tender) => sum + tender.amount, 0)) * 100) / 100;
+    if (amountDue > 0 && !paymentMethod) {
+      return res.status(400).json({
+        success: false,
+        message: `A payment method is required for the remaining ${amountDue.toFixed(2)}`
+      });
+    }
     
-    // Apply discount if provided
-    let discount = 0;
-    if (discountCode) {
-      // TODO: Implement discount code validation
-      discount = 0; // Placeholder
+    // Hold stock for the cart unless checkout already reserved it
+    if (!cart.hasActiveReservation) {
+      try {
+        await inventoryService.reserveCart(cart);
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          message: 'Some items in your cart are no longer available in the requested quantity',
+          error: error.message
+        });
+      }
     }
     
-    const total = subtotal + shipping.cost + tax.amount - discount;
     
     // Create order items with product snapshots
-    const orderItems = cart.items.map(item => ({
-      product: item.product._id,
-      productSnapshot: {
-        name: item.product.name,
-        brand: item.product.brand,
-        category: item.product.category,
-        images: item.product.images,
-        description: item.product.description
-      },
-      quantity: item.quantity,
-      size: item.size,
-      color: item.color,
-      unitPrice: item.price,
-      totalPrice: item.subtotal
-    }));
+    const orderItems = orderPricingService.buildOrderItems(cart.items);
     
     // Generate order number
     const orderNumber = await Order.generateOrderNumber();
@@ -74,92 +140,77 @@ const createOrder = async (req, res) => {
     const order = new Order({
       orderNumber,
       user: userId,
+      customerEmail: req.user.email,
       items: orderItems,
       subtotal,
       tax: tax.amount,
       taxRate: tax.rate,
       discount,
-      discountCode,
+      discountCode: promotion?.code,
+      promotion: promotion?._id,
       total,
       shippingAddress,
       billingAddress,
       payment: {
-        method: paymentMethod,
-        amount: total
+        method: amountDue > 0 ? paymentMethod : 'gift_card',
+        amount: amountDue,
+        giftCards: giftCardTenders
       },
       shipping: {
         method: shippingMethod,
-        cost: shipping.cost,
+        cost: shippingCost,
         estimatedDays: shipping.estimatedDays,
         carrier: shipping.carrier
       },
       customerNotes,
+      gift: gift && gift.isGift !== false ? {
+        isGift: true,
+        recipientName: gift.recipientName,
+        recipientEmail: gift.recipientEmail,
+        message: gift.message,
+        notifyAt: gift.notifyAt
+      } : undefined,
       source: req.headers['user-agent']?.includes('Mobile') ? 'mobile' : 'web',
       ipAddress: req.ip,
       userAgent: req.headers['user-agent']
     });
     
-    await order.save();
-    
-    // Process payment
-    const paymentResult = await processPayment({
-      amount: total,
-      currency: order.currency,
-      paymentMethod,
-      orderId: order._id,
-      customerInfo: {
+    // Save, redeem, charge, commit stock and confirm as one saga; anything
+    // that fails before confirmation is rolled back
+    const result = await checkoutService.checkout({
+      order,
+      cart,
+      promotion,
+      discount,
+      shippingDiscount,
+      customer: {
         email: req.user.email,
-        name: `${shippingAddress.firstName} ${shippingAddress.lastName}`,
-        address: billingAddress
+        name: `${shippingAddress.firstName} ${shippingAddress.lastName}`
       }
     });
     
-    if (!paymentResult.success) {
-      order.payment.status = 'failed';
-      order.status = 'cancelled';
-      await order.save();
+    if (!result.success) {
+      if (result.failedStep === 'charge_payment' && result.rejected) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment processing failed',
+          error: result.error
+        });
+      }
       
-      return res.status(400).json({
+      if (result.rejected) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+      
+      return res.status(500).json({
         success: false,
-        message: 'Payment processing failed',
-        error: paymentResult.error
-      });
-    }
-    
-    // Update order with payment information
-    order.payment.status = 'completed';
-    order.payment.transactionId = paymentResult.transactionId;
-    order.payment.processedAt = new Date();
-    order.payment.gatewayResponse = paymentResult.gatewayResponse;
-    order.status = 'confirmed';
-    order.confirmedAt = new Date();
-    
-    await order.save();
-    
-    // Update product stock
-    for (const item of cart.items) {
-      await Product.findByIdAndUpdate(
-        item.product._id,
-        { $inc: { stock: -item.quantity } }
-      );
-    }
-    
-    // Clear user's cart
-    await cart.clearCart();
-    
-    // Clear user's cart cache
-    await cache.del(`cart:${userId}`);
-    
-    // Send order confirmation email
-    try {
-      await sendEmail({
-        to: req.user.email,
-        subject: `Order Confirmation - ${order.formattedOrderNumber}`,
-        template: 'orderConfirmation',
-        data: { order, user: req.user }
+        message: result.saga.status === 'needs_attention'
+          ? 'We could not complete your order. Our team has been notified and will contact you about any payment taken.'
+          : 'We could not complete your order. Any payment taken has been refunded.'
       });
-    } catch (emailError) {
-      logger.error('Failed to send order confirmation email:', emailError);
     }
     
     logger.info(`Order ${order.orderNumber} created for user ${userId}`);
@@ -187,37 +238,35 @@ const createOrder = async (req, res) => {
  */
 const getOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const { limit = 10, sortBy, sortOrder, cursor, status, placedFrom, placedTo, minTotal, maxTotal, product, q } = req.query;
     const userId = req.user.id;
     
-    const query = { user: userId };
-    if (status) {
-      query.status = status;
-    }
-    
-    const options = {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      sort: { placedAt: -1 },
-      populate: [
-        { path: 'user', select: 'firstName lastName email' },
-        { path: 'items.product', select: 'name brand images' }
-      ]
-    };
+    const result = await orderSearchService.search(
+      { status, placedFrom, placedTo, minTotal, maxTotal, product, q },
+      {
+        userId,
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        cursor,
+        populate: [
+          { path: 'user', select: 'firstName lastName email' },
+          { path: 'items.product', select: 'name brand images' }
+        ]
+      }
+    );
     
-    const orders = await Order.paginate(query, options);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
     
     res.json({
       success: true,
-      orders: orders.docs,
-      pagination: {
-        page: orders.page,
-        limit: orders.limit,
-        total: orders.totalDocs,
-        pages: orders.totalPages,
-        hasNext: orders.hasNextPage,
-        hasPrev: orders.hasPrevPage
-      }
+      orders: result.orders,
+      pagination: result.pagination
     });
   } catch (error) {
     logger.error('Error getting orders:', error);
@@ -284,23 +333,10 @@ const cancelOrder = async (req, res) => {
       });
     }
     
-    // Process refund if payment was completed
-    if (order.payment.status === 'completed') {
-      // TODO: Implement refund processing
-      order.payment.status = 'refunded';
-      order.payment.refundedAt = new Date();
-      order.payment.refundAmount = order.total;
-    }
-    
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity } }
-      );
-    }
-    
-    await order.updateStatus('cancelled', reason || 'Cancelled by customer');
+    const { release, refund } = await orderCancellationService.cancel(order, {
+      changedBy: { actor: userId, source: 'customer' },
+      reason: reason || 'Cancelled by customer'
+    });
     
     // Send cancellation email
     try {
@@ -308,7 +344,7 @@ const cancelOrder = async (req, res) => {
         to: req.user.email,
         subject: `Order Cancelled - ${order.formattedOrderNumber}`,
         template: 'orderCancellation',
-        data: { order, user: req.user, reason }
+        data: { order, user: req.user, reason, refund }
       });
     } catch (emailError) {
       logger.error('Failed to send order cancellation email:', emailError);
@@ -316,9 +352,21 @@ const cancelOrder = async (req, res) => {
     
     logger.info(`Order ${order.orderNumber} cancelled by user ${userId}`);
     
+    let message = 'Order cancelled successfully';
+    if (release.voided) {
+      message = 'Order cancelled. The hold on your card has been released.';
+    } else if (!release.success) {
+      message = 'Order cancelled, but we could not release the hold on your card automatically. Our team has been notified and will release it shortly.';
+    } else if (refund?.status === 'pending') {
+      message = 'Order cancelled. Your refund is being processed.';
+    } else if (refund?.status === 'failed') {
+      message = 'Order cancelled, but we could not issue your refund automatically. Our team has been notified and will refund you shortly.';
+    }
+    
     res.json({
       success: true,
-      message: 'Order cancelled successfully',
+      message,
+      refund,
       order
     });
     
@@ -331,15 +379,227 @@ const cancelOrder = async (req, res) => {
   }
 };
 
+// HTTP status for each order modification failure code
+const MODIFICATION_ERROR_STATUSES = {
+  invalid: 400,
+  not_modifiable: 400,
+  payment_required: 402,
+  payment_failed: 400,
+  out_of_stock: 409
+};
+
+/**
+ * Apply a customer edit to one of their orders and send the outcome
+ */
+const modifyOrder = async (req, res, change) => {
+  const userId = req.user.id;
+  
+  const order = await Order.findOne({ _id: req.params.orderId, user: userId });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: 'Order not found'
+    });
+  }
+  
+  const result = await orderModificationService.modify(order, change, {
+    actor: userId,
+    source: 'customer',
+    customer: {
+      email: req.user.email,
+      name: `${order.billingAddress.firstName} ${order.billingAddress.lastName}`
+    },
+    paymentMethodId: req.body.paymentMethodId
+  });
+  
+  if (!result.success) {
+    return res.status(MODIFICATION_ERROR_STATUSES[result.code] || 400).json({
+      success: false,
+      message: result.code === 'payment_failed' ? 'Payment processing failed' : result.error,
+      error: result.code === 'payment_failed' ? result.error : undefined,
+      amountDue: result.amountDue
+    });
+  }
+  
+  logger.info(`Order ${order.orderNumber} modified (${change.type}) by user ${userId}`);
+  
+  const { modification, refund } = result;
+  let message = 'Order updated successfully';
+  if (modification.settlement === 'charge') {
+    message = `Order updated. ${modification.difference.toFixed(2)} has been charged.`;
+  } else if (refund?.status === 'failed') {
+    message = 'Order updated, but we could not issue your refund automatically. Our team has been notified and will refund you shortly.';
+  } else if (modification.settlement === 'refund') {
+    message = `Order updated. ${(-modification.difference).toFixed(2)} is being refunded.`;
+  }
+  
+  res.json({
+    success: true,
+    message,
+    order,
+    modification,
+    refund: refund && {
+      status: refund.status,
+      amount: refund.amount,
+      refundId: refund.refundId
+    }
+  });
+};
+
+/**
+ * Change the shipping address of an order that has not shipped
+ */
+const updateShippingAddress = async (req, res) => {
+  try {
+    await modifyOrder(req, res, {
+      type: 'shipping_address',
+      shippingAddress: req.body.shippingAddress
+    });
+  } catch (error) {
+    logger.error('Error updating order shipping address:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shipping address'
+    });
+  }
+};
+
+/**
+ * Change the quantity, size or color of a line on an order that has not shipped
+ */
+const updateOrderItem = async (req, res) => {
+  try {
+    const { quantity, size, color } = req.body;
+    
+    await modifyOrder(req, res, {
+      type: 'update_item',
+      itemId: req.params.itemId,
+      quantity: quantity !== undefined ? parseInt(quantity) : undefined,
+      size,
+      color
+    });
+  } catch (error) {
+    logger.error('Error updating order item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update order item'
+    });
+  }
+};
+
+/**
+ * Remove a line from an order that has not shipped
+ */
+const removeOrderItem = async (req, res) => {
+  try {
+    await modifyOrder(req, res, {
+      type: 'remove_item',
+      itemId: req.params.itemId
+    });
+  } catch (error) {
+    logger.error('Error removing order item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove order item'
+    });
+  }
+};
+
+// Steps shown to customers for an order that goes through normally
+const TRACKING_STEPS = ['confirmed', 'shipped', 'delivered'];
+
+/**
+ * Build the customer-facing timeline from the order's status history,
+ * followed by the steps still to come
+ */
+const buildTimeline = (order) => {
+  const history = order.getStatusHistory('order');
+  
+  const timeline = history.map((entry, index) => ({
+    status: index === 0 && entry.to === 'pending' ? 'placed' : entry.to,
+    date: entry.at,
+    reason: entry.source === 'customer' ? entry.reason : undefined,
+    completed: true
+  }));
+  
+  // Orders placed before status history was recorded
+  if (timeline.length === 0) {
+    timeline.push({ status: 'placed', date: order.placedAt, completed: true });
+    for (const status of TRACKING_STEPS) {
+      const date = order[`${status}At`];
+      if (date) {
+        timeline.push({ status, date, completed: true });
+      }
+    }
+  }
+  
+  if (!['cancelled', 'refunded'].includes(order.status)) {
+    const reached = new Set(timeline.map(step => step.status));
+    for (const status of TRACKING_STEPS.filter(step => !reached.has(step))) {
+      timeline.push({ status, date: null, completed: false });
+    }
+  }
+  
+  return timeline;
+};
+
+/**
+ * Shape a line for tracking responses
+ */
+const formatTrackingItem = (item) => ({
+  id: item._id,
+  name: item.productSnapshot?.name,
+  size: item.size,
+  color: item.color,
+  quantity: item.quantity
+});
+
+/**
+ * Build the tracking response for an order. The reduced view, used for
+ * unauthenticated lookups, leaves out shipping charges and status reasons.
+ */
+const buildTrackingView = (order, { reduced = false } = {}) => {
+  const timeline = buildTimeline(order);
+  
+  return {
+    orderNumber: order.formattedOrderNumber,
+    status: order.status,
+    timeline: reduced ? timeline.map(({ reason, ...step }) => step) : timeline,
+    shipments: order.shipments.map(shipment => ({
+      id: shipment._id,
+      status: shipment.status,
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      shippedAt: shipment.shippedAt,
+      estimatedDelivery: shipment.estimatedDelivery,
+      deliveredAt: shipment.deliveredAt,
+      items: order.items
+        .filter(item => shipment.items.some(id => id.equals(item._id)))
+        .map(formatTrackingItem)
+    })),
+    awaitingShipment: order.getUnshippedItems().map(formatTrackingItem),
+    ...(reduced ? {} : { shipping: order.shipping }),
+    estimatedDelivery: order.shipping?.estimatedDelivery,
+    trackingUrl: order.shipping?.trackingUrl
+  };
+};
+
 /**
  * Track order status
  */
 const trackOrder = async (req, res) => {
   try {
-    const { orderNumber } = req.params;
+    const orderNumber = Order.normalizeOrderNumber(req.params.orderNumber);
+    if (!Order.isValidOrderNumber(orderNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'That order number is not valid. Please check it and try again.'
+      });
+    }
     
     const order = await Order.findOne({ orderNumber })
-      .select('orderNumber status placedAt confirmedAt shippedAt deliveredAt shipping items')
+      .select('orderNumber orderNumberPrefix user status statusHistory placedAt confirmedAt shippedAt deliveredAt shipping shipments items')
       .populate('items.product', 'name brand images');
     
     if (!order) {
@@ -357,19 +617,7 @@ const trackOrder = async (req, res) => {
       });
     }
     
-    const trackingInfo = {
-      orderNumber: order.formattedOrderNumber,
-      status: order.status,
-      timeline: [
-        { status: 'placed', date: order.placedAt, completed: true },
-        { status: 'confirmed', date: order.confirmedAt, completed: !!order.confirmedAt },
-        { status: 'shipped', date: order.shippedAt, completed: !!order.shippedAt },
-        { status: 'delivered', date: order.deliveredAt, completed: !!order.deliveredAt }
-      ],
-      shipping: order.shipping,
-      estimatedDelivery: order.shipping?.estimatedDelivery,
-      trackingUrl: order.shipping?.trackingUrl
-    };
+    const trackingInfo = buildTrackingView(order);
     
     res.json({
       success: true,
@@ -385,13 +633,309 @@ const trackOrder = async (req, res) => {
   }
 };
 
+/**
+ * Look up an order's status without signing in, using the order number and
+ * the order email or billing postal code
+ */
+const lookupOrder = async (req, res) => {
+  try {
+    const { orderNumber, email, postalCode } = req.body;
+    
+    const order = await orderLookupService.findOrder(orderNumber, { email, postalCode });
+    if (!order) {
+      // Same answer whether the order is missing or the details are wrong
+      return res.status(404).json({
+        success: false,
+        message: 'No order matches those details'
+      });
+    }
+    
+    res.json({
+      success: true,
+      tracking: buildTrackingView(order, { reduced: true })
+    });
+    
+  } catch (error) {
+    logger.error('Error looking up order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up order'
+    });
+  }
+};
+
+/**
+ * Email a time-limited link giving read access to the full order
+ */
+const requestOrderAccessLink = async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+    
+    const order = await orderLookupService.findOrder(orderNumber, { email });
+    if (order) {
+      await orderLookupService.sendAccessLink(order);
+    }
+    
+    // Never reveal whether the order exists
+    res.status(202).json({
+      success: true,
+      message: 'If the details match an order, we have emailed a link to view it.'
+    });
+    
+  } catch (error) {
+    logger.error('Error sending order access link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send order access link'
+    });
+  }
+};
+
+/**
+ * Get the full order using an emailed access link
+ */
+const getOrderByAccessToken = async (req, res) => {
+  try {
+    const order = await orderLookupService.verifyAccessToken(req.params.token);
+    if (!order) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+    
+    await order.populate('items.product', 'name brand images');
+    
+    res.json({
+      success: true,
+      order,
+      tracking: buildTrackingView(order)
+    });
+    
+  } catch (error) {
+    logger.error('Error getting order by access link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve order'
+    });
+  }
+};
+
+/**
+ * Rebuild the cart from a past order's lines at today's prices. Lines that are
+ * discontinued, no longer offered in the ordered size/color or short on stock
+ * are reported instead of added.
+ */
+const reorder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.id;
+    
+    const order = await Order.findOne({ _id: orderId, user: userId });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    
+    const cart = await Cart.findOrCreateForUser(userId);
+    
+    // Changing the cart invalidates any checkout stock hold
+    if (cart.reservation?.reservationId) {
+      await inventoryService.releaseCartReservation(cart);
+      await cart.save();
+    }
+    
+    const added = [];
+    const unavailable = [];
+    
+    for (const item of order.items) {
+      const line = {
+        itemId: item._id,
+        productId: item.product,
+        name: item.productSnapshot?.name,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity
+      };
+      
+      const product = await Product.findById(item.product);
+      if (!product || !product.isActive) {
+        unavailable.push({ ...line, reason: 'discontinued' });
+        continue;
+      }
+      
+      if ((item.size || item.color) && !product.variants?.some(v =>
+        (!item.size || v.size === item.size) && (!item.color || v.color === item.color)
+      )) {
+        unavailable.push({ ...line, reason: 'variant_unavailable' });
+        continue;
+      }
+      
+      // Stock must cover what is already in the cart for this variant too
+      const existingItem = cart.findItem(product._id, item.size, item.color);
+      const inCart = existingItem ? existingItem.quantity : 0;
+      const availability = await inventoryService.checkAvailability(product._id, item.quantity + inCart, {
+        size: item.size,
+        color: item.color
+      });
+      const offer = availability.available
+        ? null
+        : await PreorderOffer.findFor(product._id, { size: item.size, color: item.color });
+      if (!availability.available && !offer?.canAccept(item.quantity + inCart)) {
+        unavailable.push({
+          ...line,
+          reason: 'insufficient_stock',
+          available: Math.max(0, availability.stock - inCart)
+        });
+        continue;
+      }
+      
+      await cart.addItem({
+        product: product._id,
+        quantity: item.quantity,
+        size: item.size,
+        color: item.color,
+        price: product.price
+      });
+      
+      added.push({ ...line, price: product.price, previousPrice: item.unitPrice });
+    }
+    
+    if (added.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'None of the items from this order can be added to your cart',
+        unavailable
+      });
+    }
+    
+    logger.info(`Order ${order.orderNumber} reordered by user ${userId}`, {
+      added: added.length,
+      unavailable: unavailable.length
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: unavailable.length > 0
+        ? 'Some items from this order could not be added to your cart'
+        : 'All items from this order were added to your cart',
+      added,
+      unavailable,
+      cart: {
+        id: cart._id,
+        totalItems: cart.totalItems,
+        totalPrice: cart.totalPrice,
+        currency: cart.currency
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error reordering:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder'
+    });
+  }
+};
+
+/**
+ * Tracking for a gift recipient from their notification link; shows the gift
+ * message but no prices
+ */
+const getGiftTracking = async (req, res) => {
+  try {
+    const order = await giftService.verifyTrackingToken(req.params.token);
+    if (!order) {
+      return res.status(401).json({
+        success: false,
+        message: 'This link is invalid or has expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      gift: {
+        recipientName: order.gift.recipientName,
+        from: order.billingAddress.firstName,
+        message: order.gift.message
+      },
+      tracking: buildTrackingView(order, { reduced: true })
+    });
+    
+  } catch (error) {
+    logger.error('Error getting gift tracking:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tracking'
+    });
+  }
+};
+
+/**
+ * Return items from a gift using the gift receipt code; the recipient is
+ * refunded in store credit once the goods arrive
+ */
+const requestGiftReturn = async (req, res) => {
+  try {
+    const { giftReceiptCode, name, email, reason, comments, items } = req.body;
+    
+    const order = await giftService.findOrderByReceiptCode(giftReceiptCode);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No gift matches that receipt code'
+      });
+    }
+    
+    if (!order.canBeReturned()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This gift can no longer be returned'
+      });
+    }
+    
+    const result = await returnService.requestReturn(order, {
+      recipient: { name, email },
+      reason,
+      comments,
+      items
+    });
+    
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Return requested. Store credit will be emailed to you once we receive the items.',
+      returnRequest: {
+        id: result.returnRequest._id,
+        status: result.returnRequest.status,
+        items: result.returnRequest.items
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error requesting gift return:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request return'
+    });
+  }
+};
+
 /**
  * Request order return
  */
 const requestReturn = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { reason, items } = req.body;
+    const { reason, comments, items } = req.body;
     const userId = req.user.id;
     
     const order = await Order.findOne({ _id: orderId, user: userId });
@@ -409,14 +953,20 @@ const requestReturn = async (req, res) => {
       });
     }
     
-    // TODO: Implement return request processing
-    // This would typically create a return request record
+    const result = await returnService.requestReturn(order, { userId, reason, comments, items });
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
     
     logger.info(`Return requested for order ${order.orderNumber} by user ${userId}`);
     
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Return request submitted successfully'
+      message: 'Return request submitted successfully',
+      returnRequest: result.returnRequest
     });
     
   } catch (error) {
@@ -447,37 +997,25 @@ const getInvoice = async (req, res) => {
       });
     }
     
-    // TODO: Generate PDF invoice
-    // For now, return order data suitable for invoice generation
+    const invoice = await invoiceService.getInvoiceForOrder(order);
+    if (!invoice) {
+      return res.status(409).json({
+        success: false,
+        message: 'An invoice is issued once the order has been paid'
+      });
+    }
     
-    const invoice = {
-      orderNumber: order.formattedOrderNumber,
-      date: order.placedAt,
-      customer: {
-        name: order.customerName,
-        email: order.user.email,
-        address: order.billingAddress
-      },
-      items: order.items.map(item => ({
-        name: item.productSnapshot.name,
-        brand: item.productSnapshot.brand,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        totalPrice: item.totalPrice
-      })),
-      subtotal: order.subtotal,
-      tax: order.tax,
-      shipping: order.shipping.cost,
-      discount: order.discount,
-      total: order.total,
-      paymentMethod: order.payment.method,
-      shippingAddress: order.shippingAddress
-    };
+    const format = invoiceService.resolveFormat(req);
     
-    res.json({
-      success: true,
-      invoice
-    });
+    if (format === 'json') {
+      const creditNotes = await Invoice.find({ order: order._id, type: 'credit_note' })
+        .select('number total currency issuedAt refundId')
+        .sort({ sequence: 1 });
+      
+      return invoiceService.send(res, invoice, format, { creditNotes });
+    }
+    
+    await invoiceService.send(res, invoice, format);
     
   } catch (error) {
     logger.error('Error getting invoice:', error);
@@ -488,12 +1026,55 @@ const getInvoice = async (req, res) => {
   }
 };
 
+/**
+ * Get a credit note issued for a refund on one of the user's orders
+ */
+const getCreditNote = async (req, res) => {
+  try {
+    const { orderId, creditNoteId } = req.params;
+    const userId = req.user.id;
+    
+    const creditNote = await Invoice.findOne({
+      _id: creditNoteId,
+      order: orderId,
+      user: userId,
+      type: 'credit_note'
+    });
+    
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+    
+    await invoiceService.send(res, creditNote, invoiceService.resolveFormat(req));
+    
+  } catch (error) {
+    logger.error('Error getting credit note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve credit note'
+    });
+  }
+};
+
 module.exports = {
   createOrder,
   getOrders,
   getOrder,
   cancelOrder,
+  updateShippingAddress,
+  updateOrderItem,
+  removeOrderItem,
   trackOrder,
+  lookupOrder,
+  requestOrderAccessLink,
+  getOrderByAccessToken,
+  reorder,
+  getGiftTracking,
+  requestGiftReturn,
   requestReturn,
-  getInvoice
+  getInvoice,
+  getCreditNote
 };
\ No newline at end of file
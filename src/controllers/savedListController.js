@@ -0,0 +1,302 @@
+const SavedList = require('../models/SavedList');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const inventoryService = require('../services/inventoryService');
+const logger = require('../config/logger');
+
+/**
+ * Shape a saved list for API responses with current price and stock
+ */
+const formatList = async (list) => {
+  await list.populate('items.product', 'name brand images price isActive');
+
+  const items = await Promise.all(list.items.map(async (item) => {
+    const availability = item.product
+      ? await inventoryService.checkAvailability(item.product._id, item.quantity, {
+        size: item.size,
+        color: item.color
+      })
+      : { available: false, stock: 0, reason: 'Product not found or inactive' };
+
+    return {
+      id: item._id,
+      product: item.product,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      priceWhenAdded: item.priceWhenAdded,
+      currentPrice: item.product?.price,
+      inStock: availability.available,
+      stock: availability.stock,
+      unavailableReason: availability.reason,
+      addedAt: item.createdAt
+    };
+  }));
+
+  return {
+    id: list._id,
+    name: list.name,
+    items
+  };
+};
+
+/**
+ * Summarise the cart after a move, with its version for If-Match
+ */
+const summariseCart = (cart, res) => {
+  res.set('ETag', cart.etag);
+
+  return {
+    version: cart.etag,
+    totalItems: cart.totalItems,
+    totalPrice: cart.totalPrice,
+    currency: cart.currency
+  };
+};
+
+/**
+ * Respond when the cart was changed by another request
+ */
+const sendCartConflict = async (req, res) => {
+  const cart = await Cart.findOrCreateForUser(req.userId);
+
+  res.status(409).json({
+    success: false,
+    message: 'Your cart was changed elsewhere. Review the latest cart and try again.',
+    cart: summariseCart(cart, res)
+  });
+};
+
+/**
+ * Get a saved list
+ */
+const getList = async (req, res) => {
+  try {
+    const list = await SavedList.findOrCreateForUser(req.userId, req.params.list);
+
+    res.json({
+      success: true,
+      list: await formatList(list)
+    });
+  } catch (error) {
+    logger.error('Error getting saved list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve list'
+    });
+  }
+};
+
+/**
+ * Add a product to a saved list
+ */
+const addToList = async (req, res) => {
+  try {
+    const { productId, size, color } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const list = await SavedList.findOrCreateForUser(req.userId, req.params.list);
+    await list.addItem({ product: product._id, quantity, size, color, price: product.price });
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to list',
+      list: await formatList(list)
+    });
+  } catch (error) {
+    logger.error('Error adding to saved list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to list'
+    });
+  }
+};
+
+/**
+ * Remove a product from a saved list
+ */
+const removeFromList = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const list = await SavedList.findOrCreateForUser(req.userId, req.params.list);
+    if (!list.items.id(itemId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'List item not found'
+      });
+    }
+
+    await list.removeItem(itemId);
+
+    res.json({
+      success: true,
+      message: 'Item removed from list',
+      list: await formatList(list)
+    });
+  } catch (error) {
+    logger.error('Error removing from saved list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from list'
+    });
+  }
+};
+
+/**
+ * Move a cart line into a saved list, keeping its size and color
+ */
+const moveToList = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    const { list: listName } = req.body;
+
+    const cart = await Cart.findOrCreateForUser(req.userId);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendCartConflict(req, res);
+    }
+
+    const item = cart.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    const list = await SavedList.findOrCreateForUser(req.userId, listName);
+    const line = {
+      product: item.product._id || item.product,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      price: item.price
+    };
+
+    // Cart changes invalidate the checkout stock hold; it goes with the same save
+    if (cart.reservation?.reservationId) {
+      await inventoryService.releaseCartReservation(cart);
+    }
+
+    // The cart goes first so a stale cart leaves the list untouched; if the
+    // list then cannot be saved, the line is put back in the cart
+    await cart.removeItem(itemId);
+    try {
+      await list.addItem(line);
+    } catch (error) {
+      await cart.addItem(line);
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: 'Item moved to list',
+      list: await formatList(list),
+      cart: summariseCart(cart, res)
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendCartConflict(req, res);
+    }
+
+    logger.error('Error moving cart item to list:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move item to list'
+    });
+  }
+};
+
+/**
+ * Move a saved list entry back into the cart at the current price
+ */
+const moveToCart = async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const list = await SavedList.findOrCreateForUser(req.userId, req.params.list);
+    const item = list.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'List item not found'
+      });
+    }
+
+    const product = await Product.findById(item.product._id || item.product);
+    if (!product || !product.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is no longer available'
+      });
+    }
+
+    const cart = await Cart.findOrCreateForUser(req.userId);
+    if (!cart.matchesEtag(req.header('If-Match'))) {
+      return sendCartConflict(req, res);
+    }
+
+    // The cart's own checkout hold counts as available, since it is released with the change
+    const cartItem = cart.findItem(product._id, item.size, item.color);
+    const requestedQuantity = item.quantity + (cartItem ? cartItem.quantity : 0);
+
+    const availability = await inventoryService.checkAvailability(product._id, requestedQuantity, {
+      size: item.size,
+      color: item.color,
+      excludeReservation: cart.reservation?.reservationId
+    });
+    if (!availability.available) {
+      return res.status(400).json({
+        success: false,
+        message: availability.reason || `Only ${availability.stock} left in stock`
+      });
+    }
+
+    // Cart changes invalidate the checkout stock hold; it goes with the same save
+    if (cart.reservation?.reservationId) {
+      await inventoryService.releaseCartReservation(cart);
+    }
+
+    await cart.addItem({
+      product: product._id,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      price: product.price
+    });
+    await list.removeItem(itemId);
+
+    res.json({
+      success: true,
+      message: 'Item moved to cart',
+      list: await formatList(list),
+      cart: summariseCart(cart, res)
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return sendCartConflict(req, res);
+    }
+
+    logger.error('Error moving list item to cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to move item to cart'
+    });
+  }
+};
+
+module.exports = {
+  getList,
+  addToList,
+  removeFromList,
+  moveToList,
+  moveToCart
+};
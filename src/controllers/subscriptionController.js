@@ -0,0 +1,279 @@
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const paymentService = require('../services/paymentService');
+const subscriptionService = require('../services/subscriptionService');
+
+/**
+ * Find one of the user's subscriptions, responding 404 if there is none
+ */
+const findOwnSubscription = async (req, res) => {
+  const subscription = await Subscription.findOne({
+    _id: req.params.subscriptionId,
+    user: req.user.id
+  });
+
+  if (!subscription) {
+    res.status(404).json({
+      success: false,
+      message: 'Subscription not found'
+    });
+  }
+  return subscription;
+};
+
+/**
+ * Apply a customer change to one of their subscriptions and respond
+ */
+const changeSubscription = async (req, res, action, apply) => {
+  const subscription = await findOwnSubscription(req, res);
+  if (!subscription) {
+    return;
+  }
+
+  const result = await apply(subscription);
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  logger.info(`Subscription ${subscription._id} ${action} by user ${req.user.id}`);
+
+  res.json({
+    success: true,
+    message: `Subscription ${action}`,
+    subscription: result.subscription
+  });
+};
+
+/**
+ * Start saving a card for subscription renewals
+ */
+const createPaymentSetup = async (req, res) => {
+  try {
+    const result = await paymentService.createPaymentSetup({
+      email: req.user.email,
+      name: [req.user.firstName, req.user.lastName].filter(Boolean).join(' ')
+    });
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not start saving your card'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      clientSecret: result.clientSecret
+    });
+  } catch (error) {
+    logger.error('Error creating payment setup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start saving your card'
+    });
+  }
+};
+
+/**
+ * Subscribe to recurring deliveries
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const result = await subscriptionService.create(req.user, req.body);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created',
+      subscription: result.subscription
+    });
+  } catch (error) {
+    logger.error('Error creating subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create subscription'
+    });
+  }
+};
+
+/**
+ * Get the user's subscriptions
+ */
+const getSubscriptions = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const subscriptions = await Subscription.find(query)
+      .select('-renewals -lockedUntil')
+      .populate('items.product', 'name images price')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    logger.error('Error getting subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve subscriptions'
+    });
+  }
+};
+
+/**
+ * Get a subscription with its delivery history and recent orders
+ */
+const getSubscription = async (req, res) => {
+  try {
+    const subscription = await findOwnSubscription(req, res);
+    if (!subscription) {
+      return;
+    }
+
+    await subscription.populate('items.product', 'name images price');
+    const orders = await Order.find({ subscription: subscription._id, user: req.user.id })
+      .select('orderNumber orderNumberPrefix status total placedAt')
+      .sort({ placedAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      subscription,
+      orders
+    });
+  } catch (error) {
+    logger.error('Error getting subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve subscription'
+    });
+  }
+};
+
+/**
+ * Change quantities, interval, addresses or shipping method for upcoming deliveries
+ */
+const updateSubscription = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'updated', (subscription) =>
+      subscriptionService.update(subscription, req.body)
+    );
+  } catch (error) {
+    logger.error('Error updating subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update subscription'
+    });
+  }
+};
+
+/**
+ * Replace the card charged for renewals
+ */
+const updatePaymentMethod = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'payment method updated', (subscription) =>
+      subscriptionService.updatePaymentMethod(subscription, req.user, req.body.paymentMethodId)
+    );
+  } catch (error) {
+    logger.error('Error updating subscription payment method:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update payment method'
+    });
+  }
+};
+
+/**
+ * Skip the next delivery
+ */
+const skipDelivery = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'delivery skipped', (subscription) =>
+      subscriptionService.skip(subscription)
+    );
+  } catch (error) {
+    logger.error('Error skipping subscription delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip delivery'
+    });
+  }
+};
+
+/**
+ * Pause deliveries, until resumeAt if given
+ */
+const pauseSubscription = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'paused', (subscription) =>
+      subscriptionService.pause(subscription, { resumeAt: req.body.resumeAt })
+    );
+  } catch (error) {
+    logger.error('Error pausing subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause subscription'
+    });
+  }
+};
+
+/**
+ * Resume deliveries
+ */
+const resumeSubscription = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'resumed', (subscription) =>
+      subscriptionService.resume(subscription)
+    );
+  } catch (error) {
+    logger.error('Error resuming subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume subscription'
+    });
+  }
+};
+
+/**
+ * Cancel the subscription
+ */
+const cancelSubscription = async (req, res) => {
+  try {
+    await changeSubscription(req, res, 'cancelled', (subscription) =>
+      subscriptionService.cancel(subscription, { reason: req.body.reason })
+    );
+  } catch (error) {
+    logger.error('Error cancelling subscription:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription'
+    });
+  }
+};
+
+module.exports = {
+  createPaymentSetup,
+  createSubscription,
+  getSubscriptions,
+  getSubscription,
+  updateSubscription,
+  updatePaymentMethod,
+  skipDelivery,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription
+};
@@ -1,6 +1,17 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const logger = require('./config/logger');
+const cartRecoveryService = require('./services/cartRecoveryService');
+const refundService = require('./services/refundService');
+const checkoutService = require('./services/checkoutService');
+const giftService = require('./services/giftService');
+const subscriptionService = require('./services/subscriptionService');
+const preorderService = require('./services/preorderService');
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Gift card and invoice writes use transactions, which need a replica set;
+// a single-node set is enough (see README)
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/airkicks?replicaSet=rs0';
 
 app.use(express.json());
 
@@ -10,4 +21,18 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// Background jobs need the database, so they start once it is connected
+mongoose.connect(MONGODB_URI)
+  .then(() => {
+    cartRecoveryService.start();
+    refundService.start();
+    checkoutService.start();
+    giftService.start();
+    subscriptionService.start();
+    preorderService.start();
+  })
+  .catch((error) => {
+    logger.error('Failed to connect to MongoDB; background jobs not started:', error);
+  });
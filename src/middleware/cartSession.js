@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const GUEST_HEADER = 'X-Guest-Id';
+const GUEST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+/**
+ * Read the guest token sent by the client, if it is well formed
+ * @param {Request} req - Express request object
+ * @returns {string|null} Guest ID or null
+ */
+const getGuestId = (req) => {
+  const guestId = req.header(GUEST_HEADER);
+  return guestId && GUEST_ID_PATTERN.test(guestId) ? guestId : null;
+};
+
+/**
+ * Middleware to identify the owner of the cart
+ * Authenticated requests use the JWT user; anonymous shoppers are keyed on a
+ * guest ID which is issued on first use and echoed back in the X-Guest-Id header
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const resolveCartOwner = (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+      req.userId = decoded.userId;
+      return next();
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+  }
+
+  req.guestId = getGuestId(req) || crypto.randomUUID();
+  res.set(GUEST_HEADER, req.guestId);
+  next();
+};
+
+module.exports = { resolveCartOwner, getGuestId, GUEST_HEADER };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../config/logger');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+// A request still marked processing after this long is assumed to have died
+const STALE_PROCESSING_MS = 2 * 60 * 1000;
+// Client errors that can succeed when retried, e.g. a 409 for a price change
+// or stock running out, so they are not stored for replay
+const RETRYABLE_STATUSES = [408, 409, 423, 425, 429];
+
+/**
+ * Whether a response is final and can be replayed for retries: successes
+ * and client errors that would fail the same way again
+ */
+const isFinalResponse = (statusCode) => statusCode < 500 && !RETRYABLE_STATUSES.includes(statusCode);
+
+/**
+ * Serialise a value with object keys sorted so equal bodies hash equally
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(canonicalize({ method: req.method, params: req.params, body: req.body }))
+  .digest('hex');
+
+/**
+ * Idempotency middleware
+ * Stores the first final response for an Idempotency-Key, per user and
+ * scope, and replays it for retries with the same key and body. Server errors
+ * and retryable client errors are not stored so the request can be retried.
+ * Runs after auth and loadUser.
+ * @param {string} scope - Operation name the key is tied to
+ * @param {Object} options - { required } rejects requests without a key
+ */
+const idempotent = (scope, { required = false } = {}) => {
+  return async (req, res, next) => {
+    const key = req.header(IDEMPOTENCY_HEADER);
+    const userId = req.user?.id;
+
+    if (!key) {
+      if (required) {
+        return res.status(400).json({
+          success: false,
+          message: `${IDEMPOTENCY_HEADER} header is required`
+        });
+      }
+      return next();
+    }
+
+    if (key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: `${IDEMPOTENCY_HEADER} must be at most 255 characters`
+      });
+    }
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      let record;
+
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          user: userId,
+          scope,
+          requestHash,
+          expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        const existing = await IdempotencyKey.findOne({ user: userId, scope, key });
+        if (!existing) {
+          // Expired between the insert and the lookup
+          return res.status(409).json({
+            success: false,
+            message: 'Please retry the request'
+          });
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: `${IDEMPOTENCY_HEADER} was already used for a different request`
+          });
+        }
+
+        if (existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Take over a request that never finished, e.g. after a crash
+        const takenOver = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+          { $set: { updatedAt: new Date() } },
+          { new: true, timestamps: false }
+        );
+        if (!takenOver) {
+          res.set('Retry-After', '5');
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this idempotency key is still being processed'
+          });
+        }
+        record = takenOver;
+      }
+
+      // Capture the response so retries get exactly the same answer
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const statusCode = res.statusCode;
+        const settle = isFinalResponse(statusCode)
+          ? record.complete(statusCode, body)
+          : record.deleteOne();
+
+        settle.catch(error => logger.error(`Failed to store idempotent response for ${scope}:`, error));
+        return json(body);
+      };
+
+      next();
+    } catch (error) {
+      logger.error('Idempotency middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotent,
+  IDEMPOTENCY_HEADER
+};
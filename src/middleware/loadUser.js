@@ -0,0 +1,31 @@
+const pool = require('../config/database');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+/**
+ * Middleware to load the authenticated user into req.user
+ * Runs after auth, which only verifies the token and sets req.userId
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {NextFunction} next - Express next function
+ */
+const loadUser = async (req, res, next) => {
+  if (!req.userId) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    const user = await User.findById(pool, req.userId);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error('Error loading authenticated user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = loadUser;
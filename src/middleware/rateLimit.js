@@ -0,0 +1,45 @@
+const logger = require('../config/logger');
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Fixed-window rate limiter for public endpoints. Counters live in MongoDB so
+ * every server instance enforces the same limit.
+ * @param {Object} options - { name, max, windowMs, keyGenerator }
+ */
+const rateLimit = ({ name, max = 10, windowMs = 15 * 60 * 1000, keyGenerator = req => req.ip }) => {
+  return async (req, res, next) => {
+    const key = keyGenerator(req);
+
+    let counter;
+    try {
+      counter = await RateLimitCounter.hit(`${name}:${key}`, windowMs);
+    } catch (error) {
+      // Do not take the endpoint down with the counter store
+      logger.error(`Rate limit check failed for ${name}:`, error);
+      return next();
+    }
+
+    if (counter.count > max) {
+      logger.warn(`Rate limit exceeded for ${name}`, {
+        key,
+        requests: counter.count,
+        max,
+        windowMs,
+        endpoint: req.path,
+        method: req.method
+      });
+
+      const retryAfter = Math.max(1, Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many requests. Please try again later.',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
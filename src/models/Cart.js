@@ -1,4 +1,25 @@
 const mongoose = require('mongoose');
+const PreorderOffer = require('./PreorderOffer');
+const { PREORDER_TYPES } = PreorderOffer;
+
+// Set on lines the stock cannot cover that will be ordered against a preorder
+// or backorder offer instead
+const cartBackorderSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: PREORDER_TYPES,
+    required: true
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreorderOffer',
+    required: true
+  },
+  expectedShipDate: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -25,11 +46,17 @@ const cartItemSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Price the line was added at, kept until the customer acknowledges a reprice
+  previousPrice: {
+    type: Number,
+    min: 0
+  },
   subtotal: {
     type: Number,
     required: true,
     min: 0
-  }
+  },
+  backorder: cartBackorderSchema
 }, {
   timestamps: true
 });
@@ -38,8 +65,11 @@ const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true,
+    required: function() {
+      return !this.guestId;
+    }
   },
   items: [cartItemSchema],
   totalItems: {
@@ -67,16 +97,33 @@ const cartSchema = new mongoose.Schema({
   },
   guestId: {
     type: String,
+    unique: true,
     sparse: true
+  },
+  // Stock held for this cart while checkout is in progress
+  reservation: {
+    reservationId: String,
+    lines: [{
+      _id: false,
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      size: String,
+      color: String,
+      quantity: Number
+    }],
+    startedAt: Date,
+    expiresAt: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Reject saves based on a stale copy so concurrent clients cannot overwrite each other
+  optimisticConcurrency: true
 });
 
 // Index for better query performance
-cartSchema.index({ user: 1 });
 cartSchema.index({ sessionId: 1 });
-cartSchema.index({ guestId: 1 });
 cartSchema.index({ lastModified: 1 });
 
 // Virtual for cart expiry (30 days)
@@ -85,6 +132,40 @@ cartSchema.virtual('isExpired').get(function() {
   return this.lastModified < thirtyDaysAgo;
 });
 
+// Resolve the product ID of a line whether or not it is populated
+const productIdOf = (item) => (item.product && item.product._id ? item.product._id : item.product).toString();
+
+// Stock for a populated line's size and color, or the product's when it has neither
+const variantStock = (item) => {
+  if (!item.size && !item.color) {
+    return item.product.stock;
+  }
+  const variant = item.product.variants?.find(v =>
+    (!item.size || v.size === item.size) && (!item.color || v.color === item.color)
+  );
+  return variant ? variant.stock || 0 : 0;
+};
+
+// Find the line with the same product, size, and color
+const findMatchingItemIndex = (items, product, size, color) => {
+  const productId = (product._id || product).toString();
+  return items.findIndex(item =>
+    productIdOf(item) === productId &&
+    item.size === size &&
+    item.color === color
+  );
+};
+
+// Virtual for the cart version exposed to clients as an ETag
+cartSchema.virtual('etag').get(function() {
+  return `"${this._id}-${this.__v}"`;
+});
+
+// Virtual for whether the checkout stock hold is still in effect
+cartSchema.virtual('hasActiveReservation').get(function() {
+  return !!(this.reservation?.expiresAt && this.reservation.expiresAt > new Date());
+});
+
 // Pre-save middleware to calculate totals
 cartSchema.pre('save', function(next) {
   this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0);
@@ -105,51 +186,102 @@ cartSchema.statics.findOrCreateForUser = async function(userId) {
   return cart;
 };
 
-// Instance method to add item
-cartSchema.methods.addItem = function(productData) {
-  const { product, quantity = 1, size, color, price } = productData;
+// Static method to find or create an anonymous shopper's cart
+cartSchema.statics.findOrCreateForGuest = async function(guestId) {
+  let cart = await this.findOne({ guestId }).populate('items.product');
   
-  // Check if item already exists with same product, size, and color
-  const existingItemIndex = this.items.findIndex(item => 
-    item.product.toString() === product.toString() &&
-    item.size === size &&
-    item.color === color
-  );
+  if (!cart) {
+    cart = new this({ guestId });
+    await cart.save();
+  }
   
-  if (existingItemIndex > -1) {
-    // Update existing item
-    this.items[existingItemIndex].quantity += quantity;
-    this.items[existingItemIndex].subtotal = 
-      this.items[existingItemIndex].quantity * this.items[existingItemIndex].price;
-  } else {
-    // Add new item
-    const subtotal = quantity * price;
-    this.items.push({
-      product,
-      quantity,
-      size,
-      color,
-      price,
-      subtotal
-    });
+  return cart;
+};
+
+// Static method to merge a guest cart into the user's cart on login/register
+cartSchema.statics.mergeGuestCart = async function(guestId, userId) {
+  const guestCart = await this.findOne({ guestId });
+  if (!guestCart) {
+    return null;
   }
   
+  const cart = await this.findOrCreateForUser(userId);
+  cart.mergeItems(guestCart.items);
+  
+  // Delete the guest cart only once its items are safely in the user's cart
+  await cart.save();
+  await guestCart.deleteOne();
+  
+  return cart;
+};
+
+// Instance method to add item
+cartSchema.methods.addItem = function(productData) {
+  this.mergeItems([productData]);
   return this.save();
 };
 
+// Instance method to check an If-Match header against the current version
+cartSchema.methods.matchesEtag = function(ifMatch) {
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+  
+  return ifMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === this.etag);
+};
+
+// Instance method to find the line for a product variant
+cartSchema.methods.findItem = function(product, size, color) {
+  const index = findMatchingItemIndex(this.items, product, size, color);
+  return index > -1 ? this.items[index] : null;
+};
+
+// Instance method to add line items, combining matching variants, without saving
+cartSchema.methods.mergeItems = function(items) {
+  for (const item of items) {
+    const { product, quantity = 1, size, color, price } = item;
+    
+    // Check if item already exists with same product, size, and color
+    const existingItemIndex = findMatchingItemIndex(this.items, product, size, color);
+    
+    if (existingItemIndex > -1) {
+      const existingItem = this.items[existingItemIndex];
+      existingItem.quantity += quantity;
+      existingItem.subtotal = existingItem.quantity * existingItem.price;
+    } else {
+      this.items.push({
+        product,
+        quantity,
+        size,
+        color,
+        price,
+        subtotal: quantity * price
+      });
+    }
+  }
+  
+  return this;
+};
+
 // Instance method to remove item
 cartSchema.methods.removeItem = function(itemId) {
-  this.items.id(itemId).remove();
+  this.items.pull({ _id: itemId });
   return this.save();
 };
 
-// Instance method to update item quantity
-cartSchema.methods.updateItemQuantity = function(itemId, quantity) {
+// Instance method to change a line's quantity without saving
+cartSchema.methods.setItemQuantity = function(itemId, quantity) {
   const item = this.items.id(itemId);
   if (item) {
     item.quantity = quantity;
     item.subtotal = quantity * item.price;
   }
+  return item;
+};
+
+// Instance method to update item quantity
+cartSchema.methods.updateItemQuantity = function(itemId, quantity) {
+  this.setItemQuantity(itemId, quantity);
   return this.save();
 };
 
@@ -164,6 +296,7 @@ cartSchema.methods.validateItems = async function() {
   await this.populate('items.product');
   
   const invalidItems = [];
+  let backordersChanged = false;
   
   for (let i = this.items.length - 1; i >= 0; i--) {
     const item = this.items[i];
@@ -171,7 +304,30 @@ cartSchema.methods.validateItems = async function() {
     if (!item.product || !item.product.isActive) {
       invalidItems.push(item);
       this.items.splice(i, 1);
-    } else if (item.product.stock < item.quantity) {
+      continue;
+    }
+    
+    // Lines the stock cannot cover can still be ordered on a preorder or backorder offer
+    const offer = variantStock(item) < item.quantity
+      ? await PreorderOffer.findFor(item.product._id, { size: item.size, color: item.color })
+      : null;
+    
+    if (offer?.canAccept(item.quantity)) {
+      if (!item.backorder || !offer._id.equals(item.backorder.offer) ||
+          offer.expectedShipDate.getTime() !== item.backorder.expectedShipDate.getTime()) {
+        item.backorder = { type: offer.type, offer: offer._id, expectedShipDate: offer.expectedShipDate };
+        backordersChanged = true;
+      }
+      continue;
+    }
+    
+    // The stock arrived or the offer closed
+    if (item.backorder) {
+      item.backorder = undefined;
+      backordersChanged = true;
+    }
+    
+    if (item.product.stock < item.quantity) {
       item.quantity = Math.min(item.quantity, item.product.stock);
       item.subtotal = item.quantity * item.price;
       
@@ -182,11 +338,77 @@ cartSchema.methods.validateItems = async function() {
     }
   }
   
-  if (invalidItems.length > 0) {
+  if (invalidItems.length > 0 || backordersChanged) {
     await this.save();
   }
   
   return invalidItems;
 };
 
+// Instance method to reprice lines whose catalog price has changed
+cartSchema.methods.repriceItems = async function() {
+  await this.populate('items.product');
+  
+  let repriced = false;
+  
+  for (const item of this.items) {
+    if (!item.product || item.product.price === undefined || item.product.price === item.price) {
+      continue;
+    }
+    
+    // Keep the original snapshot if the line was already repriced
+    if (item.previousPrice === undefined) {
+      item.previousPrice = item.price;
+    }
+    item.price = item.product.price;
+    item.subtotal = item.quantity * item.price;
+    
+    if (item.previousPrice === item.price) {
+      item.previousPrice = undefined;
+    }
+    
+    repriced = true;
+  }
+  
+  if (repriced) {
+    await this.save();
+  }
+  
+  return this.getPriceChangeReport();
+};
+
+// Instance method to report lines repriced since they were added
+cartSchema.methods.getPriceChangeReport = function() {
+  const items = this.items
+    .filter(item => item.previousPrice !== undefined)
+    .map(item => ({
+      itemId: item._id,
+      product: item.product && item.product._id ? item.product._id : item.product,
+      name: item.product?.name,
+      size: item.size,
+      color: item.color,
+      quantity: item.quantity,
+      oldPrice: item.previousPrice,
+      newPrice: item.price,
+      difference: (item.price - item.previousPrice) * item.quantity
+    }));
+  
+  const difference = items.reduce((sum, item) => sum + item.difference, 0);
+  
+  return {
+    changed: items.length > 0,
+    items,
+    previousTotal: this.totalPrice - difference,
+    newTotal: this.totalPrice
+  };
+};
+
+// Instance method to accept the current prices after a price change
+cartSchema.methods.acknowledgePriceChanges = function() {
+  for (const item of this.items) {
+    item.previousPrice = undefined;
+  }
+  return this;
+};
+
 module.exports = mongoose.model('Cart', cartSchema);
\ No newline at end of file
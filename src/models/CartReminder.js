@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Abandoned cart reminders are kept independently of the cart so that
+// recovery reporting survives carts being purged
+const cartReminderSchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  stage: {
+    type: String,
+    required: true
+  },
+  cartValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The reminder link was used by the cart's owner
+  restoredAt: Date,
+  // The restored cart was checked out
+  recoveredAt: Date,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+cartReminderSchema.index({ cart: 1, sentAt: -1 });
+cartReminderSchema.index({ sentAt: -1 });
+
+// Instance method to record that the owner restored the cart from the link
+cartReminderSchema.methods.markRestored = function() {
+  if (!this.restoredAt) {
+    this.restoredAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to record that a cart restored from a reminder became an
+// order. The latest restored reminder is credited, once.
+cartReminderSchema.statics.markRecovered = function(cartId, orderId) {
+  return this.findOneAndUpdate(
+    { cart: cartId, restoredAt: { $ne: null }, recoveredAt: null },
+    { $set: { recoveredAt: new Date(), order: orderId } },
+    { sort: { sentAt: -1 }, new: true }
+  );
+};
+
+// Static method to summarise reminders and recoveries by stage
+cartReminderSchema.statics.getRecoveryReport = async function(startDate, endDate) {
+  const match = {};
+  if (startDate || endDate) {
+    match.sentAt = {};
+    if (startDate) match.sentAt.$gte = new Date(startDate);
+    if (endDate) match.sentAt.$lte = new Date(endDate);
+  }
+
+  const stages = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$stage',
+        sent: { $sum: 1 },
+        recovered: { $sum: { $cond: [{ $ifNull: ['$recoveredAt', false] }, 1, 0] } },
+        cartValue: { $sum: '$cartValue' },
+        recoveredValue: { $sum: { $cond: [{ $ifNull: ['$recoveredAt', false] }, '$cartValue', 0] } }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const totals = stages.reduce((sum, stage) => ({
+    sent: sum.sent + stage.sent,
+    recovered: sum.recovered + stage.recovered,
+    cartValue: sum.cartValue + stage.cartValue,
+    recoveredValue: sum.recoveredValue + stage.recoveredValue
+  }), { sent: 0, recovered: 0, cartValue: 0, recoveredValue: 0 });
+
+  const withRate = ({ sent, recovered, ...rest }) => ({
+    sent,
+    recovered,
+    ...rest,
+    recoveryRate: sent > 0 ? recovered / sent : 0
+  });
+
+  return {
+    summary: withRate(totals),
+    stages: stages.map(({ _id, ...stage }) => ({ stage: _id, ...withRate(stage) })),
+    generatedAt: new Date().toISOString()
+  };
+};
+
+module.exports = mongoose.model('CartReminder', cartReminderSchema);
@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+
+// Checkout steps in execution order. Steps before the point of no return are
+// compensated in reverse when checkout fails; later steps are only retried.
+const CHECKOUT_STEPS = [
+  'create_order',
+  'redeem_promotion',
+  'redeem_gift_cards',
+  'charge_payment',
+  'commit_stock',
+  'confirm_order',
+  'finalize'
+];
+const POINT_OF_NO_RETURN = 'confirm_order';
+
+const sagaStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: CHECKOUT_STEPS,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'compensated', 'compensation_failed'],
+    default: 'pending'
+  },
+  // Step output needed to compensate or resume, e.g. transaction IDs
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  compensatedAt: Date
+}, { _id: false });
+
+const checkoutSagaSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'compensating', 'compensated', 'needs_attention'],
+    default: 'running'
+  },
+  steps: [sagaStepSchema],
+
+  // Inputs the steps need when the saga is resumed by the recovery job
+  payment: {
+    method: String,
+    amount: Number,
+    currency: String,
+    // Saved card charged off-session, e.g. for subscription renewals
+    customerId: String,
+    paymentMethodId: String,
+    // manual only authorizes the payment, for orders waiting on stock
+    captureMethod: {
+      type: String,
+      enum: ['automatic', 'manual'],
+      default: 'automatic'
+    }
+  },
+  customer: {
+    email: String,
+    name: String
+  },
+  promotion: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    discount: Number,
+    shippingDiscount: Number
+  },
+  // Gift card balance to draw down before charging the rest
+  giftCards: [{
+    _id: false,
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    code: String,
+    amount: Number
+  }],
+  // Stock lines to commit: { product, size, color, quantity, offer }. Lines
+  // with an offer take a place on the preorder or backorder offer instead of stock.
+  lines: [{
+    _id: false,
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    size: String,
+    color: String,
+    quantity: Number,
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PreorderOffer'
+    }
+  }],
+
+  failedStep: String,
+  lastError: String,
+  recoveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Set while a process is executing the saga so the recovery job leaves it alone
+  lockedUntil: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+checkoutSagaSchema.index({ order: 1 }, { unique: true });
+checkoutSagaSchema.index({ status: 1, lockedUntil: 1 });
+
+// Virtual for whether the saga got far enough that it must be finished rather than undone
+checkoutSagaSchema.virtual('isPastPointOfNoReturn').get(function() {
+  return this.getStep(POINT_OF_NO_RETURN).status === 'completed';
+});
+
+// Static method to start a saga with every step pending
+checkoutSagaSchema.statics.start = function(fields) {
+  return this.create({
+    ...fields,
+    steps: CHECKOUT_STEPS.map(name => ({ name }))
+  });
+};
+
+// Instance method to get a step by name. Sagas started before a step was
+// introduced get it added as pending.
+checkoutSagaSchema.methods.getStep = function(name) {
+  let step = this.steps.find(step => step.name === name);
+  if (!step && CHECKOUT_STEPS.includes(name)) {
+    this.steps.push({ name });
+    step = this.steps[this.steps.length - 1];
+  }
+  return step;
+};
+
+// Instance method to record a step's progress; the caller saves
+checkoutSagaSchema.methods.markStep = function(name, status, { data, error } = {}) {
+  const step = this.getStep(name);
+  const now = new Date();
+
+  step.status = status;
+  if (data) {
+    step.data = { ...step.data, ...data };
+    this.markModified('steps');
+  }
+  if (error) {
+    step.error = error;
+  }
+
+  switch (status) {
+    case 'running':
+      step.startedAt = step.startedAt || now;
+      break;
+    case 'completed':
+      step.completedAt = now;
+      step.error = undefined;
+      break;
+    case 'compensated':
+      step.compensatedAt = now;
+      break;
+  }
+
+  return step;
+};
+
+// Instance method to merge progress data into a step without changing its status; the caller saves
+checkoutSagaSchema.methods.recordStepData = function(name, data) {
+  const step = this.getStep(name);
+  step.data = { ...step.data, ...data };
+  this.markModified('steps');
+  return step;
+};
+
+module.exports = mongoose.model('CheckoutSaga', checkoutSagaSchema);
+module.exports.CHECKOUT_STEPS = CHECKOUT_STEPS;
+module.exports.POINT_OF_NO_RETURN = POINT_OF_NO_RETURN;
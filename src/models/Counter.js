@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing sequences (invoice numbers, etc.)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically take the next value of a sequence. Inside a
+// transaction the value is handed back if the transaction aborts.
+counterSchema.statics.next = async function(name, { session } = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Stored-value instruments redeemable against orders
+const GIFT_CARD_KINDS = ['gift_card', 'store_credit'];
+
+// Unambiguous characters only, so codes can be read out over the phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const giftCardSchema = new mongoose.Schema({
+  // Shown as XXXX-XXXX-XXXX-XXXX
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: GIFT_CARD_KINDS,
+    default: 'gift_card'
+  },
+  initialAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // pending until the opening balance is on the card, e.g. while a purchase
+  // waits for its payment to go through
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'void'],
+    default: 'active'
+  },
+  expiresAt: Date,
+  voidedAt: Date,
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  // Balance written off when the card was voided
+  voidedBalance: Number,
+
+  // Who the value belongs to and where it came from
+  recipient: {
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  purchaser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Gateway payment for a purchased card
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  return: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Return'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ 'recipient.email': 1 });
+giftCardSchema.index({ order: 1 });
+giftCardSchema.index({ return: 1 });
+giftCardSchema.index({ purchaser: 1 });
+
+// Virtual for whether the card can still be spent
+giftCardSchema.virtual('isRedeemable').get(function() {
+  return this.status === 'active' &&
+    this.balance > 0 &&
+    (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Virtual for the code with all but the last group hidden, for receipts and logs
+giftCardSchema.virtual('maskedCode').get(function() {
+  return `****-****-****-${this.code.slice(-4)}`;
+});
+
+// Static method to generate a random card code
+giftCardSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(16);
+  const chars = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+// Static method to turn a customer-entered code into its stored form
+giftCardSchema.statics.normalizeCode = function(code) {
+  const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return chars.match(/.{1,4}/g)?.join('-') || '';
+};
+
+// Static method to issue a card with a fresh code. A pending card holds no
+// balance until it is activated.
+giftCardSchema.statics.issue = async function({ amount, ...fields }) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await this.create({
+        ...fields,
+        code: this.generateCode(),
+        initialAmount: amount,
+        balance: fields.status === 'pending' ? 0 : amount
+      });
+    } catch (error) {
+      // Code collision; draw another
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error('Could not generate a unique gift card code');
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
+module.exports.GIFT_CARD_KINDS = GIFT_CARD_KINDS;
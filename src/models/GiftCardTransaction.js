@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Every change to a card's balance; credits are positive, debits negative
+const GIFT_CARD_TRANSACTION_TYPES = ['issue', 'redeem', 'refund', 'void'];
+
+const giftCardTransactionSchema = new mongoose.Schema({
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: GIFT_CARD_TRANSACTION_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  // Identifies the operation behind the entry, e.g. checkout:<sagaId>, so
+  // retries never move the balance twice
+  reference: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Who made the change: customer, admin or system
+  source: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+giftCardTransactionSchema.index({ giftCard: 1, createdAt: 1 });
+giftCardTransactionSchema.index({ order: 1 });
+giftCardTransactionSchema.index(
+  { giftCard: 1, type: 1, reference: 1 },
+  { unique: true, partialFilterExpression: { reference: { $exists: true } } }
+);
+
+module.exports = mongoose.model('GiftCardTransaction', giftCardTransactionSchema);
+module.exports.GIFT_CARD_TRANSACTION_TYPES = GIFT_CARD_TRANSACTION_TYPES;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Stored outcome of a request made with an Idempotency-Key header, replayed
+// when the client retries with the same key
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Operation the key was used for, e.g. create_order
+  scope: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body and route parameters
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to store the response to replay for retries
+idempotencyKeySchema.methods.complete = function(statusCode, body) {
+  this.status = 'completed';
+  this.responseStatus = statusCode;
+  this.responseBody = body;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
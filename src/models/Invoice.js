@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const company = require('../config/company');
+
+const DOCUMENT_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  taxId: String,
+  registrationNumber: String,
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  }
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  size: String,
+  color: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  // Sequential document number, separate from the order number
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(DOCUMENT_PREFIXES),
+    default: 'invoice'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Credit notes point at the invoice they correct and the refund behind them
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  refundId: String,
+  reason: String,
+
+  // Snapshots so documents never change after issue
+  seller: partySchema,
+  billTo: partySchema,
+  shipTo: partySchema,
+  lines: [invoiceLineSchema],
+
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discountCode: String,
+  shipping: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 1
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  paymentMethod: String,
+  orderPlacedAt: Date,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ order: 1, type: 1 });
+invoiceSchema.index({ issuedAt: 1, type: 1 });
+// One invoice per order and one credit note per refund
+invoiceSchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { type: 'credit_note' } });
+
+const toParty = (address, email) => address && {
+  name: `${address.firstName} ${address.lastName}`,
+  email,
+  address: {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    zipCode: address.zipCode,
+    country: address.country
+  }
+};
+
+const sellerSnapshot = () => ({
+  name: company.legalName,
+  email: company.email,
+  taxId: company.taxId,
+  registrationNumber: company.registrationNumber,
+  address: company.address
+});
+
+// Virtual for a human readable document title
+invoiceSchema.virtual('title').get(function() {
+  return this.type === 'credit_note' ? 'Credit Note' : 'Invoice';
+});
+
+// Static method to take the next number in a document sequence
+invoiceSchema.statics.nextNumber = async function(type, { session } = {}) {
+  const sequence = await Counter.next(type, { session });
+  return {
+    sequence,
+    number: `${DOCUMENT_PREFIXES[type]}-${String(sequence).padStart(8, '0')}`
+  };
+};
+
+// Static method to number and insert a document in one transaction, so an
+// insert that fails hands its number back and the sequence has no gaps
+invoiceSchema.statics.createNumbered = async function(type, fields) {
+  let document;
+  await this.db.transaction(async (session) => {
+    const { sequence, number } = await this.nextNumber(type, { session });
+    [document] = await this.create([{ ...fields, type, sequence, number }], { session });
+  });
+  return document;
+};
+
+// Static method to get the invoice for an order, issuing it on first request
+// once the order is paid
+invoiceSchema.statics.issueForOrder = async function(order, { email } = {}) {
+  const existing = await this.findOne({ order: order._id, type: 'invoice' });
+  if (existing) {
+    return existing;
+  }
+
+  // Unpaid, authorized-only and cancelled orders have nothing to invoice yet
+  if (!order.isPaid) {
+    return null;
+  }
+
+  try {
+    return await this.createNumbered('invoice', {
+      order: order._id,
+      orderNumber: order.formattedOrderNumber,
+      user: order.user?._id || order.user,
+      seller: sellerSnapshot(),
+      billTo: toParty(order.billingAddress, email || order.user?.email),
+      shipTo: toParty(order.shippingAddress),
+      lines: order.items.map(item => ({
+        description: [item.productSnapshot?.brand, item.productSnapshot?.name].filter(Boolean).join(' '),
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        total: item.totalPrice
+      })),
+      subtotal: order.subtotal,
+      discount: order.discount,
+      discountCode: order.discountCode,
+      shipping: order.shipping?.cost || 0,
+      taxRate: order.taxRate,
+      tax: order.tax,
+      total: order.total,
+      currency: order.currency,
+      paymentMethod: order.payment?.method,
+      orderPlacedAt: order.placedAt
+    });
+  } catch (error) {
+    // Another request issued the invoice first
+    if (error.code === 11000) {
+      return this.findOne({ order: order._id, type: 'invoice' });
+    }
+    throw error;
+  }
+};
+
+// Static method to issue a credit note for a completed refund
+// The refunded amount is split into net and tax in the order's proportions
+invoiceSchema.statics.issueCreditNote = async function(order, refund, { email } = {}) {
+  const existing = await this.findOne({ refund: refund._id, type: 'credit_note' });
+  if (existing) {
+    return existing;
+  }
+
+  const invoice = await this.issueForOrder(order, { email });
+  const tax = order.total > 0 ? round(refund.amount * order.tax / order.total) : 0;
+  const net = round(refund.amount - tax);
+
+  try {
+    return await this.createNumbered('credit_note', {
+      order: order._id,
+      orderNumber: order.formattedOrderNumber,
+      user: invoice.user,
+      invoice: invoice._id,
+      refund: refund._id,
+      refundId: refund.refundId,
+      reason: refund.reason,
+      seller: sellerSnapshot(),
+      billTo: invoice.billTo,
+      lines: [{
+        description: `Refund against invoice ${invoice.number}${refund.source ? ` (${refund.source})` : ''}`,
+        quantity: 1,
+        unitPrice: net,
+        total: net
+      }],
+      subtotal: net,
+      taxRate: order.taxRate,
+      tax,
+      total: refund.amount,
+      currency: order.currency,
+      paymentMethod: refund.tender === 'gift_card' ? 'gift_card' : order.payment?.method,
+      orderPlacedAt: order.placedAt,
+      issuedAt: refund.completedAt || new Date()
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return this.findOne({ refund: refund._id, type: 'credit_note' });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -1,4 +1,70 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { PREORDER_TYPES } = require('./PreorderOffer');
+const orderNumberConfig = require('../config/orderNumbers');
+
+// Allowed status moves; anything not listed is rejected
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'partially_shipped', 'shipped', 'cancelled'],
+  processing: ['partially_shipped', 'shipped', 'cancelled'],
+  partially_shipped: ['shipped'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const ITEM_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'shipped', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const PAYMENT_TRANSITIONS = {
+  pending: ['processing', 'authorized', 'completed', 'failed', 'cancelled'],
+  processing: ['completed', 'failed', 'cancelled'],
+  // Held on the card until preordered or backordered lines are in stock
+  authorized: ['completed', 'failed', 'cancelled'],
+  completed: ['refund_pending'],
+  refund_pending: ['partially_refunded', 'refunded', 'refund_failed'],
+  partially_refunded: ['refund_pending'],
+  refund_failed: ['refund_pending'],
+  refunded: [],
+  failed: [],
+  cancelled: []
+};
+
+// Payment states reached once the customer has been charged
+const PAID_PAYMENT_STATUSES = ['completed', 'refund_pending', 'partially_refunded', 'refund_failed', 'refunded'];
+
+const SHIPMENT_TRANSITIONS = {
+  pending: ['shipped'],
+  shipped: ['delivered'],
+  delivered: []
+};
+
+const STATUS_GRAPHS = {
+  order: ORDER_TRANSITIONS,
+  item: ITEM_TRANSITIONS,
+  payment: PAYMENT_TRANSITIONS,
+  shipment: SHIPMENT_TRANSITIONS
+};
+
+const CARRIERS = ['ups', 'fedex', 'usps', 'dhl'];
+
+const MODIFICATION_TYPES = ['shipping_address', 'update_item', 'remove_item'];
+
+// Prefix shown on orders numbered before the prefix was stored per order
+const LEGACY_ORDER_NUMBER_PREFIX = 'AK';
+
+// Orders can be edited by the customer until anything ships
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
 
 const addressSchema = new mongoose.Schema({
   firstName: {
@@ -43,6 +109,28 @@ const addressSchema = new mongoose.Schema({
   }
 });
 
+// A line ordered before its stock arrived. It is allocated stock, oldest
+// order first, when inventory is added for its variant.
+const backorderSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: PREORDER_TYPES,
+    required: true
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreorderOffer',
+    required: true
+  },
+  expectedShipDate: {
+    type: Date,
+    required: true
+  },
+  // Ship date the customer was last told about; a later expectedShipDate is a slip to notify
+  notifiedShipDate: Date,
+  allocatedAt: Date
+}, { _id: false });
+
 const orderItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
@@ -81,24 +169,93 @@ const orderItemSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned'],
+    enum: Object.keys(ITEM_TRANSITIONS),
     default: 'pending'
   },
   trackingNumber: {
     type: String,
     trim: true
-  }
+  },
+  backorder: backorderSchema
 });
 
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  // Where the money went back to; gift card refunds settle immediately
+  tender: {
+    type: String,
+    enum: ['payment', 'gift_card'],
+    default: 'payment'
+  },
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard'
+  },
+  // What triggered the refund, e.g. cancellation or return
+  source: {
+    type: String,
+    trim: true
+  },
+  gatewayResponse: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date
+});
+
+// Gift card balance applied to the order at checkout
+const giftCardTenderSchema = new mongoose.Schema({
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: true
+  },
+  // Masked, e.g. ****-****-****-WXYZ
+  code: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
 const paymentSchema = new mongoose.Schema({
+  // gift_card when gift cards cover the whole order
   method: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'paypal', 'stripe', 'apple_pay', 'google_pay'],
+    enum: ['credit_card', 'debit_card', 'paypal', 'stripe', 'apple_pay', 'google_pay', 'gift_card'],
     required: true
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded', 'cancelled'],
+    enum: Object.keys(PAYMENT_TRANSITIONS),
     default: 'pending'
   },
   transactionId: {
@@ -108,6 +265,7 @@ const paymentSchema = new mongoose.Schema({
   gatewayResponse: {
     type: mongoose.Schema.Types.Mixed
   },
+  // Charged through the gateway, after gift cards
   amount: {
     type: Number,
     required: true,
@@ -118,13 +276,27 @@ const paymentSchema = new mongoose.Schema({
     default: 'USD',
     uppercase: true
   },
+  giftCards: [giftCardTenderSchema],
   processedAt: Date,
+  // Payment held on the card without being captured, for orders waiting on stock
+  authorizedAt: Date,
+  capture: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    // Set when capture was given up on and the order needs manual handling
+    failedAt: Date
+  },
   refundedAt: Date,
   refundAmount: {
     type: Number,
     default: 0,
     min: 0
-  }
+  },
+  refunds: [refundSchema]
 });
 
 const shippingSchema = new mongoose.Schema({
@@ -144,7 +316,7 @@ const shippingSchema = new mongoose.Schema({
   },
   carrier: {
     type: String,
-    enum: ['ups', 'fedex', 'usps', 'dhl'],
+    enum: CARRIERS,
     trim: true
   },
   trackingNumber: {
@@ -160,23 +332,198 @@ const shippingSchema = new mongoose.Schema({
   actualDelivery: Date
 });
 
+// A box leaving the warehouse with some of the order's lines
+const shipmentSchema = new mongoose.Schema({
+  // _ids of lines in order.items
+  items: {
+    type: [mongoose.Schema.Types.ObjectId],
+    validate: [items => items.length > 0, 'A shipment needs at least one item']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(SHIPMENT_TRANSITIONS),
+    default: 'pending'
+  },
+  carrier: {
+    type: String,
+    enum: CARRIERS,
+    trim: true
+  },
+  trackingNumber: {
+    type: String,
+    trim: true
+  },
+  trackingUrl: {
+    type: String,
+    trim: true
+  },
+  shippedAt: Date,
+  estimatedDelivery: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// One entry per status move of the order, one of its items or its payment
+const statusHistorySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: Object.keys(STATUS_GRAPHS),
+    required: true
+  },
+  // _id of the line in order.items for item moves
+  item: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // _id of the entry in order.shipments for shipment moves
+  shipment: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['customer', 'admin', 'system', 'payment_gateway'],
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Gift details; prices are hidden from the recipient
+const giftSchema = new mongoose.Schema({
+  isGift: {
+    type: Boolean,
+    default: false
+  },
+  recipientName: {
+    type: String,
+    trim: true
+  },
+  recipientEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // When to email the recipient that a gift is on its way
+  notifyAt: Date,
+  notifiedAt: Date,
+  // Printed on the packing slip; lets the recipient return for store credit
+  receiptCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  }
+}, { _id: false });
+
+// One entry per customer edit of an order before shipment
+const modificationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: MODIFICATION_TYPES,
+    required: true
+  },
+  // _id of the line in order.items for item edits
+  item: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  previousTotal: {
+    type: Number,
+    required: true
+  },
+  newTotal: {
+    type: Number,
+    required: true
+  },
+  // Positive when the customer was charged, negative when refunded
+  difference: {
+    type: Number,
+    default: 0
+  },
+  settlement: {
+    type: String,
+    enum: ['none', 'charge', 'refund'],
+    default: 'none'
+  },
+  // Gateway transaction for an extra charge
+  transactionId: {
+    type: String,
+    trim: true
+  },
+  // _id of the entry in order.payment.refunds for a refund
+  refund: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  source: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    default: 'customer'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const orderSchema = new mongoose.Schema({
   orderNumber: {
     type: String,
     unique: true,
     required: true
   },
+  // Prefix in force when the number was issued, so changing it never renumbers orders
+  orderNumberPrefix: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Address the order was placed with, kept even if the account email changes
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   items: [orderItemSchema],
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: Object.keys(ORDER_TRANSITIONS),
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
+  modifications: [modificationSchema],
   
   // Pricing
   subtotal: {
@@ -204,6 +551,10 @@ const orderSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion'
+  },
   total: {
     type: Number,
     required: true,
@@ -225,9 +576,12 @@ const orderSchema = new mongoose.Schema({
     required: true
   },
   
+  gift: giftSchema,
+  
   // Payment and shipping
   payment: paymentSchema,
   shipping: shippingSchema,
+  shipments: [shipmentSchema],
   
   // Timestamps
   placedAt: {
@@ -253,10 +607,16 @@ const orderSchema = new mongoose.Schema({
     trim: true
   },
   
+  // Recurring delivery this order renews
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  
   // Analytics
   source: {
     type: String,
-    enum: ['web', 'mobile', 'api', 'admin'],
+    enum: ['web', 'mobile', 'api', 'admin', 'subscription'],
     default: 'web'
   },
   referrer: {
@@ -283,6 +643,17 @@ orderSchema.index({ placedAt: -1 });
 orderSchema.index({ 'payment.status': 1 });
 orderSchema.index({ 'payment.transactionId': 1 });
 orderSchema.index({ 'shipping.trackingNumber': 1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
+orderSchema.index({ 'items.product': 1 });
+orderSchema.index(
+  { 'items.product': 1, placedAt: 1 },
+  { partialFilterExpression: { 'items.backorder.type': { $exists: true } } }
+);
+orderSchema.index({ 'items.backorder.offer': 1 });
+orderSchema.index({ discountCode: 1 });
+orderSchema.index({ subscription: 1 }, { partialFilterExpression: { subscription: { $exists: true } } });
+orderSchema.index({ 'gift.receiptCode': 1 }, { unique: true, partialFilterExpression: { 'gift.receiptCode': { $exists: true } } });
+orderSchema.index({ 'gift.notifyAt': 1 }, { partialFilterExpression: { 'gift.notifyAt': { $exists: true } } });
 
 // Compound indexes
 orderSchema.index({ user: 1, placedAt: -1 });
@@ -290,7 +661,33 @@ orderSchema.index({ status: 1, placedAt: -1 });
 
 // Virtual for formatted order number
 orderSchema.virtual('formattedOrderNumber').get(function() {
-  return `AK-${this.orderNumber}`;
+  return `${this.orderNumberPrefix || LEGACY_ORDER_NUMBER_PREFIX}-${this.orderNumber}`;
+});
+
+// Virtual for whether the order is going to someone else as a gift
+orderSchema.virtual('isGift').get(function() {
+  return Boolean(this.gift?.isGift);
+});
+
+// Virtual for the part of the order paid with gift cards
+orderSchema.virtual('giftCardAmount').get(function() {
+  const total = (this.payment?.giftCards || []).reduce((sum, tender) => sum + tender.amount, 0);
+  return Math.round(total * 100) / 100;
+});
+
+// Virtual for everything paid on the order across gateway and gift cards
+orderSchema.virtual('amountPaid').get(function() {
+  return Math.round(((this.payment?.amount || 0) + this.giftCardAmount) * 100) / 100;
+});
+
+// Virtual for whether payment has been taken; refunds don't undo that
+orderSchema.virtual('isPaid').get(function() {
+  return PAID_PAYMENT_STATUSES.includes(this.payment?.status);
+});
+
+// Virtual for whether any line is still waiting for stock
+orderSchema.virtual('isAwaitingStock').get(function() {
+  return this.getAwaitingStockItems().length > 0;
 });
 
 // Virtual for order age in days
@@ -303,12 +700,32 @@ orderSchema.virtual('customerName').get(function() {
   return `${this.shippingAddress.firstName} ${this.shippingAddress.lastName}`;
 });
 
-// Pre-save middleware to generate order number
+// Pre-validate middleware to number new orders
+orderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await this.constructor.generateOrderNumber();
+  }
+  if (this.isNew && !this.orderNumberPrefix) {
+    this.orderNumberPrefix = orderNumberConfig.prefix;
+  }
+  if (this.gift?.isGift && !this.gift.receiptCode) {
+    this.gift.receiptCode = `GR${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+  }
+  
+  next();
+});
+
+// Pre-save middleware to record the initial status and fill in totals
 orderSchema.pre('save', async function(next) {
-  if (!this.orderNumber) {
-    const timestamp = Date.now().toString();
-    const random = Math.random().toString(36).substr(2, 5).toUpperCase();
-    this.orderNumber = `${timestamp}${random}`;
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      scope: 'order',
+      to: this.status,
+      actor: this.user,
+      source: this.source === 'admin' ? 'admin' : 'customer',
+      reason: 'Order placed',
+      at: this.placedAt
+    });
   }
   
   // Calculate totals if not set
@@ -323,33 +740,102 @@ orderSchema.pre('save', async function(next) {
   next();
 });
 
-// Static method to generate unique order number
-orderSchema.statics.generateOrderNumber = async function() {
-  let orderNumber;
-  let isUnique = false;
-  
-  while (!isUnique) {
-    const timestamp = Date.now().toString();
-    const random = Math.random().toString(36).substr(2, 5).toUpperCase();
-    orderNumber = `${timestamp}${random}`;
-    
-    const existingOrder = await this.findOne({ orderNumber });
-    if (!existingOrder) {
-      isUnique = true;
+// Static method to compute the Luhn check digit for a string of digits
+orderSchema.statics.checkDigit = function(digits) {
+  const sum = digits.split('').reverse().reduce((total, char, index) => {
+    let digit = parseInt(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
     }
+    return total + digit;
+  }, 0);
+  
+  return String((10 - (sum % 10)) % 10);
+};
+
+// Static method to issue the next order number from a shared sequence
+// The counter is incremented atomically, so concurrent checkouts on any
+// instance never receive the same number
+orderSchema.statics.generateOrderNumber = async function(date = new Date()) {
+  const { sequenceDigits, resetYearly } = orderNumberConfig;
+  const year = String(date.getUTCFullYear());
+  
+  const sequence = await Counter.next(resetYearly ? `order:${year}` : 'order');
+  const body = `${resetYearly ? year : ''}${String(sequence).padStart(sequenceDigits, '0')}`;
+  
+  return `${body}${this.checkDigit(body)}`;
+};
+
+// Static method to turn a customer-entered order number into its stored form
+// Accepts any prefix, spaces and dashes, e.g. "ak-2026 000123-7"
+orderSchema.statics.normalizeOrderNumber = function(input) {
+  return String(input || '')
+    .trim()
+    .toUpperCase()
+    .replace(/^[A-Z]+-/, '')
+    .replace(/[\s-]/g, '');
+};
+
+// Static method to check an order number for typos before looking it up
+// Numbers issued before check digits were introduced are accepted as they are
+orderSchema.statics.isValidOrderNumber = function(orderNumber) {
+  // Legacy numbers are a millisecond timestamp plus up to five random characters
+  if (/^\d{13}[A-Z0-9]{1,5}$/.test(orderNumber)) {
+    return true;
   }
   
-  return orderNumber;
+  return /^\d{2,}$/.test(orderNumber) &&
+    this.checkDigit(orderNumber.slice(0, -1)) === orderNumber.slice(-1);
 };
 
-// Instance method to update order status
-orderSchema.methods.updateStatus = function(status, notes) {
-  const now = new Date();
-  const oldStatus = this.status;
+// Instance method to check whether the order may move to a status
+orderSchema.methods.canTransitionTo = function(status) {
+  return ORDER_TRANSITIONS[this.status].includes(status);
+};
+
+// Instance method to list the statuses the order may move to next
+orderSchema.methods.getAllowedTransitions = function() {
+  return ORDER_TRANSITIONS[this.status];
+};
+
+// Instance method to move a status along its graph and record the move
+// Options are { actor, source, reason }; throws on an illegal move
+orderSchema.methods.recordTransition = function(scope, target, status, { actor, source = 'system', reason } = {}) {
+  const from = target.status;
+  if (from === status) {
+    return false;
+  }
   
-  this.status = status;
+  if (!STATUS_GRAPHS[scope][from].includes(status)) {
+    const subject = ['item', 'shipment'].includes(scope) ? `${scope} ${target._id}` : scope;
+    throw new Error(`Cannot move ${subject} from ${from} to ${status}`);
+  }
   
-  // Set appropriate timestamp based on status
+  target.status = status;
+  this.statusHistory.push({
+    scope,
+    item: scope === 'item' ? target._id : undefined,
+    shipment: scope === 'shipment' ? target._id : undefined,
+    from,
+    to: status,
+    actor,
+    source,
+    reason,
+    at: new Date()
+  });
+  
+  return true;
+};
+
+// Instance method to change order status without saving. Items follow the
+// order where their own graph allows it.
+orderSchema.methods.setStatus = function(status, options = {}) {
+  this.recordTransition('order', this, status, options);
+  
+  const now = new Date();
   switch (status) {
     case 'confirmed':
       this.confirmedAt = now;
@@ -365,38 +851,244 @@ orderSchema.methods.updateStatus = function(status, notes) {
       break;
   }
   
-  if (notes) {
-    this.internalNotes = this.internalNotes 
-      ? `${this.internalNotes}\n[${now.toISOString()}] Status changed from ${oldStatus} to ${status}: ${notes}`
-      : `[${now.toISOString()}] Status changed from ${oldStatus} to ${status}: ${notes}`;
+  for (const item of this.items) {
+    if (ITEM_TRANSITIONS[item.status].includes(status)) {
+      this.recordTransition('item', item, status, options);
+    }
   }
   
+  return this;
+};
+
+// Instance method to update order status
+// Accepts a reason string or { actor, source, reason }
+orderSchema.methods.updateStatus = function(status, options = {}) {
+  this.setStatus(status, typeof options === 'string' ? { reason: options } : options);
   return this.save();
 };
 
+// Instance method to change a line's status without saving
+orderSchema.methods.setItemStatus = function(itemId, status, options = {}) {
+  const item = this.items.id(itemId);
+  if (!item) {
+    throw new Error(`Order item ${itemId} not found`);
+  }
+  
+  this.recordTransition('item', item, status, options);
+  return this;
+};
+
+// Instance method to change payment status without saving
+orderSchema.methods.setPaymentStatus = function(status, options = {}) {
+  this.recordTransition('payment', this.payment, status, options);
+  return this;
+};
+
+// Instance method to get the history of one scope, oldest first
+orderSchema.methods.getStatusHistory = function(scope = 'order') {
+  return this.statusHistory.filter(entry => entry.scope === scope);
+};
+
+// Instance method to get the lines not yet in any shipment, excluding cancelled lines
+orderSchema.methods.getUnshippedItems = function() {
+  const shipped = new Set(this.shipments.flatMap(shipment => shipment.items.map(id => id.toString())));
+  return this.items.filter(item => !shipped.has(item._id.toString()) && item.status !== 'cancelled');
+};
+
+// Instance method to get the preordered or backordered lines not yet allocated stock, excluding cancelled lines
+orderSchema.methods.getAwaitingStockItems = function() {
+  return this.items.filter(item => item.backorder && !item.backorder.allocatedAt && item.status !== 'cancelled');
+};
+
+// Instance method to work out the order status from its lines
+// Returns null while nothing has shipped
+orderSchema.methods.getFulfillmentStatus = function() {
+  const lines = this.items.filter(item => item.status !== 'cancelled');
+  const shipped = lines.filter(item => ['shipped', 'delivered', 'returned'].includes(item.status));
+  
+  if (lines.length === 0 || shipped.length === 0) {
+    return null;
+  }
+  if (lines.every(item => ['delivered', 'returned'].includes(item.status))) {
+    return 'delivered';
+  }
+  return shipped.length === lines.length ? 'shipped' : 'partially_shipped';
+};
+
+// Instance method to move the order to the status its lines imply, without saving
+orderSchema.methods.syncFulfillmentStatus = function(options = {}) {
+  const status = this.getFulfillmentStatus();
+  if (status && status !== this.status && this.canTransitionTo(status)) {
+    this.setStatus(status, options);
+  }
+  
+  return this;
+};
+
+// Instance method to ship some of the order's lines in one box, without saving
+// Options are { actor, source, reason } for the status history
+orderSchema.methods.createShipment = function({ itemIds, carrier, trackingNumber, trackingUrl, estimatedDelivery }, options = {}) {
+  const unshipped = new Map(this.getUnshippedItems().map(item => [item._id.toString(), item]));
+  const ids = itemIds?.length ? itemIds.map(String) : [...unshipped.keys()];
+  
+  if (ids.length === 0) {
+    throw new Error('All items on this order have already shipped');
+  }
+  
+  const unavailable = ids.filter(id => !unshipped.has(id));
+  if (unavailable.length > 0) {
+    throw new Error(`Items already shipped, cancelled or not on this order: ${unavailable.join(', ')}`);
+  }
+  
+  const awaitingStock = ids.filter(id => unshipped.get(id).backorder && !unshipped.get(id).backorder.allocatedAt);
+  if (awaitingStock.length > 0) {
+    throw new Error(`Items still waiting for stock: ${awaitingStock.join(', ')}`);
+  }
+  
+  // The authorization is captured once every line has stock; nothing ships before that
+  if (this.payment.status === 'authorized') {
+    throw new Error('Payment for this order has not been captured yet');
+  }
+  
+  this.shipments.push({ items: ids, carrier, trackingNumber, trackingUrl, estimatedDelivery });
+  const shipment = this.shipments[this.shipments.length - 1];
+  
+  this.recordTransition('shipment', shipment, 'shipped', options);
+  shipment.shippedAt = new Date();
+  
+  for (const id of ids) {
+    const item = unshipped.get(id);
+    this.setItemStatus(item._id, 'shipped', options);
+    item.trackingNumber = trackingNumber;
+  }
+  
+  if (!this.shippedAt) {
+    this.shippedAt = shipment.shippedAt;
+  }
+  this.syncFulfillmentStatus(options);
+  
+  return shipment;
+};
+
+// Instance method to update a shipment's tracking details, without saving
+orderSchema.methods.updateShipmentTracking = function(shipmentId, { carrier, trackingNumber, trackingUrl, estimatedDelivery }) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new Error(`Shipment ${shipmentId} not found`);
+  }
+  
+  if (carrier !== undefined) shipment.carrier = carrier;
+  if (trackingUrl !== undefined) shipment.trackingUrl = trackingUrl;
+  if (estimatedDelivery !== undefined) shipment.estimatedDelivery = estimatedDelivery;
+  if (trackingNumber !== undefined) {
+    shipment.trackingNumber = trackingNumber;
+    for (const item of this.items.filter(line => shipment.items.some(id => id.equals(line._id)))) {
+      item.trackingNumber = trackingNumber;
+    }
+  }
+  
+  return shipment;
+};
+
+// Instance method to mark a shipment delivered, without saving
+orderSchema.methods.markShipmentDelivered = function(shipmentId, options = {}) {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    throw new Error(`Shipment ${shipmentId} not found`);
+  }
+  
+  this.recordTransition('shipment', shipment, 'delivered', options);
+  shipment.deliveredAt = new Date();
+  
+  for (const itemId of shipment.items) {
+    const item = this.items.id(itemId);
+    if (item && item.status === 'shipped') {
+      this.setItemStatus(itemId, 'delivered', options);
+    }
+  }
+  
+  this.syncFulfillmentStatus(options);
+  if (this.status === 'delivered') {
+    this.shipping.actualDelivery = this.deliveredAt;
+  }
+  
+  return shipment;
+};
+
 // Instance method to add tracking information
-orderSchema.methods.addTracking = function(trackingNumber, carrier, trackingUrl) {
+// Orders shipped in a single box: tracks the first shipment, creating it for
+// every unshipped line if none exists yet
+orderSchema.methods.addTracking = function(trackingNumber, carrier, trackingUrl, options = {}) {
   this.shipping.trackingNumber = trackingNumber;
   this.shipping.carrier = carrier;
   this.shipping.trackingUrl = trackingUrl;
   
+  if (this.shipments.length === 0) {
+    this.createShipment({ carrier, trackingNumber, trackingUrl }, options);
+    this.shipping.shippedAt = this.shippedAt;
+  } else {
+    this.updateShipmentTracking(this.shipments[0]._id, { carrier, trackingNumber, trackingUrl });
+  }
+  
   return this.save();
 };
 
 // Instance method to calculate refund amount
 orderSchema.methods.calculateRefund = function(items = null) {
+  // Refunds already issued or still in flight at the gateway
+  const alreadyRefunded = Math.max(
+    (this.payment?.refunds || [])
+      .filter(refund => refund.status !== 'failed')
+      .reduce((sum, refund) => sum + refund.amount, 0),
+    this.payment?.refundAmount || 0
+  );
+  
   if (!items) {
-    // Full refund
-    return this.total;
+    // Full refund of whatever has not been refunded yet
+    return Math.round((this.total - alreadyRefunded) * 100) / 100;
   }
   
-  // Partial refund for specific items
-  const refundAmount = items.reduce((sum, itemId) => {
-    const item = this.items.id(itemId);
-    return sum + (item ? item.totalPrice : 0);
+  // Partial refund for specific items, given as item IDs or { itemId, quantity }
+  const refundAmount = items.reduce((sum, entry) => {
+    const item = this.items.id(entry.itemId || entry);
+    if (!item) {
+      return sum;
+    }
+    
+    const quantity = entry.quantity ? Math.min(entry.quantity, item.quantity) : item.quantity;
+    return sum + item.totalPrice * quantity / item.quantity;
   }, 0);
   
-  return refundAmount;
+  // Never refund more than what is left of the payment
+  const refundable = this.total - alreadyRefunded;
+  return Math.round(Math.min(refundAmount, refundable) * 100) / 100;
+};
+
+// Instance method to derive payment status and refunded total from the refund records
+// Options are passed to the payment status history entry
+orderSchema.methods.syncRefundStatus = function(options = {}) {
+  const refunds = this.payment.refunds || [];
+  const completed = refunds.filter(refund => refund.status === 'completed');
+  
+  this.payment.refundAmount = completed.reduce((sum, refund) => sum + refund.amount, 0);
+  if (completed.length > 0) {
+    this.payment.refundedAt = completed
+      .map(refund => refund.completedAt)
+      .reduce((latest, date) => (date > latest ? date : latest));
+  }
+  
+  let status = this.payment.status;
+  if (refunds.some(refund => refund.status === 'pending')) {
+    status = 'refund_pending';
+  } else if (refunds.length > 0 && refunds[refunds.length - 1].status === 'failed') {
+    status = 'refund_failed';
+  } else if (this.payment.refundAmount >= this.amountPaid) {
+    status = 'refunded';
+  } else if (this.payment.refundAmount > 0) {
+    status = 'partially_refunded';
+  }
+  
+  return this.setPaymentStatus(status, options);
 };
 
 // Instance method to check if order can be cancelled
@@ -404,6 +1096,11 @@ orderSchema.methods.canBeCancelled = function() {
   return ['pending', 'confirmed'].includes(this.status);
 };
 
+// Instance method to check if the customer can still edit the order
+orderSchema.methods.canBeModified = function() {
+  return MODIFIABLE_STATUSES.includes(this.status) && this.shipments.length === 0;
+};
+
 // Instance method to check if order can be returned
 orderSchema.methods.canBeReturned = function() {
   if (this.status !== 'delivered' || !this.deliveredAt) {
@@ -415,4 +1112,11 @@ orderSchema.methods.canBeReturned = function() {
   return this.deliveredAt > thirtyDaysAgo;
 };
 
-module.exports = mongoose.model('Order', orderSchema);
\ No newline at end of file
+module.exports = mongoose.model('Order', orderSchema);
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+module.exports.ITEM_TRANSITIONS = ITEM_TRANSITIONS;
+module.exports.PAYMENT_TRANSITIONS = PAYMENT_TRANSITIONS;
+module.exports.PAID_PAYMENT_STATUSES = PAID_PAYMENT_STATUSES;
+module.exports.SHIPMENT_TRANSITIONS = SHIPMENT_TRANSITIONS;
+module.exports.MODIFICATION_TYPES = MODIFICATION_TYPES;
+module.exports.addressSchema = addressSchema;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// preorder: the product has not been released yet; backorder: it sold out and
+// more stock is on the way. Either way orders wait for stock to arrive.
+const PREORDER_TYPES = ['preorder', 'backorder'];
+
+// Every move of the expected ship date, so customers can be told about slips
+const shipDateChangeSchema = new mongoose.Schema({
+  from: {
+    type: Date,
+    required: true
+  },
+  to: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const preorderOfferSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Leave size and color unset to cover every variant of the product
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: PREORDER_TYPES,
+    required: true
+  },
+  expectedShipDate: {
+    type: Date,
+    required: true
+  },
+  // Most units that can be ordered on the offer; unset means no cap
+  cap: {
+    type: Number,
+    min: 1
+  },
+  orderedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  shipDateChanges: [shipDateChangeSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One open offer per product or variant
+preorderOfferSchema.index(
+  { product: 1, size: 1, color: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Virtual for the units still available on the offer; null when there is no cap
+preorderOfferSchema.virtual('remaining').get(function() {
+  return this.cap ? Math.max(0, this.cap - this.orderedCount) : null;
+});
+
+// Instance method to check if the offer can take another order line
+preorderOfferSchema.methods.canAccept = function(quantity = 1) {
+  return this.isActive && (!this.cap || this.orderedCount + quantity <= this.cap);
+};
+
+// Instance method to check if the offer covers a line's size and color
+preorderOfferSchema.methods.covers = function({ size, color } = {}) {
+  return (!this.size || this.size === size) && (!this.color || this.color === color);
+};
+
+// Static method to find the open offer for a line; an offer for the exact
+// variant wins over one covering the whole product
+preorderOfferSchema.statics.findFor = async function(productId, { size, color } = {}) {
+  const offers = await this.find({ product: productId, isActive: true });
+  const matching = offers.filter(offer => offer.covers({ size, color }));
+
+  const specificity = offer => (offer.size ? 1 : 0) + (offer.color ? 1 : 0);
+  return matching.sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+module.exports = mongoose.model('PreorderOffer', preorderOfferSchema);
+module.exports.PREORDER_TYPES = PREORDER_TYPES;
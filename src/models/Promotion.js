@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'],
+    required: true
+  },
+  // Percentage (0-100) or fixed currency amount, depending on type
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+
+  // Buy X get Y: for every buyQuantity eligible units, getQuantity more are
+  // discounted by getDiscountPercent (100 = free), cheapest units first
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+
+  // Restrict the promotion to specific products or categories; empty means all
+  appliesTo: {
+    products: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    categories: [{
+      type: String,
+      trim: true
+    }]
+  },
+
+  // Conditions
+  minimumOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  startsAt: Date,
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Validate type-specific settings
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage discounts must be between 0 and 100');
+  }
+
+  if (this.type === 'fixed_amount' && this.value <= 0) {
+    this.invalidate('value', 'Fixed amount discounts must be greater than 0');
+  }
+
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy X get Y promotions need buyQuantity and getQuantity');
+  }
+
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+
+  next();
+});
+
+// Virtual for whether the promotion can currently be redeemed
+promotionSchema.virtual('isCurrentlyActive').get(function() {
+  const now = new Date();
+  return this.isActive &&
+    (!this.startsAt || this.startsAt <= now) &&
+    (!this.endsAt || this.endsAt > now) &&
+    (!this.usageLimit || this.usageCount < this.usageLimit);
+});
+
+// Static method to find a promotion by customer-entered code
+promotionSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Instance method to check whether a cart line is eligible
+promotionSchema.methods.appliesToItem = function(item) {
+  const products = this.appliesTo?.products || [];
+  const categories = this.appliesTo?.categories || [];
+
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  return products.some(id => id.toString() === item.product.toString()) ||
+    categories.includes(item.category);
+};
+
+// Instance method to calculate the discount for a set of lines
+// Lines are { product, category, price, quantity }
+promotionSchema.methods.calculateDiscount = function(items, shippingCost = 0) {
+  const eligibleItems = items.filter(item => this.appliesToItem(item));
+  const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  let discount = 0;
+  let freeShipping = false;
+
+  switch (this.type) {
+    case 'percentage':
+      discount = eligibleSubtotal * this.value / 100;
+      if (this.maxDiscount) {
+        discount = Math.min(discount, this.maxDiscount);
+      }
+      break;
+    case 'fixed_amount':
+      discount = Math.min(this.value, eligibleSubtotal);
+      break;
+    case 'free_shipping':
+      freeShipping = true;
+      break;
+    case 'buy_x_get_y': {
+      // Discount the cheapest units in each complete buy+get group
+      const unitPrices = eligibleItems
+        .flatMap(item => Array(item.quantity).fill(item.price))
+        .sort((a, b) => b - a);
+      const groupSize = this.buyQuantity + this.getQuantity;
+
+      for (let start = 0; start + groupSize <= unitPrices.length; start += groupSize) {
+        const freeUnits = unitPrices.slice(start + this.buyQuantity, start + groupSize);
+        discount += freeUnits.reduce((sum, price) => sum + price, 0) * this.getDiscountPercent / 100;
+      }
+      break;
+    }
+  }
+
+  return {
+    discount: Math.round(discount * 100) / 100,
+    freeShipping,
+    shippingDiscount: freeShipping ? shippingCost : 0,
+    eligibleSubtotal
+  };
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotion: 1, user: 1 });
+promotionRedemptionSchema.index({ order: 1 }, { unique: true });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
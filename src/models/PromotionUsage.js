@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Uses of a promotion by one customer, claimed atomically so concurrent
+// checkouts cannot go over the per-customer limit
+const promotionUsageSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+promotionUsageSchema.index({ promotion: 1, user: 1 }, { unique: true });
+
+// Static method to claim one use while the customer is under the limit.
+// Once the limit is reached the filter no longer matches, and the upsert
+// fails on the unique index instead of creating a second counter.
+promotionUsageSchema.statics.claim = async function(promotionId, userId, limit) {
+  try {
+    await this.findOneAndUpdate(
+      { promotion: promotionId, user: userId, count: { $lt: limit } },
+      { $inc: { count: 1 } },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to give back a use claimed by an order that did not go through
+promotionUsageSchema.statics.release = function(promotionId, userId) {
+  return this.updateOne(
+    { promotion: promotionId, user: userId, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+// Static method to get how many times a customer has used a promotion
+promotionUsageSchema.statics.countFor = async function(promotionId, userId) {
+  const usage = await this.findOne({ promotion: promotionId, user: userId });
+  return usage?.count || 0;
+};
+
+module.exports = mongoose.model('PromotionUsage', promotionUsageSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Requests counted against one client in one fixed window, shared by every
+// server instance
+const rateLimitCounterSchema = new mongoose.Schema({
+  // <limiter name>:<client key>
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+// Finished windows are no longer read; MongoDB deletes them
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to count one request in the window that contains now and
+// return the window's total so far
+rateLimitCounterSchema.statics.hit = async function(key, windowMs, now = Date.now()) {
+  const windowStart = new Date(now - (now % windowMs));
+  const filter = { key, windowStart };
+  const update = {
+    $inc: { count: 1 },
+    $setOnInsert: { expiresAt: new Date(windowStart.getTime() + windowMs) }
+  };
+
+  try {
+    const counter = await this.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    return { count: counter.count, resetAt: counter.expiresAt };
+  } catch (error) {
+    // Two first requests raced to create the window; the loser increments it
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const counter = await this.findOneAndUpdate(filter, update, { new: true });
+    return { count: counter.count, resetAt: counter.expiresAt };
+  }
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = [
+  'defective',
+  'damaged_in_transit',
+  'wrong_item',
+  'wrong_size',
+  'not_as_described',
+  'changed_mind',
+  'arrived_late',
+  'other'
+];
+
+// Allowed status moves; refunded and rejected are final. A return is
+// refunding while one refund call owns it, and goes back to received if the
+// refund fails.
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refunding', 'rejected'],
+  refunding: ['refunded', 'received'],
+  refunded: [],
+  rejected: []
+};
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  }
+});
+
+const returnSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // The purchaser; empty for gift-receipt returns
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return !this.giftReturn;
+    }
+  },
+  // Returned by the gift recipient with the gift receipt; refunded as store
+  // credit to the recipient rather than to the purchaser's payment
+  giftReturn: {
+    type: Boolean,
+    default: false
+  },
+  recipient: {
+    name: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    }
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return needs at least one item']
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  comments: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: Object.keys(RETURN_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: String
+  }],
+
+  // Refund issued once the goods are received
+  refund: {
+    amount: {
+      type: Number,
+      min: 0
+    },
+    method: {
+      type: String,
+      enum: ['original_payment', 'store_credit']
+    },
+    // Store credit issued for gift-receipt returns
+    giftCard: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GiftCard'
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed']
+    },
+    refundId: String,
+    gatewayResponse: mongoose.Schema.Types.Mixed,
+    error: String,
+    attemptedAt: Date,
+    processedAt: Date
+  },
+
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  approvedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  rejectedAt: Date,
+  rejectionReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+returnSchema.index({ order: 1 });
+returnSchema.index({ user: 1, requestedAt: -1 });
+returnSchema.index({ status: 1, requestedAt: -1 });
+
+// Instance method to check whether a status move is allowed
+returnSchema.methods.canTransitionTo = function(status) {
+  return (RETURN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Instance method to move the return through its lifecycle
+returnSchema.methods.updateStatus = function(status, { changedBy, notes } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move return from ${this.status} to ${status}`);
+  }
+
+  const now = new Date();
+  this.status = status;
+  this.statusHistory.push({ status, changedAt: now, changedBy, notes });
+
+  switch (status) {
+    case 'approved':
+      this.approvedAt = now;
+      break;
+    case 'received':
+      this.receivedAt = now;
+      break;
+    case 'refunded':
+      this.refundedAt = now;
+      break;
+    case 'rejected':
+      this.rejectedAt = now;
+      this.rejectionReason = notes;
+      break;
+  }
+
+  return this.save();
+};
+
+// Static method to claim a received return for refunding. Only one of any
+// concurrent callers gets the return back; the rest get null.
+returnSchema.statics.claimForRefund = function(returnId, { changedBy } = {}) {
+  return this.findOneAndUpdate(
+    { _id: returnId, status: 'received' },
+    {
+      $set: { status: 'refunding' },
+      $push: { statusHistory: { status: 'refunding', changedAt: new Date(), changedBy } }
+    },
+    { new: true }
+  );
+};
+
+// Instance method to hand a return back after a failed refund so it can be
+// retried; receivedAt is kept
+returnSchema.methods.releaseRefundClaim = function({ changedBy, notes } = {}) {
+  this.status = 'received';
+  this.statusHistory.push({ status: 'received', changedAt: new Date(), changedBy, notes });
+  return this.save();
+};
+
+// Static method to count units already under return per order line,
+// ignoring rejected returns
+returnSchema.statics.getReturnedQuantities = async function(orderId) {
+  const returns = await this.find({ order: orderId, status: { $ne: 'rejected' } });
+  const quantities = new Map();
+
+  for (const ret of returns) {
+    for (const item of ret.items) {
+      const key = item.orderItem.toString();
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+
+  return quantities;
+};
+
+module.exports = mongoose.model('Return', returnSchema);
+module.exports.RETURN_REASONS = RETURN_REASONS;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const LIST_NAMES = ['saved_for_later', 'wishlist'];
+
+const savedListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    default: 1
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  },
+  priceWhenAdded: {
+    type: Number,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+const savedListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    enum: LIST_NAMES,
+    required: true
+  },
+  items: [savedListItemSchema]
+}, {
+  timestamps: true
+});
+
+// One list of each kind per user
+savedListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Static method to find or create a named list
+savedListSchema.statics.findOrCreateForUser = async function(userId, name) {
+  let list = await this.findOne({ user: userId, name }).populate('items.product');
+
+  if (!list) {
+    list = new this({ user: userId, name });
+    await list.save();
+  }
+
+  return list;
+};
+
+// Instance method to find the entry for a product variant
+savedListSchema.methods.findItem = function(product, size, color) {
+  const productId = (product._id || product).toString();
+  return this.items.find(item =>
+    (item.product && item.product._id ? item.product._id : item.product).toString() === productId &&
+    item.size === size &&
+    item.color === color
+  ) || null;
+};
+
+// Instance method to add item, keeping a single entry per variant
+savedListSchema.methods.addItem = function(itemData) {
+  const { product, quantity = 1, size, color, price } = itemData;
+
+  const existingItem = this.findItem(product, size, color);
+  if (existingItem) {
+    existingItem.quantity = quantity;
+  } else {
+    this.items.push({
+      product,
+      quantity,
+      size,
+      color,
+      priceWhenAdded: price
+    });
+  }
+
+  return this.save();
+};
+
+// Instance method to remove item
+savedListSchema.methods.removeItem = function(itemId) {
+  this.items.pull({ _id: itemId });
+  return this.save();
+};
+
+module.exports = mongoose.model('SavedList', savedListSchema);
+module.exports.LIST_NAMES = LIST_NAMES;
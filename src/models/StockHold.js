@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Stock set aside for a checkout, shared by every server instance. A hold
+// only lowers the stock others can buy; the stock itself is decremented when
+// the order is confirmed.
+const stockHoldSchema = new mongoose.Schema({
+  // Who holds the stock, e.g. cart:<cartId>
+  reservationId: {
+    type: String,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  size: {
+    type: String,
+    default: null
+  },
+  color: {
+    type: String,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+stockHoldSchema.index({ reservationId: 1, product: 1, size: 1, color: 1 }, { unique: true });
+stockHoldSchema.index({ product: 1, size: 1, color: 1, expiresAt: 1 });
+// Holds stop counting the moment they expire; MongoDB deletes them later
+stockHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to total the unexpired holds on a product or variant,
+// optionally leaving out one reservation's own hold
+stockHoldSchema.statics.getHeldQuantity = async function(productId, { size, color, excludeReservation } = {}) {
+  const match = {
+    product: new mongoose.Types.ObjectId(productId.toString()),
+    size: size || null,
+    color: color || null,
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeReservation) {
+    match.reservationId = { $ne: excludeReservation };
+  }
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+  ]);
+
+  return result?.quantity || 0;
+};
+
+module.exports = mongoose.model('StockHold', stockHoldSchema);
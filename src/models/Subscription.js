@@ -0,0 +1,226 @@
+const mongoose = require('mongoose');
+const { addressSchema } = require('./Order');
+
+// active: renews on schedule; past_due: last renewal failed and is being retried;
+// paused: no renewals until resumed; cancelled: final
+const SUBSCRIPTION_STATUSES = ['active', 'past_due', 'paused', 'cancelled'];
+const INTERVAL_UNITS = ['week', 'month'];
+
+const subscriptionItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  size: {
+    type: String,
+    trim: true
+  },
+  color: {
+    type: String,
+    trim: true
+  }
+});
+
+// One entry per scheduled delivery, whether it was placed, skipped or failed
+const renewalSchema = new mongoose.Schema({
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['placed', 'skipped', 'failed'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const subscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'active'
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: [items => items.length > 0, 'A subscription needs at least one item']
+  },
+  // Deliver every <count> <unit>s
+  interval: {
+    count: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 12
+    },
+    unit: {
+      type: String,
+      enum: INTERVAL_UNITS,
+      required: true
+    }
+  },
+  shippingAddress: {
+    type: addressSchema,
+    required: true
+  },
+  billingAddress: {
+    type: addressSchema,
+    required: true
+  },
+  shippingMethod: {
+    type: String,
+    enum: ['standard', 'express', 'overnight'],
+    default: 'standard'
+  },
+  // Card saved with the gateway and charged off-session on each renewal
+  payment: {
+    method: {
+      type: String,
+      enum: ['credit_card', 'debit_card'],
+      default: 'credit_card'
+    },
+    customerId: {
+      type: String,
+      required: true
+    },
+    paymentMethodId: {
+      type: String,
+      required: true
+    },
+    brand: String,
+    last4: String
+  },
+  nextRenewalAt: {
+    type: Date,
+    required: true
+  },
+
+  // Failed renewal retries; cleared once a renewal goes through
+  dunning: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    lastFailedAt: Date,
+    lastError: String
+  },
+  // Renewal order whose checkout is in flight
+  pendingOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  renewals: [renewalSchema],
+
+  pausedAt: Date,
+  // Resume automatically at this time; unset pauses last until resumed
+  resumeAt: Date,
+  pauseReason: {
+    type: String,
+    enum: ['customer', 'payment_failed']
+  },
+  cancelledAt: Date,
+  cancelReason: {
+    type: String,
+    trim: true
+  },
+  // Set while the scheduler is renewing the subscription
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ user: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, nextRenewalAt: 1 });
+subscriptionSchema.index({ status: 1, 'dunning.nextAttemptAt': 1 });
+subscriptionSchema.index({ status: 1, resumeAt: 1 });
+
+// Instance method to get the delivery date one interval after a date.
+// Months keep the day where they can, e.g. Jan 31 is followed by Feb 28.
+subscriptionSchema.methods.addInterval = function(date) {
+  const next = new Date(date);
+
+  if (this.interval.unit === 'week') {
+    next.setUTCDate(next.getUTCDate() + 7 * this.interval.count);
+    return next;
+  }
+
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + this.interval.count);
+  const daysInMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, daysInMonth));
+  return next;
+};
+
+// Instance method to move the schedule to the first delivery after now; the caller saves
+subscriptionSchema.methods.advanceSchedule = function() {
+  const now = new Date();
+  let next = this.addInterval(this.nextRenewalAt);
+  while (next <= now) {
+    next = this.addInterval(next);
+  }
+  this.nextRenewalAt = next;
+  return next;
+};
+
+// Instance method to skip the next delivery; the caller saves
+subscriptionSchema.methods.skipNext = function() {
+  this.renewals.push({ scheduledFor: this.nextRenewalAt, status: 'skipped' });
+  return this.advanceSchedule();
+};
+
+// Instance method to stop renewals until resumed; the caller saves
+subscriptionSchema.methods.pause = function({ resumeAt, reason = 'customer' } = {}) {
+  this.status = 'paused';
+  this.pausedAt = new Date();
+  this.resumeAt = resumeAt;
+  this.pauseReason = reason;
+  return this;
+};
+
+// Instance method to restart renewals. A delivery missed while paused is
+// placed on the next scheduler run. The caller saves.
+subscriptionSchema.methods.resume = function() {
+  this.status = 'active';
+  this.pausedAt = undefined;
+  this.resumeAt = undefined;
+  this.pauseReason = undefined;
+  this.dunning = { attempts: 0 };
+  if (this.nextRenewalAt < new Date()) {
+    this.nextRenewalAt = new Date();
+  }
+  return this;
+};
+
+// Virtual for whether the customer can still change the subscription
+subscriptionSchema.virtual('isEditable').get(function() {
+  return this.status !== 'cancelled';
+});
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
+module.exports.SUBSCRIPTION_STATUSES = SUBSCRIPTION_STATUSES;
+module.exports.INTERVAL_UNITS = INTERVAL_UNITS;
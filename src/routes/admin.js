@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
+const loadUser = require('../middleware/loadUser');
 const { 
   requireAdmin, 
   requireSuperAdmin, 
@@ -10,6 +11,7 @@ const {
   logAdminAction 
 } = require('../middleware/admin');
 const { validate } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
 
 // Import controllers
 const adminController = require('../controllers/adminController');
@@ -17,9 +19,16 @@ const adminProductController = require('../controllers/admin/productController')
 const adminUserController = require('../controllers/admin/userController');
 const adminOrderController = require('../controllers/admin/orderController');
 const adminAnalyticsController = require('../controllers/admin/analyticsController');
+const adminCartController = require('../controllers/admin/cartController');
+const adminPromotionController = require('../controllers/admin/promotionController');
+const adminReturnController = require('../controllers/admin/returnController');
+const adminInvoiceController = require('../controllers/admin/invoiceController');
+const adminGiftCardController = require('../controllers/admin/giftCardController');
+const adminPreorderController = require('../controllers/admin/preorderController');
 
 // Apply auth and admin middleware to all routes
 router.use(auth);
+router.use(loadUser);
 router.use(requireAdmin);
 router.use(adminRateLimit(200, 15 * 60 * 1000)); // 200 requests per 15 minutes
 
@@ -331,6 +340,218 @@ router.delete('/products/:productId',
   adminProductController.deleteProduct
 );
 
+/**
+ * Preorder Management Routes
+ */
+
+/**
+ * @swagger
+ * /api/admin/preorders:
+ *   get:
+ *     summary: Get preorder and backorder offers with pagination
+ *     tags: [Admin - Preorders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [preorder, backorder]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ */
+router.get('/preorders',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('product').optional().isMongoId().withMessage('Invalid product ID'),
+    query('type').optional().isIn(['preorder', 'backorder']),
+    query('isActive').optional().isIn(['true', 'false']),
+    validate
+  ],
+  requirePermission('manage_products'),
+  logAdminAction('view_preorder_offers'),
+  adminPreorderController.getPreorderOffers
+);
+
+/**
+ * @swagger
+ * /api/admin/preorders:
+ *   post:
+ *     summary: Open a preorder or backorder offer
+ *     description: >
+ *       Lets customers order a product, or one size/color of it, when stock
+ *       cannot cover the order. Payment is authorized at checkout and captured
+ *       once stock added through inventory updates has been allocated to every
+ *       line, oldest order first.
+ *     tags: [Admin - Preorders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, type, expectedShipDate]
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *                 description: Leave size and color out to cover every variant
+ *               color:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [preorder, backorder]
+ *               expectedShipDate:
+ *                 type: string
+ *                 format: date-time
+ *               cap:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Most units that can be ordered; no cap when left out
+ *     responses:
+ *       201:
+ *         description: Offer opened
+ *       400:
+ *         description: Invalid input, unknown variant or an offer is already open for it
+ */
+router.post('/preorders',
+  [
+    body('productId').isMongoId().withMessage('Invalid product ID'),
+    body('size').optional().isString().trim().notEmpty(),
+    body('color').optional().isString().trim().notEmpty(),
+    body('type').isIn(['preorder', 'backorder']),
+    body('expectedShipDate').isISO8601().custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expected ship date must be in the future');
+      }
+      return true;
+    }),
+    body('cap').optional().isInt({ min: 1 }).toInt(),
+    validate
+  ],
+  requirePermission('manage_products'),
+  logAdminAction('create_preorder_offer'),
+  idempotent('create_preorder_offer'),
+  adminPreorderController.createPreorderOffer
+);
+
+/**
+ * @swagger
+ * /api/admin/preorders/{offerId}:
+ *   get:
+ *     summary: Get an offer with the orders waiting on it, oldest first
+ *     tags: [Admin - Preorders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Offer retrieved successfully
+ *       404:
+ *         description: Offer not found
+ */
+router.get('/preorders/:offerId',
+  [
+    param('offerId').isMongoId().withMessage('Invalid offer ID'),
+    validate
+  ],
+  requirePermission('manage_products'),
+  logAdminAction('view_preorder_offer'),
+  adminPreorderController.getPreorderOffer
+);
+
+/**
+ * @swagger
+ * /api/admin/preorders/{offerId}:
+ *   patch:
+ *     summary: Move an offer's ship date, change its cap or close it
+ *     description: >
+ *       A new ship date applies to every line still waiting on the offer.
+ *       Customers are emailed when it is later than the date they were given.
+ *       Closing the offer stops new orders; waiting orders are still filled.
+ *     tags: [Admin - Preorders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: offerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expectedShipDate:
+ *                 type: string
+ *                 format: date-time
+ *               cap:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 description: null removes the cap
+ *               isActive:
+ *                 type: boolean
+ *               reason:
+ *                 type: string
+ *                 description: Why the ship date moved; shown in the offer's history
+ *     responses:
+ *       200:
+ *         description: Offer updated
+ *       400:
+ *         description: Invalid input or cap below the units already ordered
+ *       404:
+ *         description: Offer not found
+ */
+router.patch('/preorders/:offerId',
+  [
+    param('offerId').isMongoId().withMessage('Invalid offer ID'),
+    body('expectedShipDate').optional().isISO8601(),
+    body('cap').optional({ nullable: true }).isInt({ min: 1 }).toInt(),
+    body('isActive').optional().isBoolean().toBoolean(),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    validate
+  ],
+  requirePermission('manage_products'),
+  logAdminAction('update_preorder_offer'),
+  adminPreorderController.updatePreorderOffer
+);
+
 /**
  * Order Management Routes
  */
@@ -339,15 +560,95 @@ router.delete('/products/:productId',
  * @swagger
  * /api/admin/orders:
  *   get:
- *     summary: Get all orders for admin
+ *     summary: Search all orders
  *     tags: [Admin - Orders]
  *     security:
  *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Order number, customer name or customer email
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: paymentStatus
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: carrier
+ *         schema:
+ *           type: string
+ *           enum: [ups, fedex, usps, dhl]
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only orders containing this product ID
+ *       - in: query
+ *         name: discountCode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [web, mobile, api, admin, subscription]
+ *       - in: query
+ *         name: placedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: placedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *       - $ref: '#/components/parameters/OrderSortBy'
+ *       - $ref: '#/components/parameters/SortOrder'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Orders retrieved successfully
+ *         description: Orders and the cursor for the next page
+ *       400:
+ *         description: Invalid cursor
  */
 router.get('/orders',
+  [
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('status').optional().isIn(['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'refunded']),
+    query('paymentStatus').optional().isIn(['pending', 'processing', 'authorized', 'completed', 'failed', 'cancelled', 'refund_pending', 'partially_refunded', 'refunded', 'refund_failed']),
+    query('carrier').optional().isIn(['ups', 'fedex', 'usps', 'dhl']),
+    query('product').optional().isMongoId().withMessage('Invalid product ID'),
+    query('discountCode').optional().isString().trim(),
+    query('source').optional().isIn(['web', 'mobile', 'api', 'admin', 'subscription']),
+    query('placedFrom').optional().isISO8601(),
+    query('placedTo').optional().isISO8601(),
+    query('minTotal').optional().isFloat({ min: 0 }),
+    query('maxTotal').optional().isFloat({ min: 0 }),
+    query('sortBy').optional().isIn(['placedAt', 'total', 'orderNumber']),
+    query('sortOrder').optional().isIn(['asc', 'desc']),
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    validate
+  ],
   requirePermission('manage_orders'),
   logAdminAction('view_orders'),
   adminOrderController.getOrders
@@ -358,10 +659,17 @@ router.get('/orders',
  * /api/admin/orders/{orderId}/status:
  *   put:
  *     summary: Update order status
+ *     description: >
+ *       Cancelling restocks the order, releases preorder places and voids or
+ *       refunds the payment. Refunding a delivered order refunds what is left
+ *       and restocks it. Shipping creates a shipment for every unshipped line
+ *       under the same rules as POST /api/admin/orders/{orderId}/shipments;
+ *       partial shipments go through that endpoint.
  *     tags: [Admin - Orders]
  *     security:
  *       - adminAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: orderId
  *         required: true
@@ -378,22 +686,40 @@ router.get('/orders',
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, processing, shipped, delivered, cancelled, refunded]
+ *                 enum: [pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled, refunded]
  *               notes:
  *                 type: string
+ *                 description: Reason recorded in the order's status history
+ *               carrier:
+ *                 type: string
+ *                 enum: [ups, fedex, usps, dhl]
+ *                 description: Required when shipping; every unshipped line goes in one shipment
+ *               trackingNumber:
+ *                 type: string
+ *                 description: Required when shipping
+ *               trackingUrl:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Order status updated successfully
+ *       400:
+ *         description: Transition not allowed from the current status, or the order cannot ship yet
+ *       502:
+ *         description: The payment gateway refused the refund; the order is unchanged
  */
 router.put('/orders/:orderId/status',
   [
     param('orderId').isMongoId().withMessage('Invalid order ID'),
-    body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded']),
+    body('status').isIn(['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'refunded']),
     body('notes').optional().isString().trim(),
+    body('carrier').if(body('status').equals('shipped')).isIn(['ups', 'fedex', 'usps', 'dhl']),
+    body('trackingNumber').if(body('status').equals('shipped')).isString().trim().notEmpty(),
+    body('trackingUrl').optional().isURL(),
     validate
   ],
   requirePermission('manage_orders'),
   logAdminAction('update_order_status'),
+  idempotent('update_order_status'),
   adminOrderController.updateOrderStatus
 );
 
@@ -442,6 +768,1022 @@ router.put('/orders/:orderId/shipping',
   adminOrderController.updateShipping
 );
 
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/shipments:
+ *   post:
+ *     summary: Ship some of an order's items in one box
+ *     tags: [Admin - Orders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Order item IDs in this box; defaults to every unshipped item
+ *                 items:
+ *                   type: string
+ *               carrier:
+ *                 type: string
+ *                 enum: [ups, fedex, usps, dhl]
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               estimatedDelivery:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Shipment created; order becomes partially shipped or shipped
+ *       400:
+ *         description: Items already shipped or order not ready to ship
+ */
+router.post('/orders/:orderId/shipments',
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*').isMongoId().withMessage('Invalid order item ID'),
+    body('carrier').isIn(['ups', 'fedex', 'usps', 'dhl']),
+    body('trackingNumber').isString().trim().notEmpty(),
+    body('trackingUrl').optional().isURL(),
+    body('estimatedDelivery').optional().isISO8601().toDate(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('create_order_shipment'),
+  adminOrderController.createShipment
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/shipments/{shipmentId}:
+ *   put:
+ *     summary: Update a shipment's tracking or mark it delivered
+ *     tags: [Admin - Orders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [delivered]
+ *               carrier:
+ *                 type: string
+ *                 enum: [ups, fedex, usps, dhl]
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrl:
+ *                 type: string
+ *               estimatedDelivery:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Shipment updated
+ */
+router.put('/orders/:orderId/shipments/:shipmentId',
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    param('shipmentId').isMongoId().withMessage('Invalid shipment ID'),
+    body('status').optional().isIn(['delivered']),
+    body('carrier').optional().isIn(['ups', 'fedex', 'usps', 'dhl']),
+    body('trackingNumber').optional().isString().trim(),
+    body('trackingUrl').optional().isURL(),
+    body('estimatedDelivery').optional().isISO8601().toDate(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('update_order_shipment'),
+  adminOrderController.updateShipment
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/refund:
+ *   post:
+ *     summary: Retry a failed refund through the payment gateway
+ *     tags: [Admin - Orders]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the unrefunded remainder of the payment
+ *               reason:
+ *                 type: string
+ *                 enum: [duplicate, fraudulent, requested_by_customer]
+ *     responses:
+ *       200:
+ *         description: Refund submitted
+ *       400:
+ *         description: Order has no failed refund to retry
+ *       502:
+ *         description: Payment gateway rejected the refund
+ */
+router.post('/orders/:orderId/refund',
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+    body('reason').optional().isIn(['duplicate', 'fraudulent', 'requested_by_customer']),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('retry_order_refund'),
+  idempotent('retry_order_refund'),
+  adminOrderController.retryRefund
+);
+
+/**
+ * Invoice Routes
+ */
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/invoice:
+ *   get:
+ *     summary: Download the invoice for an order
+ *     tags: [Admin - Invoices]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *         description: Overrides the Accept header
+ *     responses:
+ *       200:
+ *         description: Invoice rendered in the requested format
+ *         content:
+ *           application/json: {}
+ *           text/html: {}
+ *           application/pdf: {}
+ */
+router.get('/orders/:orderId/invoice',
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    query('format').optional().isIn(['json', 'html', 'pdf']),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('view_order_invoice'),
+  adminInvoiceController.getOrderInvoice
+);
+
+/**
+ * @swagger
+ * /api/admin/orders/{orderId}/packing-slip:
+ *   get:
+ *     summary: Print the packing slip for an order
+ *     description: Gift orders show the gift message and receipt code instead of prices.
+ *     tags: [Admin - Invoices]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: shipmentId
+ *         schema:
+ *           type: string
+ *         description: Only the lines in this shipment
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [html, pdf]
+ *         description: Overrides the Accept header
+ *     responses:
+ *       200:
+ *         description: Packing slip
+ *         content:
+ *           text/html: {}
+ *           application/pdf: {}
+ */
+router.get('/orders/:orderId/packing-slip',
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    query('shipmentId').optional().isMongoId().withMessage('Invalid shipment ID'),
+    query('format').optional().isIn(['html', 'pdf']),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('print_packing_slip'),
+  adminInvoiceController.getPackingSlip
+);
+
+/**
+ * @swagger
+ * /api/admin/invoices/export:
+ *   get:
+ *     summary: Export invoices and credit notes issued in a date range
+ *     tags: [Admin - Invoices]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [invoice, credit_note]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Export file (CSV summary, combined PDF or JSON)
+ */
+router.get('/invoices/export',
+  [
+    query('from').isISO8601().withMessage('from must be a date'),
+    query('to').isISO8601().withMessage('to must be a date')
+      .custom((to, { req }) => new Date(to) >= new Date(req.query.from))
+      .withMessage('to must not be before from'),
+    query('type').optional().isIn(['invoice', 'credit_note']),
+    query('format').optional().isIn(['csv', 'pdf', 'json']),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('export_invoices'),
+  adminInvoiceController.exportInvoices
+);
+
+/**
+ * Return Management Routes
+ */
+
+/**
+ * @swagger
+ * /api/admin/returns:
+ *   get:
+ *     summary: Get return requests
+ *     tags: [Admin - Returns]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, approved, received, refunding, refunded, rejected]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ */
+router.get('/returns',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('status').optional().isIn(['requested', 'approved', 'received', 'refunding', 'refunded', 'rejected']),
+    query('orderId').optional().isMongoId(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('view_returns'),
+  adminReturnController.getReturns
+);
+
+/**
+ * @swagger
+ * /api/admin/returns/{returnId}/approve:
+ *   put:
+ *     summary: Approve a return request
+ *     tags: [Admin - Returns]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved
+ *       400:
+ *         description: Return is not in a state that allows this action
+ *       404:
+ *         description: Return not found
+ */
+router.put('/returns/:returnId/approve',
+  [
+    param('returnId').isMongoId().withMessage('Invalid return ID'),
+    body('notes').optional().isString().trim(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('approve_return'),
+  adminReturnController.approveReturn
+);
+
+/**
+ * @swagger
+ * /api/admin/returns/{returnId}/reject:
+ *   put:
+ *     summary: Reject a return request
+ *     tags: [Admin - Returns]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected
+ *       400:
+ *         description: Return is not in a state that allows this action
+ *       404:
+ *         description: Return not found
+ */
+router.put('/returns/:returnId/reject',
+  [
+    param('returnId').isMongoId().withMessage('Invalid return ID'),
+    body('notes').optional().isString().trim(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('reject_return'),
+  adminReturnController.rejectReturn
+);
+
+/**
+ * @swagger
+ * /api/admin/returns/{returnId}/receive:
+ *   put:
+ *     summary: Mark a return as received and refund it
+ *     tags: [Admin - Returns]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return received and refunded; 502 if the refund failed
+ *       400:
+ *         description: Return is not in a state that allows this action
+ *       404:
+ *         description: Return not found
+ */
+router.put('/returns/:returnId/receive',
+  [
+    param('returnId').isMongoId().withMessage('Invalid return ID'),
+    body('notes').optional().isString().trim(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('receive_return'),
+  idempotent('receive_return'),
+  adminReturnController.receiveReturn
+);
+
+/**
+ * @swagger
+ * /api/admin/returns/{returnId}/refund:
+ *   post:
+ *     summary: Retry the refund for a received return
+ *     tags: [Admin - Returns]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: returnId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Return refunded
+ *       400:
+ *         description: Return has not been received
+ *       409:
+ *         description: Another request is already refunding the return
+ *       502:
+ *         description: Payment gateway refused the refund
+ */
+router.post('/returns/:returnId/refund',
+  [
+    param('returnId').isMongoId().withMessage('Invalid return ID'),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('refund_return'),
+  idempotent('refund_return'),
+  adminReturnController.refundReturn
+);
+
+/**
+ * Promotion Management Routes
+ */
+
+const promotionValidators = [
+  body('description').optional().isString().trim(),
+  body('value').optional().isFloat({ min: 0 }),
+  body('maxDiscount').optional().isFloat({ min: 0 }),
+  body('buyQuantity').optional().isInt({ min: 1 }),
+  body('getQuantity').optional().isInt({ min: 1 }),
+  body('getDiscountPercent').optional().isFloat({ min: 0, max: 100 }),
+  body('appliesTo.products').optional().isArray(),
+  body('appliesTo.products.*').isMongoId().withMessage('Invalid product ID'),
+  body('appliesTo.categories').optional().isArray(),
+  body('appliesTo.categories.*').isString().trim(),
+  body('minimumOrderValue').optional().isFloat({ min: 0 }),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }),
+  body('usageLimitPerCustomer').optional({ nullable: true }).isInt({ min: 1 }),
+  body('startsAt').optional({ nullable: true }).isISO8601(),
+  body('endsAt').optional({ nullable: true }).isISO8601(),
+  body('isActive').optional().isBoolean()
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Promotion:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed_amount, free_shipping, buy_x_get_y]
+ *         value:
+ *           type: number
+ *           description: Percentage (0-100) or fixed amount, depending on type
+ *         maxDiscount:
+ *           type: number
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *         getDiscountPercent:
+ *           type: number
+ *         appliesTo:
+ *           type: object
+ *           properties:
+ *             products:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *         minimumOrderValue:
+ *           type: number
+ *         usageLimit:
+ *           type: integer
+ *         usageLimitPerCustomer:
+ *           type: integer
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   get:
+ *     summary: Get promotions with pagination
+ *     tags: [Admin - Promotions]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by code
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved successfully
+ */
+router.get('/promotions',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('search').optional().isString(),
+    query('active').optional().isBoolean(),
+    validate
+  ],
+  requirePermission('manage_promotions'),
+  logAdminAction('view_promotions'),
+  adminPromotionController.getPromotions
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions:
+ *   post:
+ *     summary: Create promotion
+ *     tags: [Admin - Promotions]
+ *     security:
+ *       - adminAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ *       409:
+ *         description: Code already exists
+ */
+router.post('/promotions',
+  [
+    body('code').isString().trim().notEmpty().withMessage('Code is required'),
+    body('type').isIn(['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y']),
+    ...promotionValidators,
+    validate
+  ],
+  requirePermission('manage_promotions'),
+  logAdminAction('create_promotion'),
+  adminPromotionController.createPromotion
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions/{promotionId}:
+ *   get:
+ *     summary: Get promotion details and redemption totals
+ *     tags: [Admin - Promotions]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion retrieved successfully
+ *       404:
+ *         description: Promotion not found
+ */
+router.get('/promotions/:promotionId',
+  [
+    param('promotionId').isMongoId().withMessage('Invalid promotion ID'),
+    validate
+  ],
+  requirePermission('manage_promotions'),
+  logAdminAction('view_promotion'),
+  adminPromotionController.getPromotion
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions/{promotionId}:
+ *   put:
+ *     summary: Update promotion
+ *     tags: [Admin - Promotions]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Promotion'
+ *     responses:
+ *       200:
+ *         description: Promotion updated successfully
+ *       404:
+ *         description: Promotion not found
+ */
+router.put('/promotions/:promotionId',
+  [
+    param('promotionId').isMongoId().withMessage('Invalid promotion ID'),
+    body('code').optional().isString().trim().notEmpty(),
+    body('type').optional().isIn(['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y']),
+    ...promotionValidators,
+    validate
+  ],
+  requirePermission('manage_promotions'),
+  logAdminAction('update_promotion'),
+  adminPromotionController.updatePromotion
+);
+
+/**
+ * @swagger
+ * /api/admin/promotions/{promotionId}:
+ *   delete:
+ *     summary: Delete promotion (deactivates it if it has been redeemed)
+ *     tags: [Admin - Promotions]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: promotionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotion deleted or deactivated
+ *       404:
+ *         description: Promotion not found
+ */
+router.delete('/promotions/:promotionId',
+  [
+    param('promotionId').isMongoId().withMessage('Invalid promotion ID'),
+    validate
+  ],
+  requirePermission('manage_promotions'),
+  logAdminAction('delete_promotion'),
+  adminPromotionController.deletePromotion
+);
+
+/**
+ * Gift Card Management Routes
+ */
+
+/**
+ * @swagger
+ * /api/admin/gift-cards:
+ *   get:
+ *     summary: Get gift cards and store credit with pagination
+ *     tags: [Admin - Gift Cards]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Recipient email
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [gift_card, store_credit]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, active, void]
+ *     responses:
+ *       200:
+ *         description: Gift cards retrieved successfully
+ */
+router.get('/gift-cards',
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('code').optional().isString().trim(),
+    query('email').optional().trim().isEmail(),
+    query('kind').optional().isIn(['gift_card', 'store_credit']),
+    query('status').optional().isIn(['pending', 'active', 'void']),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('view_gift_cards'),
+  adminGiftCardController.getGiftCards
+);
+
+/**
+ * @swagger
+ * /api/admin/gift-cards:
+ *   post:
+ *     summary: Issue a gift card or store credit
+ *     tags: [Admin - Gift Cards]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, reason]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *               kind:
+ *                 type: string
+ *                 enum: [gift_card, store_credit]
+ *                 default: gift_card
+ *               currency:
+ *                 type: string
+ *                 default: USD
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to GIFT_CARD_EXPIRY_DAYS from now
+ *               recipientName:
+ *                 type: string
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               message:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Recorded on the ledger
+ *               notifyRecipient:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Email the code to the recipient
+ *     responses:
+ *       201:
+ *         description: Gift card issued
+ */
+router.post('/gift-cards',
+  [
+    body('amount').isFloat({ min: 0.01 }),
+    body('kind').optional().isIn(['gift_card', 'store_credit']),
+    body('currency').optional().isString().trim().isLength({ min: 3, max: 3 }),
+    body('expiresAt').optional().isISO8601().custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Expiry must be in the future');
+      }
+      return true;
+    }),
+    body('recipientName').optional().isString().trim().isLength({ max: 100 }),
+    body('recipientEmail').optional().trim().isEmail(),
+    body('message').optional().isString().trim().isLength({ max: 500 }),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 }),
+    body('notifyRecipient').optional().isBoolean(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('issue_gift_card'),
+  idempotent('issue_gift_card'),
+  adminGiftCardController.issueGiftCard
+);
+
+/**
+ * @swagger
+ * /api/admin/gift-cards/{giftCardId}:
+ *   get:
+ *     summary: Get a gift card with its ledger of debits and credits
+ *     tags: [Admin - Gift Cards]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: giftCardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gift card retrieved successfully
+ *       404:
+ *         description: Gift card not found
+ */
+router.get('/gift-cards/:giftCardId',
+  [
+    param('giftCardId').isMongoId().withMessage('Invalid gift card ID'),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('view_gift_card'),
+  adminGiftCardController.getGiftCard
+);
+
+/**
+ * @swagger
+ * /api/admin/gift-cards/{giftCardId}/void:
+ *   post:
+ *     summary: Void a gift card, writing off its remaining balance
+ *     tags: [Admin - Gift Cards]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: giftCardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Gift card voided
+ *       400:
+ *         description: Gift card is already void
+ *       404:
+ *         description: Gift card not found
+ */
+router.post('/gift-cards/:giftCardId/void',
+  [
+    param('giftCardId').isMongoId().withMessage('Invalid gift card ID'),
+    body('reason').isString().trim().notEmpty().isLength({ max: 500 }),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('void_gift_card'),
+  adminGiftCardController.voidGiftCard
+);
+
+/**
+ * Cart Management Routes
+ */
+
+/**
+ * @swagger
+ * /api/admin/carts/abandoned/report:
+ *   get:
+ *     summary: Get abandoned cart reminder and recovery rates
+ *     tags: [Admin - Carts]
+ *     security:
+ *       - adminAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include reminders sent on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only include reminders sent on or before this date
+ *     responses:
+ *       200:
+ *         description: Recovery report retrieved successfully
+ */
+router.get('/carts/abandoned/report',
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    validate
+  ],
+  requirePermission('manage_orders'),
+  logAdminAction('view_abandoned_cart_report'),
+  adminCartController.getAbandonedCartReport
+);
+
 /**
  * System Management Routes (Super Admin Only)
  */
@@ -2,7 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { body, param } = require('express-validator');
 const auth = require('../middleware/auth');
+const { resolveCartOwner } = require('../middleware/cartSession');
 const cartController = require('../controllers/cartController');
+const savedListController = require('../controllers/savedListController');
+const { LIST_NAMES } = require('../models/SavedList');
 const { validate } = require('../middleware/validation');
 
 /**
@@ -25,6 +28,27 @@ const { validate } = require('../middleware/validation');
  *         color:
  *           type: string
  *           description: Product color
+ *   parameters:
+ *     GuestId:
+ *       in: header
+ *       name: X-Guest-Id
+ *       required: false
+ *       schema:
+ *         type: string
+ *         format: uuid
+ *       description: >
+ *         Guest cart token for anonymous shoppers. Issued in the X-Guest-Id
+ *         response header on first use; the guest cart is merged into the
+ *         user's cart when the same header is sent on login or register.
+ *     IfMatch:
+ *       in: header
+ *       name: If-Match
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Cart version (the ETag of the last cart response). When it no longer
+ *         matches, the change is rejected with 409 and the current cart.
  */
 
 /**
@@ -35,13 +59,16 @@ const { validate } = require('../middleware/validation');
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
  *     responses:
  *       200:
  *         description: User's cart items
  *       401:
  *         description: Unauthorized
  */
-router.get('/', auth, cartController.getCart);
+router.get('/', resolveCartOwner, cartController.getCart);
 
 /**
  * @swagger
@@ -51,6 +78,10 @@ router.get('/', auth, cartController.getCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -64,9 +95,11 @@ router.get('/', auth, cartController.getCart);
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
  */
 router.post('/add', [
-  auth,
+  resolveCartOwner,
   body('productId').notEmpty().withMessage('Product ID is required'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
   body('size').optional().isString(),
@@ -82,7 +115,10 @@ router.post('/add', [
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: itemId
  *         required: true
@@ -107,9 +143,11 @@ router.post('/add', [
  *         description: Unauthorized
  *       404:
  *         description: Cart item not found
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
  */
 router.put('/update/:itemId', [
-  auth,
+  resolveCartOwner,
   param('itemId').isMongoId().withMessage('Invalid item ID'),
   body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
   validate
@@ -123,7 +161,10 @@ router.put('/update/:itemId', [
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
  *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: itemId
  *         required: true
@@ -136,9 +177,11 @@ router.put('/update/:itemId', [
  *         description: Unauthorized
  *       404:
  *         description: Cart item not found
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
  */
 router.delete('/remove/:itemId', [
-  auth,
+  resolveCartOwner,
   param('itemId').isMongoId().withMessage('Invalid item ID'),
   validate
 ], cartController.removeFromCart);
@@ -151,13 +194,82 @@ router.delete('/remove/:itemId', [
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Cart cleared
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
+ */
+router.delete('/clear', resolveCartOwner, cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/cart/batch:
+ *   post:
+ *     summary: Apply an ordered list of cart operations in one save
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 description: Apply nothing unless every operation succeeds
+ *               operations:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     op:
+ *                       type: string
+ *                       enum: [add, update, remove]
+ *                     productId:
+ *                       type: string
+ *                       description: Required for add
+ *                     itemId:
+ *                       type: string
+ *                       description: Required for update and remove
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     size:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Operations applied; per-operation results included
+ *       400:
+ *         description: Invalid input, or an atomic batch had failing operations
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
  */
-router.delete('/clear', auth, cartController.clearCart);
+router.post('/batch', [
+  resolveCartOwner,
+  body('operations').isArray({ min: 1, max: 100 }).withMessage('Operations must be a list of 1 to 100 entries'),
+  body('atomic').optional().isBoolean(),
+  validate
+], cartController.batchUpdateCart);
 
 /**
  * @swagger
@@ -167,12 +279,277 @@ router.delete('/clear', auth, cartController.clearCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - $ref: '#/components/parameters/GuestId'
  *     responses:
  *       200:
  *         description: Cart items count
  *       401:
  *         description: Unauthorized
  */
-router.get('/count', auth, cartController.getCartCount);
+router.get('/count', resolveCartOwner, cartController.getCartCount);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Begin checkout and reserve stock for every cart line
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock reserved; the cart includes the reservation expiry
+ *       400:
+ *         description: Cart is empty
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Insufficient stock to reserve
+ *   delete:
+ *     summary: Abandon checkout and release reserved stock
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/checkout', auth, cartController.beginCheckout);
+router.delete('/checkout', auth, cartController.cancelCheckout);
+
+/**
+ * @swagger
+ * /api/cart/checkout/extend:
+ *   post:
+ *     summary: Extend the checkout stock reservation during payment
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Reservation extended
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Reservation expired; checkout must begin again
+ */
+router.post('/checkout/extend', auth, cartController.extendCheckout);
+
+/**
+ * @swagger
+ * /api/cart/recover/{token}:
+ *   get:
+ *     summary: Restore a cart from an abandoned cart reminder link
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signed token from the reminder email
+ *     responses:
+ *       200:
+ *         description: Cart restored, or login required to view it
+ *       403:
+ *         description: Cart belongs to another user
+ *       404:
+ *         description: Invalid or expired link
+ */
+router.get('/recover/:token', resolveCartOwner, cartController.restoreCart);
+
+/**
+ * Saved-for-later and wishlist routes
+ */
+
+/**
+ * @swagger
+ * /api/cart/lists/{list}:
+ *   get:
+ *     summary: Get a saved list with current price and stock
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [saved_for_later, wishlist]
+ *     responses:
+ *       200:
+ *         description: Saved list items
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/lists/:list', [
+  auth,
+  param('list').isIn(LIST_NAMES).withMessage('Invalid list'),
+  validate
+], savedListController.getList);
+
+/**
+ * @swagger
+ * /api/cart/lists/{list}/items:
+ *   post:
+ *     summary: Add a product to a saved list
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [saved_for_later, wishlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CartItem'
+ *     responses:
+ *       201:
+ *         description: Item added to list
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/lists/:list/items', [
+  auth,
+  param('list').isIn(LIST_NAMES).withMessage('Invalid list'),
+  body('productId').notEmpty().withMessage('Product ID is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('size').optional().isString(),
+  body('color').optional().isString(),
+  validate
+], savedListController.addToList);
+
+/**
+ * @swagger
+ * /api/cart/lists/{list}/items/{itemId}:
+ *   delete:
+ *     summary: Remove a product from a saved list
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [saved_for_later, wishlist]
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed from list
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: List item not found
+ */
+router.delete('/lists/:list/items/:itemId', [
+  auth,
+  param('list').isIn(LIST_NAMES).withMessage('Invalid list'),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  validate
+], savedListController.removeFromList);
+
+/**
+ * @swagger
+ * /api/cart/lists/{list}/items/{itemId}/move-to-cart:
+ *   post:
+ *     summary: Move a saved list item into the cart at the current price
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: list
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [saved_for_later, wishlist]
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item moved to cart
+ *       400:
+ *         description: Product unavailable or insufficient stock
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: List item not found
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
+ */
+router.post('/lists/:list/items/:itemId/move-to-cart', [
+  auth,
+  param('list').isIn(LIST_NAMES).withMessage('Invalid list'),
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  validate
+], savedListController.moveToCart);
+
+/**
+ * @swagger
+ * /api/cart/move-to-list/{itemId}:
+ *   post:
+ *     summary: Move a cart item into a saved list
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               list:
+ *                 type: string
+ *                 enum: [saved_for_later, wishlist]
+ *     responses:
+ *       200:
+ *         description: Item moved to list
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Cart item not found
+ *       409:
+ *         description: Cart version is stale; the response contains the current cart
+ */
+router.post('/move-to-list/:itemId', [
+  auth,
+  param('itemId').isMongoId().withMessage('Invalid item ID'),
+  body('list').isIn(LIST_NAMES).withMessage('Invalid list'),
+  validate
+], savedListController.moveToList);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const auth = require('../middleware/auth');
+const loadUser = require('../middleware/loadUser');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const giftCardController = require('../controllers/giftCardController');
+const { validate } = require('../middleware/validation');
+
+// Balance checks are unauthenticated, so throttle guessing of codes
+const balanceRateLimit = rateLimit({
+  name: 'gift_card_balance',
+  max: parseInt(process.env.GIFT_CARD_BALANCE_RATE_LIMIT) || 10,
+  windowMs: 15 * 60 * 1000
+});
+
+/**
+ * @swagger
+ * /api/gift-cards/balance:
+ *   post:
+ *     summary: Check the balance on a gift card
+ *     tags: [Gift Cards]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Card code, with or without dashes
+ *     responses:
+ *       200:
+ *         description: Remaining balance and expiry
+ *       404:
+ *         description: No spendable card matches the code
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/balance',
+  balanceRateLimit,
+  [
+    body('code').isString().trim().notEmpty().isLength({ max: 32 }),
+    validate
+  ],
+  giftCardController.checkBalance
+);
+
+/**
+ * @swagger
+ * /api/gift-cards:
+ *   post:
+ *     summary: Buy a digital gift card for someone
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, paymentMethod, recipientName, recipientEmail]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 minimum: 10
+ *                 maximum: 500
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [credit_card, debit_card, paypal, stripe, apple_pay, google_pay]
+ *               recipientName:
+ *                 type: string
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *               message:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Card issued and emailed to the recipient
+ *       202:
+ *         description: Payment needs confirming with the returned client secret; then call confirm
+ *       400:
+ *         description: Invalid input or payment failed
+ *       409:
+ *         description: The same Idempotency-Key is still in flight
+ *       422:
+ *         description: Idempotency-Key reused with a different body
+ */
+router.post('/',
+  auth,
+  loadUser,
+  [
+    body('amount').isFloat({ min: 10, max: 500 }).withMessage('Gift cards are sold from 10 to 500'),
+    body('paymentMethod').isIn(['credit_card', 'debit_card', 'paypal', 'stripe', 'apple_pay', 'google_pay']),
+    body('recipientName').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('recipientEmail').trim().isEmail(),
+    body('message').optional().isString().trim().isLength({ max: 500 }),
+    validate
+  ],
+  idempotent('purchase_gift_card'),
+  giftCardController.purchaseGiftCard
+);
+
+/**
+ * @swagger
+ * /api/gift-cards/{giftCardId}/confirm:
+ *   post:
+ *     summary: Send a purchased gift card once its payment is confirmed
+ *     tags: [Gift Cards]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: giftCardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Card issued and emailed to the recipient, now or by an earlier call
+ *       404:
+ *         description: No purchase by this user with that ID
+ *       409:
+ *         description: The payment has not gone through yet
+ */
+router.post('/:giftCardId/confirm',
+  auth,
+  loadUser,
+  [
+    param('giftCardId').isMongoId(),
+    validate
+  ],
+  giftCardController.confirmGiftCardPurchase
+);
+
+module.exports = router;
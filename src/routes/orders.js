@@ -0,0 +1,893 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const loadUser = require('../middleware/loadUser');
+const { idempotent } = require('../middleware/idempotency');
+const { rateLimit } = require('../middleware/rateLimit');
+const orderController = require('../controllers/orderController');
+const { RETURN_REASONS } = require('../models/Return');
+const { validate } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Address:
+ *       type: object
+ *       required: [firstName, lastName, street, city, state, zipCode, country]
+ *       properties:
+ *         firstName:
+ *           type: string
+ *         lastName:
+ *           type: string
+ *         street:
+ *           type: string
+ *         city:
+ *           type: string
+ *         state:
+ *           type: string
+ *         zipCode:
+ *           type: string
+ *         country:
+ *           type: string
+ *         phone:
+ *           type: string
+ *   parameters:
+ *     IdempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       required: false
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *       description: >
+ *         Unique key for this operation, e.g. a UUID. Retries with the same key
+ *         and body replay the first response (marked Idempotent-Replayed: true)
+ *         instead of repeating the operation. Reusing a key with a different
+ *         body is rejected with 422.
+ *     OrderSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [placedAt, total, orderNumber]
+ *         default: placedAt
+ *     SortOrder:
+ *       in: query
+ *       name: sortOrder
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *     Cursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: nextCursor from the previous page
+ */
+
+// Guest lookups are unauthenticated, so throttle guessing of order details
+const lookupRateLimit = rateLimit({
+  name: 'order_lookup',
+  max: parseInt(process.env.ORDER_LOOKUP_RATE_LIMIT) || 10,
+  windowMs: 15 * 60 * 1000
+});
+
+const addressRules = (field) => [
+  body(`${field}.firstName`).isString().trim().notEmpty(),
+  body(`${field}.lastName`).isString().trim().notEmpty(),
+  body(`${field}.street`).isString().trim().notEmpty(),
+  body(`${field}.city`).isString().trim().notEmpty(),
+  body(`${field}.state`).isString().trim().notEmpty(),
+  body(`${field}.zipCode`).isString().trim().notEmpty(),
+  body(`${field}.country`).optional().isString().trim(),
+  body(`${field}.phone`).optional().isString().trim()
+];
+
+/**
+ * @swagger
+ * /api/orders:
+ *   post:
+ *     summary: Place an order from the cart
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shippingAddress, billingAddress]
+ *             properties:
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               billingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [credit_card, debit_card, paypal, stripe, apple_pay, google_pay]
+ *                 description: Required unless gift cards cover the whole order
+ *               giftCards:
+ *                 type: array
+ *                 maxItems: 5
+ *                 description: Gift card codes to apply, drawn down in the order given
+ *                 items:
+ *                   type: string
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [standard, express, overnight, pickup]
+ *               discountCode:
+ *                 type: string
+ *               customerNotes:
+ *                 type: string
+ *               acknowledgedTotal:
+ *                 type: number
+ *                 description: Cart total the customer accepted after a price change
+ *               gift:
+ *                 type: object
+ *                 description: Send the order as a gift; prices are left off the packing slip
+ *                 required: [recipientName]
+ *                 properties:
+ *                   isGift:
+ *                     type: boolean
+ *                     default: true
+ *                   recipientName:
+ *                     type: string
+ *                   recipientEmail:
+ *                     type: string
+ *                     format: email
+ *                   message:
+ *                     type: string
+ *                     maxLength: 500
+ *                   notifyAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When to email the recipient that a gift is on its way
+ *     responses:
+ *       201:
+ *         description: Order placed
+ *       400:
+ *         description: Cart empty, invalid input, unusable gift card or payment failed
+ *       409:
+ *         description: Prices changed, stock ran out, or the same Idempotency-Key is still in flight
+ *       422:
+ *         description: Idempotency-Key reused with a different body
+ */
+router.post('/',
+  auth,
+  loadUser,
+  [
+    ...addressRules('shippingAddress'),
+    ...addressRules('billingAddress'),
+    body('paymentMethod').optional().isIn(['credit_card', 'debit_card', 'paypal', 'stripe', 'apple_pay', 'google_pay']),
+    body('giftCards').optional().isArray({ max: 5 }),
+    body('giftCards.*').isString().trim().notEmpty().isLength({ max: 32 }),
+    body('shippingMethod').optional().isIn(['standard', 'express', 'overnight', 'pickup']),
+    body('discountCode').optional().isString().trim(),
+    body('customerNotes').optional().isString().trim().isLength({ max: 1000 }),
+    body('acknowledgedTotal').optional().isFloat({ min: 0 }),
+    body('gift').optional().isObject(),
+    body('gift.isGift').optional().isBoolean(),
+    body('gift.recipientName').if(body('gift').exists()).isString().trim().notEmpty().isLength({ max: 100 }),
+    body('gift.recipientEmail').optional().trim().isEmail(),
+    body('gift.message').optional().isString().trim().isLength({ max: 500 }),
+    body('gift.notifyAt').optional().isISO8601().custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Gift notification time must be in the future');
+      }
+      return true;
+    }),
+    body('gift').optional().custom(gift => {
+      if (gift.notifyAt && !gift.recipientEmail) {
+        throw new Error('A recipient email is needed to schedule a gift notification');
+      }
+      return true;
+    }),
+    validate
+  ],
+  idempotent('create_order'),
+  orderController.createOrder
+);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Search the user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Order number or name on the order
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: placedFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: placedTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxTotal
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only orders containing this product ID
+ *       - $ref: '#/components/parameters/OrderSortBy'
+ *       - $ref: '#/components/parameters/SortOrder'
+ *       - $ref: '#/components/parameters/Cursor'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Orders and the cursor for the next page
+ *       400:
+ *         description: Invalid cursor
+ */
+router.get('/',
+  auth,
+  loadUser,
+  [
+    query('q').optional().isString().trim().isLength({ max: 100 }),
+    query('status').optional().isIn(['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled', 'refunded']),
+    query('placedFrom').optional().isISO8601(),
+    query('placedTo').optional().isISO8601(),
+    query('minTotal').optional().isFloat({ min: 0 }),
+    query('maxTotal').optional().isFloat({ min: 0 }),
+    query('product').optional().isMongoId().withMessage('Invalid product ID'),
+    query('sortBy').optional().isIn(['placedAt', 'total', 'orderNumber']),
+    query('sortOrder').optional().isIn(['asc', 'desc']),
+    query('cursor').optional().isString(),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    validate
+  ],
+  orderController.getOrders
+);
+
+/**
+ * @swagger
+ * /api/orders/track/{orderNumber}:
+ *   get:
+ *     summary: Track an order and its shipments
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Status timeline and shipments
+ *       404:
+ *         description: Order not found
+ */
+router.get('/track/:orderNumber', auth, loadUser, orderController.trackOrder);
+
+/**
+ * @swagger
+ * /api/orders/lookup:
+ *   post:
+ *     summary: Look up an order's status without signing in
+ *     description: >
+ *       Requires the order number and either the email on the order or the
+ *       billing postal code. Returns a reduced tracking view.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderNumber]
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               postalCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status timeline and shipments
+ *       404:
+ *         description: No order matches those details
+ *       429:
+ *         description: Too many lookups
+ */
+router.post('/lookup',
+  lookupRateLimit,
+  [
+    body('orderNumber').isString().trim().notEmpty().isLength({ max: 32 }),
+    body('email').optional().trim().isEmail(),
+    body('postalCode').optional().isString().trim().isLength({ max: 16 }),
+    body().custom(value => {
+      if (!value.email && !value.postalCode) {
+        throw new Error('Email or postal code is required');
+      }
+      return true;
+    }),
+    validate
+  ],
+  orderController.lookupOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/lookup/access-link:
+ *   post:
+ *     summary: Email a link to view the full order
+ *     description: >
+ *       Sends a time-limited link to the email on the order. The response is the
+ *       same whether or not the details match an order.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderNumber, email]
+ *             properties:
+ *               orderNumber:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Link sent if the details match
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/lookup/access-link',
+  lookupRateLimit,
+  [
+    body('orderNumber').isString().trim().notEmpty().isLength({ max: 32 }),
+    body('email').trim().isEmail(),
+    validate
+  ],
+  orderController.requestOrderAccessLink
+);
+
+/**
+ * @swagger
+ * /api/orders/access/{token}:
+ *   get:
+ *     summary: View an order through an emailed access link
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       401:
+ *         description: Link invalid or expired
+ */
+router.get('/access/:token', lookupRateLimit, orderController.getOrderByAccessToken);
+
+/**
+ * @swagger
+ * /api/orders/gift/{token}:
+ *   get:
+ *     summary: Track a gift from the recipient's notification link
+ *     description: Shows the gift message and delivery progress without prices.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Gift message and tracking
+ *       401:
+ *         description: Link invalid or expired
+ */
+router.get('/gift/:token', lookupRateLimit, orderController.getGiftTracking);
+
+/**
+ * @swagger
+ * /api/orders/gift-returns:
+ *   post:
+ *     summary: Return a gift using its gift receipt
+ *     description: >
+ *       The recipient is refunded in store credit, emailed to the address given,
+ *       once the items are received. The purchaser is not refunded or notified.
+ *     tags: [Orders]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [giftReceiptCode, name, email, reason]
+ *             properties:
+ *               giftReceiptCode:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               reason:
+ *                 type: string
+ *               comments:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Lines to return; defaults to the whole gift
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Gift or items cannot be returned
+ *       404:
+ *         description: No gift matches the receipt code
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/gift-returns',
+  lookupRateLimit,
+  [
+    body('giftReceiptCode').isString().trim().notEmpty().isLength({ max: 32 }),
+    body('name').isString().trim().notEmpty().isLength({ max: 100 }),
+    body('email').trim().isEmail(),
+    body('reason').isIn(RETURN_REASONS),
+    body('comments').optional().isString().trim().isLength({ max: 1000 }),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.itemId').isMongoId().withMessage('Invalid order item ID'),
+    body('items.*.quantity').optional().isInt({ min: 1 }),
+    body('items.*.reason').optional().isIn(RETURN_REASONS),
+    validate
+  ],
+  orderController.requestGiftReturn
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}:
+ *   get:
+ *     summary: Get one of the user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:orderId',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    validate
+  ],
+  orderController.getOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an order and refund its payment
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Order cancelled; the response includes the refund status
+ *       400:
+ *         description: Order can no longer be cancelled
+ */
+router.post('/:orderId/cancel',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    validate
+  ],
+  idempotent('cancel_order'),
+  orderController.cancelOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/shipping-address:
+ *   put:
+ *     summary: Change the shipping address before the order ships
+ *     description: >
+ *       Shipping and tax are recalculated for the new address; any difference
+ *       is charged or refunded.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [shippingAddress]
+ *             properties:
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               paymentMethodId:
+ *                 type: string
+ *                 description: Saved card charged if the change costs more
+ *     responses:
+ *       200:
+ *         description: Order updated; the response includes the price difference and any refund
+ *       400:
+ *         description: Order can no longer be changed or payment failed
+ *       402:
+ *         description: The change costs more and no saved card was given; amountDue says how much
+ */
+router.put('/:orderId/shipping-address',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    ...addressRules('shippingAddress'),
+    body('paymentMethodId').optional().isString().trim().notEmpty(),
+    validate
+  ],
+  idempotent('modify_order'),
+  orderController.updateShippingAddress
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/items/{itemId}:
+ *   patch:
+ *     summary: Change the quantity, size or color of an item before the order ships
+ *     description: >
+ *       The line keeps the unit price it was ordered at. The order is repriced
+ *       and any difference is charged or refunded.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               paymentMethodId:
+ *                 type: string
+ *                 description: Saved card charged if the change costs more
+ *     responses:
+ *       200:
+ *         description: Order updated
+ *       400:
+ *         description: Order can no longer be changed or payment failed
+ *       402:
+ *         description: The change costs more and no saved card was given; amountDue says how much
+ *       409:
+ *         description: Not enough stock for the new quantity or variant
+ *   delete:
+ *     summary: Remove an item before the order ships
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item removed and the difference refunded
+ *       400:
+ *         description: Order can no longer be changed or this is its last item
+ */
+router.patch('/:orderId/items/:itemId',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    param('itemId').isMongoId().withMessage('Invalid order item ID'),
+    body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('size').optional().isString().trim().notEmpty(),
+    body('color').optional().isString().trim().notEmpty(),
+    body('paymentMethodId').optional().isString().trim().notEmpty(),
+    body().custom(value => {
+      if (value.quantity === undefined && value.size === undefined && value.color === undefined) {
+        throw new Error('Quantity, size or color is required');
+      }
+      return true;
+    }),
+    validate
+  ],
+  idempotent('modify_order'),
+  orderController.updateOrderItem
+);
+
+router.delete('/:orderId/items/:itemId',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    param('itemId').isMongoId().withMessage('Invalid order item ID'),
+    validate
+  ],
+  idempotent('modify_order'),
+  orderController.removeOrderItem
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/reorder:
+ *   post:
+ *     summary: Add the items of a past order to the cart at current prices
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: >
+ *           Items added. Lines that could not be added are listed under
+ *           unavailable with a reason of discontinued, variant_unavailable or
+ *           insufficient_stock.
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: None of the order's items can be added
+ */
+router.post('/:orderId/reorder',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    validate
+  ],
+  idempotent('reorder'),
+  orderController.reorder
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/returns:
+ *   post:
+ *     summary: Request a return for delivered items
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               comments:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 description: Lines to return; defaults to the whole order
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Order or items cannot be returned
+ */
+router.post('/:orderId/returns',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    body('reason').isIn(RETURN_REASONS),
+    body('comments').optional().isString().trim().isLength({ max: 1000 }),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.itemId').isMongoId().withMessage('Invalid order item ID'),
+    body('items.*.quantity').optional().isInt({ min: 1 }),
+    body('items.*.reason').optional().isIn(RETURN_REASONS),
+    validate
+  ],
+  orderController.requestReturn
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/invoice:
+ *   get:
+ *     summary: Download the invoice for an order
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *         description: Overrides the Accept header
+ *     responses:
+ *       200:
+ *         description: Invoice rendered in the requested format
+ */
+router.get('/:orderId/invoice',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    query('format').optional().isIn(['json', 'html', 'pdf']),
+    validate
+  ],
+  orderController.getInvoice
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Download a credit note issued for a refund
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html, pdf]
+ *     responses:
+ *       200:
+ *         description: Credit note rendered in the requested format
+ */
+router.get('/:orderId/credit-notes/:creditNoteId',
+  auth,
+  loadUser,
+  [
+    param('orderId').isMongoId().withMessage('Invalid order ID'),
+    param('creditNoteId').isMongoId().withMessage('Invalid credit note ID'),
+    query('format').optional().isIn(['json', 'html', 'pdf']),
+    validate
+  ],
+  orderController.getCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,484 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const loadUser = require('../middleware/loadUser');
+const { idempotent } = require('../middleware/idempotency');
+const subscriptionController = require('../controllers/subscriptionController');
+const { validate } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubscriptionInterval:
+ *       type: object
+ *       required: [count, unit]
+ *       properties:
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         unit:
+ *           type: string
+ *           enum: [week, month]
+ */
+
+// Rules for an address; optional ones are only checked when the address is sent
+const addressRules = (field, { optional = false } = {}) => {
+  const rule = (path) => (optional
+    ? body(`${field}.${path}`).if(body(field).exists())
+    : body(`${field}.${path}`));
+
+  return [
+    rule('firstName').isString().trim().notEmpty(),
+    rule('lastName').isString().trim().notEmpty(),
+    rule('street').isString().trim().notEmpty(),
+    rule('city').isString().trim().notEmpty(),
+    rule('state').isString().trim().notEmpty(),
+    rule('zipCode').isString().trim().notEmpty(),
+    rule('country').optional().isString().trim(),
+    rule('phone').optional().isString().trim()
+  ];
+};
+
+const intervalRules = (optional = false) => [
+  optional ? body('interval').optional().isObject() : body('interval').isObject(),
+  body('interval.count').if(body('interval').exists()).isInt({ min: 1, max: 12 }).toInt(),
+  body('interval.unit').if(body('interval').exists()).isIn(['week', 'month'])
+];
+
+const subscriptionIdRule = param('subscriptionId').isMongoId().withMessage('Invalid subscription ID');
+
+/**
+ * @swagger
+ * /api/subscriptions/payment-setup:
+ *   post:
+ *     summary: Start saving a card for subscription renewals
+ *     description: >
+ *       Returns a Stripe SetupIntent client secret. Confirm it on the client,
+ *       then pass the resulting payment method ID when subscribing.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Setup started
+ *       502:
+ *         description: Payment gateway unavailable
+ */
+router.post('/payment-setup',
+  auth,
+  loadUser,
+  subscriptionController.createPaymentSetup
+);
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   post:
+ *     summary: Subscribe to recurring deliveries of accessories
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items, interval, shippingAddress, billingAddress, paymentMethodId]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [product, quantity]
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 10
+ *                     size:
+ *                       type: string
+ *                     color:
+ *                       type: string
+ *               interval:
+ *                 $ref: '#/components/schemas/SubscriptionInterval'
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               billingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [standard, express, overnight]
+ *               paymentMethodId:
+ *                 type: string
+ *                 description: Card saved through /api/subscriptions/payment-setup
+ *               startAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First delivery; defaults to now
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *       400:
+ *         description: Invalid input, product not available for subscription or card not found
+ *       409:
+ *         description: The same Idempotency-Key is still in flight
+ *       422:
+ *         description: Idempotency-Key reused with a different body
+ */
+router.post('/',
+  auth,
+  loadUser,
+  [
+    body('items').isArray({ min: 1, max: 10 }),
+    body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+    body('items.*.quantity').isInt({ min: 1, max: 10 }).toInt(),
+    body('items.*.size').optional().isString().trim(),
+    body('items.*.color').optional().isString().trim(),
+    ...intervalRules(),
+    ...addressRules('shippingAddress'),
+    ...addressRules('billingAddress'),
+    body('shippingMethod').optional().isIn(['standard', 'express', 'overnight']),
+    body('paymentMethodId').isString().trim().notEmpty(),
+    body('startAt').optional().isISO8601(),
+    validate
+  ],
+  idempotent('create_subscription'),
+  subscriptionController.createSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions:
+ *   get:
+ *     summary: Get the user's subscriptions
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, past_due, paused, cancelled]
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved successfully
+ */
+router.get('/',
+  auth,
+  loadUser,
+  [
+    query('status').optional().isIn(['active', 'past_due', 'paused', 'cancelled']),
+    validate
+  ],
+  subscriptionController.getSubscriptions
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}:
+ *   get:
+ *     summary: Get a subscription with its delivery history and recent orders
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription retrieved successfully
+ *       404:
+ *         description: Subscription not found
+ */
+router.get('/:subscriptionId',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    validate
+  ],
+  subscriptionController.getSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}:
+ *   patch:
+ *     summary: Change upcoming deliveries
+ *     description: Changes apply from the next delivery; orders already placed are not affected.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [itemId, quantity]
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 10
+ *               interval:
+ *                 $ref: '#/components/schemas/SubscriptionInterval'
+ *               shippingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               billingAddress:
+ *                 $ref: '#/components/schemas/Address'
+ *               shippingMethod:
+ *                 type: string
+ *                 enum: [standard, express, overnight]
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *       400:
+ *         description: Invalid input or subscription cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+router.patch('/:subscriptionId',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.itemId').isMongoId().withMessage('Invalid subscription item ID'),
+    body('items.*.quantity').isInt({ min: 1, max: 10 }).toInt(),
+    ...intervalRules(true),
+    body('shippingAddress').optional().isObject(),
+    ...addressRules('shippingAddress', { optional: true }),
+    body('billingAddress').optional().isObject(),
+    ...addressRules('billingAddress', { optional: true }),
+    body('shippingMethod').optional().isIn(['standard', 'express', 'overnight']),
+    validate
+  ],
+  subscriptionController.updateSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}/payment-method:
+ *   put:
+ *     summary: Replace the card charged for renewals
+ *     description: A renewal waiting on a retry after a declined payment is attempted again shortly.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentMethodId]
+ *             properties:
+ *               paymentMethodId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment method updated
+ *       400:
+ *         description: Card not found or subscription cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+router.put('/:subscriptionId/payment-method',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    body('paymentMethodId').isString().trim().notEmpty(),
+    validate
+  ],
+  subscriptionController.updatePaymentMethod
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}/skip:
+ *   post:
+ *     summary: Skip the next delivery
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery skipped; nextRenewalAt moves one interval on
+ *       400:
+ *         description: Subscription is not active or the delivery is already being placed
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:subscriptionId/skip',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    validate
+  ],
+  idempotent('skip_subscription_delivery'),
+  subscriptionController.skipDelivery
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}/pause:
+ *   post:
+ *     summary: Pause deliveries
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               resumeAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Resume automatically at this time; defaults to the longest pause allowed
+ *     responses:
+ *       200:
+ *         description: Subscription paused
+ *       400:
+ *         description: Subscription cannot be paused or resumeAt is too far out
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:subscriptionId/pause',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    body('resumeAt').optional().isISO8601().custom(value => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('Resume time must be in the future');
+      }
+      return true;
+    }),
+    validate
+  ],
+  subscriptionController.pauseSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}/resume:
+ *   post:
+ *     summary: Resume a paused subscription
+ *     description: A delivery missed while paused is placed shortly after resuming.
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription resumed
+ *       400:
+ *         description: Subscription is not paused
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:subscriptionId/resume',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    validate
+  ],
+  subscriptionController.resumeSubscription
+);
+
+/**
+ * @swagger
+ * /api/subscriptions/{subscriptionId}/cancel:
+ *   post:
+ *     summary: Cancel a subscription
+ *     tags: [Subscriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: subscriptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Subscription cancelled
+ *       400:
+ *         description: Subscription is already cancelled
+ *       404:
+ *         description: Subscription not found
+ */
+router.post('/:subscriptionId/cancel',
+  auth,
+  loadUser,
+  [
+    subscriptionIdRule,
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    validate
+  ],
+  subscriptionController.cancelSubscription
+);
+
+module.exports = router;
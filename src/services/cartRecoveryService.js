@@ -0,0 +1,255 @@
+const jwt = require('jsonwebtoken');
+const Cart = require('../models/Cart');
+const CartReminder = require('../models/CartReminder');
+const User = require('../models/User');
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const { sendEmail } = require('./emailService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Parse a comma separated list of hours, e.g. "1,24"
+ */
+const parseHours = (value, fallback) => {
+  const hours = (value || '')
+    .split(',')
+    .map(h => parseFloat(h))
+    .filter(h => h > 0);
+  return hours.length > 0 ? hours.sort((a, b) => a - b) : fallback;
+};
+
+class CartRecoveryService {
+  constructor() {
+    this.reminderHours = parseHours(process.env.ABANDONED_CART_REMINDER_HOURS, [1, 24]);
+    this.expiryDays = parseFloat(process.env.CART_EXPIRY_DAYS) || 30;
+    this.intervalMs = (parseFloat(process.env.ABANDONED_CART_JOB_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.tokenSecret = process.env.CART_RECOVERY_SECRET || process.env.JWT_SECRET || 'secret';
+    this.tokenTtl = `${this.expiryDays}d`;
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Start the periodic abandoned cart job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch(error => logger.error('Abandoned cart job failed:', error));
+    }, this.intervalMs);
+
+    logger.info('Abandoned cart job scheduled', {
+      reminderHours: this.reminderHours,
+      expiryDays: this.expiryDays,
+      intervalMs: this.intervalMs
+    });
+  }
+
+  /**
+   * Stop the periodic abandoned cart job
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Send due reminders, then purge expired carts. A failed reminder run
+   * does not hold up the purge.
+   */
+  async run() {
+    // Skip the tick if the previous run is still going
+    if (this.running) {
+      return null;
+    }
+
+    this.running = true;
+    try {
+      let remindersSent = 0;
+      try {
+        remindersSent = await this.sendReminders();
+      } catch (error) {
+        logger.error('Failed to send abandoned cart reminders:', error);
+      }
+      const cartsPurged = await this.purgeExpiredCarts();
+
+      logger.info('Abandoned cart job completed', { remindersSent, cartsPurged });
+      return { remindersSent, cartsPurged };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Send the latest due reminder stage to each idle cart
+   */
+  async sendReminders() {
+    const now = Date.now();
+    const firstThreshold = new Date(now - this.reminderHours[0] * HOUR);
+    const expiry = new Date(now - this.expiryDays * DAY);
+
+    const carts = await Cart.find({
+      user: { $exists: true },
+      'items.0': { $exists: true },
+      lastModified: { $lte: firstThreshold, $gt: expiry }
+    }).populate('items.product', 'name images price');
+
+    let sent = 0;
+
+    for (const cart of carts) {
+      try {
+        if (await this.sendReminder(cart, now)) {
+          sent++;
+        }
+      } catch (error) {
+        logger.error(`Failed to send abandoned cart reminder for cart ${cart._id}:`, error);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Send the reminder for the cart's current idle stage, if not already sent.
+   * The reminder is only recorded once the email has gone out.
+   * @returns {boolean} Whether a reminder was sent
+   */
+  async sendReminder(cart, now = Date.now()) {
+    const idleHours = (now - cart.lastModified) / HOUR;
+    const dueHours = this.reminderHours.filter(h => h <= idleHours).pop();
+    if (dueHours === undefined) {
+      return false;
+    }
+
+    const stage = `${dueHours}h`;
+
+    // Reminders only count for the current idle period; editing the cart starts a new one
+    const alreadySent = await CartReminder.exists({
+      cart: cart._id,
+      stage,
+      sentAt: { $gte: cart.lastModified }
+    });
+    if (alreadySent) {
+      return false;
+    }
+
+    const user = await User.findById(pool, cart.user);
+    if (!user?.email) {
+      return false;
+    }
+
+    // Built first so the restore link can name it
+    const reminder = new CartReminder({
+      cart: cart._id,
+      user: cart.user,
+      email: user.email,
+      stage,
+      cartValue: cart.totalPrice
+    });
+
+    const result = await sendEmail({
+      to: user.email,
+      subject: 'You left something in your cart',
+      template: 'abandonedCart',
+      data: {
+        user: { email: user.email, firstName: user.firstName, lastName: user.lastName },
+        cart,
+        stage,
+        restoreUrl: this.getRestoreUrl(cart, reminder)
+      }
+    });
+    if (!result?.sent) {
+      return false;
+    }
+
+    reminder.sentAt = new Date();
+    await reminder.save();
+    return true;
+  }
+
+  /**
+   * Delete carts that have been idle past the expiry window
+   */
+  async purgeExpiredCarts() {
+    const expiry = new Date(Date.now() - this.expiryDays * DAY);
+    const result = await Cart.deleteMany({ lastModified: { $lt: expiry } });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Build the signed link that restores a cart from a reminder email
+   */
+  getRestoreUrl(cart, reminder) {
+    const token = jwt.sign(
+      { cartId: cart._id.toString(), reminderId: reminder._id.toString(), purpose: 'cart_recovery' },
+      this.tokenSecret,
+      { expiresIn: this.tokenTtl }
+    );
+    return `${this.storeUrl}/cart/recover?token=${encodeURIComponent(token)}`;
+  }
+
+  /**
+   * Verify a restore link token for the cart's owner and record that the
+   * link was used. The recovery itself is recorded when the cart is ordered.
+   * @returns {Object} { cart, requiresLogin, error } - cart is null if the
+   * link is invalid or the cart is gone
+   */
+  async restoreCart(token, { userId } = {}) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.tokenSecret);
+    } catch (error) {
+      return { cart: null };
+    }
+
+    if (payload.purpose !== 'cart_recovery') {
+      return { cart: null };
+    }
+
+    const cart = await Cart.findById(payload.cartId);
+    if (!cart) {
+      return { cart: null };
+    }
+
+    // The link identifies the cart; its contents are only shown to the owner
+    if (!userId) {
+      return { cart, requiresLogin: true };
+    }
+    if (cart.user?.toString() !== userId.toString()) {
+      return { cart, error: 'Access denied' };
+    }
+
+    const reminder = await CartReminder.findById(payload.reminderId);
+    if (reminder && reminder.cart.equals(cart._id)) {
+      await reminder.markRestored();
+    }
+
+    return { cart };
+  }
+
+  /**
+   * Credit the reminder a cart was restored from once the cart is ordered
+   */
+  async recordOrder(cartId, order) {
+    if (!cartId) {
+      return null;
+    }
+    return CartReminder.markRecovered(cartId, order._id);
+  }
+
+  /**
+   * Generate the abandoned cart recovery report
+   */
+  getRecoveryReport(startDate, endDate) {
+    return CartReminder.getRecoveryReport(startDate, endDate);
+  }
+}
+
+// Export singleton instance
+module.exports = new CartRecoveryService();
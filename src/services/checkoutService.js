@@ -0,0 +1,650 @@
+const CheckoutSaga = require('../models/CheckoutSaga');
+const { CHECKOUT_STEPS } = require('../models/CheckoutSaga');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Promotion = require('../models/Promotion');
+const logger = require('../config/logger');
+const { cache } = require('../config/cache');
+const { sendEmail } = require('./emailService');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const promotionService = require('./promotionService');
+const giftCardService = require('./giftCardService');
+const preorderService = require('./preorderService');
+const invoiceService = require('./invoiceService');
+const cartRecoveryService = require('./cartRecoveryService');
+
+/**
+ * Error raised by a step when the customer's request itself cannot be
+ * fulfilled (declined card, exhausted discount code), as opposed to a fault
+ */
+class CheckoutRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CheckoutRejectedError';
+  }
+}
+
+class CheckoutService {
+  constructor() {
+    this.lockMs = 2 * 60 * 1000;
+    this.staleAfterMs = 5 * 60 * 1000;
+    this.recoveryIntervalMs = 5 * 60 * 1000;
+    this.maxRecoveryAttempts = 5;
+    this.adminAlertEmail = process.env.ADMIN_ALERT_EMAIL || 'payments@airkicks.store';
+    this.timer = null;
+  }
+
+  /**
+   * Place an order as a saga: save the order, redeem the discount and gift
+   * cards, charge the rest, commit stock, confirm, then clear the cart and
+   * notify. Failures before confirmation are compensated in reverse; later
+   * failures are retried by the recovery job.
+   * @param {Object} params - { order (unsaved), cart, promotion, discount, shippingDiscount, customer, savedPaymentMethod }
+   *   The order's payment.giftCards are drawn down and payment.amount is charged,
+   *   to savedPaymentMethod ({ customerId, paymentMethodId }) when given. Orders
+   *   placed without a cart, such as subscription renewals, pass no cart.
+   *   Orders with preordered or backordered lines only authorize the payment;
+   *   it is captured once every line has stock.
+   * @returns {Object} { success, order, saga, failedStep, rejected, error }
+   */
+  async checkout({ order, cart, promotion, discount = 0, shippingDiscount = 0, customer, savedPaymentMethod }) {
+    const saga = await CheckoutSaga.start({
+      user: order.user,
+      cart: cart?._id,
+      order: order._id,
+      payment: {
+        method: order.payment.method,
+        amount: order.payment.amount,
+        currency: order.currency,
+        customerId: savedPaymentMethod?.customerId,
+        paymentMethodId: savedPaymentMethod?.paymentMethodId,
+        captureMethod: order.items.some(item => item.backorder) ? 'manual' : 'automatic'
+      },
+      customer,
+      promotion: promotion ? { id: promotion._id, discount, shippingDiscount } : undefined,
+      giftCards: order.payment.giftCards.map(tender => ({
+        giftCard: tender.giftCard,
+        code: tender.code,
+        amount: tender.amount
+      })),
+      lines: order.items.map(item => ({
+        product: item.product,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        offer: item.backorder?.offer
+      })),
+      lockedUntil: new Date(Date.now() + this.lockMs)
+    });
+
+    return this.run(saga, { order, cart, promotion });
+  }
+
+  /**
+   * Execute the saga's remaining steps in order
+   */
+  async run(saga, context = {}) {
+    for (const name of CHECKOUT_STEPS) {
+      if (saga.getStep(name).status === 'completed') {
+        continue;
+      }
+
+      try {
+        saga.markStep(name, 'running');
+        saga.lockedUntil = new Date(Date.now() + this.lockMs);
+        await saga.save();
+
+        const data = await this.executeStep(name, saga, context);
+
+        saga.markStep(name, 'completed', { data });
+        await saga.save();
+      } catch (error) {
+        saga.markStep(name, 'failed', { error: error.message });
+        saga.failedStep = name;
+        saga.lastError = error.message;
+
+        if (saga.isPastPointOfNoReturn) {
+          // The order stands; the recovery job finishes the remaining steps
+          saga.lockedUntil = undefined;
+          await saga.save();
+
+          logger.error(`Checkout ${saga._id} step ${name} failed after confirmation:`, error);
+          return { success: true, saga, order: await this.loadOrder(saga, context) };
+        }
+
+        if (!(error instanceof CheckoutRejectedError)) {
+          logger.error(`Checkout ${saga._id} failed at ${name}:`, error);
+        }
+
+        await this.compensate(saga, context, error);
+
+        return {
+          success: false,
+          saga,
+          failedStep: name,
+          rejected: error instanceof CheckoutRejectedError,
+          error: error.message
+        };
+      }
+    }
+
+    saga.status = 'completed';
+    saga.completedAt = new Date();
+    saga.lockedUntil = undefined;
+    await saga.save();
+
+    return { success: true, saga, order: await this.loadOrder(saga, context) };
+  }
+
+  /**
+   * Dispatch a step by name; each returns data to persist on the step
+   */
+  async executeStep(name, saga, context) {
+    switch (name) {
+      case 'create_order':
+        return this.createOrder(saga, context);
+      case 'redeem_promotion':
+        return this.redeemPromotion(saga, context);
+      case 'redeem_gift_cards':
+        return this.redeemGiftCards(saga, context);
+      case 'charge_payment':
+        return this.chargePayment(saga, context);
+      case 'commit_stock':
+        return this.commitStock(saga, context);
+      case 'confirm_order':
+        return this.confirmOrder(saga, context);
+      case 'finalize':
+        return this.finalize(saga, context);
+      default:
+        throw new Error(`Unknown checkout step ${name}`);
+    }
+  }
+
+  async loadOrder(saga, context) {
+    if (!context.order) {
+      context.order = await Order.findById(saga.order);
+    }
+    return context.order;
+  }
+
+  async loadCart(saga, context) {
+    if (!context.cart && saga.cart) {
+      context.cart = await Cart.findById(saga.cart);
+    }
+    return context.cart;
+  }
+
+  async createOrder(saga, context) {
+    const order = context.order;
+    await order.save();
+    return { orderNumber: order.orderNumber };
+  }
+
+  async redeemPromotion(saga, context) {
+    if (!saga.promotion?.id) {
+      return { skipped: true };
+    }
+
+    const promotion = context.promotion || await Promotion.findById(saga.promotion.id);
+    const redemption = await promotionService.redeem(promotion, {
+      userId: saga.user,
+      orderId: saga.order,
+      discount: saga.promotion.discount,
+      shippingDiscount: saga.promotion.shippingDiscount
+    });
+
+    if (!redemption.success) {
+      throw new CheckoutRejectedError(redemption.error);
+    }
+
+    return { code: promotion.code };
+  }
+
+  /**
+   * Draw down each gift card. Debits are keyed to the saga, so a retried step
+   * never takes a card's balance twice.
+   */
+  async redeemGiftCards(saga, context) {
+    if (!saga.giftCards?.length) {
+      return { skipped: true };
+    }
+
+    const transactions = [];
+    for (const tender of saga.giftCards) {
+      const result = await giftCardService.debit(tender.giftCard, tender.amount, {
+        reference: `checkout:${saga._id}`,
+        order: saga.order,
+        reason: 'Checkout',
+        actor: saga.user
+      });
+
+      if (!result.success) {
+        throw new CheckoutRejectedError(`Gift card ${tender.code}: ${result.error}`);
+      }
+      transactions.push(result.transaction._id.toString());
+    }
+
+    return { transactions };
+  }
+
+  async chargePayment(saga, context) {
+    // Gift cards covered the whole order
+    if (!(saga.payment.amount > 0)) {
+      return { skipped: true };
+    }
+
+    const order = await this.loadOrder(saga, context);
+
+    const paymentResult = await paymentService.processPayment({
+      amount: saga.payment.amount,
+      currency: saga.payment.currency,
+      paymentMethod: saga.payment.method,
+      orderId: order._id,
+      customerInfo: {
+        email: saga.customer.email,
+        name: saga.customer.name,
+        address: order.billingAddress
+      },
+      // Retries of this step reuse the same gateway payment
+      idempotencyKey: `checkout:${saga._id}`,
+      savedPaymentMethod: saga.payment.paymentMethodId
+        ? { customerId: saga.payment.customerId, paymentMethodId: saga.payment.paymentMethodId }
+        : undefined,
+      captureMethod: saga.payment.captureMethod
+    });
+
+    if (!paymentResult.success) {
+      context.paymentDeclined = true;
+      throw new CheckoutRejectedError(paymentResult.error || 'Payment was declined');
+    }
+
+    context.paymentResult = paymentResult;
+    return { transactionId: paymentResult.transactionId };
+  }
+
+  /**
+   * Decrement stock line by line, persisting progress so a crash midway
+   * knows exactly which lines to restore. Preordered and backordered lines
+   * take their place on the offer instead and get stock when it arrives.
+   */
+  async commitStock(saga, context) {
+    const step = saga.getStep('commit_stock');
+    const committed = new Set(step.data.committed || []);
+
+    for (const [index, line] of saga.lines.entries()) {
+      if (committed.has(index)) {
+        continue;
+      }
+
+      if (line.offer) {
+        const claim = await preorderService.claim(line.offer, line.quantity);
+        if (!claim.success) {
+          throw new CheckoutRejectedError(claim.error);
+        }
+      } else {
+        const taken = await inventoryService.adjustStock(line.product.toString(), -line.quantity, {
+          size: line.size,
+          color: line.color,
+          reason: `Order ${saga.order}`
+        });
+        if (!taken.success) {
+          throw new CheckoutRejectedError('An item in your cart is no longer in stock');
+        }
+      }
+
+      committed.add(index);
+      saga.recordStepData('commit_stock', { committed: [...committed] });
+      await saga.save();
+    }
+
+    // The stock is decremented, so the checkout hold is no longer needed
+    const cart = await this.loadCart(saga, context);
+    if (cart?.reservation?.reservationId) {
+      await inventoryService.releaseCartReservation(cart);
+      await cart.save();
+    }
+
+    return { committed: [...committed] };
+  }
+
+  async confirmOrder(saga, context) {
+    const order = await this.loadOrder(saga, context);
+    if (order.status === 'confirmed') {
+      return {};
+    }
+
+    const { transactionId } = saga.getStep('charge_payment').data;
+    const authorizedOnly = saga.payment.captureMethod === 'manual';
+    if (authorizedOnly) {
+      order.setPaymentStatus('authorized', { source: 'payment_gateway', reason: transactionId });
+      order.payment.transactionId = transactionId;
+      order.payment.authorizedAt = new Date();
+    } else if (transactionId) {
+      order.setPaymentStatus('completed', { source: 'payment_gateway', reason: transactionId });
+      order.payment.transactionId = transactionId;
+      order.payment.processedAt = new Date();
+    } else {
+      order.setPaymentStatus('completed', { source: 'system', reason: 'Paid by gift card' });
+      order.payment.processedAt = new Date();
+    }
+    if (context.paymentResult) {
+      order.payment.gatewayResponse = context.paymentResult.gatewayResponse;
+    }
+    order.setStatus('confirmed', { source: 'system', reason: authorizedOnly ? 'Payment authorized' : 'Payment received' });
+
+    await order.save();
+    return {};
+  }
+
+  /**
+   * Post-confirmation housekeeping. Each action is recorded so retries by the
+   * recovery job never repeat one that already happened.
+   */
+  async finalize(saga, context) {
+    const step = saga.getStep('finalize');
+    const done = { ...step.data };
+    const order = await this.loadOrder(saga, context);
+
+    const record = async (action) => {
+      done[action] = true;
+      saga.recordStepData('finalize', { [action]: true });
+      await saga.save();
+    };
+
+    if (!done.cartCleared) {
+      // Remove only the ordered lines; the cart may have changed since
+      const cart = await this.loadCart(saga, context);
+      if (cart) {
+        for (const line of saga.lines) {
+          const item = cart.findItem(line.product, line.size, line.color);
+          if (item) {
+            cart.items.pull({ _id: item._id });
+          }
+        }
+        await cart.save();
+      }
+      await cache.del(`cart:${saga.user}`);
+      await record('cartCleared');
+    }
+
+    if (!done.recoveryRecorded) {
+      try {
+        await cartRecoveryService.recordOrder(saga.cart, order);
+      } catch (recoveryError) {
+        logger.error('Failed to record abandoned cart recovery:', recoveryError);
+      }
+      await record('recoveryRecorded');
+    }
+
+    // Authorized-only orders are invoiced when the payment is captured
+    if (!done.invoiceIssued && order.isPaid) {
+      await invoiceService.getInvoiceForOrder(order, { email: saga.customer.email });
+      await record('invoiceIssued');
+    }
+
+    if (!done.confirmationSent) {
+      try {
+        await sendEmail({
+          to: saga.customer.email,
+          subject: `Order Confirmation - ${order.formattedOrderNumber}`,
+          template: 'orderConfirmation',
+          data: { order, user: { email: saga.customer.email, name: saga.customer.name } }
+        });
+      } catch (emailError) {
+        logger.error('Failed to send order confirmation email:', emailError);
+      }
+      await record('confirmationSent');
+    }
+
+    return done;
+  }
+
+  /**
+   * Undo completed steps in reverse order. Steps that cannot be undone are
+   * flagged for manual handling.
+   */
+  async compensate(saga, context, cause) {
+    saga.status = 'compensating';
+    await saga.save();
+
+    const steps = [...CHECKOUT_STEPS].reverse();
+    for (const name of steps) {
+      const step = saga.getStep(name);
+      if (!['completed', 'running', 'failed'].includes(step.status)) {
+        continue;
+      }
+
+      try {
+        const data = await this.compensateStep(name, saga, context, cause);
+        saga.markStep(name, 'compensated', { data });
+      } catch (error) {
+        logger.error(`Checkout ${saga._id} could not compensate ${name}:`, error);
+        saga.markStep(name, 'compensation_failed', { error: error.message });
+      }
+      await saga.save();
+    }
+
+    // Give the stock hold back whatever happened above
+    const cart = await this.loadCart(saga, context);
+    if (cart?.reservation?.reservationId) {
+      await inventoryService.releaseCartReservation(cart);
+      await cart.save();
+    }
+
+    const failed = saga.steps.filter(step => step.status === 'compensation_failed');
+    saga.status = failed.length > 0 ? 'needs_attention' : 'compensated';
+    saga.lockedUntil = undefined;
+    await saga.save();
+
+    if (failed.length > 0) {
+      await this.alertAdmins(saga, `Could not roll back: ${failed.map(step => step.name).join(', ')}`);
+    }
+  }
+
+  async compensateStep(name, saga, context, cause) {
+    switch (name) {
+      case 'commit_stock': {
+        const step = saga.getStep('commit_stock');
+        const committed = [...(step.data.committed || [])];
+
+        while (committed.length > 0) {
+          const index = committed[committed.length - 1];
+          const line = saga.lines[index];
+          if (line.offer) {
+            await preorderService.release(line.offer, line.quantity);
+          } else {
+            await inventoryService.updateStock(line.product.toString(), line.quantity, 'add', {
+              size: line.size,
+              color: line.color,
+              reason: `Checkout for order ${saga.order} rolled back`
+            });
+          }
+
+          committed.pop();
+          saga.recordStepData('commit_stock', { committed });
+          await saga.save();
+        }
+        return { committed: [] };
+      }
+
+      case 'charge_payment': {
+        if (!(saga.payment.amount > 0)) {
+          return { nothingToVoid: true };
+        }
+
+        // The charge may have succeeded even if recording it did not
+        let transactionId = saga.getStep('charge_payment').data.transactionId ||
+          context.paymentResult?.transactionId;
+
+        if (!transactionId) {
+          // A declined charge leaves nothing to undo; an interrupted one may
+          // still have gone through, so ask the gateway
+          if (context.paymentDeclined) {
+            return { nothingToVoid: true };
+          }
+          const lookup = await paymentService.findPaymentForOrder(saga.order);
+          if (!lookup.success) {
+            throw new Error(`Could not determine whether order ${saga.order} was charged: ${lookup.error}`);
+          }
+          if (!lookup.found) {
+            return { nothingToVoid: true };
+          }
+          transactionId = lookup.transactionId;
+        }
+
+        const result = await paymentService.voidPayment(transactionId);
+        if (!result.success) {
+          throw new Error(result.error || 'Payment could not be voided');
+        }
+        return { transactionId, voided: result.voided, refundId: result.refundId };
+      }
+
+      case 'redeem_gift_cards': {
+        // Only cards whose debit went through are credited back
+        const reversed = [];
+        const failed = [];
+        for (const tender of saga.giftCards || []) {
+          const result = await giftCardService.reverseDebit(tender.giftCard, `checkout:${saga._id}`, {
+            reason: `Checkout for order ${saga.order} rolled back`
+          });
+          if (!result.success) {
+            failed.push(`${tender.code} (${result.error})`);
+          } else if (result.transaction) {
+            reversed.push(result.transaction._id.toString());
+          }
+        }
+
+        if (failed.length > 0) {
+          throw new Error(`Could not restore gift cards: ${failed.join(', ')}`);
+        }
+        return { reversed };
+      }
+
+      case 'redeem_promotion':
+        if (saga.promotion?.id) {
+          await promotionService.releaseRedemption(saga.order);
+        }
+        return {};
+
+      case 'create_order': {
+        const order = await this.loadOrder(saga, context);
+        if (!order || order.isNew) {
+          return {};
+        }
+
+        const reason = cause?.message || 'Checkout failed';
+        if (context.paymentDeclined) {
+          order.setPaymentStatus('failed', { source: 'payment_gateway', reason });
+        } else if (order.payment.status === 'pending') {
+          order.setPaymentStatus('cancelled', { source: 'system', reason });
+        }
+        if (order.canTransitionTo('cancelled')) {
+          order.setStatus('cancelled', { source: 'system', reason });
+        }
+        await order.save();
+        return {};
+      }
+
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Finish or roll back checkouts whose process stopped midway
+   */
+  async recoverStuckCheckouts() {
+    const now = new Date();
+    const stale = await CheckoutSaga.find({
+      status: { $in: ['running', 'compensating'] },
+      updatedAt: { $lt: new Date(now.getTime() - this.staleAfterMs) },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    }).select('_id');
+
+    let recovered = 0;
+    for (const { _id } of stale) {
+      // Claim the saga so concurrent recovery runs do not both act on it
+      const saga = await CheckoutSaga.findOneAndUpdate(
+        { _id, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date() } }] },
+        { $set: { lockedUntil: new Date(Date.now() + this.lockMs) }, $inc: { recoveryAttempts: 1 } },
+        { new: true }
+      );
+      if (!saga) {
+        continue;
+      }
+
+      try {
+        await this.recover(saga);
+        recovered++;
+      } catch (error) {
+        logger.error(`Recovery of checkout ${saga._id} failed:`, error);
+        saga.lastError = error.message;
+        saga.lockedUntil = undefined;
+        await saga.save();
+      }
+    }
+
+    return recovered;
+  }
+
+  async recover(saga) {
+    if (saga.recoveryAttempts > this.maxRecoveryAttempts) {
+      saga.status = 'needs_attention';
+      saga.lockedUntil = undefined;
+      await saga.save();
+      await this.alertAdmins(saga, `Gave up after ${this.maxRecoveryAttempts} recovery attempts`);
+      return;
+    }
+
+    // Once the charge and the stock decrement both happened, finishing the
+    // order is safer than unwinding it
+    const committedEverything = saga.getStep('commit_stock').status === 'completed';
+    if (saga.status === 'running' && (saga.isPastPointOfNoReturn || committedEverything)) {
+      logger.info(`Resuming checkout ${saga._id} for order ${saga.order}`);
+      await this.run(saga);
+      return;
+    }
+
+    logger.info(`Rolling back checkout ${saga._id} for order ${saga.order}`);
+    await this.compensate(saga, {}, new Error('Checkout interrupted'));
+  }
+
+  /**
+   * Start the recovery job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.recoverStuckCheckouts().catch(error => logger.error('Checkout recovery failed:', error));
+    }, this.recoveryIntervalMs);
+  }
+
+  /**
+   * Tell the payments team about a checkout that needs manual handling
+   */
+  async alertAdmins(saga, problem) {
+    logger.error(`Checkout ${saga._id} needs attention: ${problem}`, {
+      orderId: saga.order,
+      failedStep: saga.failedStep,
+      lastError: saga.lastError
+    });
+
+    try {
+      await sendEmail({
+        to: this.adminAlertEmail,
+        subject: `Checkout needs attention - order ${saga.order}`,
+        template: 'checkoutNeedsAttention',
+        data: { saga, problem }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send checkout alert:', emailError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new CheckoutService();
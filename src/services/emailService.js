@@ -0,0 +1,53 @@
+const logger = require('../config/logger');
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+// SendGrid dynamic template for each email, e.g. SENDGRID_TEMPLATE_ORDER_CONFIRMATION
+// for orderConfirmation. The template renders the data passed to sendEmail.
+const templateId = (template) => process.env[
+  `SENDGRID_TEMPLATE_${template.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`
+];
+
+/**
+ * Send a templated email. Without an API key or a template ID the email is
+ * logged instead, so development and test runs never send mail.
+ * @param {Object} params - { to, subject, template, data }
+ * @returns {Object} { sent }
+ */
+const sendEmail = async ({ to, subject, template, data = {} }) => {
+  const apiKey = process.env.SENDGRID_API_KEY;
+  const id = templateId(template);
+
+  if (!apiKey || !id) {
+    logger.info(`Email ${template} to ${to} not sent: email delivery is not configured`, { subject });
+    return { sent: false };
+  }
+
+  const response = await fetch(SENDGRID_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      from: {
+        email: process.env.EMAIL_FROM || 'orders@airkicks.store',
+        name: process.env.EMAIL_FROM_NAME || 'AirKicks'
+      },
+      personalizations: [{
+        to: [{ email: to }],
+        // Documents such as orders serialize through their toJSON
+        dynamic_template_data: { subject, ...JSON.parse(JSON.stringify(data)) }
+      }],
+      template_id: id
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Email ${template} to ${to} failed with status ${response.status}`);
+  }
+
+  return { sent: true };
+};
+
+module.exports = { sendEmail };
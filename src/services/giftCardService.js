@@ -0,0 +1,425 @@
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const logger = require('../config/logger');
+const paymentService = require('./paymentService');
+const { sendEmail } = require('./emailService');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Gateway statuses of a payment that has gone through
+const PAID_STATUSES = ['succeeded', 'completed'];
+
+class GiftCardService {
+  constructor() {
+    this.expiryDays = parseInt(process.env.GIFT_CARD_EXPIRY_DAYS) || 5 * 365;
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+  }
+
+  defaultExpiry() {
+    return new Date(Date.now() + this.expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Find a card from a customer-entered code
+   */
+  async findByCode(code) {
+    const normalized = GiftCard.normalizeCode(code);
+    if (!normalized) {
+      return null;
+    }
+
+    return GiftCard.findOne({ code: normalized });
+  }
+
+  /**
+   * Ledger entries for a card, oldest first
+   */
+  async getLedger(giftCardId) {
+    return GiftCardTransaction.find({ giftCard: giftCardId }).sort({ createdAt: 1 });
+  }
+
+  async record(giftCard, entry, { session } = {}) {
+    const [transaction] = await GiftCardTransaction.create([{
+      giftCard: giftCard._id,
+      balanceAfter: giftCard.balance,
+      ...entry
+    }], { session });
+    return transaction;
+  }
+
+  /**
+   * Update a card and write its ledger entry in one transaction, so the
+   * balance and the ledger never disagree. buildEntry gets the updated card.
+   * @returns {Object|null} { giftCard, transaction }, or null if no card matched
+   */
+  async applyChange(filter, update, buildEntry) {
+    let change = null;
+
+    await GiftCard.db.transaction(async (session) => {
+      change = null;
+      const giftCard = await GiftCard.findOneAndUpdate(filter, update, { new: true, session });
+      if (!giftCard) {
+        return;
+      }
+
+      const transaction = await this.record(giftCard, buildEntry(giftCard), { session });
+      change = { giftCard, transaction };
+    });
+
+    return change;
+  }
+
+  /**
+   * Put a pending card's value on it and record the opening balance
+   * @returns {GiftCard|null} The active card, or null if it was not pending
+   */
+  async activate(giftCard, { order, actor, source, reason } = {}) {
+    const change = await this.applyChange(
+      { _id: giftCard._id, status: 'pending' },
+      [{ $set: { status: 'active', balance: '$initialAmount', issuedAt: new Date() } }],
+      (active) => ({ type: 'issue', amount: active.initialAmount, order, actor, source, reason })
+    );
+
+    return change?.giftCard || null;
+  }
+
+  /**
+   * Create a card with a fresh code and record its opening balance.
+   * changedBy is { actor, source, reason } for the ledger.
+   */
+  async issue({ amount, expiresAt, ...fields }, changedBy = {}) {
+    const { actor, source = 'system', reason } = changedBy;
+
+    const pending = await GiftCard.issue({
+      ...fields,
+      status: 'pending',
+      amount: round(amount),
+      expiresAt: expiresAt === undefined ? this.defaultExpiry() : expiresAt,
+      issuedBy: fields.issuedBy || (source === 'admin' ? actor : undefined)
+    });
+
+    const giftCard = await this.activate(pending, { order: fields.order, actor, source, reason });
+    if (!giftCard) {
+      throw new Error(`Gift card ${pending._id} could not be activated`);
+    }
+
+    logger.info(`Gift card ${giftCard.maskedCode} issued for ${giftCard.initialAmount} ${giftCard.currency}`, {
+      kind: giftCard.kind,
+      source
+    });
+
+    return giftCard;
+  }
+
+  /**
+   * Take an amount off a card. The balance check and decrement are a single
+   * update, so concurrent orders can never overdraw a card. A reference makes
+   * the debit idempotent: repeating it returns the original entry.
+   * @returns {Object} { success, transaction, replayed, error }
+   */
+  async debit(giftCardId, amount, { reference, order, reason, actor, source = 'customer' } = {}) {
+    amount = round(amount);
+
+    if (reference) {
+      const existing = await GiftCardTransaction.findOne({ giftCard: giftCardId, type: 'redeem', reference });
+      if (existing) {
+        return { success: true, transaction: existing, replayed: true };
+      }
+    }
+
+    let change;
+    try {
+      change = await this.applyChange(
+        {
+          _id: giftCardId,
+          status: 'active',
+          balance: { $gte: amount },
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        },
+        [{ $set: { balance: { $round: [{ $subtract: ['$balance', amount] }, 2] } } }],
+        () => ({ type: 'redeem', amount: -amount, order, reference, reason, actor, source })
+      );
+    } catch (error) {
+      // A concurrent retry recorded this debit first; our decrement was rolled back
+      if (error.code === 11000) {
+        const transaction = await GiftCardTransaction.findOne({ giftCard: giftCardId, type: 'redeem', reference });
+        return { success: true, transaction, replayed: true };
+      }
+      throw error;
+    }
+
+    if (!change) {
+      return { success: false, error: 'Gift card is void, expired or does not have enough balance' };
+    }
+
+    return { success: true, transaction: change.transaction };
+  }
+
+  /**
+   * Put an amount back on a card, e.g. for a refund or a rolled back checkout.
+   * Idempotent per reference like debit.
+   * @returns {Object} { success, transaction, replayed, error }
+   */
+  async credit(giftCardId, amount, { type = 'refund', reference, order, reason, actor, source = 'system' } = {}) {
+    amount = round(amount);
+
+    if (reference) {
+      const existing = await GiftCardTransaction.findOne({ giftCard: giftCardId, type, reference });
+      if (existing) {
+        return { success: true, transaction: existing, replayed: true };
+      }
+    }
+
+    let change;
+    try {
+      change = await this.applyChange(
+        { _id: giftCardId, status: 'active' },
+        [{ $set: { balance: { $round: [{ $add: ['$balance', amount] }, 2] } } }],
+        () => ({ type, amount, order, reference, reason, actor, source })
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        const transaction = await GiftCardTransaction.findOne({ giftCard: giftCardId, type, reference });
+        return { success: true, transaction, replayed: true };
+      }
+      throw error;
+    }
+
+    if (!change) {
+      return { success: false, error: 'Gift card has been voided' };
+    }
+
+    return { success: true, transaction: change.transaction };
+  }
+
+  /**
+   * Undo the debit made under a reference, if there was one
+   * @returns {Object} { success, transaction, error } with no transaction when nothing was debited
+   */
+  async reverseDebit(giftCardId, reference, { reason, actor, source = 'system' } = {}) {
+    const debit = await GiftCardTransaction.findOne({ giftCard: giftCardId, type: 'redeem', reference });
+    if (!debit) {
+      return { success: true, transaction: null };
+    }
+
+    return this.credit(giftCardId, -debit.amount, {
+      reference: `${reference}:reversal`,
+      order: debit.order,
+      reason,
+      actor,
+      source
+    });
+  }
+
+  /**
+   * Void a card, writing off whatever balance is left
+   * @returns {Object} { success, giftCard, transaction, error }
+   */
+  async voidCard(giftCardId, { actor, reason } = {}) {
+    // The write-off is the balance just before the void, kept in voidedBalance
+    const change = await this.applyChange(
+      { _id: giftCardId, status: 'active' },
+      [{ $set: { status: 'void', voidedBalance: '$balance', balance: 0, voidedAt: new Date(), voidReason: reason } }],
+      (voided) => ({ type: 'void', amount: -voided.voidedBalance, actor, source: 'admin', reason })
+    );
+
+    if (!change) {
+      return { success: false, error: 'Gift card not found or already void' };
+    }
+
+    const { giftCard, transaction } = change;
+    logger.info(`Gift card ${giftCard.maskedCode} voided with ${giftCard.voidedBalance} remaining`, { actor });
+
+    return { success: true, giftCard, transaction };
+  }
+
+  /**
+   * Work out how much to take from each card toward an amount due. Cards are
+   * drawn down in the order given; cards not needed to cover it are left alone.
+   * @returns {Object} { success, allocations: [{ giftCard, code, amount }], total, error }
+   */
+  async planRedemption(codes, amountDue, { currency = 'USD' } = {}) {
+    const allocations = [];
+    const seen = new Set();
+    let remaining = round(amountDue);
+
+    for (const code of codes) {
+      const giftCard = await this.findByCode(code);
+      if (!giftCard) {
+        return { success: false, error: `Gift card ${code} was not found` };
+      }
+      if (seen.has(giftCard.code)) {
+        return { success: false, error: `Gift card ${giftCard.maskedCode} was entered more than once` };
+      }
+      seen.add(giftCard.code);
+
+      if (!giftCard.isRedeemable) {
+        return { success: false, error: `Gift card ${giftCard.maskedCode} has no balance left or has expired` };
+      }
+      if (giftCard.currency !== currency) {
+        return { success: false, error: `Gift card ${giftCard.maskedCode} is in ${giftCard.currency}` };
+      }
+
+      const amount = round(Math.min(giftCard.balance, remaining));
+      if (amount > 0) {
+        allocations.push({ giftCard: giftCard._id, code: giftCard.maskedCode, amount });
+        remaining = round(remaining - amount);
+      }
+    }
+
+    return {
+      success: true,
+      allocations,
+      total: round(amountDue - remaining)
+    };
+  }
+
+  /**
+   * Sell a card. The card is held as pending, with no balance, until the
+   * purchaser's payment has gone through; only then is it activated and the
+   * code emailed to the recipient. Payments the customer still has to
+   * confirm return pending with a client secret, and confirmPurchase
+   * finishes the sale once they have.
+   * @param {Object} params - { amount, currency, paymentMethod, recipient: { name, email }, message, purchaser: { id, email, name } }
+   * @returns {Object} { success, giftCard, pending, clientSecret, error }
+   */
+  async purchase({ amount, currency = 'USD', paymentMethod, recipient, message, purchaser }) {
+    const giftCard = await GiftCard.issue({
+      kind: 'gift_card',
+      status: 'pending',
+      amount: round(amount),
+      currency,
+      recipient,
+      message,
+      purchaser: purchaser.id,
+      expiresAt: this.defaultExpiry()
+    });
+
+    // The card's ID stands in for an order ID at the gateway
+    const paymentResult = await paymentService.processPayment({
+      amount,
+      currency,
+      paymentMethod,
+      orderId: giftCard._id,
+      customerInfo: {
+        email: purchaser.email,
+        name: purchaser.name
+      },
+      metadata: { giftCard: giftCard._id.toString() },
+      idempotencyKey: `gift-card:${giftCard._id}`
+    });
+
+    if (!paymentResult.success) {
+      await GiftCard.deleteOne({ _id: giftCard._id, status: 'pending' });
+      return { success: false, error: paymentResult.error || 'Payment was declined' };
+    }
+
+    giftCard.transactionId = paymentResult.transactionId;
+    await giftCard.save();
+
+    if (!PAID_STATUSES.includes(paymentResult.status)) {
+      return { success: true, pending: true, giftCard, clientSecret: paymentResult.clientSecret };
+    }
+
+    return this.completePurchase(giftCard, { senderName: purchaser.name });
+  }
+
+  /**
+   * Finish a purchase the customer had to confirm, once the payment has gone
+   * through. Safe to repeat: a card already issued is returned as is.
+   * @returns {Object} { success, giftCard, pending, notFound, error }
+   */
+  async confirmPurchase(giftCardId, purchaser) {
+    const giftCard = await GiftCard.findOne({ _id: giftCardId, purchaser: purchaser.id, kind: 'gift_card' });
+    if (!giftCard || !giftCard.transactionId) {
+      return { success: false, notFound: true, error: 'Gift card purchase not found' };
+    }
+
+    if (giftCard.status !== 'pending') {
+      return { success: true, giftCard };
+    }
+
+    const payment = await paymentService.getPayment(giftCard.transactionId);
+    if (!payment.success) {
+      return { success: false, error: payment.error };
+    }
+
+    if (!PAID_STATUSES.includes(payment.status)) {
+      return { success: false, pending: true, error: 'The payment has not gone through yet' };
+    }
+
+    return this.completePurchase(giftCard, { senderName: purchaser.name });
+  }
+
+  /**
+   * Activate a paid-for card and email it to the recipient. If activation
+   * fails the payment is voided.
+   * @returns {Object} { success, giftCard, error }
+   */
+  async completePurchase(giftCard, { senderName } = {}) {
+    let active;
+    try {
+      active = await this.activate(giftCard, {
+        actor: giftCard.purchaser,
+        source: 'customer',
+        reason: 'Purchased'
+      });
+    } catch (error) {
+      logger.error(`Failed to issue purchased gift card ${giftCard._id}:`, error);
+      const voidResult = await paymentService.voidPayment(giftCard.transactionId);
+      if (!voidResult.success) {
+        logger.error(`Could not void payment ${giftCard.transactionId} for gift card ${giftCard._id}:`, voidResult.error);
+      }
+      await GiftCard.updateOne(
+        { _id: giftCard._id, status: 'pending' },
+        { $set: { status: 'void', voidedAt: new Date(), voidReason: 'Could not be issued' } }
+      );
+      return { success: false, error: 'Gift card could not be issued; your payment has been refunded' };
+    }
+
+    // Another request activated and delivered it first
+    if (!active) {
+      return { success: true, giftCard: await GiftCard.findById(giftCard._id) };
+    }
+
+    logger.info(`Gift card ${active.maskedCode} issued for ${active.initialAmount} ${active.currency}`, {
+      kind: active.kind,
+      source: 'customer'
+    });
+
+    await this.deliver(active, { senderName });
+
+    return { success: true, giftCard: active };
+  }
+
+  /**
+   * Email a card's code to its recipient
+   * @returns {boolean} Whether the email was sent
+   */
+  async deliver(giftCard, { senderName } = {}) {
+    try {
+      await sendEmail({
+        to: giftCard.recipient.email,
+        subject: senderName ? `${senderName} sent you an AirKicks gift card` : 'Your AirKicks gift card',
+        template: 'giftCardDelivered',
+        data: {
+          recipientName: giftCard.recipient.name,
+          senderName,
+          message: giftCard.message,
+          code: giftCard.code,
+          amount: giftCard.initialAmount,
+          currency: giftCard.currency,
+          expiresAt: giftCard.expiresAt,
+          storeUrl: this.storeUrl
+        }
+      });
+      return true;
+    } catch (emailError) {
+      logger.error(`Failed to send gift card ${giftCard.maskedCode}:`, emailError);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new GiftCardService();
@@ -0,0 +1,164 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const { sendEmail } = require('./emailService');
+const giftCardService = require('./giftCardService');
+
+class GiftService {
+  constructor() {
+    this.tokenSecret = process.env.ORDER_ACCESS_SECRET || process.env.JWT_SECRET || 'secret';
+    this.trackingLinkDays = parseInt(process.env.GIFT_TRACKING_LINK_DAYS) || 90;
+    this.storeCreditExpiryDays = parseInt(process.env.STORE_CREDIT_EXPIRY_DAYS) || 5 * 365;
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+    this.notifyIntervalMs = 5 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Signed link letting the recipient follow the delivery without seeing prices
+   */
+  createTrackingToken(order) {
+    return jwt.sign(
+      { orderId: order._id.toString(), purpose: 'gift_tracking' },
+      this.tokenSecret,
+      { expiresIn: `${this.trackingLinkDays}d` }
+    );
+  }
+
+  /**
+   * Verify a recipient tracking token
+   * @returns {Order|null} The gift order, or null if the link is invalid or expired
+   */
+  async verifyTrackingToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.tokenSecret);
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== 'gift_tracking') {
+      return null;
+    }
+
+    const order = await Order.findById(payload.orderId);
+    return order?.isGift ? order : null;
+  }
+
+  /**
+   * Find a gift order from the code on its gift receipt
+   */
+  async findOrderByReceiptCode(receiptCode) {
+    const code = String(receiptCode || '').trim().toUpperCase();
+    if (!code) {
+      return null;
+    }
+
+    return Order.findOne({ 'gift.receiptCode': code, 'gift.isGift': true });
+  }
+
+  /**
+   * Email the recipient of every gift whose scheduled notification is due.
+   * Each order is claimed before sending so several instances never send twice.
+   */
+  async sendDueNotifications() {
+    const due = await Order.find({
+      'gift.isGift': true,
+      'gift.notifyAt': { $lte: new Date() },
+      'gift.notifiedAt': null,
+      'gift.recipientEmail': { $exists: true, $ne: null },
+      status: { $nin: ['cancelled', 'refunded'] }
+    }).select('_id');
+
+    let sent = 0;
+    for (const { _id } of due) {
+      const order = await Order.findOneAndUpdate(
+        { _id, 'gift.notifiedAt': null },
+        { $set: { 'gift.notifiedAt': new Date() } },
+        { new: true }
+      );
+      if (!order) {
+        continue;
+      }
+
+      try {
+        await sendEmail({
+          to: order.gift.recipientEmail,
+          subject: `${order.billingAddress.firstName} sent you a gift`,
+          template: 'giftNotification',
+          data: {
+            recipientName: order.gift.recipientName,
+            senderName: order.billingAddress.firstName,
+            message: order.gift.message,
+            trackingUrl: `${this.storeUrl}/gifts/track?token=${encodeURIComponent(this.createTrackingToken(order))}`
+          }
+        });
+        sent++;
+      } catch (emailError) {
+        // Release the claim so the next run retries
+        await Order.updateOne({ _id }, { $unset: { 'gift.notifiedAt': 1 } });
+        logger.error(`Failed to send gift notification for order ${order.orderNumber}:`, emailError);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Sent ${sent} gift notifications`);
+    }
+    return { sent };
+  }
+
+  /**
+   * Issue store credit to the recipient of a gift-receipt return and email them the code
+   */
+  async issueStoreCredit(returnRequest, order, { amount, adminId }) {
+    const giftCard = await giftCardService.issue({
+      kind: 'store_credit',
+      amount,
+      currency: order.currency,
+      expiresAt: new Date(Date.now() + this.storeCreditExpiryDays * 24 * 60 * 60 * 1000),
+      recipient: returnRequest.recipient,
+      order: order._id,
+      return: returnRequest._id,
+      issuedBy: adminId
+    }, { actor: adminId, source: 'admin', reason: `Gift return ${returnRequest._id}` });
+
+    logger.info(`Store credit ${giftCard.code} of ${amount} issued for return ${returnRequest._id}`);
+
+    try {
+      await sendEmail({
+        to: returnRequest.recipient.email,
+        subject: 'Your store credit is ready',
+        template: 'storeCreditIssued',
+        data: {
+          recipientName: returnRequest.recipient.name,
+          code: giftCard.code,
+          amount,
+          currency: giftCard.currency,
+          expiresAt: giftCard.expiresAt
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send store credit email:', emailError);
+    }
+
+    return giftCard;
+  }
+
+  /**
+   * Send scheduled gift notifications periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.sendDueNotifications().catch(error => {
+        logger.error('Gift notification run failed:', error);
+      });
+    }, this.notifyIntervalMs);
+  }
+}
+
+// Export singleton instance
+module.exports = new GiftService();
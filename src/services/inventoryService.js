@@ -1,4 +1,5 @@
 const Product = require('../models/Product');
+const StockHold = require('../models/StockHold');
 const logger = require('../config/logger');
 const { cache } = require('../config/cache');
 const { EventEmitter } = require('events');
@@ -8,19 +9,21 @@ class InventoryService extends EventEmitter {
     super();
     this.lowStockThreshold = 10;
     this.outOfStockThreshold = 0;
-    this.reservations = new Map(); // In-memory reservations for cart items
+    this.checkoutReservationTtl = 900; // 15 minutes per checkout hold or extension
+    this.maxCheckoutHold = 3600; // Never hold checkout stock longer than 1 hour in total
   }
 
   /**
-   * Check product availability
+   * Check product availability. With excludeReservation, that reservation's
+   * own hold counts as available, e.g. for a cart changing its held lines.
    */
   async checkAvailability(productId, quantity = 1, options = {}) {
     try {
-      const { size, color } = options;
+      const { size, color, excludeReservation } = options;
       const cacheKey = `inventory:${productId}:${size || 'any'}:${color || 'any'}`;
       
-      // Try cache first
-      const cachedStock = await cache.get(cacheKey);
+      // Try cache first; it holds availability net of every hold
+      const cachedStock = excludeReservation ? null : await cache.get(cacheKey);
       if (cachedStock !== null) {
         const stock = parseInt(cachedStock);
         return {
@@ -64,11 +67,13 @@ class InventoryService extends EventEmitter {
       }
 
       // Check reserved stock
-      const reservedStock = this.getReservedStock(productId, { size, color });
+      const reservedStock = await this.getReservedStock(productId, { size, color, excludeReservation });
       const actualAvailable = Math.max(0, availableStock - reservedStock);
 
       // Cache the result for 5 minutes
-      await cache.setex(cacheKey, 300, actualAvailable.toString());
+      if (!excludeReservation) {
+        await cache.setex(cacheKey, 300, actualAvailable.toString());
+      }
 
       return {
         available: actualAvailable >= quantity,
@@ -85,7 +90,9 @@ class InventoryService extends EventEmitter {
   }
 
   /**
-   * Reserve stock for cart items
+   * Reserve stock for cart items. Holds are kept in MongoDB so every server
+   * instance sees them; a hold that would take more than the stock there is
+   * is given up straight away.
    */
   async reserveStock(productId, quantity, options = {}, reservationId) {
     try {
@@ -97,23 +104,20 @@ class InventoryService extends EventEmitter {
         throw new Error(`Insufficient stock. Available: ${availability.stock}, Requested: ${quantity}`);
       }
 
-      const reservationKey = `${productId}:${size || 'any'}:${color || 'any'}`;
-      
-      if (!this.reservations.has(reservationKey)) {
-        this.reservations.set(reservationKey, new Map());
-      }
-
-      const productReservations = this.reservations.get(reservationKey);
-      productReservations.set(reservationId, {
-        quantity,
-        createdAt: Date.now(),
-        ttl: ttl * 1000 // Convert to milliseconds
-      });
+      const hold = { reservationId, product: productId, size: size || null, color: color || null };
+      const expiresAt = new Date(Date.now() + ttl * 1000);
+      await StockHold.findOneAndUpdate(hold, { $set: { quantity, expiresAt } }, { upsert: true });
 
-      // Set cleanup timer
-      setTimeout(() => {
-        this.releaseReservation(reservationId, productId, { size, color });
-      }, ttl * 1000);
+      // Another checkout may have taken the same units since the check above
+      const [product, held] = await Promise.all([
+        Product.findById(productId),
+        StockHold.getHeldQuantity(productId, { size, color })
+      ]);
+      const stock = product ? this.getVariantStock(product, { size, color }) : 0;
+      if (held > stock) {
+        await StockHold.deleteOne(hold);
+        throw new Error(`Insufficient stock. Available: ${Math.max(0, stock - held + quantity)}, Requested: ${quantity}`);
+      }
 
       logger.info(`Reserved ${quantity} units of product ${productId}`, {
         reservationId,
@@ -138,7 +142,7 @@ class InventoryService extends EventEmitter {
         success: true,
         reservationId,
         quantity,
-        expiresAt: Date.now() + (ttl * 1000)
+        expiresAt: expiresAt.getTime()
       };
 
     } catch (error) {
@@ -153,19 +157,15 @@ class InventoryService extends EventEmitter {
   async releaseReservation(reservationId, productId, options = {}) {
     try {
       const { size, color } = options;
-      const reservationKey = `${productId}:${size || 'any'}:${color || 'any'}`;
-      
-      const productReservations = this.reservations.get(reservationKey);
-      if (!productReservations || !productReservations.has(reservationId)) {
-        return { success: false, reason: 'Reservation not found' };
-      }
 
-      const reservation = productReservations.get(reservationId);
-      productReservations.delete(reservationId);
-
-      // Clean up empty maps
-      if (productReservations.size === 0) {
-        this.reservations.delete(reservationKey);
+      const reservation = await StockHold.findOneAndDelete({
+        reservationId,
+        product: productId,
+        size: size || null,
+        color: color || null
+      });
+      if (!reservation) {
+        return { success: false, reason: 'Reservation not found' };
       }
 
       logger.info(`Released reservation ${reservationId} for product ${productId}`, {
@@ -198,12 +198,163 @@ class InventoryService extends EventEmitter {
   }
 
   /**
-   * Update stock levels
+   * Extend an existing stock reservation
+   */
+  async extendReservation(reservationId, productId, options = {}) {
+    const { size, color, ttl = 900 } = options;
+
+    const reservation = await StockHold.findOneAndUpdate(
+      {
+        reservationId,
+        product: productId,
+        size: size || null,
+        color: color || null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { expiresAt: new Date(Date.now() + ttl * 1000) } },
+      { new: true }
+    );
+    if (!reservation) {
+      return { success: false, reason: 'Reservation not found' };
+    }
+
+    return {
+      success: true,
+      reservationId,
+      quantity: reservation.quantity,
+      expiresAt: reservation.expiresAt.getTime()
+    };
+  }
+
+  /**
+   * Reserve stock for every line of a cart when checkout begins. Lines on a
+   * preorder or backorder offer have no stock to hold and are skipped.
+   * Any previous hold for the cart is replaced. Updates cart.reservation; the caller saves the cart.
+   */
+  async reserveCart(cart, ttl = this.checkoutReservationTtl) {
+    await this.releaseCartReservation(cart);
+
+    const reservationId = `cart:${cart._id}`;
+    const lines = [];
+
+    try {
+      for (const item of cart.items.filter(item => !item.backorder)) {
+        const productId = (item.product._id || item.product).toString();
+        await this.reserveStock(productId, item.quantity, { size: item.size, color: item.color, ttl }, reservationId);
+        lines.push({ product: productId, size: item.size, color: item.color, quantity: item.quantity });
+      }
+    } catch (error) {
+      // Roll back the lines already held so a failed checkout holds nothing
+      for (const line of lines) {
+        await this.releaseReservation(reservationId, line.product, { size: line.size, color: line.color });
+      }
+      throw error;
+    }
+
+    const now = Date.now();
+    cart.reservation = {
+      reservationId,
+      lines,
+      startedAt: new Date(now),
+      expiresAt: new Date(now + ttl * 1000)
+    };
+
+    return cart.reservation;
+  }
+
+  /**
+   * Extend a cart's checkout hold while the customer is on the payment step.
+   * Updates cart.reservation; the caller saves the cart.
+   */
+  async extendCartReservation(cart, ttl = this.checkoutReservationTtl) {
+    const { reservationId, lines = [], startedAt } = cart.reservation || {};
+    if (!reservationId || lines.length === 0) {
+      return null;
+    }
+
+    // Cap the total hold so a customer cannot keep limited stock indefinitely
+    const holdEndsAt = new Date(startedAt).getTime() + this.maxCheckoutHold * 1000;
+    const extendBy = Math.floor(Math.min(ttl * 1000, holdEndsAt - Date.now()) / 1000);
+    if (extendBy <= 0) {
+      return null;
+    }
+
+    for (const line of lines) {
+      const result = await this.extendReservation(reservationId, line.product, {
+        size: line.size,
+        color: line.color,
+        ttl: extendBy
+      });
+      if (!result.success) {
+        return null;
+      }
+    }
+
+    cart.reservation.expiresAt = new Date(Date.now() + extendBy * 1000);
+    return cart.reservation;
+  }
+
+  /**
+   * Release a cart's checkout hold, e.g. on payment failure or cart changes.
+   * Clears cart.reservation; the caller saves the cart.
+   */
+  async releaseCartReservation(cart) {
+    const { reservationId, lines = [] } = cart.reservation || {};
+
+    for (const line of lines) {
+      await this.releaseReservation(reservationId, line.product, { size: line.size, color: line.color });
+    }
+
+    cart.reservation = undefined;
+  }
+
+  /**
+   * Turn a cart's checkout hold into a real stock decrement once the order is confirmed.
+   * Lines without a hold are decremented too, except preorder and backorder lines.
+   * Clears cart.reservation; the caller saves the cart.
+   */
+  async commitCartReservation(cart, reason = 'Order confirmed') {
+    const taken = [];
+
+    for (const item of cart.items.filter(item => !item.backorder)) {
+      const productId = (item.product._id || item.product).toString();
+      const options = { size: item.size, color: item.color };
+      const result = await this.adjustStock(productId, -item.quantity, { ...options, reason });
+
+      if (!result.success) {
+        // Give back what was already taken so the order takes all or nothing
+        for (const line of taken) {
+          await this.adjustStock(line.productId, line.quantity, { ...line.options, reason: `${reason} rolled back` });
+        }
+        throw new Error(`Insufficient stock for product ${productId}`);
+      }
+      taken.push({ productId, quantity: item.quantity, options });
+    }
+
+    // Release only after the decrement so the stock is never briefly oversold
+    await this.releaseCartReservation(cart);
+  }
+
+  /**
+   * Update stock levels. Adding and subtracting are atomic; a subtraction
+   * larger than the stock fails rather than stopping at zero.
    */
   async updateStock(productId, quantity, operation = 'set', options = {}) {
     try {
       const { size, color, reason = 'Manual update' } = options;
-      
+
+      if (operation === 'add' || operation === 'subtract') {
+        const result = await this.adjustStock(productId, operation === 'add' ? quantity : -quantity, { size, color, reason });
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return { success: true, oldStock: result.oldStock, newStock: result.newStock, operation };
+      }
+
+      if (operation !== 'set') {
+        throw new Error('Invalid operation');
+      }
+
       const product = await Product.findById(productId);
       if (!product) {
         throw new Error('Product not found');
@@ -222,20 +373,7 @@ class InventoryService extends EventEmitter {
         }
 
         oldStock = product.variants[variantIndex].stock || 0;
-        
-        switch (operation) {
-          case 'set':
-            newStock = quantity;
-            break;
-          case 'add':
-            newStock = oldStock + quantity;
-            break;
-          case 'subtract':
-            newStock = Math.max(0, oldStock - quantity);
-            break;
-          default:
-            throw new Error('Invalid operation');
-        }
+        newStock = quantity;
 
         product.variants[variantIndex].stock = newStock;
         
@@ -245,20 +383,7 @@ class InventoryService extends EventEmitter {
       } else {
         // Update main product stock
         oldStock = product.stock;
-        
-        switch (operation) {
-          case 'set':
-            newStock = quantity;
-            break;
-          case 'add':
-            newStock = oldStock + quantity;
-            break;
-          case 'subtract':
-            newStock = Math.max(0, oldStock - quantity);
-            break;
-          default:
-            throw new Error('Invalid operation');
-        }
+        newStock = quantity;
 
         product.stock = newStock;
       }
@@ -307,30 +432,101 @@ class InventoryService extends EventEmitter {
   }
 
   /**
-   * Get reserved stock for a product
+   * Add to or take from the stock of a product or variant in one atomic
+   * update. Taking is conditional on there being enough stock, so
+   * concurrent orders can never oversell or drive stock below zero.
+   * @param {number} delta - Units to add, or negative units to take
+   * @returns {Object} { success, oldStock, newStock, error }
    */
-  getReservedStock(productId, options = {}) {
-    const { size, color } = options;
-    const reservationKey = `${productId}:${size || 'any'}:${color || 'any'}`;
-    
-    const productReservations = this.reservations.get(reservationKey);
-    if (!productReservations) {
-      return 0;
-    }
+  async adjustStock(productId, delta, options = {}) {
+    const { size, color, reason = 'Manual update' } = options;
+    const guard = delta < 0 ? { stock: { $gte: -delta } } : {};
 
-    const now = Date.now();
-    let totalReserved = 0;
+    let product;
+    if (size || color) {
+      const variant = { ...(size && { size }), ...(color && { color }) };
+      product = await Product.findOneAndUpdate(
+        { _id: productId, variants: { $elemMatch: { ...variant, ...guard } } },
+        { $inc: { 'variants.$.stock': delta, stock: delta } },
+        { new: true }
+      );
+    } else {
+      product = await Product.findOneAndUpdate(
+        { _id: productId, ...guard },
+        { $inc: { stock: delta } },
+        { new: true }
+      );
+    }
 
-    // Clean up expired reservations
-    for (const [reservationId, reservation] of productReservations.entries()) {
-      if (now > reservation.createdAt + reservation.ttl) {
-        productReservations.delete(reservationId);
-      } else {
-        totalReserved += reservation.quantity;
+    if (!product) {
+      const existing = await Product.findById(productId);
+      if (!existing) {
+        throw new Error('Product not found');
       }
+      if ((size || color) && !existing.variants?.some(v => (!size || v.size === size) && (!color || v.color === color))) {
+        throw new Error('Variant not found');
+      }
+      return {
+        success: false,
+        error: `Insufficient stock. Available: ${this.getVariantStock(existing, { size, color })}, Requested: ${-delta}`
+      };
     }
 
-    return totalReserved;
+    const newStock = this.getVariantStock(product, { size, color });
+    const oldStock = newStock - delta;
+    const operation = delta < 0 ? 'subtract' : 'add';
+    const quantity = Math.abs(delta);
+
+    logger.info(`Stock updated for product ${productId}`, {
+      operation,
+      oldStock,
+      newStock,
+      quantity,
+      size,
+      color,
+      reason
+    });
+
+    // Invalidate cache
+    const cacheKey = `inventory:${productId}:${size || 'any'}:${color || 'any'}`;
+    await cache.del(cacheKey);
+
+    // Check for low stock alerts
+    await this.checkStockAlerts(product, { size, color });
+
+    this.emit('stockUpdated', {
+      productId,
+      oldStock,
+      newStock,
+      operation,
+      quantity,
+      size,
+      color
+    });
+
+    return { success: true, oldStock, newStock };
+  }
+
+  /**
+   * Stock of a product, or of the variant matching size and color
+   */
+  getVariantStock(product, options = {}) {
+    const { size, color } = options;
+    if (!size && !color) {
+      return product.stock || 0;
+    }
+
+    const variant = product.variants?.find(v =>
+      (!size || v.size === size) && (!color || v.color === color)
+    );
+    return variant?.stock || 0;
+  }
+
+  /**
+   * Get reserved stock for a product
+   */
+  async getReservedStock(productId, options = {}) {
+    return StockHold.getHeldQuantity(productId, options);
   }
 
   /**
@@ -474,42 +670,11 @@ class InventoryService extends EventEmitter {
       throw error;
     }
   }
-
-  /**
-   * Cleanup expired reservations
-   */
-  cleanupExpiredReservations() {
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    for (const [reservationKey, productReservations] of this.reservations.entries()) {
-      for (const [reservationId, reservation] of productReservations.entries()) {
-        if (now > reservation.createdAt + reservation.ttl) {
-          productReservations.delete(reservationId);
-          cleanedCount++;
-        }
-      }
-      
-      // Remove empty maps
-      if (productReservations.size === 0) {
-        this.reservations.delete(reservationKey);
-      }
-    }
-
-    if (cleanedCount > 0) {
-      logger.info(`Cleaned up ${cleanedCount} expired reservations`);
-    }
-  }
 }
 
 // Create singleton instance
 const inventoryService = new InventoryService();
 
-// Set up periodic cleanup of expired reservations (every 5 minutes)
-setInterval(() => {
-  inventoryService.cleanupExpiredReservations();
-}, 5 * 60 * 1000);
-
 // Set up stock alerts
 inventoryService.on('lowStock', (data) => {
   logger.warn('Low stock alert:', data);
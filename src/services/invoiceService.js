@@ -0,0 +1,479 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const company = require('../config/company');
+const logger = require('../config/logger');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Cells starting with =, +, - or @ are run as formulas by spreadsheet apps,
+// so they are prefixed with a quote to keep them as text
+const escapeCsv = (value) => {
+  const raw = String(value ?? '');
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const formatAddress = (party) => {
+  if (!party) {
+    return [];
+  }
+  const { address = {} } = party;
+  return [
+    party.name,
+    address.street,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country
+  ].filter(Boolean);
+};
+
+class InvoiceService {
+  /**
+   * Get the invoice for an order, issuing it if needed. Null until the order
+   * is paid.
+   */
+  async getInvoiceForOrder(order, { email } = {}) {
+    return Invoice.issueForOrder(order, { email });
+  }
+
+  /**
+   * Issue a credit note for a completed refund. Failures are logged rather than
+   * thrown so refund bookkeeping is never rolled back by document issue.
+   */
+  async issueCreditNote(order, refund) {
+    try {
+      return await Invoice.issueCreditNote(order, refund);
+    } catch (error) {
+      logger.error(`Failed to issue credit note for order ${order.orderNumber}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Find the documents issued in a date range for accounting exports
+   */
+  async findIssuedBetween({ from, to, type }) {
+    const query = { issuedAt: { $gte: from, $lte: to } };
+    if (type) {
+      query.type = type;
+    }
+
+    return Invoice.find(query).sort({ type: 1, sequence: 1 });
+  }
+
+  /**
+   * Format a money amount in the document currency
+   */
+  formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  }
+
+  /**
+   * Summary rows shown under the line items
+   */
+  getTotalsRows(invoice) {
+    const money = (amount) => this.formatMoney(amount, invoice.currency);
+    const rows = [['Subtotal', money(invoice.subtotal)]];
+
+    if (invoice.discount > 0) {
+      rows.push([`Discount${invoice.discountCode ? ` (${invoice.discountCode})` : ''}`, `-${money(invoice.discount)}`]);
+    }
+    if (invoice.type === 'invoice') {
+      rows.push(['Shipping', money(invoice.shipping)]);
+    }
+    rows.push([`Tax (${(invoice.taxRate * 100).toFixed(2)}%)`, money(invoice.tax)]);
+    rows.push([invoice.type === 'credit_note' ? 'Total credited' : 'Total', money(invoice.total)]);
+
+    return rows;
+  }
+
+  /**
+   * Render a printable HTML invoice or credit note
+   */
+  renderHtml(invoice) {
+    const money = (amount) => escapeHtml(this.formatMoney(amount, invoice.currency));
+    const lines = invoice.lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}${line.size || line.color ? `<br><small>${escapeHtml([line.size && `Size ${line.size}`, line.color].filter(Boolean).join(' / '))}</small>` : ''}</td>
+          <td class="num">${line.quantity}</td>
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.total)}</td>
+        </tr>`).join('');
+    const totals = this.getTotalsRows(invoice).map(([label, value]) => `
+        <tr><th colspan="3">${escapeHtml(label)}</th><td class="num">${escapeHtml(value)}</td></tr>`).join('');
+    const seller = formatAddress(invoice.seller).map(escapeHtml).join('<br>');
+    const billTo = formatAddress(invoice.billTo).map(escapeHtml).join('<br>');
+    const shipTo = formatAddress(invoice.shipTo).map(escapeHtml).join('<br>');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    header, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    h1 { margin: 0 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    tfoot th { text-align: right; font-weight: normal; }
+    tfoot tr:last-child th, tfoot tr:last-child td { font-weight: bold; }
+    footer { margin-top: 32px; font-size: 12px; color: #666; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escapeHtml(invoice.title)}</h1>
+      <div>No. ${escapeHtml(invoice.number)}</div>
+      <div>Issued ${formatDate(invoice.issuedAt)}</div>
+      <div>Order ${escapeHtml(invoice.orderNumber)} placed ${formatDate(invoice.orderPlacedAt)}</div>
+      ${invoice.refundId ? `<div>Refund ${escapeHtml(invoice.refundId)}</div>` : ''}
+    </div>
+    <div>${seller}${invoice.seller?.taxId ? `<br>Tax ID: ${escapeHtml(invoice.seller.taxId)}` : ''}${invoice.seller?.registrationNumber ? `<br>Reg. no: ${escapeHtml(invoice.seller.registrationNumber)}` : ''}</div>
+  </header>
+  <section class="parties">
+    <div><strong>Bill to</strong><br>${billTo}${invoice.billTo?.email ? `<br>${escapeHtml(invoice.billTo.email)}` : ''}</div>
+    ${shipTo ? `<div><strong>Ship to</strong><br>${shipTo}</div>` : ''}
+  </section>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr>
+    </thead>
+    <tbody>${lines}
+    </tbody>
+    <tfoot>${totals}
+    </tfoot>
+  </table>
+  <footer>
+    ${invoice.paymentMethod ? `Paid by ${escapeHtml(invoice.paymentMethod.replace(/_/g, ' '))}. ` : ''}${escapeHtml(company.legalName)} &middot; ${escapeHtml(company.email)}${company.phone ? ` &middot; ${escapeHtml(company.phone)}` : ''}
+  </footer>
+</body>
+</html>`;
+  }
+
+  /**
+   * Draw one document onto a PDF page
+   */
+  drawPdfPage(doc, invoice) {
+    const money = (amount) => this.formatMoney(amount, invoice.currency);
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.fontSize(20).text(invoice.title, left, doc.page.margins.top);
+    doc.fontSize(10)
+      .text(`No. ${invoice.number}`)
+      .text(`Issued ${formatDate(invoice.issuedAt)}`)
+      .text(`Order ${invoice.orderNumber} placed ${formatDate(invoice.orderPlacedAt)}`);
+    if (invoice.refundId) {
+      doc.text(`Refund ${invoice.refundId}`);
+    }
+
+    const sellerLines = formatAddress(invoice.seller);
+    if (invoice.seller?.taxId) sellerLines.push(`Tax ID: ${invoice.seller.taxId}`);
+    if (invoice.seller?.registrationNumber) sellerLines.push(`Reg. no: ${invoice.seller.registrationNumber}`);
+    doc.text(sellerLines.join('\n'), right - 200, doc.page.margins.top, { width: 200, align: 'right' });
+
+    let y = 160;
+    const billTo = formatAddress(invoice.billTo);
+    if (invoice.billTo?.email) billTo.push(invoice.billTo.email);
+    doc.font('Helvetica-Bold').text('Bill to', left, y).font('Helvetica').text(billTo.join('\n'));
+    if (invoice.shipTo) {
+      doc.font('Helvetica-Bold').text('Ship to', left + 250, y).font('Helvetica').text(formatAddress(invoice.shipTo).join('\n'));
+    }
+
+    y = 260;
+    const columns = [left, right - 220, right - 150, right - 70];
+    doc.font('Helvetica-Bold')
+      .text('Item', columns[0], y)
+      .text('Qty', columns[1], y, { width: 40, align: 'right' })
+      .text('Unit price', columns[2], y, { width: 70, align: 'right' })
+      .text('Amount', columns[3], y, { width: 70, align: 'right' })
+      .font('Helvetica');
+    y += 18;
+
+    for (const line of invoice.lines) {
+      const variant = [line.size && `Size ${line.size}`, line.color].filter(Boolean).join(' / ');
+      doc.text(variant ? `${line.description} (${variant})` : line.description, columns[0], y, { width: columns[1] - left - 10 })
+        .text(String(line.quantity), columns[1], y, { width: 40, align: 'right' })
+        .text(money(line.unitPrice), columns[2], y, { width: 70, align: 'right' })
+        .text(money(line.total), columns[3], y, { width: 70, align: 'right' });
+      y = Math.max(doc.y, y + 14) + 4;
+
+      if (y > doc.page.height - doc.page.margins.bottom - 120) {
+        doc.addPage();
+        y = doc.page.margins.top;
+      }
+    }
+
+    y += 10;
+    for (const [label, value] of this.getTotalsRows(invoice)) {
+      doc.text(label, columns[1] - 80, y, { width: 190, align: 'right' })
+        .text(value, columns[3], y, { width: 70, align: 'right' });
+      y += 16;
+    }
+
+    doc.fontSize(8).text(
+      `${company.legalName} - ${company.email}${company.phone ? ` - ${company.phone}` : ''}`,
+      left,
+      doc.page.height - doc.page.margins.bottom - 20,
+      { align: 'center', width: right - left }
+    );
+  }
+
+  /**
+   * Render one or more documents as a PDF, one document per page
+   * @returns {Promise<Buffer>}
+   */
+  renderPdf(invoices) {
+    const documents = Array.isArray(invoices) ? invoices : [invoices];
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      for (const invoice of documents) {
+        doc.addPage();
+        this.drawPdfPage(doc, invoice);
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Render documents as CSV, one row per document
+   */
+  renderCsv(invoices) {
+    const header = [
+      'number', 'type', 'issued_at', 'order_number', 'customer', 'email', 'currency',
+      'subtotal', 'discount', 'shipping', 'tax_rate', 'tax', 'total', 'refund_id'
+    ];
+    const rows = invoices.map(invoice => [
+      invoice.number,
+      invoice.type,
+      invoice.issuedAt.toISOString(),
+      invoice.orderNumber,
+      invoice.billTo?.name,
+      invoice.billTo?.email,
+      invoice.currency,
+      invoice.subtotal.toFixed(2),
+      (invoice.discount || 0).toFixed(2),
+      (invoice.shipping || 0).toFixed(2),
+      invoice.taxRate,
+      (invoice.tax || 0).toFixed(2),
+      invoice.total.toFixed(2),
+      invoice.refundId
+    ].map(escapeCsv).join(','));
+
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  /**
+   * Lines of the packing slip, optionally for one shipment only
+   */
+  getPackingSlipLines(order, shipment) {
+    const items = shipment
+      ? order.items.filter(item => shipment.items.some(id => id.equals(item._id)))
+      : order.items.filter(item => item.status !== 'cancelled');
+
+    return items.map(item => ({
+      description: [item.productSnapshot?.brand, item.productSnapshot?.name].filter(Boolean).join(' '),
+      variant: [item.size && `Size ${item.size}`, item.color].filter(Boolean).join(' / '),
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: item.totalPrice
+    }));
+  }
+
+  /**
+   * Render a printable HTML packing slip. Gift orders show the gift message
+   * and receipt code instead of prices.
+   */
+  renderPackingSlipHtml(order, { shipment } = {}) {
+    const money = (amount) => escapeHtml(this.formatMoney(amount, order.currency));
+    const showPrices = !order.isGift;
+    const lines = this.getPackingSlipLines(order, shipment).map(line => `
+        <tr>
+          <td>${escapeHtml(line.description)}${line.variant ? `<br><small>${escapeHtml(line.variant)}</small>` : ''}</td>
+          <td class="num">${line.quantity}</td>${showPrices ? `
+          <td class="num">${money(line.unitPrice)}</td>
+          <td class="num">${money(line.total)}</td>` : ''}
+        </tr>`).join('');
+    const shipTo = formatAddress({
+      name: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
+      address: order.shippingAddress
+    }).map(escapeHtml).join('<br>');
+    const gift = order.isGift ? `
+  <section class="gift">
+    <strong>A gift${order.gift.recipientName ? ` for ${escapeHtml(order.gift.recipientName)}` : ''}</strong>
+    ${order.gift.message ? `<p>${escapeHtml(order.gift.message)}</p>` : ''}
+    <p><small>Gift receipt ${escapeHtml(order.gift.receiptCode)}. To return or exchange, visit ${escapeHtml(company.website)}/gift-returns and enter this code.</small></p>
+  </section>` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Packing Slip ${escapeHtml(order.formattedOrderNumber)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    header { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    h1 { margin: 0 0 8px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .gift { margin-top: 24px; padding: 16px; border: 1px dashed #999; }
+    footer { margin-top: 32px; font-size: 12px; color: #666; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>Packing Slip</h1>
+      <div>Order ${escapeHtml(order.formattedOrderNumber)} placed ${formatDate(order.placedAt)}</div>
+      ${shipment?.trackingNumber ? `<div>Tracking ${escapeHtml(shipment.trackingNumber)}</div>` : ''}
+    </div>
+    <div><strong>Ship to</strong><br>${shipTo}</div>
+  </header>
+  <table>
+    <thead>
+      <tr><th>Item</th><th class="num">Qty</th>${showPrices ? '<th class="num">Unit price</th><th class="num">Amount</th>' : ''}</tr>
+    </thead>
+    <tbody>${lines}
+    </tbody>
+  </table>${gift}
+  <footer>
+    ${escapeHtml(company.tradingName)} &middot; ${escapeHtml(company.email)}${company.phone ? ` &middot; ${escapeHtml(company.phone)}` : ''}
+  </footer>
+</body>
+</html>`;
+  }
+
+  /**
+   * Render a packing slip as a single-page PDF
+   * @returns {Promise<Buffer>}
+   */
+  renderPackingSlipPdf(order, { shipment } = {}) {
+    const money = (amount) => this.formatMoney(amount, order.currency);
+    const showPrices = !order.isGift;
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const left = doc.page.margins.left;
+      const right = doc.page.width - doc.page.margins.right;
+
+      doc.fontSize(20).text('Packing Slip', left, doc.page.margins.top);
+      doc.fontSize(10).text(`Order ${order.formattedOrderNumber} placed ${formatDate(order.placedAt)}`);
+      if (shipment?.trackingNumber) {
+        doc.text(`Tracking ${shipment.trackingNumber}`);
+      }
+
+      const shipTo = formatAddress({
+        name: `${order.shippingAddress.firstName} ${order.shippingAddress.lastName}`,
+        address: order.shippingAddress
+      });
+      doc.font('Helvetica-Bold').text('Ship to', right - 200, doc.page.margins.top, { width: 200 })
+        .font('Helvetica').text(shipTo.join('\n'), { width: 200 });
+
+      let y = 160;
+      const columns = [left, right - 220, right - 150, right - 70];
+      doc.font('Helvetica-Bold')
+        .text('Item', columns[0], y)
+        .text('Qty', columns[1], y, { width: 40, align: 'right' });
+      if (showPrices) {
+        doc.text('Unit price', columns[2], y, { width: 70, align: 'right' })
+          .text('Amount', columns[3], y, { width: 70, align: 'right' });
+      }
+      doc.font('Helvetica');
+      y += 18;
+
+      for (const line of this.getPackingSlipLines(order, shipment)) {
+        doc.text(line.variant ? `${line.description} (${line.variant})` : line.description, columns[0], y, { width: columns[1] - left - 10 })
+          .text(String(line.quantity), columns[1], y, { width: 40, align: 'right' });
+        if (showPrices) {
+          doc.text(money(line.unitPrice), columns[2], y, { width: 70, align: 'right' })
+            .text(money(line.total), columns[3], y, { width: 70, align: 'right' });
+        }
+        y = Math.max(doc.y, y + 14) + 4;
+      }
+
+      if (order.isGift) {
+        y += 20;
+        doc.font('Helvetica-Bold')
+          .text(`A gift${order.gift.recipientName ? ` for ${order.gift.recipientName}` : ''}`, left, y)
+          .font('Helvetica');
+        if (order.gift.message) {
+          doc.moveDown(0.5).text(order.gift.message, { width: right - left });
+        }
+        doc.moveDown().fontSize(8).text(
+          `Gift receipt ${order.gift.receiptCode}. To return or exchange, visit ${company.website}/gift-returns and enter this code.`,
+          { width: right - left }
+        );
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * Send a document in the requested format
+   */
+  async send(res, invoice, format, extra = {}) {
+    if (format === 'pdf') {
+      const pdf = await this.renderPdf(invoice);
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+      return res.send(pdf);
+    }
+
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      return res.send(this.renderHtml(invoice));
+    }
+
+    return res.json({
+      success: true,
+      invoice,
+      ...extra
+    });
+  }
+
+  /**
+   * Pick the output format from ?format= or the Accept header, defaulting to JSON
+   */
+  resolveFormat(req) {
+    const requested = String(req.query.format || '').toLowerCase();
+    if (['pdf', 'html', 'json'].includes(requested)) {
+      return requested;
+    }
+
+    const accepted = req.accepts(['json', 'html', 'application/pdf']);
+    if (accepted === 'application/pdf') {
+      return 'pdf';
+    }
+    return accepted === 'html' ? 'html' : 'json';
+  }
+}
+
+// Export singleton instance
+module.exports = new InvoiceService();
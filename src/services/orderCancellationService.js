@@ -0,0 +1,102 @@
+const logger = require('../config/logger');
+const inventoryService = require('./inventoryService');
+const preorderService = require('./preorderService');
+const refundService = require('./refundService');
+
+// Gift card credits and the gateway refund are separate records; report them together
+const summarizeRefund = (refundResult) => refundResult && {
+  status: refundResult.refund?.status || 'failed',
+  amount: (refundResult.refunds || [])
+    .filter(entry => entry.status !== 'failed')
+    .reduce((sum, entry) => sum + entry.amount, 0),
+  refundId: refundResult.refund?.refundId
+};
+
+class OrderCancellationService {
+  /**
+   * Cancel an order and undo what it holds: stock goes back to each line's
+   * variant, preorder places and an authorized payment are released, and a
+   * completed payment is refunded. The order is saved.
+   * changedBy ({ actor, source }) is recorded in the order's status history.
+   * @returns {Object} { release, refund } where release is preorderService.releaseOrder's
+   *   result and refund summarizes the refund, or null when nothing was charged
+   */
+  async cancel(order, { changedBy = {}, reason, refundReason = 'requested_by_customer' } = {}) {
+    const paymentCompleted = order.payment.status === 'completed';
+
+    // Lines still waiting for stock never took any
+    const awaitingStock = new Set(order.getAwaitingStockItems().map(item => item._id.toString()));
+    await this.restock(
+      order,
+      order.items.filter(item => item.status !== 'cancelled' && !awaitingStock.has(item._id.toString())),
+      `Order ${order.orderNumber} cancelled`
+    );
+
+    // This reads the waiting lines, so it runs before they are cancelled
+    const release = await preorderService.releaseOrder(order, { ...changedBy, reason });
+
+    await order.updateStatus('cancelled', { ...changedBy, reason });
+
+    // The order stays refund-pending until the gateway confirms
+    let refundResult = null;
+    if (paymentCompleted) {
+      refundResult = await refundService.refundOrder(order, {
+        reason: refundReason,
+        source: 'cancellation',
+        changedBy
+      });
+    }
+
+    return { release, refund: summarizeRefund(refundResult) };
+  }
+
+  /**
+   * Refund what is left of a delivered order and take its goods back into
+   * stock. Lines already returned went through a return and are left alone.
+   * The order only moves to refunded once the gateway accepts the refund.
+   * The order is saved.
+   * @returns {Object} { success, refund, error }
+   */
+  async refundDelivered(order, { changedBy = {}, reason, refundReason = 'requested_by_customer' } = {}) {
+    const refundResult = await refundService.refundOrder(order, {
+      reason: refundReason,
+      source: 'admin_refund',
+      changedBy
+    });
+
+    if (!refundResult.success) {
+      return { success: false, refund: summarizeRefund(refundResult), error: refundResult.error };
+    }
+
+    const lines = order.items.filter(item => item.status === 'delivered');
+    await this.restock(order, lines, `Order ${order.orderNumber} refunded`);
+
+    for (const item of lines) {
+      order.setItemStatus(item._id, 'returned', { ...changedBy, reason });
+    }
+    await order.updateStatus('refunded', { ...changedBy, reason });
+
+    return { success: true, refund: summarizeRefund(refundResult) };
+  }
+
+  /**
+   * Put each line's quantity back on the variant it was taken from; failures
+   * are only logged so the rest of the order still goes back
+   */
+  async restock(order, items, reason) {
+    for (const item of items) {
+      try {
+        await inventoryService.adjustStock(item.product.toString(), item.quantity, {
+          size: item.size,
+          color: item.color,
+          reason
+        });
+      } catch (stockError) {
+        logger.error(`Failed to restore stock for product ${item.product} on order ${order.orderNumber}:`, stockError);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderCancellationService();
@@ -0,0 +1,104 @@
+const jwt = require('jsonwebtoken');
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const { sendEmail } = require('./emailService');
+
+const normalizePostalCode = (value) => String(value || '').replace(/[\s-]/g, '').toUpperCase();
+
+class OrderLookupService {
+  constructor() {
+    this.tokenSecret = process.env.ORDER_ACCESS_SECRET || process.env.JWT_SECRET || 'secret';
+    this.accessLinkHours = parseFloat(process.env.ORDER_ACCESS_LINK_HOURS) || 24;
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+  }
+
+  /**
+   * Find an order by number when the caller also knows its email or billing
+   * postal code
+   * @returns {Order|null}
+   */
+  async findOrder(orderNumber, { email, postalCode } = {}) {
+    const number = Order.normalizeOrderNumber(orderNumber);
+    if ((!email && !postalCode) || !Order.isValidOrderNumber(number)) {
+      return null;
+    }
+
+    const order = await Order.findOne({ orderNumber: number })
+      .populate('user', 'email');
+    if (!order) {
+      return null;
+    }
+
+    const orderEmail = this.getOrderEmail(order);
+    const emailMatches = email && orderEmail &&
+      String(email).trim().toLowerCase() === orderEmail.toLowerCase();
+    const postalCodeMatches = postalCode &&
+      normalizePostalCode(postalCode) === normalizePostalCode(order.billingAddress?.zipCode);
+
+    return emailMatches || postalCodeMatches ? order : null;
+  }
+
+  /**
+   * Email address the order's notifications go to
+   */
+  getOrderEmail(order) {
+    return order.customerEmail || order.user?.email;
+  }
+
+  /**
+   * Email a signed link that grants read access to the order for a limited time
+   */
+  async sendAccessLink(order) {
+    const email = this.getOrderEmail(order);
+    if (!email) {
+      return false;
+    }
+
+    const token = jwt.sign(
+      { orderId: order._id.toString(), purpose: 'order_access' },
+      this.tokenSecret,
+      { expiresIn: `${this.accessLinkHours}h` }
+    );
+
+    try {
+      await sendEmail({
+        to: email,
+        subject: `View your order ${order.formattedOrderNumber}`,
+        template: 'orderAccessLink',
+        data: {
+          order,
+          url: `${this.storeUrl}/orders/access?token=${encodeURIComponent(token)}`,
+          expiresInHours: this.accessLinkHours
+        }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send order access link:', emailError);
+      return false;
+    }
+
+    logger.info(`Order access link sent for order ${order.orderNumber}`);
+    return true;
+  }
+
+  /**
+   * Verify an access link token
+   * @returns {Order|null} The order, or null if the link is invalid or expired
+   */
+  async verifyAccessToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.tokenSecret);
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.purpose !== 'order_access') {
+      return null;
+    }
+
+    return Order.findById(payload.orderId);
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderLookupService();
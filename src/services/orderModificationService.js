@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const logger = require('../config/logger');
+const { calculateShipping } = require('./shippingService');
+const { calculateTax } = require('./taxService');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const refundService = require('./refundService');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const ADDRESS_FIELDS = ['firstName', 'lastName', 'street', 'city', 'state', 'zipCode', 'country', 'phone'];
+
+const snapshotAddress = (address) => ADDRESS_FIELDS.reduce((snapshot, field) => {
+  if (address?.[field] !== undefined) {
+    snapshot[field] = address[field];
+  }
+  return snapshot;
+}, {});
+
+const snapshotItem = (item) => ({
+  product: item.product,
+  name: item.productSnapshot?.name,
+  quantity: item.quantity,
+  size: item.size,
+  color: item.color,
+  unitPrice: item.unitPrice,
+  totalPrice: item.totalPrice
+});
+
+class OrderModificationService {
+  /**
+   * Recompute subtotal, discount, shipping, tax and total for the order's
+   * current lines and shipping address, without saving
+   */
+  async reprice(order) {
+    order.subtotal = round(order.items.reduce((sum, item) => sum + item.totalPrice, 0));
+
+    const shipping = await calculateShipping(order.shippingAddress, order.shipping.method, order.items);
+
+    let discount = Math.min(order.discount || 0, order.subtotal);
+    let shippingDiscount = 0;
+    const promotion = order.promotion && await Promotion.findById(order.promotion);
+    if (promotion) {
+      const result = promotion.calculateDiscount(order.items.map(item => ({
+        product: item.product,
+        category: item.productSnapshot?.category,
+        price: item.unitPrice,
+        quantity: item.quantity
+      })), shipping.cost);
+      discount = result.discount;
+      shippingDiscount = result.shippingDiscount;
+    }
+
+    const tax = await calculateTax(order.subtotal - discount, order.shippingAddress);
+
+    order.discount = discount;
+    order.tax = tax.amount;
+    order.taxRate = tax.rate;
+    order.shipping.cost = shipping.cost - shippingDiscount;
+    order.shipping.estimatedDays = shipping.estimatedDays;
+    order.shipping.carrier = shipping.carrier;
+    order.total = round(order.subtotal + order.shipping.cost + order.tax - order.discount);
+
+    return order;
+  }
+
+  /**
+   * Work out the edit on the order in memory.
+   * @returns {Object} { success, item, before, after, stock, error } where stock lists
+   *   { product, size, color, quantity, operation } changes to apply
+   */
+  applyChange(order, change) {
+    if (change.type === 'shipping_address') {
+      const before = snapshotAddress(order.shippingAddress);
+      order.shippingAddress = { ...before, ...change.shippingAddress };
+      return { success: true, before, after: snapshotAddress(order.shippingAddress), stock: [] };
+    }
+
+    const item = order.items.id(change.itemId);
+    if (!item) {
+      return { success: false, code: 'invalid', error: `Item ${change.itemId} is not part of this order` };
+    }
+
+    const before = snapshotItem(item);
+    const product = item.product.toString();
+
+    if (change.type === 'remove_item') {
+      if (order.items.length === 1) {
+        return { success: false, code: 'invalid', error: 'An order must keep at least one item; cancel the order instead' };
+      }
+
+      order.items.pull(item._id);
+      return {
+        success: true,
+        item,
+        before,
+        after: null,
+        stock: [{ product, size: before.size, color: before.color, quantity: before.quantity, operation: 'add' }]
+      };
+    }
+
+    const quantity = change.quantity ?? item.quantity;
+    const size = change.size ?? item.size;
+    const color = change.color ?? item.color;
+
+    if (quantity === item.quantity && size === item.size && color === item.color) {
+      return { success: false, code: 'invalid', error: 'Nothing to change on this item' };
+    }
+
+    // Swapped variants keep the price paid for the line
+    let stock;
+    if (size !== item.size || color !== item.color) {
+      stock = [
+        { product, size: item.size, color: item.color, quantity: item.quantity, operation: 'add' },
+        { product, size, color, quantity, operation: 'subtract' }
+      ];
+    } else {
+      const delta = quantity - item.quantity;
+      stock = [{ product, size, color, quantity: Math.abs(delta), operation: delta > 0 ? 'subtract' : 'add' }];
+    }
+
+    item.quantity = quantity;
+    item.size = size;
+    item.color = color;
+    item.totalPrice = round(item.unitPrice * quantity);
+
+    return { success: true, item, before, after: snapshotItem(item), stock };
+  }
+
+  /**
+   * Apply stock changes in order, undoing the applied ones if any fails
+   */
+  async adjustStock(changes, reason) {
+    const applied = [];
+
+    try {
+      for (const change of changes) {
+        await inventoryService.updateStock(change.product, change.quantity, change.operation, {
+          size: change.size,
+          color: change.color,
+          reason
+        });
+        applied.push(change);
+      }
+    } catch (error) {
+      await this.revertStock(applied, reason);
+      throw error;
+    }
+
+    return applied;
+  }
+
+  /**
+   * Void or refund a charge for an edit that did not go through
+   */
+  async voidCharge(transactionId, order) {
+    const result = await paymentService.voidPayment(transactionId);
+    if (!result.success) {
+      logger.error(`Could not void payment ${transactionId} for a failed edit of order ${order.orderNumber}:`, result.error);
+    }
+    return result;
+  }
+
+  async revertStock(changes, reason) {
+    for (const change of [...changes].reverse()) {
+      try {
+        await inventoryService.updateStock(change.product, change.quantity, change.operation === 'add' ? 'subtract' : 'add', {
+          size: change.size,
+          color: change.color,
+          reason: `Reverted: ${reason}`
+        });
+      } catch (error) {
+        logger.error(`Failed to revert stock for product ${change.product}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Edit an order that has not shipped yet. The order is repriced through the
+   * shipping and tax calculators and the difference is charged or refunded.
+   * change is one of:
+   *   { type: 'shipping_address', shippingAddress }
+   *   { type: 'update_item', itemId, quantity, size, color }
+   *   { type: 'remove_item', itemId }
+   * changedBy is { actor, source, customer: { email, name }, paymentMethodId }.
+   * An increase is charged off-session to paymentMethodId, one of the
+   * customer's saved cards.
+   * @returns {Object} { success, order, modification, refund, amountDue, error, code }
+   *   code is invalid, not_modifiable, out_of_stock, payment_required or
+   *   payment_failed on failure
+   */
+  async modify(order, change, changedBy = {}) {
+    const { actor, source = 'customer', customer = {}, paymentMethodId } = changedBy;
+
+    if (!order.canBeModified()) {
+      return { success: false, code: 'not_modifiable', error: `Order cannot be changed while ${order.status}` };
+    }
+
+    // The authorization covers the original total and waiting lines hold places on their offers
+    if (order.payment.status === 'authorized' && change.type !== 'shipping_address') {
+      return { success: false, code: 'not_modifiable', error: 'Items on orders waiting for stock cannot be changed; cancel and reorder instead' };
+    }
+
+    const edit = this.applyChange(order, change);
+    if (!edit.success) {
+      return edit;
+    }
+
+    const stock = edit.stock.filter(entry => entry.quantity > 0);
+    for (const entry of stock.filter(entry => entry.operation === 'subtract')) {
+      const availability = await inventoryService.checkAvailability(entry.product, entry.quantity, {
+        size: entry.size,
+        color: entry.color
+      });
+      if (!availability.available) {
+        return {
+          success: false,
+          code: 'out_of_stock',
+          error: availability.reason === 'Variant not found'
+            ? 'That size or color is not available for this product'
+            : `Only ${availability.stock} more of this item available`
+        };
+      }
+    }
+
+    const previousTotal = order.total;
+    await this.reprice(order);
+    const difference = round(order.total - previousTotal);
+
+    if (difference !== 0 && order.payment.status === 'authorized') {
+      return { success: false, code: 'not_modifiable', error: 'This change would alter the total of an order waiting for stock' };
+    }
+
+    // Orders paid in full by gift card have no transaction but are processed
+    if (difference !== 0 && !order.payment?.transactionId && !order.payment?.processedAt) {
+      return { success: false, code: 'not_modifiable', error: 'Order payment is still being processed; try again shortly' };
+    }
+    if (difference > 0 && !order.payment.transactionId) {
+      return { success: false, code: 'not_modifiable', error: 'Orders paid in full by gift card cannot be increased' };
+    }
+
+    // The customer is not there to confirm a payment, so the difference is
+    // charged to a saved card
+    let savedPaymentMethod;
+    if (difference > 0) {
+      if (!paymentMethodId) {
+        return {
+          success: false,
+          code: 'payment_required',
+          amountDue: difference,
+          error: `This change costs ${difference.toFixed(2)} more; choose a saved card to pay the difference`
+        };
+      }
+
+      const saved = await paymentService.getSavedPaymentMethod({ email: customer.email, name: customer.name }, paymentMethodId);
+      if (!saved.success) {
+        return { success: false, code: 'payment_failed', error: 'Payment method not found; save the card again' };
+      }
+      savedPaymentMethod = { customerId: saved.customerId, paymentMethodId: saved.paymentMethodId };
+    }
+
+    const modificationId = new mongoose.Types.ObjectId();
+    const reason = `Order ${order.orderNumber} modified (${change.type})`;
+    const appliedStock = await this.adjustStock(stock, reason);
+
+    let transactionId;
+    if (difference > 0) {
+      const paymentResult = await paymentService.processPayment({
+        amount: difference,
+        currency: order.currency,
+        paymentMethod: 'credit_card',
+        orderId: order._id,
+        customerInfo: {
+          email: customer.email,
+          name: customer.name,
+          address: order.billingAddress
+        },
+        metadata: { modification: modificationId.toString() },
+        // Retries of this edit reuse the same gateway payment
+        idempotencyKey: `order-modification:${modificationId}`,
+        savedPaymentMethod
+      });
+
+      // A card that needs the customer to authenticate cannot be charged here
+      if (paymentResult.success && paymentResult.status !== 'succeeded') {
+        await this.voidCharge(paymentResult.transactionId, order);
+      }
+      if (!paymentResult.success || paymentResult.status !== 'succeeded') {
+        await this.revertStock(appliedStock, reason);
+        return {
+          success: false,
+          code: 'payment_failed',
+          error: paymentResult.success
+            ? 'Your bank needs you to confirm this payment; choose another card'
+            : paymentResult.error || 'Payment was declined'
+        };
+      }
+
+      transactionId = paymentResult.transactionId;
+      order.payment.amount = round(order.payment.amount + difference);
+    }
+
+    order.modifications.push({
+      _id: modificationId,
+      type: change.type,
+      item: edit.item?._id,
+      before: edit.before,
+      after: edit.after,
+      previousTotal,
+      newTotal: order.total,
+      difference,
+      settlement: difference > 0 ? 'charge' : difference < 0 ? 'refund' : 'none',
+      transactionId,
+      actor,
+      source
+    });
+
+    try {
+      await order.save();
+    } catch (error) {
+      // Nothing was recorded, so undo the charge and the stock changes
+      if (transactionId) {
+        await this.voidCharge(transactionId, order);
+      }
+      await this.revertStock(appliedStock, reason);
+      throw error;
+    }
+
+    const modification = order.modifications.id(modificationId);
+
+    // The edit stands even if the refund fails; refundService alerts admins
+    let refund = null;
+    if (difference < 0) {
+      const refundResult = await refundService.refundOrder(order, {
+        amount: -difference,
+        reason: 'requested_by_customer',
+        source: 'modification',
+        changedBy: { actor, source }
+      });
+
+      refund = refundResult.refund || null;
+      if (refund) {
+        modification.refund = refund._id;
+        await order.save();
+      }
+    }
+
+    logger.info(`Order ${order.orderNumber} modified (${change.type})`, {
+      difference,
+      transactionId,
+      refundId: refund?.refundId
+    });
+
+    return { success: true, order, modification, refund };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderModificationService();
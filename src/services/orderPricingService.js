@@ -0,0 +1,88 @@
+const { calculateShipping } = require('./shippingService');
+const { calculateTax } = require('./taxService');
+const promotionService = require('./promotionService');
+
+class OrderPricingService {
+  /**
+   * Price order lines the way checkout does: shipping for the address and
+   * method, then the discount code, then tax on the discounted subtotal.
+   * @param {Object} params - { items: [{ product (populated), price, quantity, subtotal, size, color }],
+   *   shippingAddress, shippingMethod, discountCode, userId }
+   * @returns {Object} { success, subtotal, shipping, shippingCost, discount, shippingDiscount, promotion, tax, total, error }
+   */
+  async price({ items, shippingAddress, shippingMethod, discountCode, userId }) {
+    const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+    const shipping = await calculateShipping(shippingAddress, shippingMethod, items);
+
+    let discount = 0;
+    let promotion = null;
+    let shippingDiscount = 0;
+    if (discountCode) {
+      const promotionResult = await promotionService.applyCode(discountCode, {
+        userId,
+        items: items.map(item => ({
+          product: item.product._id,
+          category: item.product.category,
+          price: item.price,
+          quantity: item.quantity
+        })),
+        subtotal,
+        shippingCost: shipping.cost
+      });
+
+      if (!promotionResult.valid) {
+        return { success: false, error: promotionResult.error };
+      }
+
+      promotion = promotionResult.promotion;
+      discount = promotionResult.discount;
+      shippingDiscount = promotionResult.shippingDiscount;
+    }
+
+    const shippingCost = shipping.cost - shippingDiscount;
+    const tax = await calculateTax(subtotal - discount, shippingAddress);
+
+    return {
+      success: true,
+      subtotal,
+      shipping,
+      shippingCost,
+      discount,
+      shippingDiscount,
+      promotion,
+      tax,
+      total: subtotal + shippingCost + tax.amount - discount
+    };
+  }
+
+  /**
+   * Order lines with a snapshot of each product as it was sold
+   */
+  buildOrderItems(items) {
+    return items.map(item => ({
+      product: item.product._id,
+      productSnapshot: {
+        name: item.product.name,
+        brand: item.product.brand,
+        category: item.product.category,
+        images: item.product.images,
+        description: item.product.description
+      },
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      unitPrice: item.price,
+      totalPrice: item.subtotal,
+      // The confirmation email tells the customer the expected ship date
+      backorder: item.backorder ? {
+        type: item.backorder.type,
+        offer: item.backorder.offer,
+        expectedShipDate: item.backorder.expectedShipDate,
+        notifiedShipDate: item.backorder.expectedShipDate
+      } : undefined
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderPricingService();
@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+
+const SORT_FIELDS = ['placedAt', 'total', 'orderNumber'];
+const DATE_SORT_FIELDS = ['placedAt'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class OrderSearchService {
+  /**
+   * Encode the position after an order for the next page
+   */
+  encodeCursor(order, sortBy) {
+    const value = order[sortBy];
+    return Buffer.from(JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      id: order._id.toString()
+    })).toString('base64url');
+  }
+
+  /**
+   * @returns {Object|null} { value, id } or null when the cursor is malformed
+   */
+  decodeCursor(cursor, sortBy) {
+    try {
+      const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return null;
+      }
+
+      return {
+        value: DATE_SORT_FIELDS.includes(sortBy) ? new Date(v) : v,
+        id: new mongoose.Types.ObjectId(id)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Conditions matching one free-text term against order number, customer
+   * name and the email the order was placed with
+   */
+  buildTermCondition(term) {
+    const pattern = { $regex: escapeRegex(term), $options: 'i' };
+    const conditions = [
+      { customerEmail: pattern },
+      { 'shippingAddress.firstName': pattern },
+      { 'shippingAddress.lastName': pattern },
+      { 'billingAddress.firstName': pattern },
+      { 'billingAddress.lastName': pattern }
+    ];
+
+    // Order numbers match on their leading characters, with or without the prefix
+    const orderNumber = Order.normalizeOrderNumber(term);
+    if (orderNumber) {
+      conditions.push({ orderNumber: { $regex: `^${escapeRegex(orderNumber)}` } });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * Translate search filters into an order query. Passing userId limits the
+   * search to that customer's orders.
+   */
+  async buildQuery(filters = {}, { userId } = {}) {
+    const conditions = [];
+
+    if (userId) {
+      conditions.push({ user: userId });
+    }
+    if (filters.status) {
+      conditions.push({ status: filters.status });
+    }
+    if (filters.paymentStatus) {
+      conditions.push({ 'payment.status': filters.paymentStatus });
+    }
+    if (filters.source) {
+      conditions.push({ source: filters.source });
+    }
+    if (filters.product) {
+      conditions.push({ 'items.product': filters.product });
+    }
+    if (filters.carrier) {
+      conditions.push({
+        $or: [{ 'shipping.carrier': filters.carrier }, { 'shipments.carrier': filters.carrier }]
+      });
+    }
+    if (filters.discountCode) {
+      conditions.push({
+        discountCode: { $regex: `^${escapeRegex(filters.discountCode)}$`, $options: 'i' }
+      });
+    }
+
+    if (filters.placedFrom || filters.placedTo) {
+      const placedAt = {};
+      if (filters.placedFrom) {
+        placedAt.$gte = new Date(filters.placedFrom);
+      }
+      if (filters.placedTo) {
+        placedAt.$lte = new Date(filters.placedTo);
+      }
+      conditions.push({ placedAt });
+    }
+
+    if (filters.minTotal !== undefined || filters.maxTotal !== undefined) {
+      const total = {};
+      if (filters.minTotal !== undefined) {
+        total.$gte = parseFloat(filters.minTotal);
+      }
+      if (filters.maxTotal !== undefined) {
+        total.$lte = parseFloat(filters.maxTotal);
+      }
+      conditions.push({ total });
+    }
+
+    // Every term must match somewhere, so "jane smith" finds Jane Smith
+    const terms = (filters.q || '').trim().split(/\s+/).filter(Boolean);
+    for (const term of terms) {
+      conditions.push(this.buildTermCondition(term));
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Search orders with keyset pagination. Pass the previous page's nextCursor
+   * to continue.
+   * @returns {Object} { success, orders, pagination: { limit, hasMore, nextCursor }, error }
+   */
+  async search(filters = {}, { userId, limit = 20, sortBy = 'placedAt', sortOrder = 'desc', cursor, select, populate } = {}) {
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return { success: false, error: `Sort must be one of: ${SORT_FIELDS.join(', ')}` };
+    }
+
+    const query = await this.buildQuery(filters, { userId });
+    const direction = sortOrder === 'asc' ? 1 : -1;
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor, sortBy);
+      if (!position) {
+        return { success: false, error: 'Invalid cursor' };
+      }
+
+      const comparator = direction === 1 ? '$gt' : '$lt';
+      const after = {
+        $or: [
+          { [sortBy]: { [comparator]: position.value } },
+          { [sortBy]: position.value, _id: { [comparator]: position.id } }
+        ]
+      };
+      query.$and = [...(query.$and || []), after];
+    }
+
+    let finder = Order.find(query)
+      .sort({ [sortBy]: direction, _id: direction })
+      .limit(limit + 1);
+    if (select) {
+      finder = finder.select(select);
+    }
+    for (const path of populate || []) {
+      finder = finder.populate(path);
+    }
+
+    const orders = await finder;
+    const hasMore = orders.length > limit;
+    const page = hasMore ? orders.slice(0, limit) : orders;
+
+    return {
+      success: true,
+      orders: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1], sortBy) : null
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new OrderSearchService();
@@ -6,10 +6,13 @@ class PaymentService {
   constructor() {
     this.supportedMethods = ['credit_card', 'debit_card', 'paypal', 'apple_pay', 'google_pay'];
     this.currencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+    // Methods processed through Stripe, which can hold a payment and capture it later
+    this.authorizableMethods = ['credit_card', 'debit_card', 'apple_pay', 'google_pay'];
   }
 
   /**
-   * Process payment using various methods
+   * Process payment using various methods. With captureMethod 'manual' the
+   * payment is only authorized and must be captured with capturePayment.
    */
   async processPayment({
     amount,
@@ -17,7 +20,10 @@ class PaymentService {
     paymentMethod,
     orderId,
     customerInfo,
-    metadata = {}
+    metadata = {},
+    idempotencyKey,
+    savedPaymentMethod,
+    captureMethod = 'automatic'
   }) {
     try {
       // Validate input
@@ -25,6 +31,10 @@ class PaymentService {
         throw new Error(`Unsupported payment method: ${paymentMethod}`);
       }
 
+      if (captureMethod === 'manual' && !this.authorizableMethods.includes(paymentMethod)) {
+        throw new Error(`Payment method ${paymentMethod} cannot be authorized for later capture`);
+      }
+
       if (!this.currencies.includes(currency.toUpperCase())) {
         throw new Error(`Unsupported currency: ${currency}`);
       }
@@ -42,7 +52,10 @@ class PaymentService {
             currency: currency.toLowerCase(),
             orderId,
             customerInfo,
-            metadata
+            metadata,
+            idempotencyKey,
+            savedPaymentMethod,
+            captureMethod
           });
           break;
           
@@ -52,7 +65,8 @@ class PaymentService {
             currency,
             orderId,
             customerInfo,
-            metadata
+            metadata,
+            idempotencyKey
           });
           break;
           
@@ -62,7 +76,9 @@ class PaymentService {
             currency: currency.toLowerCase(),
             orderId,
             customerInfo,
-            metadata
+            metadata,
+            idempotencyKey,
+            captureMethod
           });
           break;
           
@@ -72,7 +88,9 @@ class PaymentService {
             currency: currency.toLowerCase(),
             orderId,
             customerInfo,
-            metadata
+            metadata,
+            idempotencyKey,
+            captureMethod
           });
           break;
           
@@ -92,6 +110,10 @@ class PaymentService {
       return {
         success: true,
         transactionId: result.transactionId,
+        // Stripe payments that still need the customer to confirm them
+        // report requires_* here and carry a client secret for doing so
+        status: result.status,
+        clientSecret: result.gatewayResponse?.client_secret,
         gatewayResponse: result.gatewayResponse,
         fees: result.fees || 0,
         netAmount: amount - (result.fees || 0)
@@ -110,10 +132,37 @@ class PaymentService {
   }
 
   /**
-   * Process Stripe payment
+   * Process Stripe payment. With savedPaymentMethod ({ customerId, paymentMethodId })
+   * the saved card is charged without the customer present. Manual capture
+   * also saves the card, so the payment can be taken again if the
+   * authorization lapses before capture.
    */
-  async processStripePayment({ amount, currency, orderId, customerInfo, metadata }) {
+  async processStripePayment({ amount, currency, orderId, customerInfo, metadata, idempotencyKey, savedPaymentMethod, captureMethod = 'automatic' }) {
     try {
+      if (savedPaymentMethod) {
+        const paymentIntent = await stripe.paymentIntents.create({
+          amount,
+          currency,
+          customer: savedPaymentMethod.customerId,
+          payment_method: savedPaymentMethod.paymentMethodId,
+          off_session: true,
+          confirm: true,
+          capture_method: captureMethod,
+          description: `Order ${orderId}`,
+          metadata: {
+            orderId: orderId.toString(),
+            ...metadata
+          }
+        }, idempotencyKey ? { idempotencyKey } : undefined);
+
+        return {
+          transactionId: paymentIntent.id,
+          gatewayResponse: paymentIntent,
+          fees: this.calculateStripeFees(amount / 100),
+          status: paymentIntent.status
+        };
+      }
+
       // Create or retrieve customer
       const customer = await this.getOrCreateStripeCustomer(customerInfo);
       
@@ -130,7 +179,9 @@ class PaymentService {
         automatic_payment_methods: {
           enabled: true,
         },
-      });
+        capture_method: captureMethod,
+        setup_future_usage: captureMethod === 'manual' ? 'off_session' : undefined
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       // Simulate payment confirmation for development
       if (process.env.NODE_ENV === 'development') {
@@ -185,7 +236,7 @@ class PaymentService {
   /**
    * Process Apple Pay payment
    */
-  async processApplePayPayment({ amount, currency, orderId, customerInfo, metadata }) {
+  async processApplePayPayment({ amount, currency, orderId, customerInfo, metadata, idempotencyKey, captureMethod = 'automatic' }) {
     try {
       // Apple Pay is processed through Stripe
       const paymentIntent = await stripe.paymentIntents.create({
@@ -198,7 +249,8 @@ class PaymentService {
           ...metadata
         },
         payment_method_types: ['card'],
-      });
+        capture_method: captureMethod
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       return {
         transactionId: paymentIntent.id,
@@ -215,7 +267,7 @@ class PaymentService {
   /**
    * Process Google Pay payment
    */
-  async processGooglePayPayment({ amount, currency, orderId, customerInfo, metadata }) {
+  async processGooglePayPayment({ amount, currency, orderId, customerInfo, metadata, idempotencyKey, captureMethod = 'automatic' }) {
     try {
       // Google Pay is processed through Stripe
       const paymentIntent = await stripe.paymentIntents.create({
@@ -228,7 +280,8 @@ class PaymentService {
           ...metadata
         },
         payment_method_types: ['card'],
-      });
+        capture_method: captureMethod
+      }, idempotencyKey ? { idempotencyKey } : undefined);
 
       return {
         transactionId: paymentIntent.id,
@@ -293,6 +346,63 @@ class PaymentService {
     }
   }
 
+  /**
+   * Start saving a card for later off-session charges. The client confirms
+   * the returned secret with Stripe and sends back the payment method ID.
+   * @returns {Object} { success, customerId, clientSecret, error }
+   */
+  async createPaymentSetup(customerInfo) {
+    try {
+      const customer = await this.getOrCreateStripeCustomer(customerInfo);
+      const setupIntent = await stripe.setupIntents.create({
+        customer: customer.id,
+        usage: 'off_session',
+        payment_method_types: ['card']
+      });
+
+      return { success: true, customerId: customer.id, clientSecret: setupIntent.client_secret };
+
+    } catch (error) {
+      logger.error('Payment setup failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Look up a saved card, checking it belongs to the customer
+   * @returns {Object} { success, customerId, paymentMethodId, brand, last4, expMonth, expYear, error }
+   */
+  async getSavedPaymentMethod(customerInfo, paymentMethodId) {
+    try {
+      const customer = await this.getOrCreateStripeCustomer(customerInfo);
+      const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+
+      if (paymentMethod.customer !== customer.id) {
+        throw new Error('Payment method is not saved for this customer');
+      }
+
+      return {
+        success: true,
+        customerId: customer.id,
+        paymentMethodId: paymentMethod.id,
+        brand: paymentMethod.card?.brand,
+        last4: paymentMethod.card?.last4,
+        expMonth: paymentMethod.card?.exp_month,
+        expYear: paymentMethod.card?.exp_year
+      };
+
+    } catch (error) {
+      logger.error('Saved payment method lookup failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Process refund
    */
@@ -335,6 +445,175 @@ class PaymentService {
     }
   }
 
+  /**
+   * Cancel a payment that should not stand, e.g. when checkout fails after
+   * charging. Uncaptured Stripe payments are cancelled; captured ones are
+   * refunded in full.
+   */
+  async voidPayment(transactionId) {
+    try {
+      if (transactionId.startsWith('pi_')) {
+        const paymentIntent = await stripe.paymentIntents.retrieve(transactionId);
+
+        if (paymentIntent.status === 'canceled') {
+          return { success: true, voided: true, status: 'canceled' };
+        }
+
+        if (paymentIntent.status !== 'succeeded' && paymentIntent.status !== 'processing') {
+          const cancelled = await stripe.paymentIntents.cancel(transactionId);
+          return { success: true, voided: true, status: cancelled.status };
+        }
+      }
+
+      const refund = await this.processRefund({ transactionId, reason: 'requested_by_customer' });
+      return refund.success
+        ? { success: true, voided: false, refundId: refund.refundId, status: refund.status }
+        : refund;
+
+    } catch (error) {
+      logger.error('Payment void failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Capture a payment authorized with captureMethod 'manual'. Card
+   * authorizations lapse after about a week, so a lapsed one is charged again
+   * to the card saved when it was authorized.
+   * @returns {Object} { success, transactionId, recharged, declined, error }
+   *   transactionId is the new payment when the authorization had to be recharged
+   */
+  async capturePayment(transactionId) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(transactionId);
+
+      if (paymentIntent.status === 'succeeded') {
+        return { success: true, transactionId, recharged: false };
+      }
+
+      if (paymentIntent.status === 'requires_capture') {
+        const captured = await stripe.paymentIntents.capture(transactionId, {}, {
+          idempotencyKey: `capture:${transactionId}`
+        });
+        return { success: true, transactionId: captured.id, recharged: false, gatewayResponse: captured };
+      }
+
+      if (paymentIntent.status !== 'canceled' || !paymentIntent.customer || !paymentIntent.payment_method) {
+        throw new Error(`Payment ${transactionId} cannot be captured while ${paymentIntent.status}`);
+      }
+
+      try {
+        const recharge = await stripe.paymentIntents.create({
+          amount: paymentIntent.amount,
+          currency: paymentIntent.currency,
+          customer: paymentIntent.customer,
+          payment_method: paymentIntent.payment_method,
+          off_session: true,
+          confirm: true,
+          description: paymentIntent.description,
+          metadata: {
+            ...paymentIntent.metadata,
+            rechargeOf: transactionId
+          }
+        }, { idempotencyKey: `recharge:${transactionId}` });
+
+        return { success: true, transactionId: recharge.id, recharged: true, gatewayResponse: recharge };
+      } catch (error) {
+        // A decline is the customer's to fix; anything else is worth retrying
+        return {
+          success: false,
+          declined: error.type === 'StripeCardError',
+          error: error.message
+        };
+      }
+
+    } catch (error) {
+      logger.error('Payment capture failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Look up the current state of a Stripe payment
+   * @returns {Object} { success, status, gatewayResponse, error }
+   */
+  async getPayment(transactionId) {
+    try {
+      const paymentIntent = await stripe.paymentIntents.retrieve(transactionId);
+      return { success: true, status: paymentIntent.status, gatewayResponse: paymentIntent };
+
+    } catch (error) {
+      logger.error('Payment lookup failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find a Stripe payment created for an order, for recovering checkouts that
+   * stopped while the gateway call was in flight
+   * @returns {Object} { success, found, transactionId, status }
+   */
+  async findPaymentForOrder(orderId) {
+    try {
+      const result = await stripe.paymentIntents.search({
+        query: `metadata['orderId']:'${orderId.toString()}'`
+      });
+      const paymentIntent = result.data[0];
+
+      return paymentIntent
+        ? { success: true, found: true, transactionId: paymentIntent.id, status: paymentIntent.status, gatewayResponse: paymentIntent }
+        : { success: true, found: false };
+
+    } catch (error) {
+      logger.error('Payment lookup failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Look up the current status of a refund at the gateway
+   */
+  async getRefundStatus(refundId) {
+    try {
+      if (refundId.startsWith('re_')) {
+        const refund = await stripe.refunds.retrieve(refundId);
+        return {
+          success: true,
+          refundId: refund.id,
+          amount: refund.amount / 100,
+          status: refund.status,
+          failureReason: refund.failure_reason
+        };
+      }
+
+      if (refundId.startsWith('REF_')) {
+        // PayPal refunds (stub) complete immediately
+        return { success: true, refundId, status: 'completed' };
+      }
+
+      throw new Error('Unsupported refund type');
+
+    } catch (error) {
+      logger.error('Refund status lookup failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Verify webhook signature
    */
@@ -0,0 +1,537 @@
+const PreorderOffer = require('../models/PreorderOffer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const logger = require('../config/logger');
+const { sendEmail } = require('./emailService');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const invoiceService = require('./invoiceService');
+
+// Orders whose waiting lines can still be allocated stock
+const OPEN_STATUSES = ['confirmed', 'processing'];
+
+// Stock for a line's size and color, or the product's when it has neither
+const variantStock = (product, { size, color }) => {
+  if (!size && !color) {
+    return product.stock || 0;
+  }
+  const variant = product.variants?.find(v =>
+    (!size || v.size === size) && (!color || v.color === color)
+  );
+  return variant?.stock || 0;
+};
+
+const variantKey = ({ size, color }) => `${size || 'any'}:${color || 'any'}`;
+
+class PreorderService {
+  constructor() {
+    this.runIntervalMs = 15 * 60 * 1000;
+    this.maxCaptureAttempts = 3;
+    this.adminAlertEmail = process.env.ADMIN_ALERT_EMAIL || 'payments@airkicks.store';
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+    // Allocation runs in flight per product, so stock events for the same
+    // product are handled one after another
+    this.allocating = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Open a preorder or backorder offer for a product, or one of its variants
+   * @returns {Object} { success, offer, error }
+   */
+  async createOffer({ product: productId, size, color, type, expectedShipDate, cap }, { actor } = {}) {
+    const product = await Product.findById(productId);
+    if (!product) {
+      return { success: false, error: 'Product not found' };
+    }
+    if ((size || color) && !product.variants?.some(v =>
+      (!size || v.size === size) && (!color || v.color === color)
+    )) {
+      return { success: false, error: 'Selected size/color is not available for this product' };
+    }
+
+    try {
+      const offer = await PreorderOffer.create({
+        product: product._id,
+        size,
+        color,
+        type,
+        expectedShipDate,
+        cap,
+        createdBy: actor
+      });
+
+      logger.info(`${type} offer ${offer._id} opened for product ${product._id}`, { size, color, expectedShipDate, cap });
+      return { success: true, offer };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'An offer is already open for this product and variant' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Change an offer's ship date, cap or whether it takes new orders. A new
+   * ship date is copied to every line still waiting on the offer, and
+   * customers are told when it is later than the date they were given.
+   * @returns {Object} { success, offer, linesUpdated, error }
+   */
+  async updateOffer(offer, { expectedShipDate, cap, isActive, reason }, { actor } = {}) {
+    if (cap !== undefined && cap !== null && cap < offer.orderedCount) {
+      return { success: false, error: `Cap cannot be below the ${offer.orderedCount} units already ordered` };
+    }
+
+    const previousDate = offer.expectedShipDate;
+    const dateChanged = expectedShipDate && expectedShipDate.getTime() !== previousDate.getTime();
+
+    if (dateChanged) {
+      offer.shipDateChanges.push({ from: previousDate, to: expectedShipDate, reason, actor });
+      offer.expectedShipDate = expectedShipDate;
+    }
+    if (cap !== undefined) {
+      offer.cap = cap === null ? undefined : cap;
+    }
+    if (isActive !== undefined) {
+      offer.isActive = isActive;
+    }
+
+    try {
+      await offer.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'Another offer is already open for this product and variant' };
+      }
+      throw error;
+    }
+
+    let linesUpdated = 0;
+    if (dateChanged) {
+      const result = await Order.updateMany(
+        { 'items.backorder.offer': offer._id },
+        { $set: { 'items.$[line].backorder.expectedShipDate': expectedShipDate } },
+        { arrayFilters: [{ 'line.backorder.offer': offer._id, 'line.backorder.allocatedAt': null }] }
+      );
+      linesUpdated = result.modifiedCount;
+
+      logger.info(`Offer ${offer._id} ship date moved from ${previousDate.toISOString()} to ${expectedShipDate.toISOString()}`, {
+        linesUpdated,
+        reason
+      });
+
+      // Anything missed here is picked up by the next scheduled run
+      if (expectedShipDate > previousDate) {
+        await this.notifyShipDateChanges({ 'items.backorder.offer': offer._id })
+          .catch(error => logger.error(`Ship date notices for offer ${offer._id} failed:`, error));
+      }
+    }
+
+    return { success: true, offer, linesUpdated };
+  }
+
+  /**
+   * Take units on an offer for an order line. The count is incremented
+   * atomically so concurrent checkouts cannot exceed the cap.
+   * @returns {Object} { success, error }
+   */
+  async claim(offerId, quantity) {
+    const claimed = await PreorderOffer.findOneAndUpdate(
+      {
+        _id: offerId,
+        isActive: true,
+        $or: [
+          { cap: { $exists: false } },
+          { cap: null },
+          { $expr: { $lte: [{ $add: ['$orderedCount', quantity] }, '$cap'] } }
+        ]
+      },
+      { $inc: { orderedCount: quantity } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      const offer = await PreorderOffer.findById(offerId);
+      if (!offer || !offer.isActive) {
+        return { success: false, error: 'This item is no longer available to order ahead of stock' };
+      }
+      return { success: false, error: `Only ${offer.remaining} left to ${offer.type}` };
+    }
+
+    return { success: true, offer: claimed };
+  }
+
+  /**
+   * Give units taken with claim back to the offer
+   */
+  async release(offerId, quantity) {
+    await PreorderOffer.updateOne(
+      { _id: offerId, orderedCount: { $gte: quantity } },
+      { $inc: { orderedCount: -quantity } }
+    );
+  }
+
+  /**
+   * Allocate stock for a product to the lines waiting on it, oldest order
+   * first. A line is never part-allocated, and a line that cannot be filled
+   * holds back later lines for the same variant. Runs for the same product
+   * are queued so they never hand out the same stock twice.
+   * @returns {Object} { allocated, captured }
+   */
+  async allocate(productId) {
+    const key = productId.toString();
+    const previous = this.allocating.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(() => this.allocateProduct(productId));
+
+    this.allocating.set(key, run);
+    run.catch(() => {}).then(() => {
+      if (this.allocating.get(key) === run) {
+        this.allocating.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  async allocateProduct(productId) {
+    const orders = await Order.find({
+      status: { $in: OPEN_STATUSES },
+      items: {
+        $elemMatch: {
+          product: productId,
+          'backorder.type': { $exists: true },
+          'backorder.allocatedAt': null,
+          status: { $ne: 'cancelled' }
+        }
+      }
+    }).sort({ placedAt: 1 });
+
+    if (orders.length === 0) {
+      return { allocated: 0, captured: 0 };
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return { allocated: 0, captured: 0 };
+    }
+
+    // Stock left to hand out per variant; checkout holds come first
+    const available = new Map();
+    const availableFor = async (line) => {
+      const variant = variantKey(line);
+      if (!available.has(variant)) {
+        const reserved = await inventoryService.getReservedStock(productId.toString(), { size: line.size, color: line.color });
+        available.set(variant, Math.max(0, variantStock(product, line) - reserved));
+      }
+      return available.get(variant);
+    };
+    const blocked = new Set();
+
+    let allocated = 0;
+    let captured = 0;
+    for (const order of orders) {
+      let current = order;
+      const lines = order.getAwaitingStockItems().filter(item => item.product.equals(productId));
+
+      for (const line of lines) {
+        const variant = variantKey(line);
+        if (blocked.has(variant) || await availableFor(line) < line.quantity) {
+          blocked.add(variant);
+          continue;
+        }
+
+        const result = await this.allocateLine(current, line);
+        if (result.order) {
+          current = result.order;
+        }
+        if (result.success) {
+          available.set(variant, available.get(variant) - line.quantity);
+          allocated++;
+        } else if (result.outOfStock) {
+          // Stock went elsewhere since it was counted; later lines keep waiting in turn
+          blocked.add(variant);
+        }
+      }
+
+      if (current !== order && current.payment.status === 'authorized' && !current.isAwaitingStock) {
+        // The stock is allocated either way; a failed capture is retried by the scheduled run
+        try {
+          const capture = await this.captureOrder(current);
+          if (capture.success) {
+            captured++;
+          }
+        } catch (error) {
+          logger.error(`Capture for order ${current.orderNumber} failed:`, error);
+        }
+      }
+    }
+
+    if (allocated > 0) {
+      logger.info(`Allocated stock to ${allocated} waiting lines for product ${productId}`, { captured });
+    }
+    return { allocated, captured };
+  }
+
+  /**
+   * Take stock for one waiting line. The stock is taken with a conditional
+   * atomic decrement before the line is marked; if another run marked the
+   * line first, exactly what was taken is given back.
+   * @returns {Object} { success, order, outOfStock } with the updated order when allocated
+   */
+  async allocateLine(order, line) {
+    const options = { size: line.size, color: line.color };
+
+    const taken = await inventoryService.adjustStock(line.product.toString(), -line.quantity, {
+      ...options,
+      reason: `Allocated to order ${order.orderNumber}`
+    });
+    if (!taken.success) {
+      return { success: false, outOfStock: true };
+    }
+
+    const updated = await Order.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: OPEN_STATUSES },
+        items: { $elemMatch: { _id: line._id, 'backorder.allocatedAt': null, status: { $ne: 'cancelled' } } }
+      },
+      { $set: { 'items.$.backorder.allocatedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!updated) {
+      await inventoryService.adjustStock(line.product.toString(), line.quantity, {
+        ...options,
+        reason: `Allocation to order ${order.orderNumber} no longer needed`
+      });
+      return { success: false };
+    }
+
+    return { success: true, order: updated };
+  }
+
+  /**
+   * Capture the authorized payment once every line of the order has stock,
+   * then tell the customer it is on its way. Failed captures are retried by
+   * the scheduled run until they are declined or run out of attempts.
+   * @returns {Object} { success, error }
+   */
+  async captureOrder(order) {
+    if (order.payment.status !== 'authorized' || order.isAwaitingStock) {
+      return { success: false, error: 'Order is not ready to be captured' };
+    }
+
+    const result = await paymentService.capturePayment(order.payment.transactionId);
+
+    order.payment.capture.attempts += 1;
+    order.payment.capture.lastAttemptAt = new Date();
+
+    if (!result.success) {
+      order.payment.capture.lastError = result.error;
+      const givingUp = result.declined || order.payment.capture.attempts >= this.maxCaptureAttempts;
+      if (givingUp) {
+        order.payment.capture.failedAt = new Date();
+      }
+      await order.save();
+
+      logger.error(`Capture for order ${order.orderNumber} failed:`, result.error);
+      if (givingUp) {
+        await this.alertAdmins(order, `Could not capture payment: ${result.error}`);
+      }
+      return { success: false, error: result.error };
+    }
+
+    const previousTransactionId = order.payment.transactionId;
+    order.payment.transactionId = result.transactionId;
+    order.payment.gatewayResponse = result.gatewayResponse || order.payment.gatewayResponse;
+    order.payment.processedAt = new Date();
+    order.payment.capture.lastError = undefined;
+    order.setPaymentStatus('completed', {
+      source: 'payment_gateway',
+      reason: result.recharged
+        ? `Authorization ${previousTransactionId} lapsed; charged again as ${result.transactionId}`
+        : 'Captured once every line was in stock'
+    });
+    await order.save();
+
+    // Issued now that the order is paid; the invoice endpoints issue it
+    // later if this fails
+    try {
+      await invoiceService.getInvoiceForOrder(order, { email: order.customerEmail });
+    } catch (error) {
+      logger.error(`Failed to issue invoice for order ${order.formattedOrderNumber}:`, error);
+    }
+
+    await this.notify(order, 'preorderInStock', `Your order ${order.formattedOrderNumber} is getting ready to ship`);
+
+    return { success: true };
+  }
+
+  /**
+   * Undo what a cancelled order holds while it waits for stock: places on
+   * offers go back, and the authorized payment is voided. Stock for lines
+   * already allocated is restored by the caller with the rest of the order.
+   * The order is saved.
+   * @returns {Object} { success, voided, error }
+   */
+  async releaseOrder(order, { actor, source = 'system', reason } = {}) {
+    for (const item of order.getAwaitingStockItems()) {
+      await this.release(item.backorder.offer, item.quantity);
+    }
+
+    if (order.payment.status !== 'authorized') {
+      return { success: true, voided: false };
+    }
+
+    const result = await paymentService.voidPayment(order.payment.transactionId);
+    if (!result.success) {
+      logger.error(`Could not void authorization for order ${order.orderNumber}:`, result.error);
+      await this.alertAdmins(order, `Could not void payment authorization: ${result.error}`);
+      return { success: false, voided: false, error: result.error };
+    }
+
+    order.setPaymentStatus('cancelled', { actor, source, reason: reason || 'Authorization voided' });
+    await order.save();
+    return { success: true, voided: true };
+  }
+
+  /**
+   * Tell customers about ship dates that moved later than the date they were
+   * last given. Lines are marked as notified so nobody hears about a slip twice.
+   * @param {Object} filter - Extra order conditions, e.g. lines on one offer
+   * @returns {number} Orders notified
+   */
+  async notifyShipDateChanges(filter = {}) {
+    const orders = await Order.find({
+      ...filter,
+      status: { $in: OPEN_STATUSES },
+      items: { $elemMatch: { 'backorder.type': { $exists: true }, 'backorder.allocatedAt': null } }
+    });
+
+    let notified = 0;
+    for (const order of orders) {
+      const slipped = order.getAwaitingStockItems().filter(item =>
+        !item.backorder.notifiedShipDate || item.backorder.expectedShipDate > item.backorder.notifiedShipDate
+      );
+      if (slipped.length === 0) {
+        continue;
+      }
+
+      const lines = slipped.map(item => ({
+        name: item.productSnapshot?.name,
+        size: item.size,
+        color: item.color,
+        quantity: item.quantity,
+        previousShipDate: item.backorder.notifiedShipDate,
+        expectedShipDate: item.backorder.expectedShipDate
+      }));
+
+      await this.notify(order, 'preorderShipDateChanged', `New ship date for order ${order.formattedOrderNumber}`, { lines });
+
+      for (const item of slipped) {
+        item.backorder.notifiedShipDate = item.backorder.expectedShipDate;
+      }
+      await order.save();
+      notified++;
+    }
+
+    if (notified > 0) {
+      logger.info(`Sent ship date changes for ${notified} orders`);
+    }
+    return notified;
+  }
+
+  /**
+   * Email the address the order was placed with. Failures are only logged so
+   * they never hold up allocation or capture.
+   */
+  async notify(order, template, subject, data = {}) {
+    if (!order.customerEmail) {
+      return;
+    }
+
+    try {
+      await sendEmail({
+        to: order.customerEmail,
+        subject,
+        template,
+        data: {
+          order,
+          user: {
+            email: order.customerEmail,
+            name: [order.shippingAddress?.firstName, order.shippingAddress?.lastName].filter(Boolean).join(' ')
+          },
+          orderUrl: `${this.storeUrl}/account/orders/${order._id}`,
+          cancelAllowed: order.canBeCancelled(),
+          ...data
+        }
+      });
+    } catch (emailError) {
+      logger.error(`Failed to send ${template} email:`, emailError);
+    }
+  }
+
+  /**
+   * Catch up on anything the stock events missed: allocate waiting lines,
+   * retry captures and send ship date changes
+   */
+  async processPending() {
+    const productIds = await Order.distinct('items.product', {
+      status: { $in: OPEN_STATUSES },
+      items: { $elemMatch: { 'backorder.type': { $exists: true }, 'backorder.allocatedAt': null } }
+    });
+    for (const productId of productIds) {
+      await this.allocate(productId);
+    }
+
+    const ready = await Order.find({
+      status: { $in: OPEN_STATUSES },
+      'payment.status': 'authorized',
+      'payment.capture.failedAt': null
+    });
+    for (const order of ready.filter(order => !order.isAwaitingStock)) {
+      await this.captureOrder(order);
+    }
+
+    await this.notifyShipDateChanges();
+  }
+
+  /**
+   * Allocate waiting lines as soon as stock is added, and start the catch-up job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    inventoryService.on('stockUpdated', ({ productId, oldStock, newStock }) => {
+      if (newStock > oldStock) {
+        this.allocate(productId).catch(error => logger.error(`Allocation for product ${productId} failed:`, error));
+      }
+    });
+
+    this.timer = setInterval(() => {
+      this.processPending().catch(error => logger.error('Preorder run failed:', error));
+    }, this.runIntervalMs);
+  }
+
+  /**
+   * Tell the payments team about a waiting order that needs manual handling
+   */
+  async alertAdmins(order, problem) {
+    logger.error(`Order ${order.orderNumber} needs attention: ${problem}`);
+
+    try {
+      await sendEmail({
+        to: this.adminAlertEmail,
+        subject: `Preorder needs attention - order ${order.orderNumber}`,
+        template: 'preorderNeedsAttention',
+        data: { order, problem }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send preorder alert:', emailError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new PreorderService();
@@ -0,0 +1,153 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const PromotionUsage = require('../models/PromotionUsage');
+const logger = require('../config/logger');
+
+class PromotionService {
+  /**
+   * Validate a discount code against a customer's order and price it
+   * @param {string} code - Code entered by the customer
+   * @param {Object} context - { userId, items: [{ product, category, price, quantity }], subtotal, shippingCost }
+   */
+  async applyCode(code, { userId, items, subtotal, shippingCost = 0 }) {
+    const promotion = await Promotion.findByCode(code);
+    if (!promotion || !promotion.isActive) {
+      return { valid: false, error: 'Invalid discount code' };
+    }
+
+    const now = new Date();
+    if (promotion.startsAt && promotion.startsAt > now) {
+      return { valid: false, error: 'This discount code is not active yet' };
+    }
+
+    if (promotion.endsAt && promotion.endsAt <= now) {
+      return { valid: false, error: 'This discount code has expired' };
+    }
+
+    if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) {
+      return { valid: false, error: 'This discount code has reached its usage limit' };
+    }
+
+    if (promotion.usageLimitPerCustomer) {
+      const customerRedemptions = await PromotionUsage.countFor(promotion._id, userId);
+      if (customerRedemptions >= promotion.usageLimitPerCustomer) {
+        return { valid: false, error: 'You have already used this discount code' };
+      }
+    }
+
+    if (subtotal < promotion.minimumOrderValue) {
+      return {
+        valid: false,
+        error: `This discount code requires a minimum order of ${promotion.minimumOrderValue.toFixed(2)}`
+      };
+    }
+
+    const result = promotion.calculateDiscount(items, shippingCost);
+    if (result.discount <= 0 && !result.freeShipping) {
+      return { valid: false, error: 'This discount code does not apply to the items in your cart' };
+    }
+
+    return {
+      valid: true,
+      promotion,
+      code: promotion.code,
+      discount: Math.min(result.discount, subtotal),
+      freeShipping: result.freeShipping,
+      shippingDiscount: result.shippingDiscount
+    };
+  }
+
+  /**
+   * Record a redemption against an order, claiming one use of the code.
+   * The customer's use and the overall usage count are each claimed
+   * atomically so concurrent checkouts cannot exceed either limit. Repeating
+   * it for the same order returns the original redemption.
+   */
+  async redeem(promotion, { userId, orderId, discount, shippingDiscount = 0 }) {
+    const existing = await PromotionRedemption.findOne({ order: orderId });
+    if (existing) {
+      return { success: true, redemption: existing, replayed: true };
+    }
+
+    if (promotion.usageLimitPerCustomer) {
+      const claimedForCustomer = await PromotionUsage.claim(promotion._id, userId, promotion.usageLimitPerCustomer);
+      if (!claimedForCustomer) {
+        return { success: false, error: 'You have already used this discount code' };
+      }
+    }
+
+    const claimed = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $or: [
+          { usageLimit: { $exists: false } },
+          { usageLimit: null },
+          { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      if (promotion.usageLimitPerCustomer) {
+        await PromotionUsage.release(promotion._id, userId);
+      }
+      return { success: false, error: 'This discount code has reached its usage limit' };
+    }
+
+    let redemption;
+    try {
+      redemption = await PromotionRedemption.create({
+        promotion: promotion._id,
+        code: promotion.code,
+        user: userId,
+        order: orderId,
+        discount,
+        shippingDiscount
+      });
+    } catch (error) {
+      await this.releaseUses(promotion._id, userId);
+
+      // A concurrent retry recorded the redemption first
+      if (error.code === 11000) {
+        return { success: true, redemption: await PromotionRedemption.findOne({ order: orderId }), replayed: true };
+      }
+      throw error;
+    }
+
+    logger.info(`Promotion ${promotion.code} redeemed on order ${orderId}`, { userId, discount });
+
+    return { success: true, redemption };
+  }
+
+  /**
+   * Give back the use claimed by an order, e.g. when its payment fails
+   */
+  async releaseRedemption(orderId) {
+    const redemption = await PromotionRedemption.findOneAndDelete({ order: orderId });
+    if (!redemption) {
+      return { success: false, reason: 'Redemption not found' };
+    }
+
+    await this.releaseUses(redemption.promotion, redemption.user);
+
+    logger.info(`Promotion ${redemption.code} released from order ${orderId}`);
+
+    return { success: true };
+  }
+
+  /**
+   * Give back one overall use and one use by the customer
+   */
+  async releaseUses(promotionId, userId) {
+    await Promotion.updateOne(
+      { _id: promotionId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } }
+    );
+    await PromotionUsage.release(promotionId, userId);
+  }
+}
+
+// Export singleton instance
+module.exports = new PromotionService();
@@ -0,0 +1,297 @@
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const paymentService = require('./paymentService');
+const { sendEmail } = require('./emailService');
+const invoiceService = require('./invoiceService');
+const giftCardService = require('./giftCardService');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Map gateway refund statuses onto our refund record statuses
+ */
+const normalizeStatus = (status) => {
+  switch (status) {
+    case 'succeeded':
+    case 'completed':
+      return 'completed';
+    case 'failed':
+    case 'canceled':
+    case 'cancelled':
+      return 'failed';
+    default:
+      return 'pending';
+  }
+};
+
+class RefundService {
+  constructor() {
+    this.adminAlertEmail = process.env.ADMIN_ALERT_EMAIL || 'payments@airkicks.store';
+    this.pollIntervalMs = 10 * 60 * 1000;
+    this.timer = null;
+  }
+
+  /**
+   * Split a refund between the gateway payment and the gift cards used on the
+   * order. The gateway payment is refunded first; gift cards get the rest.
+   * @returns {Object} { payment, giftCards }
+   */
+  splitRefund(order, amount) {
+    const refunded = (tender) => (order.payment.refunds || [])
+      .filter(refund => refund.status !== 'failed' && (refund.tender || 'payment') === tender)
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    const paymentRefundable = order.payment.transactionId
+      ? Math.max(order.payment.amount - refunded('payment'), 0)
+      : 0;
+    const giftCardRefundable = Math.max(order.giftCardAmount - refunded('gift_card'), 0);
+
+    const payment = round(Math.min(amount, paymentRefundable));
+    return {
+      payment,
+      giftCards: round(Math.min(amount - payment, giftCardRefundable))
+    };
+  }
+
+  /**
+   * Refund an order and record the outcome on the order. The gateway payment
+   * takes the refund up to what it was charged; gift cards used at checkout
+   * are credited with the rest, before the gateway is called.
+   * The order is saved; its payment status follows the refund (pending, refunded, failed).
+   * changedBy ({ actor, source }) is recorded in the order's status history.
+   * @returns {Object} { success, refund, refunds, error } where refunds lists every
+   *   record created and refund is the gateway one if any, else the first
+   */
+  async refundOrder(order, { amount, reason = 'requested_by_customer', source, changedBy = {} }) {
+    const refundAmount = amount ?? order.calculateRefund();
+
+    if (!order.payment?.transactionId && !(order.payment?.giftCards?.length > 0)) {
+      return { success: false, error: 'Order has no payment to refund' };
+    }
+
+    // processRefund treats a missing amount as a full refund, so never send 0
+    if (!(refundAmount > 0)) {
+      return { success: false, error: 'Nothing left to refund on this order' };
+    }
+
+    const split = this.splitRefund(order, refundAmount);
+    const refunds = [];
+
+    if (split.giftCards > 0) {
+      const giftCardRefunds = await this.refundToGiftCards(order, split.giftCards, { reason, source, changedBy });
+      refunds.push(...giftCardRefunds);
+
+      const failed = giftCardRefunds.find(refund => refund.status === 'failed');
+      if (failed) {
+        return { success: false, refund: failed, refunds, error: failed.error };
+      }
+    }
+
+    // Gateway last, so a failure there is the latest refund and marks the payment refund_failed
+    if (split.payment > 0) {
+      const result = await this.refundToPayment(order, split.payment, { reason, source, changedBy });
+      return { ...result, refunds: [result.refund, ...refunds] };
+    }
+
+    return { success: true, refund: refunds[0], refunds };
+  }
+
+  /**
+   * Credit gift cards back, latest used first, each up to what it paid.
+   * Every card gets its own refund record on the order, completed at once;
+   * a card that cannot take the credit (voided since) fails and stops the rest.
+   * @returns {Object[]} The refund records
+   */
+  async refundToGiftCards(order, amount, { reason, source, changedBy = {} }) {
+    const refunds = [];
+    let remaining = amount;
+
+    for (const tender of [...order.payment.giftCards].reverse()) {
+      const alreadyRefunded = order.payment.refunds
+        .filter(refund => refund.status !== 'failed' && refund.giftCard?.equals(tender.giftCard))
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      const share = round(Math.min(remaining, tender.amount - alreadyRefunded));
+      if (!(share > 0)) {
+        continue;
+      }
+
+      order.payment.refunds.push({ amount: share, reason, source, tender: 'gift_card', giftCard: tender.giftCard, status: 'pending' });
+      const refund = order.payment.refunds[order.payment.refunds.length - 1];
+      refunds.push(refund);
+      order.syncRefundStatus({ ...changedBy, reason: `Refund of ${share.toFixed(2)} to gift card ${tender.code} requested (${source})` });
+      await order.save();
+
+      const result = await giftCardService.credit(tender.giftCard, share, {
+        reference: `refund:${refund._id}`,
+        order: order._id,
+        reason: `Refund for order ${order.orderNumber} (${source})`,
+        actor: changedBy.actor,
+        source: changedBy.source
+      });
+
+      if (result.success) {
+        refund.refundId = result.transaction._id.toString();
+        refund.status = 'completed';
+        refund.completedAt = new Date();
+      } else {
+        refund.status = 'failed';
+        refund.error = `Gift card ${tender.code}: ${result.error}`;
+      }
+
+      order.syncRefundStatus({
+        source: 'system',
+        reason: refund.status === 'failed' ? refund.error : `Refund ${refund.refundId} completed`
+      });
+      await order.save();
+
+      if (refund.status === 'failed') {
+        await this.alertAdmins(order, refund);
+        break;
+      }
+
+      await invoiceService.issueCreditNote(order, refund);
+      logger.info(`Refund of ${share} credited to gift card ${tender.code} for order ${order.orderNumber}`, { source });
+
+      remaining = round(remaining - share);
+      if (!(remaining > 0)) {
+        break;
+      }
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Refund through the payment gateway
+   * @returns {Object} { success, refund, error }
+   */
+  async refundToPayment(order, refundAmount, { reason, source, changedBy = {} }) {
+    order.payment.refunds.push({ amount: refundAmount, reason, source, status: 'pending' });
+    const refund = order.payment.refunds[order.payment.refunds.length - 1];
+    order.syncRefundStatus({ ...changedBy, reason: `Refund of ${refundAmount.toFixed(2)} requested (${source})` });
+    await order.save();
+
+    const result = await paymentService.processRefund({
+      transactionId: order.payment.transactionId,
+      amount: refundAmount,
+      reason
+    });
+
+    if (result.success) {
+      refund.refundId = result.refundId;
+      refund.gatewayResponse = result;
+      refund.status = normalizeStatus(result.status);
+      if (refund.status === 'completed') {
+        refund.completedAt = new Date();
+      }
+    } else {
+      refund.status = 'failed';
+      refund.error = result.error;
+    }
+
+    order.syncRefundStatus({
+      source: 'payment_gateway',
+      reason: refund.status === 'failed' ? refund.error : `Refund ${refund.refundId} ${refund.status}`
+    });
+    await order.save();
+
+    if (refund.status === 'failed') {
+      await this.alertAdmins(order, refund);
+      return { success: false, refund, error: refund.error };
+    }
+
+    if (refund.status === 'completed') {
+      await invoiceService.issueCreditNote(order, refund);
+    }
+
+    logger.info(`Refund of ${refundAmount} ${refund.status} for order ${order.orderNumber}`, {
+      refundId: refund.refundId,
+      source
+    });
+
+    return { success: true, refund };
+  }
+
+  /**
+   * Check refunds still pending at the gateway and record their final outcome
+   */
+  async syncPendingRefunds() {
+    const orders = await Order.find({ 'payment.refunds.status': 'pending' });
+    let updated = 0;
+
+    for (const order of orders) {
+      for (const refund of order.payment.refunds.filter(r => r.status === 'pending' && r.refundId)) {
+        const result = await paymentService.getRefundStatus(refund.refundId);
+        if (!result.success) {
+          continue;
+        }
+
+        const status = normalizeStatus(result.status);
+        if (status === 'pending') {
+          continue;
+        }
+
+        refund.status = status;
+        if (status === 'completed') {
+          refund.completedAt = new Date();
+        } else {
+          refund.error = result.failureReason || 'Refund failed at the gateway';
+        }
+
+        order.syncRefundStatus({
+          source: 'payment_gateway',
+          reason: status === 'failed' ? refund.error : `Refund ${refund.refundId} completed`
+        });
+        await order.save();
+        updated++;
+
+        if (status === 'failed') {
+          await this.alertAdmins(order, refund);
+        } else {
+          await invoiceService.issueCreditNote(order, refund);
+        }
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Start polling the gateway for pending refunds
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.syncPendingRefunds().catch(error => logger.error('Refund status sync failed:', error));
+    }, this.pollIntervalMs);
+  }
+
+  /**
+   * Tell the payments team about a failed refund so it can be handled manually
+   */
+  async alertAdmins(order, refund) {
+    logger.error(`Refund failed for order ${order.orderNumber}`, {
+      orderId: order._id,
+      amount: refund.amount,
+      source: refund.source,
+      error: refund.error
+    });
+
+    try {
+      await sendEmail({
+        to: this.adminAlertEmail,
+        subject: `Refund failed - ${order.formattedOrderNumber}`,
+        template: 'refundFailed',
+        data: { order, refund }
+      });
+    } catch (emailError) {
+      logger.error('Failed to send refund failure alert:', emailError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new RefundService();
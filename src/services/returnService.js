@@ -0,0 +1,313 @@
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const logger = require('../config/logger');
+const refundService = require('./refundService');
+const giftService = require('./giftService');
+const { sendEmail } = require('./emailService');
+
+const { RETURN_REASONS } = Return;
+
+class ReturnService {
+  /**
+   * Create a return request for some or all of an order's items.
+   * Items are [{ itemId, quantity, reason }]; when omitted every line is returned in full.
+   * Gift recipients pass recipient ({ name, email }) instead of userId and are
+   * refunded in store credit.
+   */
+  async requestReturn(order, { userId, recipient, reason, comments, items }) {
+    if (!RETURN_REASONS.includes(reason)) {
+      return { success: false, error: `Reason must be one of: ${RETURN_REASONS.join(', ')}` };
+    }
+
+    const requested = items && items.length > 0
+      ? items
+      : order.items.map(item => ({ itemId: item._id, quantity: item.quantity }));
+
+    const alreadyReturned = await Return.getReturnedQuantities(order._id);
+    // Units asked for so far per line, so listing a line twice cannot exceed it
+    const requestedSoFar = new Map();
+    const returnItems = [];
+
+    for (const entry of requested) {
+      const orderItem = order.items.id(entry.itemId);
+      if (!orderItem) {
+        return { success: false, error: `Item ${entry.itemId} is not part of this order` };
+      }
+
+      const itemReason = entry.reason || reason;
+      if (!RETURN_REASONS.includes(itemReason)) {
+        return { success: false, error: `Invalid reason for item ${entry.itemId}` };
+      }
+
+      const key = orderItem._id.toString();
+      const quantity = parseInt(entry.quantity || orderItem.quantity);
+      const returnable = orderItem.quantity - (alreadyReturned.get(key) || 0);
+      const total = (requestedSoFar.get(key) || 0) + quantity;
+      if (!(quantity >= 1) || total > returnable) {
+        return {
+          success: false,
+          error: `Only ${returnable} of item ${entry.itemId} can be returned`
+        };
+      }
+      requestedSoFar.set(key, total);
+
+      returnItems.push({
+        orderItem: orderItem._id,
+        product: orderItem.product,
+        quantity,
+        reason: itemReason,
+        size: orderItem.size,
+        color: orderItem.color
+      });
+    }
+
+    const returnRequest = new Return({
+      order: order._id,
+      user: recipient ? undefined : userId,
+      giftReturn: Boolean(recipient),
+      recipient,
+      items: returnItems,
+      reason,
+      comments,
+      statusHistory: [{ status: 'requested', changedBy: userId }]
+    });
+
+    await returnRequest.save();
+
+    logger.info(`Return ${returnRequest._id} requested for order ${order.orderNumber}`, {
+      userId,
+      giftReturn: returnRequest.giftReturn
+    });
+
+    return { success: true, returnRequest };
+  }
+
+  /**
+   * Approve a requested return
+   */
+  async approve(returnRequest, { adminId, notes }) {
+    await returnRequest.updateStatus('approved', { changedBy: adminId, notes });
+    await this.notifyCustomer(returnRequest, 'returnApproved', 'Your return has been approved');
+    return returnRequest;
+  }
+
+  /**
+   * Reject a return at any stage before it is refunded
+   */
+  async reject(returnRequest, { adminId, notes }) {
+    await returnRequest.updateStatus('rejected', { changedBy: adminId, notes });
+    await this.notifyCustomer(returnRequest, 'returnRejected', 'Update on your return request');
+    return returnRequest;
+  }
+
+  /**
+   * Mark an approved return as received and refund it
+   */
+  async receive(returnRequest, { adminId, notes }) {
+    await returnRequest.updateStatus('received', { changedBy: adminId, notes });
+    return this.refund(returnRequest, { adminId });
+  }
+
+  /**
+   * Refund a received return. The return is claimed first, so concurrent
+   * calls refund it once; a failed refund puts it back in "received" so it
+   * can be retried.
+   * @returns {Object} { success, returnRequest, inProgress, error }
+   */
+  async refund(returnRequest, { adminId } = {}) {
+    if (returnRequest.status !== 'received') {
+      return { success: false, error: 'Only received returns can be refunded' };
+    }
+
+    const claimed = await Return.claimForRefund(returnRequest._id, { changedBy: adminId });
+    if (!claimed) {
+      return { success: false, inProgress: true, error: 'This return is already being refunded' };
+    }
+
+    let result;
+    try {
+      result = await this.issueRefund(claimed, { adminId });
+    } catch (error) {
+      await claimed.releaseRefundClaim({ changedBy: adminId, notes: `Refund failed: ${error.message}` });
+      throw error;
+    }
+
+    if (!result.success) {
+      await claimed.releaseRefundClaim({ changedBy: adminId, notes: `Refund failed: ${result.error}` });
+    }
+    return { ...result, returnRequest: claimed };
+  }
+
+  /**
+   * Pay out a claimed return through the payment gateway, or as store credit
+   * for gift returns
+   */
+  async issueRefund(returnRequest, { adminId } = {}) {
+    const order = await Order.findById(returnRequest.order);
+    if (returnRequest.giftReturn) {
+      return this.refundAsStoreCredit(returnRequest, order, { adminId });
+    }
+
+    if (!order || (!order.payment?.transactionId && !(order.payment?.giftCards?.length > 0))) {
+      return { success: false, error: 'Order has no payment to refund' };
+    }
+
+    const amount = order.calculateRefund(returnRequest.items.map(item => ({
+      itemId: item.orderItem,
+      quantity: item.quantity
+    })));
+
+    if (!(amount > 0)) {
+      return { success: false, error: 'Nothing left to refund on this order' };
+    }
+
+    returnRequest.refund = {
+      amount,
+      method: 'original_payment',
+      status: 'pending',
+      attemptedAt: new Date()
+    };
+    await returnRequest.save();
+
+    const refundResult = await refundService.refundOrder(order, {
+      amount,
+      source: `return:${returnRequest._id}`,
+      changedBy: { actor: adminId, source: 'admin' }
+    });
+
+    if (!refundResult.success) {
+      returnRequest.refund.status = 'failed';
+      returnRequest.refund.error = refundResult.error;
+      await returnRequest.save();
+
+      logger.error(`Refund failed for return ${returnRequest._id}:`, refundResult.error);
+      return { success: false, error: refundResult.error, returnRequest };
+    }
+
+    // The gateway accepted the refund; it may still settle asynchronously
+    const { refund } = refundResult;
+    returnRequest.refund.status = refund.status;
+    returnRequest.refund.refundId = refund.refundId;
+    returnRequest.refund.gatewayResponse = refund.gatewayResponse;
+    returnRequest.refund.processedAt = new Date();
+    returnRequest.refund.error = undefined;
+    await returnRequest.updateStatus('refunded', {
+      changedBy: adminId,
+      notes: `Refunded ${amount.toFixed(2)} (${refund.refundId})`
+    });
+
+    await this.applyRefundToOrder(order, returnRequest, adminId);
+    await this.notifyCustomer(returnRequest, 'returnRefunded', 'Your refund has been issued');
+
+    return { success: true, returnRequest };
+  }
+
+  /**
+   * Refund a gift-receipt return as store credit for the recipient; the
+   * purchaser's payment is left untouched
+   */
+  async refundAsStoreCredit(returnRequest, order, { adminId } = {}) {
+    if (!order) {
+      return { success: false, error: 'Order not found' };
+    }
+
+    const amount = order.calculateRefund(returnRequest.items.map(item => ({
+      itemId: item.orderItem,
+      quantity: item.quantity
+    })));
+
+    if (!(amount > 0)) {
+      return { success: false, error: 'Nothing left to refund on this order' };
+    }
+
+    const giftCard = await giftService.issueStoreCredit(returnRequest, order, { amount, adminId });
+
+    returnRequest.refund = {
+      amount,
+      method: 'store_credit',
+      giftCard: giftCard._id,
+      status: 'completed',
+      attemptedAt: new Date(),
+      processedAt: new Date()
+    };
+    await returnRequest.updateStatus('refunded', {
+      changedBy: adminId,
+      notes: `Store credit of ${amount.toFixed(2)} issued (${giftCard.code})`
+    });
+
+    await this.applyRefundToOrder(order, returnRequest, adminId);
+
+    return { success: true, returnRequest, giftCard };
+  }
+
+  /**
+   * Mark returned lines on the order once the refund is issued
+   */
+  async applyRefundToOrder(order, returnRequest, adminId) {
+    const changedBy = {
+      actor: adminId,
+      source: 'admin',
+      reason: `Return ${returnRequest._id} refunded`
+    };
+
+    const returnedQuantities = await Return.getReturnedQuantities(order._id);
+    for (const item of order.items) {
+      if (item.status !== 'returned' && (returnedQuantities.get(item._id.toString()) || 0) >= item.quantity) {
+        order.setItemStatus(item._id, 'returned', changedBy);
+      }
+    }
+
+    if (order.items.every(item => item.status === 'returned') && order.canTransitionTo('refunded')) {
+      return order.updateStatus('refunded', changedBy);
+    }
+
+    return order.save();
+  }
+
+  /**
+   * Email the customer about their return; failures are only logged
+   */
+  async notifyCustomer(returnRequest, template, subject) {
+    try {
+      // Gift returns are handled with the recipient so the purchaser never hears of them
+      if (returnRequest.giftReturn) {
+        if (!returnRequest.recipient?.email) {
+          return;
+        }
+
+        await sendEmail({
+          to: returnRequest.recipient.email,
+          subject,
+          template,
+          data: { returnRequest, user: { firstName: returnRequest.recipient.name, email: returnRequest.recipient.email } }
+        });
+        return;
+      }
+
+      // Customers are written to at the address the order was placed with
+      const order = await Order.findById(returnRequest.order).select('customerEmail shippingAddress');
+      if (!order?.customerEmail) {
+        return;
+      }
+
+      await sendEmail({
+        to: order.customerEmail,
+        subject,
+        template,
+        data: {
+          returnRequest,
+          user: {
+            firstName: order.shippingAddress?.firstName,
+            lastName: order.shippingAddress?.lastName,
+            email: order.customerEmail
+          }
+        }
+      });
+    } catch (emailError) {
+      logger.error(`Failed to send ${template} email:`, emailError);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ReturnService();
@@ -0,0 +1,28 @@
+// Flat shipping rates per method. Standard shipping is free from
+// FREE_SHIPPING_THRESHOLD; pickup is always free.
+const RATES = {
+  standard: { cost: 5.99, estimatedDays: 5, carrier: 'usps' },
+  express: { cost: 14.99, estimatedDays: 2, carrier: 'ups' },
+  overnight: { cost: 29.99, estimatedDays: 1, carrier: 'fedex' },
+  pickup: { cost: 0, estimatedDays: 0, carrier: undefined }
+};
+
+const freeShippingThreshold = parseFloat(process.env.FREE_SHIPPING_THRESHOLD || '100');
+
+/**
+ * Work out shipping for order or cart lines
+ * @param {Object} address - Shipping address
+ * @param {string} method - standard, express, overnight or pickup
+ * @param {Array} items - Lines with a subtotal, or unitPrice and quantity
+ * @returns {Object} { cost, estimatedDays, carrier }
+ */
+const calculateShipping = async (address, method = 'standard', items = []) => {
+  const rate = RATES[method] || RATES.standard;
+  const subtotal = items.reduce((sum, item) =>
+    sum + (item.subtotal ?? item.totalPrice ?? (item.unitPrice || item.price || 0) * item.quantity), 0);
+
+  const cost = method === 'standard' && subtotal >= freeShippingThreshold ? 0 : rate.cost;
+  return { cost, estimatedDays: rate.estimatedDays, carrier: rate.carrier };
+};
+
+module.exports = { calculateShipping };
@@ -0,0 +1,531 @@
+const Subscription = require('../models/Subscription');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const pool = require('../config/database');
+const logger = require('../config/logger');
+const subscriptionConfig = require('../config/subscriptions');
+const { sendEmail } = require('./emailService');
+const paymentService = require('./paymentService');
+const inventoryService = require('./inventoryService');
+const orderPricingService = require('./orderPricingService');
+const checkoutService = require('./checkoutService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when a renewal cannot be placed; retried by dunning
+ */
+class RenewalFailedError extends Error {
+  constructor(message, { declined = false } = {}) {
+    super(message);
+    this.name = 'RenewalFailedError';
+    this.declined = declined;
+  }
+}
+
+class SubscriptionService {
+  constructor() {
+    this.runIntervalMs = 15 * 60 * 1000;
+    this.lockMs = 10 * 60 * 1000;
+    this.storeUrl = process.env.STORE_URL || 'https://airkicks.store';
+    this.timer = null;
+  }
+
+  /**
+   * Check subscription lines against the catalog
+   * @returns {Object} { success, products: Map of id to product, error }
+   */
+  async validateItems(items) {
+    const products = new Map();
+
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+      if (!product || !product.isActive) {
+        return { success: false, error: `Product ${item.product} is not available` };
+      }
+      if (!subscriptionConfig.categories.includes(product.category)) {
+        return { success: false, error: `${product.name} is not available for subscription` };
+      }
+      if ((item.size || item.color) && !product.variants?.some(variant =>
+        (!item.size || variant.size === item.size) && (!item.color || variant.color === item.color)
+      )) {
+        return { success: false, error: `${product.name} is not available in that size or color` };
+      }
+      products.set(product._id.toString(), product);
+    }
+
+    return { success: true, products };
+  }
+
+  /**
+   * Look up a card saved through createPaymentSetup for the subscriber
+   * @returns {Object} { success, payment, error }
+   */
+  async resolvePaymentMethod(user, paymentMethodId) {
+    const saved = await paymentService.getSavedPaymentMethod({
+      email: user.email,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' ')
+    }, paymentMethodId);
+
+    if (!saved.success) {
+      return { success: false, error: 'Payment method not found; save the card again' };
+    }
+
+    return {
+      success: true,
+      payment: {
+        method: 'credit_card',
+        customerId: saved.customerId,
+        paymentMethodId: saved.paymentMethodId,
+        brand: saved.brand,
+        last4: saved.last4
+      }
+    };
+  }
+
+  /**
+   * Subscribe a customer. The first delivery is placed at startAt, or on the
+   * next scheduler run when no start is given.
+   * @returns {Object} { success, subscription, error }
+   */
+  async create(user, { items, interval, shippingAddress, billingAddress, shippingMethod, paymentMethodId, startAt }) {
+    const validation = await this.validateItems(items);
+    if (!validation.success) {
+      return validation;
+    }
+
+    const resolved = await this.resolvePaymentMethod(user, paymentMethodId);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    const subscription = await Subscription.create({
+      user: user._id || user.id,
+      items,
+      interval,
+      shippingAddress,
+      billingAddress,
+      shippingMethod,
+      payment: resolved.payment,
+      nextRenewalAt: startAt ? new Date(startAt) : new Date()
+    });
+
+    logger.info(`Subscription ${subscription._id} created for user ${subscription.user}`);
+
+    await this.notify(subscription, user, 'subscriptionCreated', 'Your AirKicks subscription is set up');
+    return { success: true, subscription };
+  }
+
+  /**
+   * Change what upcoming deliveries contain and where they go. Changes apply
+   * from the next renewal; orders already placed are edited on the order.
+   * changes is { items: [{ itemId, quantity }], interval, shippingAddress, billingAddress, shippingMethod }
+   * @returns {Object} { success, subscription, error }
+   */
+  async update(subscription, changes) {
+    if (!subscription.isEditable) {
+      return { success: false, error: 'Subscription has been cancelled' };
+    }
+
+    for (const change of changes.items || []) {
+      const item = subscription.items.id(change.itemId);
+      if (!item) {
+        return { success: false, error: `Item ${change.itemId} is not part of this subscription` };
+      }
+      item.quantity = change.quantity;
+    }
+
+    if (changes.interval) {
+      subscription.interval = changes.interval;
+    }
+    if (changes.shippingAddress) {
+      subscription.shippingAddress = changes.shippingAddress;
+    }
+    if (changes.billingAddress) {
+      subscription.billingAddress = changes.billingAddress;
+    }
+    if (changes.shippingMethod) {
+      subscription.shippingMethod = changes.shippingMethod;
+    }
+
+    await subscription.save();
+    return { success: true, subscription };
+  }
+
+  /**
+   * Replace the saved card. A renewal waiting on a retry is attempted again
+   * on the next scheduler run.
+   * @returns {Object} { success, subscription, error }
+   */
+  async updatePaymentMethod(subscription, user, paymentMethodId) {
+    if (!subscription.isEditable) {
+      return { success: false, error: 'Subscription has been cancelled' };
+    }
+
+    const resolved = await this.resolvePaymentMethod(user, paymentMethodId);
+    if (!resolved.success) {
+      return resolved;
+    }
+
+    subscription.payment = resolved.payment;
+    if (subscription.status === 'past_due') {
+      subscription.dunning.nextAttemptAt = new Date();
+    }
+
+    await subscription.save();
+    return { success: true, subscription };
+  }
+
+  /**
+   * Skip the next delivery
+   * @returns {Object} { success, subscription, error }
+   */
+  async skip(subscription) {
+    if (subscription.status !== 'active') {
+      return { success: false, error: `Only active subscriptions can skip a delivery; this one is ${subscription.status}` };
+    }
+    if (subscription.pendingOrder) {
+      return { success: false, error: 'The next delivery is already being placed' };
+    }
+
+    subscription.skipNext();
+    await subscription.save();
+    return { success: true, subscription };
+  }
+
+  /**
+   * Stop deliveries until resumeAt, which defaults to the longest pause allowed
+   * @returns {Object} { success, subscription, error }
+   */
+  async pause(subscription, { resumeAt } = {}) {
+    if (!['active', 'past_due'].includes(subscription.status)) {
+      return { success: false, error: `Subscription is ${subscription.status}` };
+    }
+
+    const latestResume = new Date(Date.now() + subscriptionConfig.maxPauseDays * DAY_MS);
+    if (resumeAt && new Date(resumeAt) > latestResume) {
+      return { success: false, error: `Subscriptions can be paused for at most ${subscriptionConfig.maxPauseDays} days` };
+    }
+
+    subscription.pause({ resumeAt: resumeAt ? new Date(resumeAt) : latestResume });
+    await subscription.save();
+    return { success: true, subscription };
+  }
+
+  /**
+   * Restart a paused subscription, including one paused after failed renewals
+   * @returns {Object} { success, subscription, error }
+   */
+  async resume(subscription) {
+    if (subscription.status !== 'paused') {
+      return { success: false, error: `Subscription is ${subscription.status}` };
+    }
+
+    subscription.resume();
+    await subscription.save();
+    return { success: true, subscription };
+  }
+
+  /**
+   * Stop all future deliveries; orders already placed are unaffected
+   * @returns {Object} { success, subscription, error }
+   */
+  async cancel(subscription, { reason } = {}) {
+    if (subscription.status === 'cancelled') {
+      return { success: false, error: 'Subscription is already cancelled' };
+    }
+
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.cancelReason = reason;
+    await subscription.save();
+
+    logger.info(`Subscription ${subscription._id} cancelled`, { reason });
+    return { success: true, subscription };
+  }
+
+  /**
+   * Place the order for the subscription's due delivery through the same
+   * pricing and checkout path as the storefront, charging the saved card.
+   * The subscription is saved with the outcome.
+   */
+  async renew(subscription) {
+    const user = await User.findById(pool, subscription.user);
+    if (!user) {
+      return this.recordFailure(subscription, null, new RenewalFailedError('The subscriber account no longer exists'));
+    }
+
+    // A previous run started this renewal; settle it from the order's outcome
+    if (subscription.pendingOrder) {
+      const pending = await Order.findById(subscription.pendingOrder);
+      if (pending && ['pending', 'processing'].includes(pending.status) && pending.payment.status === 'pending') {
+        // Still in checkout; the checkout recovery job will finish or roll it back
+        return { success: false, inFlight: true };
+      }
+      if (pending && pending.status !== 'cancelled') {
+        return this.recordRenewal(subscription, user, pending);
+      }
+      return this.recordFailure(subscription, user, new RenewalFailedError('The renewal order could not be completed'));
+    }
+
+    try {
+      const order = await this.buildRenewalOrder(subscription, user);
+
+      subscription.pendingOrder = order._id;
+      await subscription.save();
+
+      const result = await checkoutService.checkout({
+        order,
+        customer: {
+          email: user.email,
+          name: `${subscription.shippingAddress.firstName} ${subscription.shippingAddress.lastName}`
+        },
+        savedPaymentMethod: {
+          customerId: subscription.payment.customerId,
+          paymentMethodId: subscription.payment.paymentMethodId
+        }
+      });
+
+      if (!result.success) {
+        throw new RenewalFailedError(result.error, {
+          declined: result.failedStep === 'charge_payment' && result.rejected
+        });
+      }
+
+      return this.recordRenewal(subscription, user, result.order);
+    } catch (error) {
+      if (error instanceof RenewalFailedError) {
+        return this.recordFailure(subscription, user, error);
+      }
+
+      logger.error(`Renewal of subscription ${subscription._id} failed:`, error);
+
+      // The order may still be completed by checkout recovery; the next run settles it
+      if (subscription.pendingOrder) {
+        return { success: false, error: error.message };
+      }
+      return this.recordFailure(subscription, user, error);
+    }
+  }
+
+  /**
+   * Price the subscription's lines at today's catalog prices into an unsaved order
+   */
+  async buildRenewalOrder(subscription, user) {
+    const validation = await this.validateItems(subscription.items);
+    if (!validation.success) {
+      throw new RenewalFailedError(validation.error);
+    }
+
+    const items = [];
+    for (const item of subscription.items) {
+      const product = validation.products.get(item.product.toString());
+      const availability = await inventoryService.checkAvailability(product._id, item.quantity, {
+        size: item.size,
+        color: item.color
+      });
+      if (!availability.available) {
+        throw new RenewalFailedError(`${product.name} is out of stock`);
+      }
+
+      items.push({
+        product,
+        price: product.price,
+        quantity: item.quantity,
+        subtotal: product.price * item.quantity,
+        size: item.size,
+        color: item.color
+      });
+    }
+
+    const pricing = await orderPricingService.price({
+      items,
+      shippingAddress: subscription.shippingAddress,
+      shippingMethod: subscription.shippingMethod,
+      userId: subscription.user
+    });
+    if (!pricing.success) {
+      throw new RenewalFailedError(pricing.error);
+    }
+
+    return new Order({
+      orderNumber: await Order.generateOrderNumber(),
+      user: subscription.user,
+      customerEmail: user.email,
+      items: orderPricingService.buildOrderItems(items),
+      subtotal: pricing.subtotal,
+      tax: pricing.tax.amount,
+      taxRate: pricing.tax.rate,
+      discount: pricing.discount,
+      total: pricing.total,
+      shippingAddress: subscription.shippingAddress.toObject(),
+      billingAddress: subscription.billingAddress.toObject(),
+      payment: {
+        method: subscription.payment.method,
+        amount: pricing.total
+      },
+      shipping: {
+        method: subscription.shippingMethod,
+        cost: pricing.shippingCost,
+        estimatedDays: pricing.shipping.estimatedDays,
+        carrier: pricing.shipping.carrier
+      },
+      subscription: subscription._id,
+      source: 'subscription'
+    });
+  }
+
+  async recordRenewal(subscription, user, order) {
+    subscription.renewals.push({ scheduledFor: subscription.nextRenewalAt, status: 'placed', order: order._id });
+    subscription.advanceSchedule();
+    subscription.status = 'active';
+    subscription.dunning = { attempts: 0 };
+    subscription.pendingOrder = undefined;
+    await subscription.save();
+
+    logger.info(`Subscription ${subscription._id} renewed with order ${order.orderNumber}`);
+    return { success: true, order };
+  }
+
+  /**
+   * Schedule the next retry and tell the customer, or pause the subscription
+   * once the retries run out
+   */
+  async recordFailure(subscription, user, error) {
+    const attempts = subscription.dunning.attempts + 1;
+    const retryDays = subscriptionConfig.retryDays[attempts - 1];
+
+    subscription.renewals.push({ scheduledFor: subscription.nextRenewalAt, status: 'failed', error: error.message });
+    subscription.pendingOrder = undefined;
+    subscription.dunning.attempts = attempts;
+    subscription.dunning.lastFailedAt = new Date();
+    subscription.dunning.lastError = error.message;
+
+    if (retryDays !== undefined) {
+      subscription.status = 'past_due';
+      subscription.dunning.nextAttemptAt = new Date(Date.now() + retryDays * DAY_MS);
+    } else {
+      subscription.pause({ reason: 'payment_failed' });
+      subscription.dunning.nextAttemptAt = undefined;
+    }
+    await subscription.save();
+
+    logger.warn(`Renewal of subscription ${subscription._id} failed (attempt ${attempts})`, { error: error.message });
+
+    if (subscription.status === 'past_due') {
+      await this.notify(subscription, user, 'subscriptionRenewalFailed', 'We could not place your subscription delivery', {
+        reason: error.message,
+        paymentDeclined: Boolean(error.declined),
+        nextAttemptAt: subscription.dunning.nextAttemptAt,
+        attempt: attempts
+      });
+    } else {
+      await this.notify(subscription, user, 'subscriptionPaused', 'Your subscription has been paused', {
+        reason: error.message,
+        paymentDeclined: Boolean(error.declined)
+      });
+    }
+
+    return { success: false, error: error.message };
+  }
+
+  async notify(subscription, user, template, subject, data = {}) {
+    if (!user?.email) {
+      return;
+    }
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject,
+        template,
+        data: {
+          subscription,
+          user,
+          manageUrl: `${this.storeUrl}/account/subscriptions/${subscription._id}`,
+          ...data
+        }
+      });
+    } catch (emailError) {
+      logger.error(`Failed to send ${template} email:`, emailError);
+    }
+  }
+
+  /**
+   * Renew every subscription that is due or waiting on a retry, and resume
+   * pauses that have run their course. Each subscription is claimed while it
+   * is still due, so a run that finds it after another run has renewed it
+   * skips it rather than placing the delivery again.
+   */
+  async processDue() {
+    const now = new Date();
+
+    const resumable = await Subscription.find({ status: 'paused', resumeAt: { $lte: now } });
+    for (const subscription of resumable) {
+      subscription.resume();
+      await subscription.save();
+    }
+
+    const isDue = (at) => ({
+      $or: [
+        { status: 'active', nextRenewalAt: { $lte: at } },
+        { status: 'past_due', 'dunning.nextAttemptAt': { $lte: at } }
+      ]
+    });
+
+    const due = await Subscription.find(isDue(now)).select('_id');
+
+    let renewed = 0;
+    for (const { _id } of due) {
+      // Still due when claimed; another run may have renewed it since the find
+      const claimedAt = new Date();
+      const subscription = await Subscription.findOneAndUpdate(
+        {
+          _id,
+          $and: [
+            isDue(claimedAt),
+            { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: claimedAt } }] }
+          ]
+        },
+        { $set: { lockedUntil: new Date(Date.now() + this.lockMs) } },
+        { new: true }
+      );
+      if (!subscription) {
+        continue;
+      }
+
+      try {
+        const result = await this.renew(subscription);
+        if (result.success) {
+          renewed++;
+        }
+      } catch (error) {
+        logger.error(`Renewal run for subscription ${_id} failed:`, error);
+      } finally {
+        await Subscription.updateOne({ _id }, { $unset: { lockedUntil: 1 } });
+      }
+    }
+
+    if (renewed > 0) {
+      logger.info(`Renewed ${renewed} subscriptions`);
+    }
+    return { renewed };
+  }
+
+  /**
+   * Start the renewal scheduler
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processDue().catch(error => logger.error('Subscription renewal run failed:', error));
+    }, this.runIntervalMs);
+  }
+}
+
+// Export singleton instance
+module.exports = new SubscriptionService();
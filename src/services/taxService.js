@@ -0,0 +1,19 @@
+// Sales tax rates by US state, e.g. TAX_RATES='{"CA":0.0725,"NY":0.04}';
+// DEFAULT_TAX_RATE applies to states not listed
+const rates = JSON.parse(process.env.TAX_RATES || '{}');
+const defaultRate = parseFloat(process.env.DEFAULT_TAX_RATE || '0');
+
+/**
+ * Work out tax on an amount for the shipping address
+ * @returns {Object} { amount, rate }
+ */
+const calculateTax = async (amount, address = {}) => {
+  const state = (address.state || '').toUpperCase();
+  const rate = rates[state] ?? defaultRate;
+  return {
+    amount: Math.round(Math.max(0, amount) * rate * 100) / 100,
+    rate
+  };
+};
+
+module.exports = { calculateTax };
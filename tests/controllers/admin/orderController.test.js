@@ -0,0 +1,178 @@
+jest.mock('../../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Order = require('../../../src/models/Order');
+const { sendEmail } = require('../../../src/services/emailService');
+const inventoryService = require('../../../src/services/inventoryService');
+const preorderService = require('../../../src/services/preorderService');
+const refundService = require('../../../src/services/refundService');
+const adminOrderController = require('../../../src/controllers/admin/orderController');
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const buildPaidOrder = () => {
+  const order = new Order({
+    orderNumber: '202600000125',
+    user: new mongoose.Types.ObjectId(),
+    customerEmail: 'rider@example.com',
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Hover shoe', price: 60, quantity: 2, size: '10', color: 'black' }],
+    subtotal: 120,
+    total: 120,
+    shippingAddress: { firstName: 'Ada', lastName: 'Rider' },
+    payment: { method: 'credit_card', amount: 120, transactionId: 'pi_paid' }
+  });
+  order.setPaymentStatus('completed');
+  order.setStatus('confirmed');
+  return order;
+};
+
+describe('admin orderController', () => {
+  describe('updateOrderStatus', () => {
+    let order;
+
+    const statusRequest = (body) => ({
+      params: { orderId: order._id.toString() },
+      body,
+      user: { id: 'admin-1' }
+    });
+
+    beforeEach(() => {
+      order = buildPaidOrder();
+
+      jest.spyOn(Order, 'findById').mockImplementation(async () => order);
+      jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(inventoryService, 'adjustStock').mockResolvedValue({ success: true });
+      jest.spyOn(preorderService, 'releaseOrder').mockResolvedValue({ success: true, voided: false });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      sendEmail.mockReset();
+    });
+
+    it('restocks, refunds and tells the customer when cancelling', async () => {
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({
+        success: true,
+        refund: { status: 'pending', amount: 120, refundId: 're_1' },
+        refunds: [{ status: 'pending', amount: 120 }]
+      });
+      const res = buildRes();
+
+      await adminOrderController.updateOrderStatus(statusRequest({ status: 'cancelled', notes: 'Fraud check' }), res);
+
+      expect(order.status).toBe('cancelled');
+      expect(inventoryService.adjustStock).toHaveBeenCalledWith(
+        order.items[0].product.toString(),
+        2,
+        expect.objectContaining({ size: '10', color: 'black' })
+      );
+      expect(preorderService.releaseOrder).toHaveBeenCalled();
+      expect(refundService.refundOrder).toHaveBeenCalledWith(order, expect.objectContaining({
+        source: 'cancellation',
+        changedBy: { actor: 'admin-1', source: 'admin' }
+      }));
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'orderCancellation'
+      }));
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        refund: { status: 'pending', amount: 120, refundId: 're_1' }
+      }));
+    });
+
+    it('leaves a delivered order alone when the gateway refuses the refund', async () => {
+      order.setItemStatus(order.items[0]._id, 'shipped');
+      order.setItemStatus(order.items[0]._id, 'delivered');
+      order.setStatus('shipped');
+      order.setStatus('delivered');
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({
+        success: false,
+        refund: { status: 'failed' },
+        refunds: [],
+        error: 'Card expired'
+      });
+      const res = buildRes();
+
+      await adminOrderController.updateOrderStatus(statusRequest({ status: 'refunded' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(502);
+      expect(order.status).toBe('delivered');
+      expect(inventoryService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('refunds and restocks a delivered order before marking it refunded', async () => {
+      order.setItemStatus(order.items[0]._id, 'shipped');
+      order.setItemStatus(order.items[0]._id, 'delivered');
+      order.setStatus('shipped');
+      order.setStatus('delivered');
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({
+        success: true,
+        refund: { status: 'completed', amount: 120, refundId: 're_2' },
+        refunds: [{ status: 'completed', amount: 120 }]
+      });
+      const res = buildRes();
+
+      await adminOrderController.updateOrderStatus(statusRequest({ status: 'refunded' }), res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(order.status).toBe('refunded');
+      expect(order.items[0].status).toBe('returned');
+      expect(inventoryService.adjustStock).toHaveBeenCalledWith(
+        order.items[0].product.toString(),
+        2,
+        expect.objectContaining({ size: '10', color: 'black' })
+      );
+    });
+
+    it('ships every remaining line in one shipment', async () => {
+      const res = buildRes();
+
+      await adminOrderController.updateOrderStatus(
+        statusRequest({ status: 'shipped', carrier: 'ups', trackingNumber: '1Z999' }),
+        res
+      );
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(order.status).toBe('shipped');
+      expect(order.shipments).toHaveLength(1);
+      expect(order.shipments[0]).toMatchObject({ carrier: 'ups', trackingNumber: '1Z999' });
+      expect(order.items[0].status).toBe('shipped');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'orderShipped'
+      }));
+    });
+
+    it('will not ship an order whose payment is only authorized', async () => {
+      order = new Order({
+        orderNumber: '202600000126',
+        user: new mongoose.Types.ObjectId(),
+        customerEmail: 'rider@example.com',
+        items: [{ product: new mongoose.Types.ObjectId(), name: 'Hover shoe', price: 60, quantity: 1 }],
+        subtotal: 60,
+        total: 60,
+        payment: { method: 'credit_card', amount: 60, transactionId: 'pi_held' }
+      });
+      order.setPaymentStatus('authorized');
+      order.setStatus('confirmed');
+      const res = buildRes();
+
+      await adminOrderController.updateOrderStatus(
+        statusRequest({ status: 'shipped', carrier: 'ups', trackingNumber: '1Z999' }),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(order.status).toBe('confirmed');
+      expect(Order.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Cart = require('../../src/models/Cart');
+const Product = require('../../src/models/Product');
+const inventoryService = require('../../src/services/inventoryService');
+const cartController = require('../../src/controllers/cartController');
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('cartController', () => {
+  let cart;
+  let product;
+
+  beforeEach(() => {
+    product = {
+      _id: new mongoose.Types.ObjectId(),
+      isActive: true,
+      price: 180,
+      variants: [{ size: '10', color: 'black', stock: 3 }]
+    };
+    cart = new Cart({ user: new mongoose.Types.ObjectId() });
+    cart.reservation = {
+      reservationId: `cart:${cart._id}`,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      lines: [{ product: product._id, size: '10', color: 'black', quantity: 1 }]
+    };
+
+    jest.spyOn(Cart, 'findOrCreateForUser').mockResolvedValue(cart);
+    jest.spyOn(Cart.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Cart.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    jest.spyOn(inventoryService, 'releaseReservation').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const addRequest = (body) => ({
+    userId: cart.user.toString(),
+    body: { productId: product._id.toString(), quantity: '1', size: '10', color: 'black', ...body },
+    header: () => undefined
+  });
+
+  describe('addToCart', () => {
+    it('keeps the checkout hold when the variant is rejected', async () => {
+      const res = buildRes();
+
+      await cartController.addToCart(addRequest({ color: 'silver' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(cart.reservation.reservationId).toBe(`cart:${cart._id}`);
+      expect(inventoryService.releaseReservation).not.toHaveBeenCalled();
+      expect(Cart.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('counts its own hold as available and releases it in the same save as the change', async () => {
+      const checkAvailability = jest.spyOn(inventoryService, 'checkAvailability')
+        .mockResolvedValue({ available: true, stock: 3 });
+      const res = buildRes();
+
+      await cartController.addToCart(addRequest(), res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(checkAvailability).toHaveBeenCalledWith(product._id, 1, expect.objectContaining({
+        excludeReservation: `cart:${cart._id}`
+      }));
+      expect(cart.reservation?.reservationId).toBeUndefined();
+      expect(cart.items).toHaveLength(1);
+      expect(Cart.prototype.save).toHaveBeenCalledTimes(1);
+      expect(res.set).toHaveBeenCalledWith('ETag', cart.etag);
+    });
+  });
+});
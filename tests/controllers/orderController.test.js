@@ -0,0 +1,72 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const inventoryService = require('../../src/services/inventoryService');
+const preorderService = require('../../src/services/preorderService');
+const refundService = require('../../src/services/refundService');
+const orderController = require('../../src/controllers/orderController');
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('orderController', () => {
+  describe('cancelOrder', () => {
+    let order;
+
+    beforeEach(() => {
+      order = new Order({
+        orderNumber: '202600000125',
+        user: new mongoose.Types.ObjectId(),
+        customerEmail: 'rider@example.com',
+        items: [
+          { product: new mongoose.Types.ObjectId(), name: 'Hover shoe', price: 60, quantity: 2, size: '10', color: 'black' },
+          { product: new mongoose.Types.ObjectId(), name: 'Hover laces', price: 10, quantity: 1 }
+        ],
+        subtotal: 130,
+        total: 130,
+        payment: { method: 'credit_card', amount: 130 }
+      });
+
+      jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+      jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(inventoryService, 'adjustStock').mockResolvedValue({ success: true });
+      jest.spyOn(preorderService, 'releaseOrder').mockResolvedValue({ success: true, voided: false });
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({ refund: { status: 'pending' }, refunds: [] });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('puts the stock back on the variant each line took it from', async () => {
+      const req = {
+        params: { orderId: order._id.toString() },
+        body: {},
+        user: { id: order.user.toString(), email: 'rider@example.com' }
+      };
+      const res = buildRes();
+
+      await orderController.cancelOrder(req, res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(order.status).toBe('cancelled');
+      expect(inventoryService.adjustStock).toHaveBeenCalledWith(
+        order.items[0].product.toString(),
+        2,
+        expect.objectContaining({ size: '10', color: 'black' })
+      );
+      expect(inventoryService.adjustStock).toHaveBeenCalledWith(
+        order.items[1].product.toString(),
+        1,
+        expect.objectContaining({ size: undefined, color: undefined })
+      );
+    });
+  });
+});
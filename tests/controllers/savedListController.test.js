@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Cart = require('../../src/models/Cart');
+const SavedList = require('../../src/models/SavedList');
+const savedListController = require('../../src/controllers/savedListController');
+
+const buildRes = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const versionError = () => Object.assign(new Error('No matching document found'), { name: 'VersionError' });
+
+describe('savedListController', () => {
+  describe('moveToList', () => {
+    let cart;
+    let list;
+    let req;
+
+    beforeEach(() => {
+      const userId = new mongoose.Types.ObjectId();
+      cart = new Cart({ user: userId });
+      cart.items.push({ product: new mongoose.Types.ObjectId(), quantity: 1, size: '10', color: 'black', price: 180 });
+      list = new SavedList({ user: userId, name: 'saved' });
+      req = {
+        userId: userId.toString(),
+        params: { itemId: cart.items[0]._id.toString() },
+        body: { list: 'saved' },
+        header: () => undefined
+      };
+
+      jest.spyOn(Cart, 'findOrCreateForUser').mockResolvedValue(cart);
+      jest.spyOn(SavedList, 'findOrCreateForUser').mockResolvedValue(list);
+      jest.spyOn(SavedList.prototype, 'populate').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('leaves the list untouched when the cart was changed elsewhere', async () => {
+      jest.spyOn(Cart.prototype, 'save').mockRejectedValue(versionError());
+      const listSave = jest.spyOn(SavedList.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      const res = buildRes();
+
+      await savedListController.moveToList(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(listSave).not.toHaveBeenCalled();
+    });
+
+    it('puts the line back in the cart when the list cannot be saved', async () => {
+      const cartSave = jest.spyOn(Cart.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+      jest.spyOn(SavedList.prototype, 'save').mockRejectedValue(new Error('Connection reset'));
+      const res = buildRes();
+
+      await savedListController.moveToList(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(cartSave).toHaveBeenCalledTimes(2);
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0]).toMatchObject({ quantity: 1, size: '10', color: 'black' });
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const Order = require('../../src/models/Order');
+const Counter = require('../../src/models/Counter');
+
+describe('Order numbers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkDigit', () => {
+    it('computes the Luhn check digit', () => {
+      expect(Order.checkDigit('7992739871')).toBe('3');
+      expect(Order.checkDigit('0')).toBe('0');
+    });
+  });
+
+  describe('generateOrderNumber', () => {
+    it('appends a check digit to the year and padded sequence', async () => {
+      const next = jest.spyOn(Counter, 'next').mockResolvedValue(123);
+
+      const orderNumber = await Order.generateOrderNumber(new Date(Date.UTC(2026, 4, 1)));
+
+      expect(next).toHaveBeenCalledWith('order:2026');
+      expect(orderNumber).toBe(`2026000123${Order.checkDigit('2026000123')}`);
+      expect(Order.isValidOrderNumber(orderNumber)).toBe(true);
+    });
+
+    it('grows past the sequence width rather than wrapping', async () => {
+      jest.spyOn(Counter, 'next').mockResolvedValue(1234567);
+
+      const orderNumber = await Order.generateOrderNumber(new Date(Date.UTC(2026, 4, 1)));
+
+      expect(orderNumber.slice(0, -1)).toBe('20261234567');
+      expect(Order.isValidOrderNumber(orderNumber)).toBe(true);
+    });
+  });
+
+  describe('isValidOrderNumber', () => {
+    const orderNumber = `2026000123${Order.checkDigit('2026000123')}`;
+
+    it('rejects any single mistyped digit', () => {
+      for (let position = 0; position < orderNumber.length; position++) {
+        for (let digit = 0; digit <= 9; digit++) {
+          if (String(digit) === orderNumber[position]) {
+            continue;
+          }
+          const typo = `${orderNumber.slice(0, position)}${digit}${orderNumber.slice(position + 1)}`;
+          expect(Order.isValidOrderNumber(typo)).toBe(false);
+        }
+      }
+    });
+
+    it('rejects swapped neighbouring digits', () => {
+      // 2026000123 -> 2026001023
+      const swapped = `2026001023${orderNumber.slice(-1)}`;
+      expect(Order.isValidOrderNumber(swapped)).toBe(false);
+    });
+
+    it('accepts numbers issued before check digits', () => {
+      expect(Order.isValidOrderNumber('1714567890123K7QX2')).toBe(true);
+    });
+
+    it('rejects anything that is not an order number', () => {
+      expect(Order.isValidOrderNumber('')).toBe(false);
+      expect(Order.isValidOrderNumber('7')).toBe(false);
+      expect(Order.isValidOrderNumber('2026ABC1234')).toBe(false);
+    });
+  });
+
+  describe('normalizeOrderNumber', () => {
+    it('drops the prefix, spaces and dashes a customer may type', () => {
+      expect(Order.normalizeOrderNumber(' ak-2026 000123-3 ')).toBe('20260001233');
+    });
+  });
+});
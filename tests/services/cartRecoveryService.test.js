@@ -0,0 +1,90 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Cart = require('../../src/models/Cart');
+const CartReminder = require('../../src/models/CartReminder');
+const pool = require('../../src/config/database');
+const { sendEmail } = require('../../src/services/emailService');
+const cartRecoveryService = require('../../src/services/cartRecoveryService');
+
+const HOUR = 60 * 60 * 1000;
+
+const buildCart = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: new mongoose.Types.ObjectId(),
+  lastModified: new Date(Date.now() - 2 * HOUR),
+  totalPrice: 180
+});
+
+describe('cartRecoveryService', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(pool, 'query').mockResolvedValue({
+      rows: [{ id: 7, email: 'rider@example.com', first_name: 'Ada', last_name: 'Rider' }]
+    });
+    jest.spyOn(CartReminder, 'exists').mockResolvedValue(null);
+    jest.spyOn(CartReminder.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Cart, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+    sendEmail.mockResolvedValue({ sent: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  describe('sendReminder', () => {
+    it('emails the cart owner and then records the reminder', async () => {
+      const cart = buildCart();
+
+      const sent = await cartRecoveryService.sendReminder(cart);
+
+      expect(sent).toBe(true);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'abandonedCart'
+      }));
+      expect(saved).toHaveLength(1);
+      expect(saved[0]).toMatchObject({ email: 'rider@example.com', stage: '1h' });
+      // The link names the reminder that was recorded
+      const { restoreUrl } = sendEmail.mock.calls[0][0].data;
+      const token = decodeURIComponent(restoreUrl.split('token=')[1]);
+      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+      expect(payload.reminderId).toBe(saved[0]._id.toString());
+    });
+
+    it('does not record a reminder whose email failed', async () => {
+      sendEmail.mockRejectedValue(new Error('Email gateway unavailable'));
+
+      await expect(cartRecoveryService.sendReminder(buildCart())).rejects.toThrow('Email gateway unavailable');
+      expect(saved).toHaveLength(0);
+    });
+
+    it('does not record a reminder that was not delivered', async () => {
+      sendEmail.mockResolvedValue({ sent: false });
+
+      const sent = await cartRecoveryService.sendReminder(buildCart());
+
+      expect(sent).toBe(false);
+      expect(saved).toHaveLength(0);
+    });
+  });
+
+  describe('run', () => {
+    it('purges expired carts even when reminders fail', async () => {
+      jest.spyOn(Cart, 'find').mockReturnValue({
+        populate: jest.fn().mockRejectedValue(new Error('Connection reset'))
+      });
+
+      const result = await cartRecoveryService.run();
+
+      expect(result).toEqual({ remindersSent: 0, cartsPurged: 2 });
+      expect(Cart.deleteMany).toHaveBeenCalled();
+    });
+  });
+});
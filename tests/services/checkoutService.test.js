@@ -0,0 +1,343 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const Cart = require('../../src/models/Cart');
+const CheckoutSaga = require('../../src/models/CheckoutSaga');
+const { CHECKOUT_STEPS } = require('../../src/models/CheckoutSaga');
+const { sendEmail } = require('../../src/services/emailService');
+const checkoutService = require('../../src/services/checkoutService');
+const paymentService = require('../../src/services/paymentService');
+const inventoryService = require('../../src/services/inventoryService');
+const promotionService = require('../../src/services/promotionService');
+const giftCardService = require('../../src/services/giftCardService');
+const invoiceService = require('../../src/services/invoiceService');
+const cartRecoveryService = require('../../src/services/cartRecoveryService');
+
+const buildOrder = ({ giftCards = [], amount = 120, lines = 2 } = {}) => new Order({
+  orderNumber: '202600000125',
+  user: new mongoose.Types.ObjectId(),
+  items: Array.from({ length: lines }, (_, index) => ({
+    product: new mongoose.Types.ObjectId(),
+    name: `Hover shoe ${index + 1}`,
+    price: 60,
+    quantity: 1,
+    size: '10'
+  })),
+  subtotal: 120,
+  total: 120,
+  payment: { method: 'credit_card', amount, giftCards }
+});
+
+// The cart the order was placed from, holding the same lines
+const buildCart = (order) => {
+  const cart = new Cart({ user: order.user });
+  for (const item of order.items) {
+    cart.items.push({ product: item.product, quantity: item.quantity, size: item.size, price: item.price });
+  }
+  return cart;
+};
+
+// A saga as a crashed process left it: steps up to `completed` done, `running` in progress
+const buildStuckSaga = (order, { completed, running, data = {}, recoveryAttempts = 1 }) => {
+  const saga = new CheckoutSaga({
+    user: order.user,
+    order: order._id,
+    status: 'running',
+    payment: { method: 'credit_card', amount: order.payment.amount, currency: 'USD' },
+    customer: { email: 'rider@example.com', name: 'Ada Rider' },
+    lines: order.items.map(item => ({ product: item.product, size: item.size, quantity: item.quantity })),
+    steps: CHECKOUT_STEPS.map(name => ({ name })),
+    recoveryAttempts
+  });
+
+  for (const name of CHECKOUT_STEPS.slice(0, CHECKOUT_STEPS.indexOf(completed) + 1)) {
+    saga.markStep(name, 'completed', { data: data[name] });
+  }
+  if (running) {
+    saga.markStep(running, 'running', { data: data[running] });
+  }
+  return saga;
+};
+
+describe('checkoutService', () => {
+  beforeEach(() => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      this.isNew = false;
+      return this;
+    });
+    jest.spyOn(Cart.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(CheckoutSaga.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(CheckoutSaga, 'create').mockImplementation(async (fields) => new CheckoutSaga(fields));
+
+    jest.spyOn(promotionService, 'redeem').mockResolvedValue({ success: true });
+    jest.spyOn(promotionService, 'releaseRedemption').mockResolvedValue();
+    jest.spyOn(giftCardService, 'debit').mockResolvedValue({
+      success: true,
+      transaction: { _id: new mongoose.Types.ObjectId() }
+    });
+    jest.spyOn(giftCardService, 'reverseDebit').mockResolvedValue({
+      success: true,
+      transaction: { _id: new mongoose.Types.ObjectId() }
+    });
+    jest.spyOn(paymentService, 'processPayment').mockResolvedValue({
+      success: true,
+      transactionId: 'pi_charged',
+      status: 'succeeded'
+    });
+    jest.spyOn(paymentService, 'voidPayment').mockResolvedValue({ success: true, voided: true });
+    jest.spyOn(paymentService, 'findPaymentForOrder').mockResolvedValue({ success: true, found: false });
+    jest.spyOn(inventoryService, 'adjustStock').mockResolvedValue({ success: true });
+    jest.spyOn(inventoryService, 'updateStock').mockResolvedValue({ success: true });
+    jest.spyOn(invoiceService, 'getInvoiceForOrder').mockResolvedValue({});
+    jest.spyOn(cartRecoveryService, 'recordOrder').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  describe('checkout', () => {
+    it('runs every step and confirms the paid order', async () => {
+      const order = buildOrder();
+      const cart = buildCart(order);
+
+      const result = await checkoutService.checkout({
+        order,
+        cart,
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.saga.status).toBe('completed');
+      expect(result.saga.steps.every(step => step.status === 'completed')).toBe(true);
+      expect(order.status).toBe('confirmed');
+      expect(order.payment.status).toBe('completed');
+      expect(order.payment.transactionId).toBe('pi_charged');
+      expect(inventoryService.adjustStock).toHaveBeenCalledTimes(2);
+      expect(cart.items).toHaveLength(0);
+      expect(invoiceService.getInvoiceForOrder).toHaveBeenCalledWith(order, { email: 'rider@example.com' });
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'orderConfirmation' }));
+    });
+
+    it('gives the promotion back and cancels the order when the card is declined', async () => {
+      const order = buildOrder();
+      const promotion = { _id: new mongoose.Types.ObjectId(), code: 'HOVER10' };
+      paymentService.processPayment.mockResolvedValue({ success: false, error: 'Your card was declined' });
+
+      const result = await checkoutService.checkout({
+        order,
+        cart: buildCart(order),
+        promotion,
+        discount: 12,
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result).toMatchObject({
+        success: false,
+        failedStep: 'charge_payment',
+        rejected: true,
+        error: 'Your card was declined'
+      });
+      expect(promotionService.releaseRedemption).toHaveBeenCalledWith(order._id);
+      // Nothing was charged, so there is nothing to void or look up
+      expect(paymentService.voidPayment).not.toHaveBeenCalled();
+      expect(paymentService.findPaymentForOrder).not.toHaveBeenCalled();
+      expect(inventoryService.adjustStock).not.toHaveBeenCalled();
+      expect(order.status).toBe('cancelled');
+      expect(order.payment.status).toBe('failed');
+      expect(result.saga.status).toBe('compensated');
+      expect(result.saga.getStep('redeem_promotion').status).toBe('compensated');
+    });
+
+    it('credits gift cards back and cancels the order when the card is declined', async () => {
+      const giftCard = new mongoose.Types.ObjectId();
+      const order = buildOrder({ giftCards: [{ giftCard, code: 'AK7Q2M9X4B', amount: 20 }], amount: 100 });
+      paymentService.processPayment.mockResolvedValue({ success: false, error: 'Your card was declined' });
+
+      const result = await checkoutService.checkout({
+        order,
+        cart: buildCart(order),
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result).toMatchObject({
+        success: false,
+        failedStep: 'charge_payment',
+        rejected: true,
+        error: 'Your card was declined'
+      });
+      expect(giftCardService.reverseDebit).toHaveBeenCalledWith(
+        giftCard,
+        `checkout:${result.saga._id}`,
+        expect.any(Object)
+      );
+      expect(paymentService.voidPayment).not.toHaveBeenCalled();
+      expect(order.status).toBe('cancelled');
+      expect(order.payment.status).toBe('failed');
+      expect(result.saga.status).toBe('compensated');
+      expect(result.saga.getStep('redeem_gift_cards').status).toBe('compensated');
+    });
+
+    it('restores committed stock and voids the charge when an item runs out', async () => {
+      const order = buildOrder();
+      inventoryService.adjustStock
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, error: 'Insufficient stock' });
+
+      const result = await checkoutService.checkout({
+        order,
+        cart: buildCart(order),
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result).toMatchObject({ success: false, failedStep: 'commit_stock', rejected: true });
+      // Only the line that was taken is put back
+      expect(inventoryService.updateStock).toHaveBeenCalledTimes(1);
+      expect(inventoryService.updateStock).toHaveBeenCalledWith(
+        order.items[0].product.toString(),
+        1,
+        'add',
+        expect.objectContaining({ size: '10' })
+      );
+      expect(result.saga.getStep('commit_stock').data.committed).toEqual([]);
+      expect(paymentService.voidPayment).toHaveBeenCalledWith('pi_charged');
+      expect(order.status).toBe('cancelled');
+      expect(order.payment.status).toBe('cancelled');
+      expect(result.saga.status).toBe('compensated');
+    });
+
+    it('flags the checkout for attention when the charge cannot be voided', async () => {
+      const order = buildOrder();
+      inventoryService.adjustStock.mockResolvedValue({ success: false });
+      paymentService.voidPayment.mockResolvedValue({ success: false, error: 'Gateway unavailable' });
+
+      const result = await checkoutService.checkout({
+        order,
+        cart: buildCart(order),
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.saga.status).toBe('needs_attention');
+      expect(result.saga.getStep('charge_payment')).toMatchObject({
+        status: 'compensation_failed',
+        error: 'Gateway unavailable'
+      });
+      // The remaining steps are still rolled back
+      expect(order.status).toBe('cancelled');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'checkoutNeedsAttention' }));
+    });
+
+    it('keeps a confirmed order when a later step fails', async () => {
+      const order = buildOrder();
+      invoiceService.getInvoiceForOrder.mockRejectedValue(new Error('Invoice store unavailable'));
+
+      const result = await checkoutService.checkout({
+        order,
+        cart: buildCart(order),
+        customer: { email: 'rider@example.com', name: 'Ada Rider' }
+      });
+
+      expect(result.success).toBe(true);
+      expect(order.status).toBe('confirmed');
+      // Left running for the recovery job rather than rolled back
+      expect(result.saga.status).toBe('running');
+      expect(result.saga.failedStep).toBe('finalize');
+      expect(result.saga.getStep('finalize').data).toMatchObject({ cartCleared: true, recoveryRecorded: true });
+      expect(paymentService.voidPayment).not.toHaveBeenCalled();
+      expect(inventoryService.updateStock).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recover', () => {
+    it('finishes a checkout that stopped after taking the stock', async () => {
+      const order = buildOrder();
+      order.isNew = false;
+      jest.spyOn(Order, 'findById').mockResolvedValue(order);
+      const saga = buildStuckSaga(order, {
+        completed: 'commit_stock',
+        data: { charge_payment: { transactionId: 'pi_charged' }, commit_stock: { committed: [0, 1] } }
+      });
+
+      await checkoutService.recover(saga);
+
+      expect(saga.status).toBe('completed');
+      expect(order.status).toBe('confirmed');
+      expect(order.payment.transactionId).toBe('pi_charged');
+      expect(paymentService.processPayment).not.toHaveBeenCalled();
+      expect(inventoryService.adjustStock).not.toHaveBeenCalled();
+    });
+
+    it('retries only the finalize actions that had not happened yet', async () => {
+      const order = buildOrder();
+      order.isNew = false;
+      order.setStatus('confirmed');
+      order.setPaymentStatus('completed');
+      jest.spyOn(Order, 'findById').mockResolvedValue(order);
+      const saga = buildStuckSaga(order, {
+        completed: 'confirm_order',
+        running: 'finalize',
+        data: { finalize: { cartCleared: true, recoveryRecorded: true, invoiceIssued: true } }
+      });
+
+      await checkoutService.recover(saga);
+
+      expect(saga.status).toBe('completed');
+      expect(invoiceService.getInvoiceForOrder).not.toHaveBeenCalled();
+      expect(sendEmail).toHaveBeenCalledTimes(1);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'orderConfirmation' }));
+    });
+
+    it('rolls back a checkout interrupted mid-charge, voiding a charge the gateway took', async () => {
+      const order = buildOrder();
+      order.isNew = false;
+      jest.spyOn(Order, 'findById').mockResolvedValue(order);
+      paymentService.findPaymentForOrder.mockResolvedValue({ success: true, found: true, transactionId: 'pi_orphan' });
+      const saga = buildStuckSaga(order, { completed: 'redeem_gift_cards', running: 'charge_payment' });
+
+      await checkoutService.recover(saga);
+
+      expect(paymentService.findPaymentForOrder).toHaveBeenCalledWith(order._id);
+      expect(paymentService.voidPayment).toHaveBeenCalledWith('pi_orphan');
+      expect(saga.status).toBe('compensated');
+      expect(order.status).toBe('cancelled');
+      expect(order.payment.status).toBe('cancelled');
+    });
+
+    it('flags a checkout once it runs out of recovery attempts', async () => {
+      const order = buildOrder();
+      const saga = buildStuckSaga(order, {
+        completed: 'redeem_gift_cards',
+        running: 'charge_payment',
+        recoveryAttempts: checkoutService.maxRecoveryAttempts + 1
+      });
+
+      await checkoutService.recover(saga);
+
+      expect(saga.status).toBe('needs_attention');
+      expect(paymentService.voidPayment).not.toHaveBeenCalled();
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ template: 'checkoutNeedsAttention' }));
+    });
+  });
+
+  describe('recoverStuckCheckouts', () => {
+    it('skips checkouts another run has already claimed', async () => {
+      jest.spyOn(CheckoutSaga, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: new mongoose.Types.ObjectId() }])
+      });
+      jest.spyOn(CheckoutSaga, 'findOneAndUpdate').mockResolvedValue(null);
+      const recover = jest.spyOn(checkoutService, 'recover');
+
+      const recovered = await checkoutService.recoverStuckCheckouts();
+
+      expect(recovered).toBe(0);
+      expect(recover).not.toHaveBeenCalled();
+    });
+  });
+});
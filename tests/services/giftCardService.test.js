@@ -0,0 +1,147 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const GiftCard = require('../../src/models/GiftCard');
+const GiftCardTransaction = require('../../src/models/GiftCardTransaction');
+const giftCardService = require('../../src/services/giftCardService');
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Applies the balance pipelines the service sends to a single in-memory card
+const applyBalanceUpdate = (card, update) => {
+  const expression = update[0].$set.balance.$round[0];
+  const amount = expression.$subtract ? -expression.$subtract[1] : expression.$add[1];
+  card.balance = Math.round((card.balance + amount) * 100) / 100;
+};
+
+describe('giftCardService', () => {
+  let card;
+  let ledger;
+
+  beforeEach(() => {
+    card = { _id: new mongoose.Types.ObjectId(), status: 'active', balance: 50 };
+    ledger = [];
+
+    jest.spyOn(GiftCard.db, 'transaction').mockImplementation(async (fn) => fn({}));
+    jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (card.status !== filter.status) {
+        return null;
+      }
+      if (filter.balance && card.balance < filter.balance.$gte) {
+        return null;
+      }
+      applyBalanceUpdate(card, update);
+      return { ...card };
+    });
+    jest.spyOn(GiftCardTransaction, 'findOne').mockImplementation(async ({ type, reference }) =>
+      ledger.find(entry => entry.type === type && entry.reference === reference) || null
+    );
+    jest.spyOn(GiftCardTransaction, 'create').mockImplementation(async ([entry]) => {
+      const transaction = { _id: new mongoose.Types.ObjectId(), ...entry };
+      ledger.push(transaction);
+      return [transaction];
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('debit', () => {
+    it('takes the amount off once per reference', async () => {
+      const first = await giftCardService.debit(card._id, 20, { reference: 'checkout:1' });
+      const retry = await giftCardService.debit(card._id, 20, { reference: 'checkout:1' });
+
+      expect(first.success).toBe(true);
+      expect(first.replayed).toBeUndefined();
+      expect(retry).toMatchObject({ success: true, replayed: true });
+      expect(retry.transaction._id).toEqual(first.transaction._id);
+      expect(card.balance).toBe(30);
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0]).toMatchObject({ type: 'redeem', amount: -20, balanceAfter: 30 });
+    });
+
+    it('debits again under a different reference', async () => {
+      await giftCardService.debit(card._id, 20, { reference: 'checkout:1' });
+      await giftCardService.debit(card._id, 20, { reference: 'checkout:2' });
+
+      expect(card.balance).toBe(10);
+      expect(ledger).toHaveLength(2);
+    });
+
+    it('never overdraws the card', async () => {
+      const result = await giftCardService.debit(card._id, 50.01, { reference: 'checkout:1' });
+
+      expect(result).toMatchObject({ success: false });
+      expect(card.balance).toBe(50);
+      expect(ledger).toHaveLength(0);
+    });
+
+    it('returns the entry of a concurrent retry that recorded the debit first', async () => {
+      const winner = { _id: new mongoose.Types.ObjectId(), type: 'redeem', reference: 'checkout:1', amount: -20 };
+      // Both retries pass the replay check; the loser's ledger insert hits the unique index
+      GiftCardTransaction.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(winner);
+      GiftCardTransaction.create.mockRejectedValueOnce(duplicateKeyError());
+
+      const result = await giftCardService.debit(card._id, 20, { reference: 'checkout:1' });
+
+      expect(result).toEqual({ success: true, transaction: winner, replayed: true });
+    });
+
+    it('refuses a void card', async () => {
+      card.status = 'void';
+
+      const result = await giftCardService.debit(card._id, 10, { reference: 'checkout:1' });
+
+      expect(result.success).toBe(false);
+      expect(ledger).toHaveLength(0);
+    });
+  });
+
+  describe('credit', () => {
+    it('puts the amount back once per reference', async () => {
+      const first = await giftCardService.credit(card._id, 15, { reference: 'refund:1' });
+      const retry = await giftCardService.credit(card._id, 15, { reference: 'refund:1' });
+
+      expect(first.success).toBe(true);
+      expect(retry).toMatchObject({ success: true, replayed: true });
+      expect(card.balance).toBe(65);
+      expect(ledger).toHaveLength(1);
+      expect(ledger[0]).toMatchObject({ type: 'refund', amount: 15, balanceAfter: 65 });
+    });
+
+    it('returns the existing entry when a concurrent credit wins the race', async () => {
+      const winner = { _id: new mongoose.Types.ObjectId(), type: 'refund', reference: 'refund:1', amount: 15 };
+      GiftCardTransaction.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(winner);
+      GiftCardTransaction.create.mockRejectedValueOnce(duplicateKeyError());
+
+      const result = await giftCardService.credit(card._id, 15, { reference: 'refund:1' });
+
+      expect(result).toEqual({ success: true, transaction: winner, replayed: true });
+    });
+  });
+
+  describe('reverseDebit', () => {
+    it('restores a debit once however often it is retried', async () => {
+      await giftCardService.debit(card._id, 20, { reference: 'checkout:1' });
+
+      await giftCardService.reverseDebit(card._id, 'checkout:1');
+      const retry = await giftCardService.reverseDebit(card._id, 'checkout:1');
+
+      expect(retry).toMatchObject({ success: true, replayed: true });
+      expect(card.balance).toBe(50);
+      expect(ledger.map(entry => [entry.type, entry.amount])).toEqual([['redeem', -20], ['refund', 20]]);
+    });
+
+    it('does nothing when the debit never happened', async () => {
+      const result = await giftCardService.reverseDebit(card._id, 'checkout:1');
+
+      expect(result).toEqual({ success: true, transaction: null });
+      expect(GiftCard.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
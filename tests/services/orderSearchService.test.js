@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const orderSearchService = require('../../src/services/orderSearchService');
+
+describe('orderSearchService', () => {
+  let find;
+  let chain;
+
+  beforeEach(() => {
+    chain = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      select: jest.fn().mockReturnThis(),
+      then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+    };
+    find = jest.spyOn(Order, 'find').mockReturnValue(chain);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('search with free text', () => {
+    it('matches every term against the order email, names and number', async () => {
+      const result = await orderSearchService.search({ q: 'ada@example.com 2026' });
+
+      expect(result.success).toBe(true);
+      const [emailTerm, numberTerm] = find.mock.calls[0][0].$and;
+      expect(emailTerm.$or).toEqual(expect.arrayContaining([
+        { customerEmail: { $regex: 'ada@example\\.com', $options: 'i' } },
+        { 'shippingAddress.lastName': { $regex: 'ada@example\\.com', $options: 'i' } }
+      ]));
+      expect(numberTerm.$or).toContainEqual({ orderNumber: { $regex: '^2026' } });
+    });
+
+    it('keeps a customer search inside their own orders', async () => {
+      const userId = new mongoose.Types.ObjectId();
+
+      await orderSearchService.search({ q: 'rider' }, { userId });
+
+      const [owner, term] = find.mock.calls[0][0].$and;
+      expect(owner).toEqual({ user: userId });
+      expect(term.$or).toContainEqual({ customerEmail: { $regex: 'rider', $options: 'i' } });
+    });
+  });
+});
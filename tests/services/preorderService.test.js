@@ -0,0 +1,86 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Order = require('../../src/models/Order');
+const { sendEmail } = require('../../src/services/emailService');
+const preorderService = require('../../src/services/preorderService');
+const paymentService = require('../../src/services/paymentService');
+const invoiceService = require('../../src/services/invoiceService');
+
+const buildAuthorizedOrder = () => {
+  const order = new Order({
+    orderNumber: '202600000125',
+    user: new mongoose.Types.ObjectId(),
+    customerEmail: 'rider@example.com',
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Hover shoe', price: 60, quantity: 1 }],
+    subtotal: 60,
+    total: 60,
+    shippingAddress: { firstName: 'Ada', lastName: 'Rider' },
+    payment: { method: 'credit_card', amount: 60, transactionId: 'pi_held' }
+  });
+  order.setPaymentStatus('authorized');
+  return order;
+};
+
+describe('preorderService', () => {
+  beforeEach(() => {
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(paymentService, 'capturePayment').mockResolvedValue({ success: true, transactionId: 'pi_held' });
+    jest.spyOn(invoiceService, 'getInvoiceForOrder').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  describe('captureOrder', () => {
+    it('invoices and emails the address the order was placed with', async () => {
+      const order = buildAuthorizedOrder();
+
+      const result = await preorderService.captureOrder(order);
+
+      expect(result).toEqual({ success: true });
+      expect(order.payment.status).toBe('completed');
+      expect(invoiceService.getInvoiceForOrder).toHaveBeenCalledWith(order, { email: 'rider@example.com' });
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'preorderInStock'
+      }));
+    });
+
+    it('still reports the capture when the email cannot be sent', async () => {
+      const order = buildAuthorizedOrder();
+      sendEmail.mockRejectedValue(new Error('Email gateway unavailable'));
+      invoiceService.getInvoiceForOrder.mockRejectedValue(new Error('Invoice store unavailable'));
+
+      const result = await preorderService.captureOrder(order);
+
+      expect(result).toEqual({ success: true });
+      expect(order.payment.status).toBe('completed');
+    });
+  });
+
+  describe('notifyShipDateChanges', () => {
+    it('tells the customer about a later ship date once', async () => {
+      const order = buildAuthorizedOrder();
+      order.items[0].backorder = {
+        type: 'preorder',
+        offer: new mongoose.Types.ObjectId(),
+        expectedShipDate: new Date('2026-12-01')
+      };
+      jest.spyOn(Order, 'find').mockResolvedValue([order]);
+
+      const notified = await preorderService.notifyShipDateChanges();
+
+      expect(notified).toBe(1);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'preorderShipDateChanged'
+      }));
+      expect(order.items[0].backorder.notifiedShipDate).toEqual(new Date('2026-12-01'));
+    });
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Return = require('../../src/models/Return');
+const Order = require('../../src/models/Order');
+const returnService = require('../../src/services/returnService');
+const refundService = require('../../src/services/refundService');
+const { sendEmail } = require('../../src/services/emailService');
+
+const buildOrder = () => new Order({
+  orderNumber: '202600000125',
+  user: new mongoose.Types.ObjectId(),
+  customerEmail: 'rider@example.com',
+  items: [{ product: new mongoose.Types.ObjectId(), name: 'Hover shoe', price: 60, quantity: 2, totalPrice: 120 }],
+  subtotal: 120,
+  total: 120,
+  payment: { method: 'credit_card', amount: 120, transactionId: 'pi_paid' }
+});
+
+// Order.findById is awaited directly and also chained with select()
+const orderQuery = (doc) => Object.assign(Promise.resolve(doc), {
+  select: jest.fn().mockResolvedValue(doc)
+});
+
+describe('returnService', () => {
+  let order;
+
+  beforeEach(() => {
+    order = buildOrder();
+    jest.spyOn(Return, 'getReturnedQuantities').mockResolvedValue(new Map());
+    jest.spyOn(Return.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  describe('requestReturn', () => {
+    it('counts a line listed twice against what was bought', async () => {
+      const itemId = order.items[0]._id;
+
+      const result = await returnService.requestReturn(order, {
+        userId: order.user,
+        reason: 'wrong_size',
+        items: [{ itemId, quantity: 2 }, { itemId, quantity: 1 }]
+      });
+
+      expect(result).toEqual({ success: false, error: `Only 2 of item ${itemId} can be returned` });
+      expect(Return.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('accepts a line split across entries within what was bought', async () => {
+      const itemId = order.items[0]._id;
+
+      const result = await returnService.requestReturn(order, {
+        userId: order.user,
+        reason: 'wrong_size',
+        items: [{ itemId, quantity: 1 }, { itemId, quantity: 1, reason: 'defective' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.returnRequest.items.map(item => item.quantity)).toEqual([1, 1]);
+    });
+  });
+
+  describe('refund', () => {
+    const buildReceivedReturn = () => new Return({
+      order: order._id,
+      user: order.user,
+      items: [{ orderItem: order.items[0]._id, product: order.items[0].product, quantity: 1, reason: 'wrong_size' }],
+      reason: 'wrong_size',
+      status: 'received'
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Order, 'findById').mockImplementation(() => orderQuery(order));
+      jest.spyOn(Order.prototype, 'save').mockImplementation(async function() {
+        return this;
+      });
+    });
+
+    it('refunds once when another call has already claimed the return', async () => {
+      jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(null);
+      const refundOrder = jest.spyOn(refundService, 'refundOrder');
+
+      const result = await returnService.refund(buildReceivedReturn());
+
+      expect(result).toMatchObject({ success: false, inProgress: true });
+      expect(refundOrder).not.toHaveBeenCalled();
+    });
+
+    it('claims the return only while it is received', async () => {
+      const returnRequest = buildReceivedReturn();
+      const claimed = buildReceivedReturn();
+      claimed.status = 'refunding';
+      const claim = jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(claimed);
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({
+        success: true,
+        refund: { status: 'completed', refundId: 're_1' }
+      });
+
+      const result = await returnService.refund(returnRequest);
+
+      expect(claim.mock.calls[0][0]).toEqual({ _id: returnRequest._id, status: 'received' });
+      expect(result.success).toBe(true);
+      expect(result.returnRequest.status).toBe('refunded');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+        to: 'rider@example.com',
+        template: 'returnRefunded'
+      }));
+    });
+
+    it('puts the return back in received when the gateway refuses the refund', async () => {
+      const claimed = buildReceivedReturn();
+      claimed.status = 'refunding';
+      jest.spyOn(Return, 'findOneAndUpdate').mockResolvedValue(claimed);
+      jest.spyOn(refundService, 'refundOrder').mockResolvedValue({ success: false, error: 'Card expired' });
+
+      const result = await returnService.refund(buildReceivedReturn());
+
+      expect(result).toMatchObject({ success: false, error: 'Card expired' });
+      expect(claimed.status).toBe('received');
+      expect(claimed.refund.status).toBe('failed');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+jest.mock('../../src/services/emailService');
+
+const mongoose = require('mongoose');
+const Subscription = require('../../src/models/Subscription');
+const Order = require('../../src/models/Order');
+const pool = require('../../src/config/database');
+const { sendEmail } = require('../../src/services/emailService');
+const subscriptionService = require('../../src/services/subscriptionService');
+const checkoutService = require('../../src/services/checkoutService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const address = {
+  firstName: 'Ada',
+  lastName: 'Rider',
+  street: '1 Hover Way',
+  city: 'Portland',
+  state: 'OR',
+  zipCode: '97201',
+  country: 'US'
+};
+
+const buildSubscription = () => new Subscription({
+  user: new mongoose.Types.ObjectId(),
+  items: [{ product: new mongoose.Types.ObjectId(), quantity: 1 }],
+  interval: { count: 1, unit: 'month' },
+  shippingAddress: address,
+  billingAddress: address,
+  payment: { customerId: 'cus_1', paymentMethodId: 'pm_1' },
+  nextRenewalAt: new Date(Date.now() - 60 * 1000)
+});
+
+const declined = { success: false, failedStep: 'charge_payment', rejected: true, error: 'Your card was declined' };
+
+describe('subscriptionService dunning', () => {
+  let order;
+
+  beforeEach(() => {
+    order = { _id: new mongoose.Types.ObjectId(), orderNumber: '202600000125' };
+
+    jest.spyOn(Subscription.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+    jest.spyOn(pool, 'query').mockResolvedValue({
+      rows: [{ id: 7, email: 'rider@example.com', first_name: 'Ada', last_name: 'Rider' }]
+    });
+    jest.spyOn(subscriptionService, 'buildRenewalOrder').mockResolvedValue(order);
+    jest.spyOn(checkoutService, 'checkout').mockResolvedValue(declined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendEmail.mockReset();
+  });
+
+  it('schedules a retry and tells the customer when the card is declined', async () => {
+    const subscription = buildSubscription();
+
+    const result = await subscriptionService.renew(subscription);
+
+    expect(result).toEqual({ success: false, error: 'Your card was declined' });
+    expect(subscription.status).toBe('past_due');
+    expect(subscription.dunning.attempts).toBe(1);
+    expect(subscription.dunning.nextAttemptAt.getTime()).toBeCloseTo(Date.now() + DAY_MS, -4);
+    expect(subscription.pendingOrder).toBeUndefined();
+    expect(subscription.renewals[0]).toMatchObject({ status: 'failed', error: 'Your card was declined' });
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'rider@example.com',
+      template: 'subscriptionRenewalFailed',
+      data: expect.objectContaining({ paymentDeclined: true, attempt: 1 })
+    }));
+  });
+
+  it('loads the subscriber from the users table', async () => {
+    const subscription = buildSubscription();
+
+    await subscriptionService.renew(subscription);
+
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('FROM users WHERE id = $1'), [subscription.user]);
+  });
+
+  it('records a failure without emailing when the subscriber account is gone', async () => {
+    const subscription = buildSubscription();
+    pool.query.mockResolvedValue({ rows: [] });
+
+    const result = await subscriptionService.renew(subscription);
+
+    expect(result).toEqual({ success: false, error: 'The subscriber account no longer exists' });
+    expect(checkoutService.checkout).not.toHaveBeenCalled();
+    expect(subscription.status).toBe('past_due');
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('backs off between retries and pauses the subscription after the last one', async () => {
+    const subscription = buildSubscription();
+
+    const gaps = [];
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await subscriptionService.renew(subscription);
+      gaps.push(Math.round((subscription.dunning.nextAttemptAt - Date.now()) / DAY_MS));
+    }
+    expect(gaps).toEqual([1, 3, 7]);
+    expect(subscription.status).toBe('past_due');
+
+    await subscriptionService.renew(subscription);
+
+    expect(subscription.status).toBe('paused');
+    expect(subscription.pauseReason).toBe('payment_failed');
+    expect(subscription.dunning.attempts).toBe(4);
+    expect(subscription.dunning.nextAttemptAt).toBeUndefined();
+    expect(sendEmail).toHaveBeenLastCalledWith(expect.objectContaining({ template: 'subscriptionPaused' }));
+  });
+
+  it('clears dunning once a retry goes through', async () => {
+    const subscription = buildSubscription();
+    const scheduledFor = subscription.nextRenewalAt;
+    await subscriptionService.renew(subscription);
+    checkoutService.checkout.mockResolvedValue({ success: true, order });
+
+    const result = await subscriptionService.renew(subscription);
+
+    expect(result).toEqual({ success: true, order });
+    expect(subscription.status).toBe('active');
+    expect(subscription.dunning.attempts).toBe(0);
+    expect(subscription.dunning.nextAttemptAt).toBeUndefined();
+    expect(subscription.nextRenewalAt.getTime()).toBeGreaterThan(scheduledFor.getTime());
+    expect(subscription.renewals.map(renewal => renewal.status)).toEqual(['failed', 'placed']);
+  });
+
+  it('leaves a renewal whose checkout is still in flight to the checkout recovery job', async () => {
+    const subscription = buildSubscription();
+    subscription.pendingOrder = order._id;
+    jest.spyOn(Order, 'findById').mockResolvedValue({
+      _id: order._id,
+      status: 'pending',
+      payment: { status: 'pending' }
+    });
+
+    const result = await subscriptionService.renew(subscription);
+
+    expect(result).toEqual({ success: false, inFlight: true });
+    expect(checkoutService.checkout).not.toHaveBeenCalled();
+    expect(subscription.dunning.attempts).toBe(0);
+    expect(subscription.renewals).toHaveLength(0);
+  });
+
+  it('does not count an unexpected error against the customer while the order may still complete', async () => {
+    const subscription = buildSubscription();
+    checkoutService.checkout.mockRejectedValue(new Error('Connection reset'));
+
+    const result = await subscriptionService.renew(subscription);
+
+    expect(result).toEqual({ success: false, error: 'Connection reset' });
+    expect(subscription.pendingOrder).toEqual(order._id);
+    expect(subscription.dunning.attempts).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('skips a due subscription that another run renewed first', async () => {
+    jest.spyOn(Subscription, 'find')
+      .mockResolvedValueOnce([])
+      .mockReturnValueOnce({ select: jest.fn().mockResolvedValue([{ _id: new mongoose.Types.ObjectId() }]) });
+    const claim = jest.spyOn(Subscription, 'findOneAndUpdate').mockResolvedValue(null);
+    const renew = jest.spyOn(subscriptionService, 'renew');
+
+    const result = await subscriptionService.processDue();
+
+    expect(result).toEqual({ renewed: 0 });
+    expect(renew).not.toHaveBeenCalled();
+    // The claim only matches while the subscription is still due
+    expect(claim.mock.calls[0][0].$and[0].$or).toEqual([
+      { status: 'active', nextRenewalAt: { $lte: expect.any(Date) } },
+      { status: 'past_due', 'dunning.nextAttemptAt': { $lte: expect.any(Date) } }
+    ]);
+  });
+});